@@ -0,0 +1,90 @@
+// Stores `geohash` and `geoBounds` on donations, requests and households
+// saved before location queries, so the map and "near me" searches find them. New and
+// edited documents get one when they're saved.
+//
+//   npm run backfill:geohash -- --dry-run
+//   npm run backfill:geohash -- --collections=requests,households --geocode
+//
+// Requests and households used to keep only an address. With --geocode,
+// those without `coordinates` are looked up with Nominatim (NOMINATIM_URL,
+// default the public server, one request a second) and the coordinates are
+// stored too.
+//
+// Safe to run more than once: only documents whose geohash or bounding box
+// is missing or stale are written. See scripts/lib/admin.js for credentials.
+
+import { db, parseArgs, commitInBatches, run } from "./lib/admin.js";
+import { toGeoFields } from "../src/services/geoModel.js";
+import { toLatLng } from "../src/services/listingFilters.js";
+
+const args = parseArgs();
+const dryRun = args.has("dry-run");
+const geocode = args.has("geocode");
+const collections = args.get("collections", "donations,requests,households").split(",");
+const nominatimUrl = (process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org").replace(/\/$/, "");
+
+// Where each collection keeps its address
+const ADDRESS_FIELDS = { donations: "location", requests: "location", households: "address" };
+
+const sameBounds = (a, b) =>
+  a === b || (Boolean(a && b) && ["south", "west", "north", "east"].every((side) => a[side] === b[side]));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const lookUp = async (address) => {
+  await sleep(1000);
+  const response = await fetch(`${nominatimUrl}/search?${new URLSearchParams({ q: address, format: "jsonv2", limit: "1" })}`, {
+    headers: { "User-Agent": "FoodDonation geohash backfill" },
+  });
+  if (!response.ok) throw new Error(`Nominatim answered ${response.status}`);
+  const [result] = await response.json();
+  return result ? { lat: Number(result.lat), lng: Number(result.lon) } : null;
+};
+
+const backfillCollection = async (name) => {
+  const snapshot = await db.collection(name).get();
+  const updates = [];
+  let unlocated = 0;
+
+  for (const snap of snapshot.docs) {
+    const data = snap.data();
+    let coordinates = toLatLng(data.coordinates);
+    const address = data[ADDRESS_FIELDS[name]];
+    const fields = {};
+
+    if (!coordinates && geocode && address?.trim()) {
+      coordinates = await lookUp(address);
+      if (coordinates) fields.coordinates = coordinates;
+    }
+    if (!coordinates) unlocated += 1;
+
+    const { geohash, geoBounds } = toGeoFields(coordinates);
+    if ((data.geohash ?? null) !== geohash) fields.geohash = geohash;
+    if (!sameBounds(data.geoBounds ?? null, geoBounds)) fields.geoBounds = geoBounds;
+    if (Object.keys(fields).length > 0) updates.push({ ref: snap.ref, fields });
+  }
+
+  console.log(
+    `${name}: ${snapshot.size} checked, ${updates.length} to update` +
+      (unlocated > 0 ? ` (${unlocated} without a location${geocode ? "" : "; try --geocode"})` : "")
+  );
+  return updates;
+};
+
+const backfill = async () => {
+  const updates = [];
+  for (const name of collections) {
+    if (!(name in ADDRESS_FIELDS)) throw new Error(`Unknown collection "${name}"`);
+    updates.push(...(await backfillCollection(name)));
+  }
+
+  if (dryRun) {
+    console.log("Dry run, nothing written.");
+    return;
+  }
+
+  await commitInBatches(updates.map(({ ref, fields }) => (batch) => batch.update(ref, fields)));
+  console.log("Done.");
+};
+
+run("Geohash backfill", backfill);
@@ -0,0 +1,189 @@
+// Expiry job: moves past-due donations to "expired", releases their unpicked
+// reservations (and the allowance they held), closes open requests older than the configured age, and
+// leaves a notification for every donor, applicant and requester affected.
+//
+//   npm run expire:stale -- --dry-run
+//   npm run expire:stale -- --request-max-age-days=14
+//
+// Runs daily from .github/workflows/expire-stale.yml. Locally, start the
+// emulator and set FIRESTORE_EMULATOR_HOST=localhost:8080.
+
+import { FieldValue } from "firebase-admin/firestore";
+import { db, parseArgs, commitInBatches, notify, run } from "./lib/admin.js";
+import {
+  DEFAULT_REQUEST_MAX_AGE_DAYS,
+  EXPIRABLE_DONATION_STATUSES,
+  isDonationPastDue,
+  isRequestStale,
+} from "../src/services/expiry.js";
+import {
+  LEDGER_ENTRY_TYPES,
+  buildTotalsUpdate,
+  getAllocationDate,
+  toApplicationEntry,
+} from "../src/services/ledgerModel.js";
+import { isRealUser } from "../src/services/notificationModel.js";
+
+// Application statuses that still hold, or wait for, quantity
+const OPEN_APPLICATION_STATUSES = ["pending", "approved", "waitlisted"];
+
+const args = parseArgs();
+const dryRun = args.has("dry-run");
+const requestMaxAgeDays = Number(
+  args.get("request-max-age-days", process.env.REQUEST_MAX_AGE_DAYS || DEFAULT_REQUEST_MAX_AGE_DAYS)
+);
+
+// Gives an approved application's servings back to its household's allowance:
+// the entry and the totals, as two queued writes
+const releaseAllocation = (applicationId, application) => {
+  const ledgerRef = db.collection("allowanceLedgers").doc(application.householdId);
+  const entryRef = ledgerRef.collection("entries").doc();
+  const entry = toApplicationEntry(
+    LEDGER_ENTRY_TYPES.CANCELLATION,
+    applicationId,
+    application,
+    getAllocationDate(application)
+  );
+  return [
+    (batch) => batch.set(entryRef, { ...entry, by: "expiry-job", at: FieldValue.serverTimestamp() }),
+    (batch) =>
+      batch.set(
+        ledgerRef,
+        {
+          householdId: application.householdId,
+          ...buildTotalsUpdate(entry, FieldValue.increment),
+          lastEntryId: entryRef.id,
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      ),
+  ];
+};
+
+const expireDonations = async (now, writes) => {
+  const snapshot = await db
+    .collection("donations")
+    .where("status", "in", EXPIRABLE_DONATION_STATUSES)
+    .get();
+  const pastDue = snapshot.docs.filter((snap) => isDonationPastDue(snap.data(), now));
+  let released = 0;
+
+  for (const snap of pastDue) {
+    const donation = snap.data();
+    const applications = await db
+      .collection("applications")
+      .where("donationId", "==", snap.id)
+      .where("status", "in", OPEN_APPLICATION_STATUSES)
+      .get();
+
+    // Everything for one donation is committed together, so a failed run
+    // never leaves it expired with reservations or allowance still held
+    const group = [];
+    writes.push(group);
+
+    group.push((batch) =>
+      batch.update(snap.ref, {
+        status: "expired",
+        expiredAt: FieldValue.serverTimestamp(),
+        // Collected servings stay on record; everything else is released
+        applicants: (donation.applicants || []).filter((entry) => entry.status === "completed"),
+        waitlist: [],
+        lastUpdated: FieldValue.serverTimestamp(),
+      })
+    );
+
+    if (isRealUser(donation.donorId)) {
+      group.push(
+        notify(donation.donorId, {
+          type: "donation_expired",
+          title: "Donation expired",
+          message: `"${donation.foodItem}" passed its expiry date and is no longer listed.` +
+            (applications.size > 0 ? ` ${applications.size} uncollected application(s) were released.` : ""),
+          link: "/profile",
+        })
+      );
+    }
+
+    applications.docs.forEach((application) => {
+      const { applicantId, status, householdId } = application.data();
+      released += 1;
+      group.push((batch) =>
+        batch.update(application.ref, {
+          status: "expired",
+          updatedAt: FieldValue.serverTimestamp(),
+        })
+      );
+      if (status === "approved" && householdId) {
+        group.push(...releaseAllocation(application.id, application.data()));
+      }
+      if (isRealUser(applicantId)) {
+        group.push(
+          notify(applicantId, {
+            type: "application_expired",
+            title: "Donation expired",
+            message: status === "approved"
+              ? `"${donation.foodItem}" expired before it was picked up.`
+              : `"${donation.foodItem}" expired before your application was reviewed.`,
+            link: "/donations",
+          })
+        );
+      }
+    });
+  }
+
+  return { expired: pastDue.length, released };
+};
+
+const closeStaleRequests = async (now, writes) => {
+  const snapshot = await db.collection("requests").where("status", "==", "open").get();
+  const stale = snapshot.docs.filter((snap) => isRequestStale(snap.data(), now, requestMaxAgeDays));
+
+  stale.forEach((snap) => {
+    const request = snap.data();
+    writes.push((batch) =>
+      batch.update(snap.ref, {
+        status: "closed",
+        closedAt: FieldValue.serverTimestamp(),
+        closedReason: "expired",
+      })
+    );
+    if (isRealUser(request.requesterId)) {
+      writes.push(
+        notify(request.requesterId, {
+          type: "request_closed",
+          title: "Request closed",
+          message: `Your request for "${request.foodItem}" was open for more than ${requestMaxAgeDays} days and has been closed. Post a new one if you still need help.`,
+          link: "/requests",
+        })
+      );
+    }
+  });
+
+  return { closed: stale.length };
+};
+
+const expireStale = async () => {
+  if (!Number.isFinite(requestMaxAgeDays) || requestMaxAgeDays <= 0) {
+    throw new Error(`--request-max-age-days must be a positive number, got "${requestMaxAgeDays}"`);
+  }
+
+  const now = new Date();
+  const writes = [];
+  const { expired, released } = await expireDonations(now, writes);
+  const { closed } = await closeStaleRequests(now, writes);
+
+  console.log(
+    `donations expired: ${expired}, applications released: ${released}, ` +
+      `requests closed (older than ${requestMaxAgeDays} days): ${closed}`
+  );
+
+  if (dryRun) {
+    console.log("Dry run, nothing written.");
+    return;
+  }
+
+  await commitInBatches(writes);
+  console.log("Done.");
+};
+
+run("Expiry job", expireStale);
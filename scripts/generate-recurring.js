@@ -0,0 +1,65 @@
+// Recurring donations: for every active schedule in donationSchedules, creates
+// the listing for each occurrence in the next few days that doesn't exist yet.
+// Listing ids are {scheduleId}_{YYYY-MM-DD}, so re-running never duplicates.
+//
+//   npm run generate:recurring -- --dry-run
+//   npm run generate:recurring -- --days-ahead=3
+//
+// Runs hourly from .github/workflows/generate-recurring.yml. Locally, start the
+// emulator and set FIRESTORE_EMULATOR_HOST=localhost:8080.
+
+import { FieldValue } from "firebase-admin/firestore";
+import { db, parseArgs, commitInBatches, run } from "./lib/admin.js";
+import {
+  DEFAULT_DAYS_AHEAD,
+  buildOccurrence,
+  getOccurrenceId,
+  getUpcomingOccurrences,
+} from "../src/services/scheduleModel.js";
+
+const args = parseArgs();
+const dryRun = args.has("dry-run");
+const daysAhead = Number(args.get("days-ahead", DEFAULT_DAYS_AHEAD));
+
+const generateRecurring = async () => {
+  if (!Number.isInteger(daysAhead) || daysAhead < 0) {
+    throw new Error(`--days-ahead must be a whole number, got "${daysAhead}"`);
+  }
+
+  const now = new Date();
+  const snapshot = await db.collection("donationSchedules").where("status", "==", "active").get();
+  const writes = [];
+  let created = 0;
+
+  for (const snap of snapshot.docs) {
+    const schedule = { id: snap.id, ...snap.data() };
+    const dateKeys = getUpcomingOccurrences(schedule, now, daysAhead);
+    if (dateKeys.length === 0) continue;
+
+    const refs = dateKeys.map((dateKey) => db.collection("donations").doc(getOccurrenceId(snap.id, dateKey)));
+    const existing = await db.getAll(...refs);
+
+    existing.forEach((listing, index) => {
+      if (listing.exists) return;
+      created += 1;
+      writes.push((batch) =>
+        batch.create(refs[index], {
+          ...buildOccurrence(schedule, dateKeys[index]),
+          createdAt: FieldValue.serverTimestamp(),
+        })
+      );
+    });
+  }
+
+  console.log(`active schedules: ${snapshot.size}, listings created (next ${daysAhead} days): ${created}`);
+
+  if (dryRun) {
+    console.log("Dry run, nothing written.");
+    return;
+  }
+
+  await commitInBatches(writes);
+  console.log("Done.");
+};
+
+run("Recurring donations", generateRecurring);
@@ -0,0 +1,80 @@
+// Shared setup for the maintenance scripts in scripts/.
+//
+// Uses Application Default Credentials (GOOGLE_APPLICATION_CREDENTIALS), or the
+// emulator when FIRESTORE_EMULATOR_HOST is set.
+
+import { initializeApp } from "firebase-admin/app";
+import { FieldValue, getFirestore } from "firebase-admin/firestore";
+import { toNotification } from "../../src/services/notificationModel.js";
+
+// Firestore allows 500 writes per batch; leave headroom
+const BATCH_SIZE = 400;
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT || "community-food-bank-1a252" });
+
+export const db = getFirestore();
+
+/**
+ * Reads `--name=value` and `--flag` arguments.
+ * @returns {{has: (name: string) => boolean, get: (name: string, fallback?: string) => string|undefined}}
+ */
+export const parseArgs = (argv = process.argv.slice(2)) => {
+  const values = new Map(
+    argv.map((arg) => {
+      const [name, ...rest] = arg.replace(/^--/, "").split("=");
+      return [name, rest.length > 0 ? rest.join("=") : true];
+    })
+  );
+  return {
+    has: (name) => values.has(name),
+    get: (name, fallback) => (typeof values.get(name) === "string" ? values.get(name) : fallback),
+  };
+};
+
+/**
+ * Applies queued writes in batches. An array of writes is a group that is
+ * never split across batches, so it is applied all at once or not at all.
+ * @param {(((batch: FirebaseFirestore.WriteBatch) => void)|((batch: FirebaseFirestore.WriteBatch) => void)[])[]} writes
+ * @returns {Promise<void>}
+ */
+export const commitInBatches = async (writes) => {
+  let batch = db.batch();
+  let size = 0;
+
+  for (const group of writes.map((write) => [write].flat())) {
+    // A group larger than BATCH_SIZE gets a batch of its own
+    if (size > 0 && size + group.length > BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      size = 0;
+    }
+    group.forEach((write) => write(batch));
+    size += group.length;
+  }
+
+  if (size > 0) await batch.commit();
+};
+
+/**
+ * A queued write leaving a notification in the user's inbox.
+ * @param {string} userId
+ * @param {{type: string, title: string, message: string, link?: string}} notification
+ * @returns {(batch: FirebaseFirestore.WriteBatch) => void}
+ */
+export const notify = (userId, notification) => (batch) =>
+  batch.set(db.collection("notifications").doc(), {
+    ...toNotification(userId, notification),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+/**
+ * Runs a script's main function and exits non-zero on failure.
+ * @param {string} name used in the error message
+ * @param {() => Promise<void>} main
+ */
+export const run = (name, main) => {
+  main().catch((error) => {
+    console.error(`${name} failed:`, error);
+    process.exit(1);
+  });
+};
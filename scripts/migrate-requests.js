@@ -0,0 +1,75 @@
+// One-off migration: folds `food-requests` into `requests` and rewrites every
+// request in the canonical shape from src/services/requestModel.js.
+//
+//   npm run migrate:requests -- --dry-run
+//   npm run migrate:requests -- --delete-source
+//
+// Safe to run more than once: ids are kept and copies are marked with
+// `migratedFrom`, so a second run only rewrites the requests in place and
+// never copies a legacy request over one that may have changed since.
+// See scripts/lib/admin.js for credentials.
+
+import { db, parseArgs, commitInBatches, run } from "./lib/admin.js";
+import { toCanonicalRequest } from "../src/services/requestModel.js";
+
+const args = parseArgs();
+const dryRun = args.has("dry-run");
+const deleteSource = args.has("delete-source");
+
+const SOURCE = "food-requests";
+
+const migrate = async () => {
+  const [requestsSnap, legacySnap] = await Promise.all([
+    db.collection("requests").get(),
+    db.collection(SOURCE).get(),
+  ]);
+
+  const existing = new Map(requestsSnap.docs.map((snap) => [snap.id, snap.data()]));
+  const migrated = legacySnap.docs.filter((legacy) => existing.get(legacy.id)?.migratedFrom === SOURCE);
+  const pending = legacySnap.docs.filter((legacy) => !existing.has(legacy.id));
+
+  // Only ids taken by a request that wasn't copied from food-requests clash
+  const collisions = legacySnap.docs.filter(
+    (legacy) => existing.has(legacy.id) && existing.get(legacy.id).migratedFrom !== SOURCE
+  );
+  if (collisions.length > 0) {
+    throw new Error(
+      `${SOURCE} ids already used in requests: ${collisions.map((d) => d.id).join(", ")}`
+    );
+  }
+
+  const writes = [];
+
+  requestsSnap.docs.forEach((snap) => {
+    const ref = snap.ref;
+    const data = toCanonicalRequest(snap.data());
+    // set() without merge so the dropped `foodType` / `type` fields go away
+    writes.push((batch) => batch.set(ref, data));
+  });
+
+  pending.forEach((snap) => {
+    const ref = db.collection("requests").doc(snap.id);
+    const data = { ...toCanonicalRequest(snap.data()), migratedFrom: SOURCE };
+    writes.push((batch) => batch.set(ref, data));
+  });
+
+  if (deleteSource) {
+    legacySnap.docs.forEach((snap) => writes.push((batch) => batch.delete(snap.ref)));
+  }
+
+  console.log(
+    `requests: ${requestsSnap.size} to rewrite, ${SOURCE}: ${pending.length} to copy, ` +
+      `${migrated.length} already copied` +
+      (deleteSource ? `, ${legacySnap.size} to delete` : "")
+  );
+
+  if (dryRun) {
+    console.log("Dry run, nothing written.");
+    return;
+  }
+
+  await commitInBatches(writes);
+  console.log("Done.");
+};
+
+run("Migration", migrate);
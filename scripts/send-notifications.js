@@ -0,0 +1,147 @@
+// Notification job: tells households about donations posted near their
+// address, and reminds applicants of pickups coming up. Approvals and
+// fulfilled requests are notified by the app itself.
+//
+//   npm run send:notifications -- --dry-run
+//   npm run send:notifications -- --radius-km=10 --reminder-hours=2
+//
+// Each donation and application is notified once (`nearbyNotifiedAt`,
+// `pickupReminderSentAt`). Donations older than --max-age-hours are left
+// alone, so the first run doesn't announce old listings.
+//
+// Runs hourly from .github/workflows/send-notifications.yml. Locally, start
+// the emulator and set FIRESTORE_EMULATOR_HOST=localhost:8080.
+
+import { FieldValue } from "firebase-admin/firestore";
+import { db, parseArgs, commitInBatches, notify, run } from "./lib/admin.js";
+import { GEOHASH_END, getRadiusCover, withinRadius } from "../src/services/geoModel.js";
+import { toLatLng } from "../src/services/listingFilters.js";
+import { isDonationPastDue } from "../src/services/expiry.js";
+import { isDeliveryActive } from "../src/services/deliveryModel.js";
+import {
+  NEARBY_RADIUS_KM,
+  PICKUP_REMINDER_HOURS,
+  isPickupReminderDue,
+  isRealUser,
+  nearbyDonationNotification,
+  pickupReminderNotification,
+} from "../src/services/notificationModel.js";
+
+const args = parseArgs();
+const dryRun = args.has("dry-run");
+const radiusKm = Number(args.get("radius-km", process.env.NEARBY_RADIUS_KM || NEARBY_RADIUS_KM));
+const reminderHours = Number(args.get("reminder-hours", process.env.PICKUP_REMINDER_HOURS || PICKUP_REMINDER_HOURS));
+const maxAgeHours = Number(args.get("max-age-hours", 24));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Households with a geohash within radiusKm of the point
+const findHouseholdsNear = async (center) => {
+  const snapshots = await Promise.all(
+    getRadiusCover(center, radiusKm).map((prefix) =>
+      db.collection("households").orderBy("geohash").startAt(prefix).endAt(prefix + GEOHASH_END).get()
+    )
+  );
+  const households = new Map(
+    snapshots.flatMap((snapshot) => snapshot.docs).map((snap) => [snap.id, { id: snap.id, ...snap.data() }])
+  );
+  return withinRadius([...households.values()], center, radiusKm);
+};
+
+const notifyNearbyDonations = async (now, writes) => {
+  const snapshot = await db
+    .collection("donations")
+    .where("status", "in", ["available", "partially_claimed"])
+    .get();
+  const fresh = snapshot.docs.filter((snap) => {
+    const donation = snap.data();
+    const createdAt = toDate(donation.createdAt);
+    return !donation.nearbyNotifiedAt
+      && createdAt !== null
+      && now - createdAt <= maxAgeHours * HOUR_MS
+      && !isDonationPastDue(donation, now);
+  });
+  let notified = 0;
+
+  for (const snap of fresh) {
+    const donation = snap.data();
+    const center = toLatLng(donation.coordinates);
+    const recipients = new Map();
+
+    if (center) {
+      // Everyone who may apply for a household, nearest household first
+      (await findHouseholdsNear(center)).forEach((household) => {
+        (household.applicantUids?.length > 0 ? household.applicantUids : [household.registrantId])
+          .filter((uid) => isRealUser(uid) && uid !== donation.donorId && !recipients.has(uid))
+          .forEach((uid) => recipients.set(uid, household.distanceKm));
+      });
+    }
+
+    recipients.forEach((distanceKm, uid) => writes.push(notify(uid, nearbyDonationNotification(donation, distanceKm))));
+    notified += recipients.size;
+    // Marked even without a location, so it isn't looked at again
+    writes.push((batch) => batch.update(snap.ref, { nearbyNotifiedAt: FieldValue.serverTimestamp() }));
+  }
+
+  return { donations: fresh.length, notified };
+};
+
+const sendPickupReminders = async (now, writes) => {
+  const snapshot = await db.collection("applications").where("status", "==", "approved").get();
+  const pending = snapshot.docs.filter((snap) => !snap.data().pickupReminderSentAt && isRealUser(snap.data().applicantId));
+  if (pending.length === 0) return { reminded: 0 };
+
+  const donationIds = [...new Set(pending.map((snap) => snap.data().donationId))];
+  const donations = new Map(
+    (await db.getAll(...donationIds.map((id) => db.collection("donations").doc(id))))
+      .filter((snap) => snap.exists)
+      .map((snap) => [snap.id, snap.data()])
+  );
+  // Applications a volunteer is delivering aren't collected by the household
+  const deliveries = await db.getAll(...pending.map((snap) => db.collection("deliveries").doc(snap.id)));
+
+  let reminded = 0;
+  pending.forEach((snap, index) => {
+    const application = snap.data();
+    const donation = donations.get(application.donationId);
+    const delivery = deliveries[index];
+    if (!donation || (delivery.exists && isDeliveryActive(delivery.data()))) return;
+    if (!isPickupReminderDue(application, donation, now, reminderHours)) return;
+
+    reminded += 1;
+    writes.push(notify(application.applicantId, pickupReminderNotification(application, donation)));
+    writes.push((batch) => batch.update(snap.ref, { pickupReminderSentAt: FieldValue.serverTimestamp() }));
+  });
+
+  return { reminded };
+};
+
+const sendNotifications = async () => {
+  [["--radius-km", radiusKm], ["--reminder-hours", reminderHours], ["--max-age-hours", maxAgeHours]].forEach(([name, value]) => {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${name} must be a positive number, got "${value}"`);
+    }
+  });
+
+  const now = new Date();
+  const writes = [];
+  const { donations, notified } = await notifyNearbyDonations(now, writes);
+  const { reminded } = await sendPickupReminders(now, writes);
+
+  console.log(
+    `new donations: ${donations}, users notified (within ${radiusKm} km): ${notified}, ` +
+      `pickup reminders (${reminderHours} h ahead): ${reminded}`
+  );
+
+  if (dryRun) {
+    console.log("Dry run, nothing written.");
+    return;
+  }
+
+  await commitInBatches(writes);
+  console.log("Done.");
+};
+
+run("Notification job", sendNotifications);
@@ -11,6 +11,8 @@ import DonationsPage from "./pages/DonationsPage";
 import RequestsPage from "./pages/RequestsPage";
 import ProfilePage from "./pages/ProfilePage";
 import AdminPage from "./pages/AdminPage";
+import DeliveriesPage from "./pages/DeliveriesPage";
+import NotificationsPage from "./pages/NotificationsPage";
 import DonationSuccessPage from "./pages/DonationSuccessPage";
 
 function App() {
@@ -29,6 +31,8 @@ function App() {
                 <Route path="/requests" element={<RequestsPage />} />
                 <Route path="/profile" element={<ProfilePage />} />
                 <Route path="/admin" element={<AdminPage />} />
+                <Route path="/deliveries" element={<DeliveriesPage />} />
+                <Route path="/notifications" element={<NotificationsPage />} />
                 <Route path="/donation-success" element={<DonationSuccessPage />} />
               </Routes>
             </main>
@@ -0,0 +1,305 @@
+import React from "react";
+import { useState, useEffect } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { useAllowancePolicy } from "../../hooks/useAllowancePolicy";
+import { saveAllowancePolicy, subscribeToPolicyVersions } from "../../services/allowancePolicy";
+import { DEFAULT_RULES } from "../../services/allowanceModel";
+import { REQUEST_CATEGORIES } from "../../services/requestModel";
+
+// Shares are stored as fractions and edited as percentages
+const RULE_FIELDS = [
+  { key: "householdShare", label: "Household share of a donation", percent: true },
+  { key: "largeHouseholdShare", label: "Large household share of a donation", percent: true },
+  { key: "largeHouseholdSize", label: "Members for a large household" },
+  { key: "smallRemainderThreshold", label: "Anyone may take the rest at or below (units)" },
+  { key: "dailyShare", label: "Daily share of everything listed", percent: true },
+  { key: "dailyMinimum", label: "Daily minimum (servings)" },
+];
+
+const CATEGORY_OPTIONS = Object.entries(REQUEST_CATEGORIES).filter(([key]) => key !== "any");
+
+const toInput = (field, value) => {
+  if (value === undefined || value === null) return "";
+  return field.percent ? String(Math.round(value * 1000) / 10) : String(value);
+};
+
+const fromInput = (field, value) => {
+  const number = parseFloat(value);
+  if (Number.isNaN(number) || number < 0) return undefined;
+  if (field.percent) return Math.min(number, 100) / 100;
+  return Math.floor(number);
+};
+
+// Converts a rules object to input strings, and back again dropping blanks
+const rulesToInputs = (rules = {}) =>
+  Object.fromEntries(RULE_FIELDS.map((field) => [field.key, toInput(field, rules[field.key])]));
+
+const inputsToRules = (inputs) =>
+  Object.fromEntries(
+    RULE_FIELDS.map((field) => [field.key, fromInput(field, inputs[field.key])]).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+const policyToDraft = (policy) => ({
+  rules: rulesToInputs({ ...DEFAULT_RULES, ...policy.rules }),
+  categories: Object.fromEntries(
+    Object.entries(policy.categories || {}).map(([key, rules]) => [key, rulesToInputs(rules)])
+  ),
+  sites: Object.fromEntries(
+    Object.entries(policy.sites || {}).map(([siteId, site]) => [
+      siteId,
+      { name: site.name || siteId, rules: rulesToInputs(site.rules) },
+    ])
+  ),
+  requireVerification: Boolean(policy.requireVerification),
+});
+
+const draftToPolicy = (draft) => ({
+  rules: { ...DEFAULT_RULES, ...inputsToRules(draft.rules) },
+  categories: Object.fromEntries(
+    Object.entries(draft.categories)
+      .map(([key, inputs]) => [key, inputsToRules(inputs)])
+      .filter(([, rules]) => Object.keys(rules).length > 0)
+  ),
+  sites: Object.fromEntries(
+    Object.entries(draft.sites).map(([siteId, site]) => [
+      siteId,
+      { name: site.name.trim() || siteId, rules: inputsToRules(site.rules) },
+    ])
+  ),
+  requireVerification: draft.requireVerification,
+});
+
+const toSiteId = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Admin editor for settings/allowancePolicy. Each save creates a new version.
+const AllowancePolicyEditor = () => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const { policy, loading } = useAllowancePolicy();
+  const [draft, setDraft] = useState(() => policyToDraft(policy));
+  const [scope, setScope] = useState("base"); // "base", "category:<key>" or "site:<id>"
+  const [newSiteName, setNewSiteName] = useState("");
+  const [versions, setVersions] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form whenever a new version is saved (here or elsewhere)
+  useEffect(() => {
+    setDraft(policyToDraft(policy));
+  }, [policy]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToPolicyVersions(setVersions, (err) =>
+      console.error("Error fetching policy versions:", err)
+    );
+    return () => unsubscribe();
+  }, []);
+
+  const [scopeType, scopeKey] = scope.split(":");
+
+  const scopeInputs =
+    scopeType === "category"
+      ? draft.categories[scopeKey] || rulesToInputs()
+      : scopeType === "site"
+        ? draft.sites[scopeKey]?.rules || rulesToInputs()
+        : draft.rules;
+
+  const updateField = (key, value) => {
+    setDraft((prev) => {
+      const inputs = { ...scopeInputs, [key]: value };
+      if (scopeType === "category") {
+        return { ...prev, categories: { ...prev.categories, [scopeKey]: inputs } };
+      }
+      if (scopeType === "site") {
+        return { ...prev, sites: { ...prev.sites, [scopeKey]: { ...prev.sites[scopeKey], rules: inputs } } };
+      }
+      return { ...prev, rules: inputs };
+    });
+  };
+
+  const addSite = () => {
+    const siteId = toSiteId(newSiteName);
+    if (!siteId) return;
+    if (draft.sites[siteId]) {
+      showError("A site with that name already exists.");
+      return;
+    }
+    setDraft((prev) => ({
+      ...prev,
+      sites: { ...prev.sites, [siteId]: { name: newSiteName.trim(), rules: rulesToInputs() } },
+    }));
+    setScope(`site:${siteId}`);
+    setNewSiteName("");
+  };
+
+  const removeSite = (siteId) => {
+    setDraft((prev) => {
+      const { [siteId]: _removed, ...sites } = prev.sites;
+      return { ...prev, sites };
+    });
+    setScope("base");
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const version = await saveAllowancePolicy(draftToPolicy(draft), currentUser.uid);
+      showSuccess(`Allowance policy saved as version ${version}.`);
+    } catch (error) {
+      console.error("Error saving allowance policy:", error);
+      showError("Failed to save the allowance policy. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return "N/A";
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleString();
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-500 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            ⚖️ Fair-Share Policy
+            <span className="ml-3 text-sm font-medium text-gray-500">
+              {policy.version > 0 ? `version ${policy.version}` : "defaults, not saved yet"}
+            </span>
+          </h2>
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="base">Base rules</option>
+            <optgroup label="Category overrides">
+              {CATEGORY_OPTIONS.map(([key, label]) => (
+                <option key={key} value={`category:${key}`}>{label}</option>
+              ))}
+            </optgroup>
+            {Object.keys(draft.sites).length > 0 && (
+              <optgroup label="Site overrides">
+                {Object.entries(draft.sites).map(([siteId, site]) => (
+                  <option key={siteId} value={`site:${siteId}`}>{site.name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </div>
+
+        {scopeType !== "base" && (
+          <p className="text-sm text-gray-600 mb-4">
+            Leave a field blank to use the base rule.
+            {scopeType === "category" && " Category rules take precedence over site rules."}
+          </p>
+        )}
+
+        <div className="grid md:grid-cols-2 gap-4">
+          {RULE_FIELDS.map((field) => (
+            <label key={field.key} className="block">
+              <span className="block text-sm font-semibold text-gray-700 mb-1">
+                {field.label}
+                {field.percent && " (%)"}
+              </span>
+              <input
+                type="number"
+                min="0"
+                max={field.percent ? "100" : undefined}
+                step={field.percent ? "0.1" : "1"}
+                value={scopeInputs[field.key]}
+                placeholder={scopeType === "base" ? "" : draft.rules[field.key]}
+                onChange={(e) => updateField(field.key, e.target.value)}
+                className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+              />
+            </label>
+          ))}
+        </div>
+
+        {scopeType === "base" && (
+          <label className="mt-4 flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.requireVerification}
+              onChange={(e) => setDraft((prev) => ({ ...prev, requireVerification: e.target.checked }))}
+              className="mr-2"
+            />
+            Households must be verified by staff before they can apply
+          </label>
+        )}
+
+        {scopeType === "site" && (
+          <button
+            onClick={() => removeSite(scopeKey)}
+            className="mt-4 text-sm text-red-600 hover:text-red-800"
+          >
+            Remove this site
+          </button>
+        )}
+
+        <div className="mt-6 pt-6 border-t border-gray-200 flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={newSiteName}
+            onChange={(e) => setNewSiteName(e.target.value)}
+            placeholder="New distribution site name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            onClick={addSite}
+            disabled={!toSiteId(newSiteName)}
+            className="px-4 py-2 bg-blue-100 text-blue-800 rounded-lg text-sm font-medium hover:bg-blue-200 disabled:opacity-50"
+          >
+            Add site
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save new version"}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
+        <h3 className="text-lg font-bold text-gray-800 mb-4">📜 Version History</h3>
+        {versions.length > 0 ? (
+          <ul className="divide-y divide-gray-200">
+            {versions.map((version) => (
+              <li key={version.id} className="py-3 flex justify-between text-sm">
+                <span className="font-medium text-gray-800">Version {version.version}</span>
+                <span className="text-gray-600">
+                  {formatDate(version.updatedAt)} by {version.updatedBy}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-600">
+            No saved versions. Applications are checked against the default rules.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AllowancePolicyEditor;
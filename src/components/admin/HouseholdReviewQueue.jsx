@@ -0,0 +1,145 @@
+import React from "react";
+import { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { reviewHouseholdVerification, clearDuplicateMatch } from "../../services/householdVerification";
+import {
+  VERIFICATION_LABELS,
+  VERIFICATION_STATUSES,
+  getVerificationStatus,
+  findDuplicateHouseholds,
+} from "../../services/householdModel";
+import VerificationDocumentLink from "../common/VerificationDocumentLink";
+
+// Households that look like another registration, or are waiting for
+// eligibility verification. Duplicates are found afresh from every
+// household each time; only the staff decisions are stored.
+const HouseholdReviewQueue = ({ households }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [busyId, setBusyId] = useState(null);
+
+  const queue = households
+    .map((household) => ({ household, duplicates: findDuplicateHouseholds(household, households) }))
+    .filter(
+      ({ household, duplicates }) =>
+        duplicates.length > 0 || getVerificationStatus(household) === VERIFICATION_STATUSES.PENDING
+    );
+
+  const run = async (householdId, action, message) => {
+    try {
+      setBusyId(householdId);
+      await action();
+      showSuccess(message);
+    } catch (error) {
+      console.error("Error reviewing household:", error);
+      showError(error.message || "Failed to save the review. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleVerify = (household) =>
+    run(
+      household.id,
+      () => reviewHouseholdVerification(household.id, VERIFICATION_STATUSES.VERIFIED, "", currentUser.uid),
+      `${household.householdName} verified.`
+    );
+
+  const handleReject = (household) => {
+    const note = window.prompt("Tell the household why it could not be verified:");
+    if (note === null) return;
+    run(
+      household.id,
+      () => reviewHouseholdVerification(household.id, VERIFICATION_STATUSES.REJECTED, note, currentUser.uid),
+      `${household.householdName} marked as not verified.`
+    );
+  };
+
+  return (
+    <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+        🚩 Review Queue ({queue.length})
+      </h2>
+
+      {queue.length === 0 ? (
+        <p className="text-gray-600">No possible duplicates or verification requests to review.</p>
+      ) : (
+        <div className="space-y-4">
+          {queue.map(({ household, duplicates }) => (
+            <div key={household.id} className="bg-white rounded-xl border border-orange-200 p-5 shadow-sm">
+              <div className="flex flex-wrap justify-between items-start gap-3 mb-3">
+                <div>
+                  <h3 className="text-lg font-bold text-gray-800">{household.householdName}</h3>
+                  <p className="text-sm text-gray-600">
+                    📍 {household.address} • 📞 {household.contactPhone} • {household.registrantEmail}
+                  </p>
+                </div>
+                <span className="px-3 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800 border border-orange-200">
+                  {VERIFICATION_LABELS[getVerificationStatus(household)]}
+                </span>
+              </div>
+
+              {duplicates.map(({ household: other, reasons }) => (
+                <div
+                  key={other.id}
+                  className="flex flex-wrap items-center justify-between gap-2 p-3 mb-2 bg-orange-50 rounded-lg text-sm"
+                >
+                  <span className="text-orange-800">
+                    Possible duplicate of <strong>{other.householdName}</strong> ({other.registrantEmail || "no email"}):{" "}
+                    {reasons.join(", ")}
+                  </span>
+                  <button
+                    onClick={() =>
+                      run(
+                        household.id,
+                        () => clearDuplicateMatch(household.id, other.id, currentUser.uid),
+                        "Marked as separate households."
+                      )
+                    }
+                    disabled={busyId === household.id}
+                    className="px-3 py-1 bg-white border border-orange-300 text-orange-800 rounded-lg text-xs font-medium hover:bg-orange-100 disabled:opacity-50"
+                  >
+                    Not a duplicate
+                  </button>
+                </div>
+              ))}
+
+              {(household.verificationDocuments || []).length > 0 && (
+                <div className="mb-3">
+                  <p className="text-sm font-semibold text-gray-700 mb-1">Documents</p>
+                  <ul className="space-y-1 text-sm">
+                    {household.verificationDocuments.map((document) => (
+                      <li key={document.id}>
+                        <VerificationDocumentLink document={document} />
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={() => handleVerify(household)}
+                  disabled={busyId === household.id || getVerificationStatus(household) === VERIFICATION_STATUSES.VERIFIED}
+                  className="px-4 py-2 bg-green-100 text-green-800 rounded-lg hover:bg-green-200 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  ✅ Verify
+                </button>
+                <button
+                  onClick={() => handleReject(household)}
+                  disabled={busyId === household.id}
+                  className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  ❌ Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdReviewQueue;
@@ -2,8 +2,8 @@ import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import AuthModal from '../common/AuthModal';
 
-const ProtectedRoute = ({ children, message }) => {
-  const { currentUser, isGuest } = useAuth();
+const ProtectedRoute = ({ children, message, requiredRole }) => {
+  const { currentUser, isGuest, hasRole, rolesLoading } = useAuth();
   const [showAuthModal, setShowAuthModal] = useState(false);
 
   // If user is not authenticated or is a guest, show auth requirement
@@ -97,6 +97,34 @@ const ProtectedRoute = ({ children, message }) => {
     );
   }
 
+  if (requiredRole && rolesLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-4 border-blue-200 border-t-blue-600"></div>
+      </div>
+    );
+  }
+
+  // User is authenticated but lacks the role this route needs
+  if (requiredRole && !hasRole(requiredRole)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-red-50 via-white to-orange-50">
+        <div className="text-center p-8 bg-white rounded-2xl shadow-xl border border-red-200">
+          <div className="text-6xl mb-4">🚫</div>
+          <h2 className="text-3xl font-bold text-gray-800 mb-4">
+            Access Denied
+          </h2>
+          <p className="text-gray-600 mb-6">
+            You don't have permission to access this page.
+          </p>
+          <p className="text-sm text-gray-500">
+            Contact the system administrator if you believe this is an error.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   // User is authenticated, render the protected content
   return children;
 };
@@ -0,0 +1,160 @@
+import React from "react";
+import { useState, useEffect } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { useAllowanceLedger } from "../../hooks/useAllowanceLedger";
+import { useAllowancePolicy } from "../../hooks/useAllowancePolicy";
+import { useDonations } from "../../hooks/useDonations";
+import { adjustAllowance, subscribeToLedgerEntries } from "../../services/ledger";
+import { LEDGER_ENTRY_TYPES, LEDGER_LABELS, toDateKey } from "../../services/ledgerModel";
+import { getTotalListed } from "../../services/applications";
+import { getDailyLimit, resolveRules } from "../../services/allowanceModel";
+
+const ENTRY_STYLES = {
+  allocation: "bg-blue-100 text-blue-800",
+  pickup: "bg-green-100 text-green-800",
+  cancellation: "bg-gray-100 text-gray-700",
+  adjustment: "bg-purple-100 text-purple-800",
+};
+
+const PERIODS = [
+  ["day", "Today"],
+  ["week", "This week"],
+  ["month", "This month"],
+];
+
+const formatAmount = ({ type, servings }) => {
+  if (type === LEDGER_ENTRY_TYPES.CANCELLATION) return `−${servings}`;
+  if (type === LEDGER_ENTRY_TYPES.ADJUSTMENT && servings < 0) return `−${-servings}`;
+  return `+${servings}`;
+};
+
+// Today's limit follows everything listed, as on the donations page
+const DailyLimit = ({ used }) => {
+  const { donations } = useDonations();
+  const { policy } = useAllowancePolicy();
+  const limit = getDailyLimit(getTotalListed(donations), resolveRules(policy));
+
+  return (
+    <p className="text-sm text-emerald-700 mb-4">
+      <strong>{Math.max(0, limit - used)}</strong> of {limit} servings left today.
+    </p>
+  );
+};
+
+// A household's allowance ledger: period totals, recent entries and, for
+// staff, manual adjustments with a reason.
+const AllowanceLedger = ({ householdId, title = "📒 My Allowance", canAdjust = false, showLimit = false }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const { summary } = useAllowanceLedger(householdId);
+  const [entries, setEntries] = useState([]);
+  const [servings, setServings] = useState("");
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!householdId) return;
+    const unsubscribe = subscribeToLedgerEntries(householdId, setEntries, (error) =>
+      console.error("Error loading allowance history:", error)
+    );
+    return () => unsubscribe();
+  }, [householdId]);
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await adjustAllowance(householdId, Number(servings), reason, currentUser);
+      showSuccess("Allowance adjusted.");
+      setServings("");
+      setReason("");
+    } catch (error) {
+      console.error("Error adjusting allowance:", error);
+      showError(error.message || "Failed to adjust the allowance. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-emerald-50 to-teal-50 p-6 rounded-2xl border border-emerald-100">
+      <h4 className="font-bold text-emerald-800 mb-4 text-lg">{title}</h4>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        {PERIODS.map(([period, label]) => (
+          <div key={period} className="bg-white/70 rounded-xl p-3 border border-emerald-100 text-center">
+            <p className="text-xs font-medium text-emerald-700">{label}</p>
+            <p className="text-xl font-bold text-emerald-800">{summary[period].allocated}</p>
+            <p className="text-xs text-emerald-600">allocated • {summary[period].received} picked up</p>
+          </div>
+        ))}
+      </div>
+
+      {showLimit && <DailyLimit used={summary.day.allocated} />}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-emerald-700">No allowance activity yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-72 overflow-y-auto">
+          {entries.map((entry) => (
+            <li key={entry.id} className="flex items-start justify-between gap-3 bg-white/70 rounded-xl p-3 text-sm">
+              <div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ENTRY_STYLES[entry.type]}`}>
+                  {LEDGER_LABELS[entry.type] || entry.type}
+                </span>
+                <span className="ml-2 text-gray-700">
+                  {entry.donationTitle || entry.reason || "—"}
+                </span>
+                {entry.type === LEDGER_ENTRY_TYPES.ADJUSTMENT && entry.byName && (
+                  <p className="text-xs text-gray-500 mt-1">by {entry.byName}</p>
+                )}
+              </div>
+              <div className="text-right whitespace-nowrap">
+                <p className="font-bold text-gray-800">{formatAmount(entry)} servings</p>
+                <p className="text-xs text-gray-500">{entry.date}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canAdjust && (
+        <form onSubmit={handleAdjust} className="mt-4 pt-4 border-t border-emerald-100 space-y-2">
+          <p className="text-sm font-medium text-emerald-800">
+            Adjust today's allowance ({toDateKey()})
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="number"
+              step="1"
+              value={servings}
+              onChange={(e) => setServings(e.target.value)}
+              placeholder="± servings"
+              className="w-32 px-3 py-2 border border-emerald-200 rounded-lg text-sm"
+              required
+            />
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason, e.g. handed out at the counter"
+              className="flex-1 min-w-[12rem] px-3 py-2 border border-emerald-200 rounded-lg text-sm"
+              required
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 text-white rounded-lg text-sm font-semibold shadow hover:shadow-lg transition-all disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Record adjustment"}
+            </button>
+          </div>
+          <p className="text-xs text-emerald-600">Positive amounts use allowance; negative amounts give it back.</p>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AllowanceLedger;
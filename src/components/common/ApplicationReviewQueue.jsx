@@ -0,0 +1,192 @@
+import React from "react";
+import { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import {
+  APPLICATION_CONFLICT,
+  APPLICATION_STATUSES,
+  approveApplication,
+  waitlistApplication,
+  rejectApplication,
+} from "../../services/applications";
+import { DEFAULT_UNIT, QUANTITY_UNITS, formatQuantity } from "../../services/quantityModel";
+import { formatSlot } from "../../services/slotModel";
+
+// Donor-side queue for applications on manual-approval donations
+const ApplicationReviewQueue = ({ applications }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [busyId, setBusyId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState("");
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return "N/A";
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString();
+  };
+
+  const runReview = async (applicationId, action, successMessage) => {
+    try {
+      setBusyId(applicationId);
+      const result = await action();
+      showSuccess(successMessage(result));
+      return true;
+    } catch (error) {
+      console.error("Error reviewing application:", error);
+      showError(
+        error.code === APPLICATION_CONFLICT
+          ? error.message
+          : "Failed to update the application. Please try again."
+      );
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = (application) =>
+    runReview(
+      application.id,
+      () => approveApplication(application.id, currentUser.uid),
+      () => `Approved ${formatQuantity(application.quantity, application.unit)} for ${application.householdName || "the household"}.`
+    );
+
+  const handleWaitlist = (application) =>
+    runReview(
+      application.id,
+      () => waitlistApplication(application.id, currentUser.uid),
+      () => `${application.householdName || "The household"} is on the waitlist and will be approved when servings free up.`
+    );
+
+  const handleReject = async (application) => {
+    const done = await runReview(
+      application.id,
+      () => rejectApplication(application.id, currentUser.uid, reason),
+      ({ promoted }) =>
+        promoted.length > 0
+          ? `Application declined. ${promoted.length} waitlisted household(s) were approved.`
+          : "Application declined."
+    );
+    if (done) {
+      setRejecting(null);
+      setReason("");
+    }
+  };
+
+  if (applications.length === 0) {
+    return (
+      <div className="text-center py-12 bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20">
+        <div className="text-5xl mb-4">📭</div>
+        <h3 className="text-xl font-bold text-gray-800 mb-2">No applications to review</h3>
+        <p className="text-gray-600">
+          Applications to donations that need your approval will appear here.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {applications.map((application) => {
+        const isBusy = busyId === application.id;
+        const isWaitlisted = application.status === APPLICATION_STATUSES.WAITLISTED;
+
+        return (
+          <div
+            key={application.id}
+            className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6"
+          >
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-bold text-gray-800">
+                  {application.donationTitle || "Donation"}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  🏠 {application.householdName || "Household"} • 👥 {application.householdSize || "?"} people
+                </p>
+                <p className="text-sm text-gray-600">
+                  👤 {application.applicantName} • Applied {formatDate(application.createdAt)}
+                </p>
+                {application.pickupSlot && (
+                  <p className="text-sm text-gray-600">🕒 Pickup {formatSlot(application.pickupSlot)}</p>
+                )}
+              </div>
+              <div className="text-right">
+                <div className="text-2xl font-bold text-gray-800">{application.quantity}</div>
+                <div className="text-xs text-gray-600">
+                  {(QUANTITY_UNITS[application.unit] || QUANTITY_UNITS[DEFAULT_UNIT]).many}
+                </div>
+                <span
+                  className={`inline-block mt-2 px-3 py-1 rounded-full text-xs font-medium ${
+                    isWaitlisted ? "bg-purple-100 text-purple-800" : "bg-yellow-100 text-yellow-800"
+                  }`}
+                >
+                  {isWaitlisted ? "⏳ Waitlisted" : "🕐 Pending"}
+                </span>
+              </div>
+            </div>
+
+            {rejecting === application.id ? (
+              <div className="space-y-3">
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                  placeholder="Reason shared with the household (e.g. already collected, outside pickup area)"
+                  className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-red-400 focus:ring-2 focus:ring-red-100 transition-all resize-none text-sm"
+                />
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => handleReject(application)}
+                    disabled={isBusy || !reason.trim()}
+                    className="px-4 py-2 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors text-sm font-medium disabled:opacity-50"
+                  >
+                    Decline application
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRejecting(null);
+                      setReason("");
+                    }}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors text-sm font-medium"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={() => handleApprove(application)}
+                  disabled={isBusy}
+                  className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  ✅ Approve
+                </button>
+                {!isWaitlisted && (
+                  <button
+                    onClick={() => handleWaitlist(application)}
+                    disabled={isBusy}
+                    className="px-4 py-2 bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 transition-colors text-sm font-medium disabled:opacity-50"
+                  >
+                    ⏳ Waitlist
+                  </button>
+                )}
+                <button
+                  onClick={() => setRejecting(application.id)}
+                  disabled={isBusy}
+                  className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium disabled:opacity-50"
+                >
+                  ✖ Decline
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ApplicationReviewQueue;
@@ -0,0 +1,62 @@
+import React from "react";
+import {
+  ALLERGENS,
+  DIET_LABELS,
+  describeConflict,
+  findDietaryConflicts,
+  getAllergens,
+  getDietLabels,
+  isAllergenDeclared,
+} from "../../services/dietaryModel";
+
+// Diet labels and allergens of a donation. With `restrictions` (from
+// getHouseholdRestrictions) it also warns about conflicts with the household.
+const DietaryInfo = ({ donation, restrictions = null, className = "" }) => {
+  const dietLabels = getDietLabels(donation);
+  const allergens = getAllergens(donation);
+  const declared = isAllergenDeclared(donation);
+  const { conflicts, undeclared } = restrictions
+    ? findDietaryConflicts(donation, restrictions)
+    : { conflicts: [], undeclared: false };
+
+  if (!dietLabels.length && !declared && !undeclared) return null;
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <div className="flex flex-wrap gap-1">
+        {dietLabels.map((key) => (
+          <span key={key} className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 border border-green-200">
+            {DIET_LABELS[key]}
+          </span>
+        ))}
+        {declared && (
+          <span
+            className={`px-2 py-0.5 rounded-full text-xs font-medium border ${
+              allergens.length
+                ? "bg-amber-100 text-amber-800 border-amber-200"
+                : "bg-gray-100 text-gray-700 border-gray-200"
+            }`}
+          >
+            {allergens.length
+              ? `Contains: ${allergens.map((key) => ALLERGENS[key]).join(", ")}`
+              : "No common allergens"}
+          </span>
+        )}
+      </div>
+
+      {(conflicts.length > 0 || undeclared) && (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-xs text-red-800">
+          <p className="font-semibold mb-1">⚠️ Check before applying</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {conflicts.map((conflict) => (
+              <li key={`${conflict.type}:${conflict.key}`}>{describeConflict(conflict)}</li>
+            ))}
+            {undeclared && <li>The donor hasn't listed allergens; ask them before collecting</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DietaryInfo;
@@ -1,14 +1,20 @@
 import React from "react";
 import { useState } from "react";
-import { doc, updateDoc, serverTimestamp } from "firebase/firestore";
-import { db } from "../../config/firebase";
 import { useAuth } from "../../contexts/AuthContext";
-import { useNotification } from "../../contexts/NotificationContext";
+import DonationPhotos from "./DonationPhotos";
+import DietaryInfo from "./DietaryInfo";
+import { formatOccurrence } from "../../services/scheduleModel";
+import {
+  QUANTITY_UNITS,
+  getOriginalAmount,
+  getQuantity,
+  getRemainingAmount,
+  hasServingsConversion,
+  toServings,
+} from "../../services/quantityModel";
 
-const DonationCard = ({ donation, onApply }) => {
-  const { currentUser, isGuest } = useAuth();
-  const { showSuccess, showError } = useNotification();
-  const [isRequesting, setIsRequesting] = useState(false);
+const DonationCard = ({ donation, onApply, restrictions = null }) => {
+  const { currentUser } = useAuth();
   const [showDetails, setShowDetails] = useState(false);
 
   const formatDate = (timestamp) => {
@@ -37,30 +43,6 @@ const DonationCard = ({ donation, onApply }) => {
     return `${diffDays}d ago`;
   };
 
-  const handleRequest = async () => {
-    if (!currentUser && !isGuest) {
-      showError("Please sign in or continue as guest to request donations");
-      return;
-    }
-
-    setIsRequesting(true);
-    try {
-      await updateDoc(doc(db, "donations", donation.id), {
-        status: "claimed",
-        claimedBy: currentUser?.uid || "guest",
-        claimedAt: serverTimestamp(),
-        claimerName: currentUser?.email || "Anonymous",
-      });
-
-      showSuccess("Donation requested! Contact the donor to arrange pickup.");
-    } catch (error) {
-      console.error("Error requesting donation:", error);
-      showError("Failed to request donation. Please try again.");
-    } finally {
-      setIsRequesting(false);
-    }
-  };
-
   const getStatusColor = (status) => {
     switch (status) {
       case "available":
@@ -73,6 +55,10 @@ const DonationCard = ({ donation, onApply }) => {
         return "bg-gradient-to-r from-orange-100 to-yellow-100 text-orange-800 border border-orange-200";
       case "completed":
         return "bg-gradient-to-r from-gray-100 to-slate-100 text-gray-800 border border-gray-200";
+      case "expired":
+        return "bg-gradient-to-r from-gray-200 to-slate-200 text-gray-600 border border-gray-300";
+      case "cancelled":
+        return "bg-gradient-to-r from-red-100 to-pink-100 text-red-700 border border-red-200";
       default:
         return "bg-gradient-to-r from-gray-100 to-slate-100 text-gray-800 border border-gray-200";
     }
@@ -90,6 +76,10 @@ const DonationCard = ({ donation, onApply }) => {
         return "🔄 Claimed";
       case "completed":
         return "✅ Completed";
+      case "expired":
+        return "⌛ Expired";
+      case "cancelled":
+        return "🚫 Cancelled";
       default:
         return status;
     }
@@ -103,13 +93,11 @@ const DonationCard = ({ donation, onApply }) => {
     return expDate <= fiveDaysFromNow;
   };
 
-  const getRemainingQuantity = () => {
-    return donation.remainingQuantity || donation.quantity || 0;
-  };
+  const getRemainingQuantity = () => getRemainingAmount(donation);
 
-  const getOriginalQuantity = () => {
-    return donation.originalQuantity || donation.quantity || 0;
-  };
+  const getOriginalQuantity = () => getOriginalAmount(donation) || 1;
+
+  const { unit } = getQuantity(donation);
 
   const canApply = (donation.status === "available" || donation.status === "partially_claimed") &&
                    currentUser &&
@@ -129,6 +117,8 @@ const DonationCard = ({ donation, onApply }) => {
       )}
 
       <div className={`p-6 ${isUrgent() ? 'pt-16' : ''}`}>
+        <DonationPhotos photos={donation.photos} className="mb-4" />
+
         {/* Header */}
         <div className="flex justify-between items-start mb-6">
           <div className="flex-1">
@@ -143,7 +133,14 @@ const DonationCard = ({ donation, onApply }) => {
                 <p className="text-sm text-gray-500 flex items-center">
                   <span className="mr-1">📍</span>
                   {donation.location}
+                  {typeof donation.distanceKm === "number" && ` · ${donation.distanceKm.toFixed(1)} km away`}
                 </p>
+                {donation.occurrenceDate && donation.pickupWindow && (
+                  <p className="text-sm text-gray-500 flex items-center">
+                    <span className="mr-1">🔁</span>
+                    Pickup {formatOccurrence(donation.occurrenceDate)}, {donation.pickupWindow.start}–{donation.pickupWindow.end}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -162,11 +159,18 @@ const DonationCard = ({ donation, onApply }) => {
         {/* Quantity Progress Bar */}
         <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-4 mb-6 border border-white/40">
           <div className="flex justify-between items-center mb-2">
-            <span className="text-sm font-semibold text-gray-700">Available Servings</span>
+            <span className="text-sm font-semibold text-gray-700">
+              Available {QUANTITY_UNITS[unit].label}
+            </span>
             <span className="text-lg font-bold text-blue-600">
-              {getRemainingQuantity()}/{getOriginalQuantity()}
+              {getRemainingQuantity()}/{getOriginalAmount(donation)}
             </span>
           </div>
+          {unit !== "servings" && hasServingsConversion(donation) && (
+            <p className="text-xs text-gray-500 mb-2">
+              About {toServings(getRemainingQuantity(), donation)} servings left
+            </p>
+          )}
           <div className="w-full bg-gray-200 rounded-full h-3 shadow-inner">
             <div
               className={`h-3 rounded-full transition-all duration-300 ${
@@ -183,6 +187,8 @@ const DonationCard = ({ donation, onApply }) => {
           </div>
         </div>
 
+        <DietaryInfo donation={donation} restrictions={restrictions} className="mb-6" />
+
         {/* Details Grid */}
         <div className="grid grid-cols-2 gap-3 mb-6">
           <div className="bg-white/50 backdrop-blur-sm rounded-xl p-3 border border-white/30">
@@ -287,7 +293,13 @@ const DonationCard = ({ donation, onApply }) => {
               </div>
               <p className="text-lg font-bold text-gray-700 mb-1">Not Available</p>
               <p className="text-sm text-gray-600">
-                {donation.status === "claimed" ? "This donation has been claimed" : "This donation is completed"}
+                {donation.status === "claimed"
+                  ? "This donation has been claimed"
+                  : donation.status === "expired"
+                    ? "This donation has expired"
+                    : donation.status === "cancelled"
+                      ? "The donor cancelled this donation"
+                      : "This donation is completed"}
               </p>
             </div>
           )}
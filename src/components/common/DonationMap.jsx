@@ -1,14 +1,98 @@
 import React from "react";
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
+import DonationPhotos from "./DonationPhotos";
+import DietaryInfo from "./DietaryInfo";
+import { describeQuantity, getRemainingAmount } from "../../services/quantityModel";
+import { loadMapProvider } from "../../services/mapProvider";
+import { filterListings, toLatLng } from "../../services/listingFilters";
+import { clusterByGrid, getGeohashCover, isInBounds } from "../../services/geoModel";
+import { useDonationsInArea } from "../../hooks/useDonationsInArea";
+import { mapConfig } from "../../config/maps";
 
-const DonationMap = ({ donations }) => {
+const LEGEND = [
+  { status: "available", label: "Available", color: "#22c55e", className: "bg-green-500" },
+  { status: "partially_claimed", label: "Partial", color: "#f97316", className: "bg-orange-500" },
+  { status: "fully_booked", label: "Fully Booked", color: "#ef4444", className: "bg-red-500" },
+  { status: "expired", label: "Expired", color: "#6b7280", className: "bg-gray-500" },
+];
+
+// Legacy single-claim donations show as fully booked
+const getLegendStatus = (status) => (status === "claimed" ? "fully_booked" : status);
+
+// The legend starts from the page's status filter; expired listings stay hidden unless asked for
+const getInitialStatuses = (status) => {
+  if (status === "all") return LEGEND.map((entry) => entry.status);
+  if (status === "available") return ["available", "partially_claimed"];
+  return [getLegendStatus(status)];
+};
+
+const getColor = (status) =>
+  (LEGEND.find((entry) => entry.status === getLegendStatus(status)) || LEGEND[LEGEND.length - 1]).color;
+
+const toSvgUrl = (svg) => `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+
+const getMarkerIcon = (status) =>
+  toSvgUrl(
+    `<svg width='40' height='40' xmlns='http://www.w3.org/2000/svg'><circle cx='20' cy='20' r='15' fill='${getColor(status)}' stroke='white' stroke-width='3'/><text x='20' y='25' text-anchor='middle' fill='white' font-size='16' font-weight='bold'>🍽️</text></svg>`
+  );
+
+// Bigger clusters draw bigger, in the colour most of their donations share
+const getClusterIcon = (donations) => {
+  const counts = donations.reduce((total, donation) => {
+    const status = getLegendStatus(donation.status);
+    return { ...total, [status]: (total[status] || 0) + 1 };
+  }, {});
+  const [status] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const size = Math.min(64, 36 + Math.round(Math.log10(donations.length) * 16));
+  const half = size / 2;
+  return {
+    size,
+    url: toSvgUrl(
+      `<svg width='${size}' height='${size}' xmlns='http://www.w3.org/2000/svg'><circle cx='${half}' cy='${half}' r='${half - 4}' fill='${getColor(status)}' fill-opacity='0.85' stroke='white' stroke-width='4'/><text x='${half}' y='${half + 5}' text-anchor='middle' fill='white' font-family='sans-serif' font-size='15' font-weight='bold'>${donations.length}</text></svg>`
+    ),
+  };
+};
+
+/**
+ * Map of the donations in view, clustered and coloured by status. Only the
+ * geohash cells covering the viewport are loaded, so it scales with the area
+ * shown rather than with every listing.
+ * @param {{filters: object, restrictions?: object[]|null}} props the page's listing filters;
+ *   the status filter becomes the legend's starting selection
+ */
+const DonationMap = ({ filters, restrictions = null }) => {
   const [selectedDonation, setSelectedDonation] = useState(null);
   const [mapLoaded, setMapLoaded] = useState(false);
   const [mapError, setMapError] = useState(null);
+  const [viewport, setViewport] = useState(null);
+  const [visibleStatuses, setVisibleStatuses] = useState(() => getInitialStatuses(filters.status));
   const mapRef = useRef(null);
+  const providerRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markersRef = useRef([]);
 
+  const prefixes = useMemo(() => (viewport ? getGeohashCover(viewport.bounds) : null), [viewport]);
+  const { donations, loading, error: loadError } = useDonationsInArea(prefixes);
+
+  // Everything but status follows the page filters; the legend picks statuses
+  const matchingDonations = useMemo(
+    () =>
+      filterListings(donations, { ...filters, status: "all" }, { restrictions })
+        .map((donation) => ({ ...donation, position: toLatLng(donation.coordinates) }))
+        .filter((donation) => donation.position && viewport && isInBounds(viewport.bounds, donation.position)),
+    [donations, filters, restrictions, viewport]
+  );
+
+  const shownDonations = useMemo(
+    () => matchingDonations.filter((donation) => visibleStatuses.includes(getLegendStatus(donation.status))),
+    [matchingDonations, visibleStatuses]
+  );
+
+  const toggleStatus = (status) =>
+    setVisibleStatuses((current) =>
+      current.includes(status) ? current.filter((entry) => entry !== status) : [...current, status]
+    );
+
   const formatDate = (timestamp) => {
     if (!timestamp) return "N/A";
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -29,190 +113,135 @@ const DonationMap = ({ donations }) => {
     return `${diffDays}d ago`;
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "available":
-        return "bg-success-500";
-      case "claimed":
-        return "bg-orange-500";
-      case "completed":
-        return "bg-gray-500";
-      default:
-        return "bg-gray-500";
-    }
-  };
-
-  const donationsWithCoordinates = donations.filter((d) => d.coordinates && d.coordinates.lat && d.coordinates.lng);
-
-  // Load Google Maps script
+  // Load the configured map library (see services/mapProvider.js)
   useEffect(() => {
-    const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
-    if (!apiKey || apiKey === "your-google-maps-api-key") {
-      setMapError("Google Maps API key not configured");
-      return;
-    }
-
-    if (!window.google && !document.getElementById("google-maps-script")) {
-      const script = document.createElement("script");
-      script.id = "google-maps-script";
-      script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places,geometry`;
-      script.async = true;
-      script.defer = true;
-      script.onload = () => {
+    let cancelled = false;
+    loadMapProvider()
+      .then((provider) => {
+        if (cancelled) return;
+        providerRef.current = provider;
         setMapLoaded(true);
         setMapError(null);
-      };
-      script.onerror = () => {
-        setMapError("Failed to load Google Maps");
-      };
-      document.head.appendChild(script);
-    } else if (window.google) {
-      setMapLoaded(true);
-      setMapError(null);
-    }
+      })
+      .catch((error) => {
+        console.error("Error loading map:", error);
+        if (!cancelled) setMapError(error.message || "Failed to load the map");
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
-  // Initialize map and markers
+  // Initialize map; every pan or zoom reloads the donations for the new view
   useEffect(() => {
-    if (mapLoaded && mapRef.current && !mapInstanceRef.current) {
-      try {
-        // Create map
-        const map = new window.google.maps.Map(mapRef.current, {
-          center: { lat: 37.7749, lng: -122.4194 }, // San Francisco default
-          zoom: 12,
-          mapTypeControl: true,
-          streetViewControl: true,
-          fullscreenControl: true,
-        });
-        
-        mapInstanceRef.current = map;
-        
-        // Try to get user's location to center map
-        if (navigator.geolocation) {
-          navigator.geolocation.getCurrentPosition(
-            (position) => {
-              const userLocation = {
-                lat: position.coords.latitude,
-                lng: position.coords.longitude,
-              };
-              map.setCenter(userLocation);
-            },
-            (error) => {
-              console.log('Geolocation error:', error);
-            }
-          );
-        }
-      } catch (error) {
-        console.error('Error initializing map:', error);
-        setMapError('Error initializing map');
+    if (!mapLoaded || !mapRef.current || mapInstanceRef.current) return;
+
+    let unsubscribeView = null;
+    try {
+      const map = providerRef.current.createMap(mapRef.current, { center: mapConfig.defaultCenter, zoom: 12 });
+      mapInstanceRef.current = map;
+
+      unsubscribeView = map.onViewChange(() => {
+        const bounds = map.getBounds();
+        if (bounds) setViewport({ bounds, zoom: map.getZoom() });
+      });
+
+      // Try to get user's location to center map
+      if (navigator.geolocation) {
+        navigator.geolocation.getCurrentPosition(
+          (position) => {
+            map.setView({ lat: position.coords.latitude, lng: position.coords.longitude });
+          },
+          (error) => {
+            console.log('Geolocation error:', error);
+          }
+        );
       }
+    } catch (error) {
+      console.error('Error initializing map:', error);
+      setMapError('Error initializing map');
     }
+
+    return () => {
+      unsubscribeView?.();
+      mapInstanceRef.current?.destroy();
+      mapInstanceRef.current = null;
+      markersRef.current = [];
+    };
   }, [mapLoaded]);
 
-  // Update markers when donations change
+  // Redraw markers and clusters when the donations or the zoom change
+  const zoom = viewport?.zoom;
   useEffect(() => {
-    if (mapInstanceRef.current && mapLoaded) {
-      // Clear existing markers
-      markersRef.current.forEach(marker => marker.setMap(null));
-      markersRef.current = [];
+    const map = mapInstanceRef.current;
+    if (!map || !mapLoaded || zoom === undefined) return;
+
+    markersRef.current.forEach((marker) => marker.remove());
 
-      // Create markers for donations with coordinates
-      const bounds = new window.google.maps.LatLngBounds();
-      
-      donationsWithCoordinates.forEach((donation) => {
-        const position = {
-          lat: parseFloat(donation.coordinates.lat),
-          lng: parseFloat(donation.coordinates.lng),
-        };
-        
-        // Create marker
-        const marker = new window.google.maps.Marker({
-          position,
-          map: mapInstanceRef.current,
+    markersRef.current = clusterByGrid(shownDonations, zoom).map((cluster) => {
+      if (cluster.items.length === 1) {
+        const [donation] = cluster.items;
+        return map.addMarker({
+          position: donation.position,
           title: donation.foodItem,
-          icon: {
-            url: getMarkerIcon(donation.status),
-            scaledSize: new window.google.maps.Size(40, 40),
-          },
+          iconUrl: getMarkerIcon(donation.status),
+          onClick: () => setSelectedDonation(donation),
         });
-        
-        // Add click listener to marker
-        marker.addListener('click', () => {
-          setSelectedDonation(donation);
-        });
-        
-        markersRef.current.push(marker);
-        bounds.extend(position);
-      });
-      
-      // Fit map to show all markers
-      if (donationsWithCoordinates.length > 0) {
-        if (donationsWithCoordinates.length === 1) {
-          mapInstanceRef.current.setCenter({
-            lat: parseFloat(donationsWithCoordinates[0].coordinates.lat),
-            lng: parseFloat(donationsWithCoordinates[0].coordinates.lng),
-          });
-          mapInstanceRef.current.setZoom(15);
-        } else {
-          mapInstanceRef.current.fitBounds(bounds);
-        }
       }
-    }
-  }, [donationsWithCoordinates, mapLoaded]);
-
-  const getMarkerIcon = (status) => {
-    const color = status === 'available' ? 'green' : 
-                  status === 'partially_claimed' ? 'orange' :
-                  status === 'fully_booked' ? 'red' : 'gray';
-    
-    return `data:image/svg+xml;charset=UTF-8,%3csvg width='40' height='40' xmlns='http://www.w3.org/2000/svg'%3e%3ccircle cx='20' cy='20' r='15' fill='${color}' stroke='white' stroke-width='3'/%3e%3ctext x='20' y='25' text-anchor='middle' fill='white' font-size='16' font-weight='bold'%3e🍽️%3c/text%3e%3c/svg%3e`;
-  };
+
+      const icon = getClusterIcon(cluster.items);
+      const positions = cluster.items.map((donation) => donation.position);
+      const samePlace = positions.every(
+        (position) => position.lat === positions[0].lat && position.lng === positions[0].lng
+      );
+      return map.addMarker({
+        position: cluster.position,
+        title: `${cluster.items.length} donations`,
+        iconUrl: icon.url,
+        iconSize: icon.size,
+        // Donations at one address never separate, so zoom in on them instead
+        onClick: () => (samePlace ? map.setView(cluster.position, zoom + 2) : map.fitBounds(positions)),
+      });
+    });
+  }, [shownDonations, zoom, mapLoaded]);
 
   return (
     <div className="relative">
-      {/* Map Legend */}
+      {/* Map Legend: click a status to show or hide it */}
       <div className="absolute top-4 left-4 bg-white p-3 rounded-lg shadow-lg z-10">
         <h4 className="font-medium text-gray-800 mb-2">Legend</h4>
         <div className="space-y-1 text-sm">
-          <div className="flex items-center">
-            <div className="w-4 h-4 bg-green-500 rounded-full mr-2"></div>
-            <span>
-              Available (
-              {donations.filter((d) => d.status === "available").length})
-            </span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-4 h-4 bg-orange-500 rounded-full mr-2"></div>
-            <span>
-              Partial ({donations.filter((d) => d.status === "partially_claimed").length})
-            </span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-4 h-4 bg-red-500 rounded-full mr-2"></div>
-            <span>
-              Fully Booked (
-              {donations.filter((d) => d.status === "fully_booked").length})
-            </span>
-          </div>
-          <div className="flex items-center">
-            <div className="w-4 h-4 bg-gray-500 rounded-full mr-2"></div>
-            <span>
-              Completed (
-              {donations.filter((d) => d.status === "completed").length})
-            </span>
-          </div>
+          {LEGEND.map((entry) => (
+            <button
+              key={entry.status}
+              type="button"
+              onClick={() => toggleStatus(entry.status)}
+              aria-pressed={visibleStatuses.includes(entry.status)}
+              className={`flex items-center w-full text-left ${
+                visibleStatuses.includes(entry.status) ? "" : "opacity-40 line-through"
+              }`}
+            >
+              <span className={`w-4 h-4 ${entry.className} rounded-full mr-2`}></span>
+              <span>
+                {entry.label} (
+                {matchingDonations.filter((donation) => getLegendStatus(donation.status) === entry.status).length})
+              </span>
+            </button>
+          ))}
         </div>
+        {viewport && loading && <p className="text-xs text-gray-500 mt-2">Loading this area…</p>}
+        {loadError && <p className="text-xs text-red-600 mt-2">Couldn't load donations here</p>}
       </div>
 
-      {/* Map Container */}
-      <div className="w-full h-96 bg-gray-100 rounded-lg overflow-hidden relative">
+      {/* Map Container; z-0 keeps Leaflet's panes under the legend and navbar */}
+      <div className="w-full h-96 bg-gray-100 rounded-lg overflow-hidden relative z-0">
         {mapError ? (
           <div className="flex items-center justify-center h-full">
             <div className="text-center text-gray-500">
               <div className="text-6xl mb-4">⚠️</div>
               <p className="text-lg font-medium">{mapError}</p>
               <p className="text-sm mt-2">
-                Add VITE_GOOGLE_MAPS_API_KEY to your .env file
+                Check the map settings (VITE_MAP_PROVIDER) in your .env file
               </p>
             </div>
           </div>
@@ -245,11 +274,13 @@ const DonationMap = ({ donations }) => {
               </button>
             </div>
 
+            <DonationPhotos photos={selectedDonation.photos} size="sm" className="mb-4" />
+            <DietaryInfo donation={selectedDonation} className="mb-4" />
+
             <div className="space-y-2 text-sm text-gray-600 mb-4">
               <p>
-                <strong>Quantity:</strong> {selectedDonation.remainingQuantity || selectedDonation.quantity} 
-                {selectedDonation.remainingQuantity && selectedDonation.originalQuantity && 
-                  ` of ${selectedDonation.originalQuantity}`} servings
+                <strong>Quantity:</strong> {getRemainingAmount(selectedDonation)} of{" "}
+                {describeQuantity(selectedDonation)} left
               </p>
               <p>
                 <strong>Location:</strong> {selectedDonation.location}
@@ -287,6 +318,8 @@ const DonationMap = ({ donations }) => {
                     ? "⚡ Limited Stock"
                     : selectedDonation.status === "fully_booked"
                     ? "🔴 Fully Booked"
+                    : selectedDonation.status === "expired"
+                    ? "⌛ Expired"
                     : "✅ Completed"}
                 </span>
               </div>
@@ -304,9 +337,9 @@ const DonationMap = ({ donations }) => {
             <div className="flex gap-2">
               <button
                 onClick={() => {
-                  const query = encodeURIComponent(selectedDonation.location);
+                  const directions = providerRef.current?.getDirectionsUrl(selectedDonation.location);
                   window.open(
-                    `https://www.google.com/maps/search/?api=1&query=${query}`,
+                    directions || `https://www.openstreetmap.org/search?query=${encodeURIComponent(selectedDonation.location)}`,
                     "_blank"
                   );
                 }}
@@ -324,28 +357,6 @@ const DonationMap = ({ donations }) => {
           </div>
         </div>
       )}
-
-      {/* No Coordinates Warning */}
-      {donations.length > donationsWithCoordinates.length && (
-        <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
-          <p className="text-sm text-yellow-800">
-            ⚠️ {donations.length - donationsWithCoordinates.length} donation(s)
-            don't have location coordinates and aren't shown above.
-          </p>
-        </div>
-      )}
-
-      {/* Instructions */}
-      <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-3">
-        <p className="text-sm text-blue-800">
-          💡 To enable full interactive map functionality:
-        </p>
-        <ol className="text-sm text-blue-700 mt-2 space-y-1">
-          <li>1. Get a Google Maps API key from Google Cloud Console</li>
-          <li>2. Add it to your .env file as VITE_GOOGLE_MAPS_API_KEY</li>
-          <li>3. Enable Maps JavaScript API and Places API</li>
-        </ol>
-      </div>
     </div>
   );
 };
@@ -0,0 +1,43 @@
+import React from "react";
+
+const SIZES = {
+  sm: "w-16 h-16",
+  md: "w-24 h-24",
+  lg: "w-32 h-32",
+};
+
+// Thumbnail strip for a donation's photos; each opens full size in a new tab.
+// Pass `onRemove` to show a remove button (used for moderation).
+const DonationPhotos = ({ photos, size = "md", onRemove, className = "" }) => {
+  if (!photos?.length) return null;
+
+  return (
+    <div className={`flex gap-2 overflow-x-auto ${className}`}>
+      {photos.map((photo, index) => (
+        <div key={photo.id || photo.path} className={`relative flex-shrink-0 ${SIZES[size]}`}>
+          <a href={photo.url} target="_blank" rel="noreferrer">
+            <img
+              src={photo.url}
+              alt={`Donation photo ${index + 1}`}
+              loading="lazy"
+              className="w-full h-full object-cover rounded-lg border border-gray-200"
+            />
+          </a>
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(photo)}
+              className="absolute top-1 right-1 w-6 h-6 rounded-full bg-red-600 text-white text-sm hover:bg-red-700"
+              aria-label="Remove photo"
+              title="Remove photo"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DonationPhotos;
@@ -0,0 +1,80 @@
+import React from "react";
+import { useState, useEffect } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { subscribeToMyInvites, acceptInvite, declineInvite } from "../../services/households";
+
+// Pending invitations to join someone else's household, sent to the user's email
+const HouseholdInvites = ({ hasHousehold }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [invites, setInvites] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!currentUser?.email) return undefined;
+    return subscribeToMyInvites(currentUser.email, setInvites, (error) =>
+      console.error("Error loading household invitations:", error)
+    );
+  }, [currentUser]);
+
+  const respond = async (invite, accept) => {
+    try {
+      setBusyId(invite.id);
+      if (accept) {
+        await acceptInvite(invite, currentUser);
+        showSuccess(`You joined ${invite.householdName}.`);
+      } else {
+        await declineInvite(invite.id);
+        showSuccess("Invitation declined.");
+      }
+    } catch (error) {
+      console.error("Error answering household invitation:", error);
+      showError(error.message || "Failed to answer the invitation. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (invites.length === 0) return null;
+
+  return (
+    <div className="mt-6 space-y-3">
+      {invites.map((invite) => (
+        <div
+          key={invite.id}
+          className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-blue-50 border-2 border-blue-200 rounded-2xl"
+        >
+          <div className="text-sm text-blue-800">
+            <p className="font-semibold">✉️ {invite.invitedByEmail || "A registrant"} invited you to join {invite.householdName}</p>
+            <p>
+              You are listed as {invite.memberName || "a member"}
+              {invite.canApply ? " and may apply for donations for the household." : "."}
+            </p>
+            {hasHousehold && (
+              <p className="text-blue-600">You already belong to a household, so you can't join another one.</p>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => respond(invite, true)}
+              disabled={hasHousehold || busyId === invite.id}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-xl font-medium shadow hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Accept
+            </button>
+            <button
+              onClick={() => respond(invite, false)}
+              disabled={busyId === invite.id}
+              className="px-4 py-2 bg-white border-2 border-gray-300 text-gray-700 rounded-xl font-medium hover:border-gray-400 transition-all disabled:opacity-50"
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default HouseholdInvites;
@@ -1,21 +1,17 @@
 import React, { useState, useEffect } from "react";
-import { 
-  collection, 
-  addDoc, 
-  query, 
-  where, 
-  getDocs, 
-  serverTimestamp,
-  updateDoc,
-  doc 
-} from "firebase/firestore";
-import { db } from "../../config/firebase";
 import { useAuth } from "../../contexts/AuthContext";
 import { useNotification } from "../../contexts/NotificationContext";
+import { OFFLINE_ACTIONS, runOrQueue, toQueuedUser } from "../../services/offlineQueue";
+import { useAllowancePolicy } from "../../hooks/useAllowancePolicy";
+import { resolveRules } from "../../services/allowanceModel";
+import { ALLERGENS, DIET_LABELS } from "../../services/dietaryModel";
+import { canMemberApply } from "../../services/householdModel";
 
 const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }) => {
   const { currentUser } = useAuth();
-  const { showSuccess, showError } = useNotification();
+  const { showSuccess, showError, showInfo } = useNotification();
+  const { policy } = useAllowancePolicy();
+  const rules = resolveRules(policy);
   const [loading, setLoading] = useState(false);
   const [householdData, setHouseholdData] = useState({
     householdName: "",
@@ -30,14 +26,26 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
         age: "",
         relationship: "head", // head, spouse, child, other
         dietaryRestrictions: "",
-        isRegistrant: true
+        allergies: [],
+        diets: [],
+        isRegistrant: true,
+        canApply: true
       }
     ]
   });
 
   useEffect(() => {
     if (existingHousehold) {
-      setHouseholdData(existingHousehold);
+      // Earlier versions marked every member allowed to apply as a registrant
+      const registrantIndex = existingHousehold.members.findIndex(member => member.isRegistrant);
+      setHouseholdData({
+        ...existingHousehold,
+        members: existingHousehold.members.map((member, i) => ({
+          ...member,
+          isRegistrant: i === registrantIndex,
+          canApply: canMemberApply(member)
+        }))
+      });
     } else if (currentUser) {
       // Pre-populate with current user info
       setHouseholdData(prev => ({
@@ -69,6 +77,16 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
     }));
   };
 
+  // allergies and diets are lists of keys; households saved before they existed have neither
+  const toggleMemberTag = (index, field, key) => {
+    const current = householdData.members[index][field] || [];
+    handleMemberChange(
+      index,
+      field,
+      current.includes(key) ? current.filter((k) => k !== key) : [...current, key]
+    );
+  };
+
   const addMember = () => {
     setHouseholdData(prev => ({
       ...prev,
@@ -79,7 +97,10 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
         age: "",
         relationship: "other",
         dietaryRestrictions: "",
-        isRegistrant: false
+        allergies: [],
+        diets: [],
+        isRegistrant: false,
+        canApply: false
       }]
     }));
   };
@@ -143,32 +164,37 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
     setLoading(true);
     
     try {
-      const householdPayload = {
-        ...householdData,
-        registrantId: currentUser?.uid || `guest_${Date.now()}`,
-        registrantEmail: currentUser?.email || "",
-        memberCount: householdData.members.length,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        status: "active"
-      };
+      if (!currentUser) {
+        throw new Error("Sign in to register a household.");
+      }
 
-      let householdId;
-      
-      if (existingHousehold && existingHousehold.id) {
-        // Update existing household
-        await updateDoc(doc(db, "households", existingHousehold.id), {
-          ...householdPayload,
-          updatedAt: serverTimestamp()
-        });
-        householdId = existingHousehold.id;
-        showSuccess("Household updated successfully!");
-      } else {
-        // Create new household
-        const docRef = await addDoc(collection(db, "households"), householdPayload);
-        householdId = docRef.id;
-        showSuccess("Household registered successfully!");
+      // Timestamps don't survive the offline queue; the save sets its own
+      const fields = Object.fromEntries(
+        Object.entries(householdData).filter(([key]) => !["id", "createdAt", "updatedAt"].includes(key))
+      );
+      const { queued, result } = await runOrQueue(
+        OFFLINE_ACTIONS.SAVE_HOUSEHOLD,
+        {
+          householdData: fields,
+          user: toQueuedUser(currentUser),
+          householdId: existingHousehold?.id || null,
+          expectedUpdatedAt: existingHousehold?.updatedAt?.toMillis?.() || null,
+        },
+        existingHousehold?.id ? `Changes to "${householdData.householdName}"` : `Household "${householdData.householdName}"`
+      );
+
+      if (queued) {
+        showInfo("You're offline. Your household will be saved when you reconnect.");
+        if (onClose) onClose();
+        return;
       }
+
+      const { id: householdId, data: householdPayload } = result;
+      showSuccess(
+        existingHousehold?.id
+          ? "Household updated successfully!"
+          : "Household registered successfully!"
+      );
       
       // Call completion callback with household data
       if (onComplete) {
@@ -180,7 +206,7 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
       
     } catch (error) {
       console.error("Error saving household:", error);
-      showError("Failed to save household. Please try again.");
+      showError(error.message || "Failed to save household. Please try again.");
     } finally {
       setLoading(false);
     }
@@ -406,31 +432,66 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
                       
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-2">
-                          Dietary Restrictions
+                          Other Dietary Notes
                         </label>
                         <input
                           type="text"
                           value={member.dietaryRestrictions}
                           onChange={(e) => handleMemberChange(index, 'dietaryRestrictions', e.target.value)}
-                          placeholder="None, Vegetarian, etc."
+                          placeholder="e.g. low salt, no pork"
                           className="w-full p-3 border-2 border-gray-300 rounded-lg focus:border-green-500 focus:ring-2 focus:ring-green-200"
                         />
                       </div>
                     </div>
+
+                    <div className="mt-4 space-y-3">
+                      {[
+                        ["allergies", "Allergies", ALLERGENS, "bg-amber-100 text-amber-800 border-amber-300"],
+                        ["diets", "Diet", DIET_LABELS, "bg-green-100 text-green-800 border-green-300"],
+                      ].map(([field, title, options, activeClass]) => (
+                        <div key={field}>
+                          <p className="text-sm font-medium text-gray-700 mb-2">{title}</p>
+                          <div className="flex flex-wrap gap-2">
+                            {Object.entries(options).map(([key, label]) => (
+                              <button
+                                key={key}
+                                type="button"
+                                onClick={() => toggleMemberTag(index, field, key)}
+                                className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                                  (member[field] || []).includes(key)
+                                    ? activeClass
+                                    : "bg-white text-gray-600 border-gray-300 hover:border-gray-400"
+                                }`}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                      <p className="text-xs text-gray-500">
+                        Used to warn you about donations that may not suit this member.
+                      </p>
+                    </div>
                     
                     {!member.isRegistrant && (
                       <div className="mt-4">
                         <label className="flex items-center">
                           <input
                             type="checkbox"
-                            checked={member.isRegistrant}
-                            onChange={(e) => handleMemberChange(index, 'isRegistrant', e.target.checked)}
+                            checked={Boolean(member.canApply)}
+                            onChange={(e) => handleMemberChange(index, 'canApply', e.target.checked)}
                             className="mr-2"
                           />
                           <span className="text-sm text-gray-700">
                             This member can apply for donations on behalf of the household
                           </span>
                         </label>
+                        {member.email && (
+                          <p className="text-xs text-gray-500 mt-1 ml-6">
+                            Invite them from your Household tab so they can sign in with their own account.
+                          </p>
+                        )}
                       </div>
                     )}
                   </div>
@@ -445,7 +506,8 @@ const HouseholdRegistration = ({ onComplete, onClose, existingHousehold = null }
                 <li>• All household members must be registered to apply for donations</li>
                 <li>• Only one application per household per donation item</li>
                 <li>• Email addresses are optional but recommended for notifications</li>
-                <li>• Households with 7+ members can apply for up to 35% of donation quantities</li>
+                <li>• Members with an email address can be invited to link their own account</li>
+                <li>• Households with {rules.largeHouseholdSize}+ members can apply for up to {Math.round(rules.largeHouseholdShare * 100)}% of donation quantities</li>
                 <li>• Keep your information updated for the best experience</li>
               </ul>
             </div>
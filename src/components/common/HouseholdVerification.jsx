@@ -0,0 +1,122 @@
+import React from "react";
+import { useState } from "react";
+import { useNotification } from "../../contexts/NotificationContext";
+import { useAllowancePolicy } from "../../hooks/useAllowancePolicy";
+import {
+  MAX_VERIFICATION_DOCUMENTS,
+  validateVerificationDocument,
+  uploadVerificationDocument,
+  removeVerificationDocument,
+} from "../../services/householdVerification";
+import { VERIFICATION_LABELS, VERIFICATION_STATUSES, getVerificationStatus } from "../../services/householdModel";
+import VerificationDocumentLink from "./VerificationDocumentLink";
+
+const STATUS_STYLES = {
+  unverified: "bg-gray-100 text-gray-700",
+  pending: "bg-yellow-100 text-yellow-800",
+  verified: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-700",
+};
+
+// Household eligibility status, with document upload for the registrant
+const HouseholdVerification = ({ household, canManage }) => {
+  const { showSuccess, showError } = useNotification();
+  const { policy } = useAllowancePolicy();
+  const [progress, setProgress] = useState(null);
+
+  const status = getVerificationStatus(household);
+  const documents = household.verificationDocuments || [];
+  const canUpload =
+    canManage && status !== VERIFICATION_STATUSES.VERIFIED && documents.length < MAX_VERIFICATION_DOCUMENTS;
+
+  const handleUpload = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+
+    const problem = validateVerificationDocument(file);
+    if (problem) {
+      showError(problem);
+      return;
+    }
+
+    try {
+      setProgress(0);
+      await uploadVerificationDocument(household.id, file, setProgress);
+      showSuccess("Document uploaded. Staff will review your household.");
+    } catch (error) {
+      console.error("Error uploading verification document:", error);
+      showError(error.message || "Failed to upload the document. Please try again.");
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleRemove = async (document) => {
+    if (!confirm(`Remove ${document.name}?`)) return;
+    try {
+      await removeVerificationDocument(household.id, document);
+    } catch (error) {
+      console.error("Error removing verification document:", error);
+      showError(error.message || "Failed to remove the document. Please try again.");
+    }
+  };
+
+  return (
+    <div className="bg-gradient-to-r from-purple-50 to-pink-50 p-6 rounded-2xl border border-purple-100">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h4 className="font-bold text-purple-800 text-lg">🪪 Eligibility Verification</h4>
+        <span className={`px-3 py-1 rounded-full text-xs font-bold ${STATUS_STYLES[status]}`}>
+          {VERIFICATION_LABELS[status]}
+        </span>
+      </div>
+
+      <p className="text-sm text-purple-700 mb-3">
+        {status === VERIFICATION_STATUSES.VERIFIED && "Staff have confirmed your household's eligibility."}
+        {status === VERIFICATION_STATUSES.PENDING && "Staff will review the documents you uploaded."}
+        {status === VERIFICATION_STATUSES.UNVERIFIED &&
+          "Upload proof of address or eligibility (a photo or PDF) so staff can verify your household."}
+        {status === VERIFICATION_STATUSES.REJECTED && "Staff could not verify your household. You can upload new documents."}
+        {policy.requireVerification &&
+          status !== VERIFICATION_STATUSES.VERIFIED &&
+          " Households must be verified before they can apply for donations."}
+      </p>
+
+      {household.verificationNote && (
+        <p className="text-sm text-purple-800 bg-white/70 rounded-lg px-3 py-2 mb-3">
+          Note from staff: {household.verificationNote}
+        </p>
+      )}
+
+      {documents.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {documents.map((document) => (
+            <li key={document.id} className="flex items-center justify-between gap-2 text-sm">
+              <VerificationDocumentLink document={document} />
+              {canManage && status !== VERIFICATION_STATUSES.VERIFIED && (
+                <button onClick={() => handleRemove(document)} className="text-xs text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canUpload && (
+        <label className="inline-block px-4 py-2 bg-white border-2 border-purple-200 text-purple-700 rounded-xl text-sm font-medium cursor-pointer hover:border-purple-300 transition-all">
+          {progress === null ? "📎 Upload document" : `Uploading... ${progress}%`}
+          <input
+            type="file"
+            accept="image/*,application/pdf"
+            onChange={handleUpload}
+            disabled={progress !== null}
+            className="hidden"
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdVerification;
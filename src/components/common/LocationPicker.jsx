@@ -1,5 +1,8 @@
 import React from "react";
 import { useState, useEffect, useRef } from "react";
+import { loadMapProvider } from "../../services/mapProvider";
+import { getGeocoder } from "../../services/geocoder";
+import { mapConfig } from "../../config/maps";
 
 const LocationPicker = ({ onLocationSelect, initialLocation }) => {
   const [address, setAddress] = useState(initialLocation || "");
@@ -9,145 +12,116 @@ const LocationPicker = ({ onLocationSelect, initialLocation }) => {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markerRef = useRef(null);
-  const geocoderRef = useRef(null);
+  const providerRef = useRef(null);
+  const handlersRef = useRef(null);
 
+  // Load the configured map library (see services/mapProvider.js)
   useEffect(() => {
-    // Check if API key exists
-    const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
-    if (!apiKey || apiKey === "your-google-maps-api-key") {
-      setMapError("Google Maps API key not configured");
-      return;
-    }
-
-    // Load Google Maps script
-    if (!window.google && !document.getElementById("google-maps-script")) {
-      const script = document.createElement("script");
-      script.id = "google-maps-script";
-      script.src = `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places,geometry`;
-      script.async = true;
-      script.defer = true;
-      script.onload = () => {
+    let cancelled = false;
+    loadMapProvider()
+      .then((provider) => {
+        if (cancelled) return;
+        providerRef.current = provider;
         setMapLoaded(true);
         setMapError(null);
-      };
-      script.onerror = () => {
-        setMapError("Failed to load Google Maps");
-      };
-      document.head.appendChild(script);
-    } else if (window.google) {
-      setMapLoaded(true);
-      setMapError(null);
-    }
+      })
+      .catch((error) => {
+        console.error("Error loading map:", error);
+        if (!cancelled) setMapError(error.message || "Failed to load the map");
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  // The marker, and the address shown for it, follow each chosen position
+  const selectPosition = async (position, fallbackLabel) => {
+    setSelectedPosition(position);
+    updateMarker(position);
+
+    try {
+      const { label } = await getGeocoder().reverseGeocode(position);
+      setAddress(label);
+      onLocationSelect(label, position);
+    } catch (error) {
+      console.log('Reverse geocoding error:', error);
+      if (fallbackLabel !== 'Selected Location') setAddress(fallbackLabel);
+      onLocationSelect(fallbackLabel, position);
+    }
+  };
+
+  useEffect(() => {
+    handlersRef.current = { selectPosition };
+  });
+
   // Initialize map when loaded
   useEffect(() => {
-    if (mapLoaded && mapRef.current && !mapInstanceRef.current) {
-      try {
-        // Create map
-        const map = new window.google.maps.Map(mapRef.current, {
-          center: { lat: 37.7749, lng: -122.4194 }, // San Francisco default
-          zoom: 12,
-          mapTypeControl: false,
-          streetViewControl: false,
-          fullscreenControl: false,
-        });
-        
-        mapInstanceRef.current = map;
-        geocoderRef.current = new window.google.maps.Geocoder();
-        
-        // Add click listener to map
-        map.addListener('click', (event) => {
-          const lat = event.latLng.lat();
-          const lng = event.latLng.lng();
-          const position = { lat, lng };
-          
-          setSelectedPosition(position);
-          updateMarker(position);
-          
-          // Reverse geocode to get address
-          if (geocoderRef.current) {
-            geocoderRef.current.geocode({ location: position }, (results, status) => {
-              if (status === 'OK' && results[0]) {
-                const addr = results[0].formatted_address;
-                setAddress(addr);
-                onLocationSelect(addr, position);
-              } else {
-                onLocationSelect('Selected Location', position);
-              }
-            });
+    if (!mapLoaded || !mapRef.current || mapInstanceRef.current) return;
+
+    try {
+      const map = providerRef.current.createMap(mapRef.current, {
+        center: mapConfig.defaultCenter,
+        zoom: 12,
+        controls: false,
+      });
+      mapInstanceRef.current = map;
+
+      // Add click listener to map
+      map.onClick((position) => handlersRef.current.selectPosition(position, 'Selected Location'));
+
+      // Try to get user's current location
+      if (navigator.geolocation) {
+        navigator.geolocation.getCurrentPosition(
+          (position) => {
+            map.setView({ lat: position.coords.latitude, lng: position.coords.longitude }, 14);
+          },
+          (error) => {
+            console.log('Geolocation error:', error);
           }
-        });
-        
-        // Try to get user's current location
-        if (navigator.geolocation) {
-          navigator.geolocation.getCurrentPosition(
-            (position) => {
-              const userLocation = {
-                lat: position.coords.latitude,
-                lng: position.coords.longitude,
-              };
-              map.setCenter(userLocation);
-              map.setZoom(14);
-            },
-            (error) => {
-              console.log('Geolocation error:', error);
-            }
-          );
-        }
-      } catch (error) {
-        console.error('Error initializing map:', error);
-        setMapError('Error initializing map');
+        );
       }
+    } catch (error) {
+      console.error('Error initializing map:', error);
+      setMapError('Error initializing map');
     }
-  }, [mapLoaded, onLocationSelect]);
+
+    return () => {
+      mapInstanceRef.current?.destroy();
+      mapInstanceRef.current = null;
+      markerRef.current = null;
+    };
+  }, [mapLoaded]);
   
   const updateMarker = (position) => {
     if (!mapInstanceRef.current) return;
     
     // Remove existing marker
-    if (markerRef.current) {
-      markerRef.current.setMap(null);
-    }
+    markerRef.current?.remove();
     
     // Create new marker
-    markerRef.current = new window.google.maps.Marker({
+    markerRef.current = mapInstanceRef.current.addMarker({
       position,
-      map: mapInstanceRef.current,
       title: 'Selected Location',
-      animation: window.google.maps.Animation.DROP,
+      drop: true,
     });
   };
 
-  const handleAddressSubmit = (e) => {
+  const handleAddressSubmit = async (e) => {
     e.preventDefault();
     if (!address.trim()) return;
 
-    if (geocoderRef.current) {
-      // Use real Google Geocoding API
-      geocoderRef.current.geocode({ address }, (results, status) => {
-        if (status === 'OK' && results[0]) {
-          const position = {
-            lat: results[0].geometry.location.lat(),
-            lng: results[0].geometry.location.lng(),
-          };
-          
-          setSelectedPosition(position);
-          updateMarker(position);
-          
-          if (mapInstanceRef.current) {
-            mapInstanceRef.current.setCenter(position);
-            mapInstanceRef.current.setZoom(15);
-          }
-          
-          onLocationSelect(address, position);
-        } else {
-          alert('Address not found. Please try a different address.');
-        }
-      });
-    } else {
-      // Fallback for when Maps isn't loaded
-      alert('Maps is not loaded yet. Please try again in a moment.');
+    try {
+      const { lat, lng } = await getGeocoder().geocode(address.trim());
+      const position = { lat, lng };
+
+      setSelectedPosition(position);
+      updateMarker(position);
+      mapInstanceRef.current?.setView(position, 15);
+
+      onLocationSelect(address, position);
+    } catch (error) {
+      console.error('Geocoding error:', error);
+      alert(error.message || 'Address not found. Please try a different address.');
     }
   };
 
@@ -160,30 +134,8 @@ const LocationPicker = ({ onLocationSelect, initialLocation }) => {
             lng: position.coords.longitude,
           };
           
-          setSelectedPosition(userLocation);
-          updateMarker(userLocation);
-          
-          if (mapInstanceRef.current) {
-            mapInstanceRef.current.setCenter(userLocation);
-            mapInstanceRef.current.setZoom(15);
-          }
-          
-          // Reverse geocode to get readable address
-          if (geocoderRef.current) {
-            geocoderRef.current.geocode({ location: userLocation }, (results, status) => {
-              if (status === 'OK' && results[0]) {
-                const addr = results[0].formatted_address;
-                setAddress(addr);
-                onLocationSelect(addr, userLocation);
-              } else {
-                setAddress("Current Location");
-                onLocationSelect("Current Location", userLocation);
-              }
-            });
-          } else {
-            setAddress("Current Location");
-            onLocationSelect("Current Location", userLocation);
-          }
+          mapInstanceRef.current?.setView(userLocation, 15);
+          selectPosition(userLocation, "Current Location");
         },
         (error) => {
           console.error('Geolocation error:', error);
@@ -230,14 +182,14 @@ const LocationPicker = ({ onLocationSelect, initialLocation }) => {
       </div>
 
       {/* Map Container */}
-      <div className="w-full h-64 bg-gray-100 rounded-lg overflow-hidden relative border-2">
+      <div className="w-full h-64 bg-gray-100 rounded-lg overflow-hidden relative z-0 border-2">
         {mapError ? (
           <div className="flex items-center justify-center h-full">
             <div className="text-center text-gray-500">
               <div className="text-4xl mb-2">⚠️</div>
               <p className="text-sm font-medium">{mapError}</p>
               <p className="text-xs mt-2">
-                Add VITE_GOOGLE_MAPS_API_KEY to your .env file
+                You can still set the location by address above
               </p>
             </div>
           </div>
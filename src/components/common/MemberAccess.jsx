@@ -0,0 +1,72 @@
+import React from "react";
+import { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { inviteMember, revokeInvite } from "../../services/households";
+import { canMemberApply, getMemberLinks, normalizeEmail } from "../../services/householdModel";
+
+// A member's account link and permissions, with invite controls for the registrant.
+// `invite` is the member's latest invitation, if any.
+const MemberAccess = ({ household, member, index, invite, canManage }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [busy, setBusy] = useState(false);
+
+  // Older households may mark other members allowed to apply as registrants too
+  const isHolder = household.members.findIndex((m) => m.isRegistrant) === index;
+  const linked = Boolean(member.id && getMemberLinks(household)[member.id]);
+  const pending = invite?.status === "pending" && invite.email === normalizeEmail(member.email);
+  const invitable = canManage && !isHolder && !linked && Boolean(member.email);
+
+  const run = async (action, message) => {
+    try {
+      setBusy(true);
+      await action();
+      showSuccess(message);
+    } catch (error) {
+      console.error("Error updating household invitation:", error);
+      showError(error.message || "Failed to update the invitation. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+      {!isHolder && canMemberApply(member) && (
+        <span className="px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full font-medium">Can apply</span>
+      )}
+      {linked && (
+        <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full font-medium">🔗 Account linked</span>
+      )}
+      {!linked && pending && (
+        <span className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full font-medium">✉️ Invitation sent</span>
+      )}
+      {!linked && invite?.status === "declined" && (
+        <span className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full font-medium">Invitation declined</span>
+      )}
+      {invitable && (
+        <button
+          onClick={() =>
+            run(() => inviteMember(household.id, index, currentUser), `Invitation sent to ${member.email}.`)
+          }
+          disabled={busy}
+          className="px-2 py-0.5 rounded-full border border-blue-200 text-blue-700 font-medium hover:bg-blue-50 transition-all disabled:opacity-50"
+        >
+          {pending ? "Resend invitation" : "✉️ Invite to link account"}
+        </button>
+      )}
+      {invitable && pending && (
+        <button
+          onClick={() => run(() => revokeInvite(invite.id), "Invitation withdrawn.")}
+          disabled={busy}
+          className="px-2 py-0.5 rounded-full border border-red-200 text-red-600 font-medium hover:bg-red-50 transition-all disabled:opacity-50"
+        >
+          Withdraw
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MemberAccess;
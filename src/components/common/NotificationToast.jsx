@@ -1,5 +1,6 @@
 import React from "react";
 import { useEffect } from "react";
+import { Link } from "react-router-dom";
 import { useNotification } from "../../contexts/NotificationContext";
 
 const NotificationToast = () => {
@@ -87,6 +88,15 @@ const NotificationCard = ({ notification, onClose }) => {
               <p className={`text-sm ${textColor} opacity-90`}>
                 {notification.message}
               </p>
+              {notification.link && (
+                <Link
+                  to={notification.link}
+                  onClick={onClose}
+                  className={`text-sm font-medium ${textColor} underline`}
+                >
+                  View
+                </Link>
+              )}
             </div>
             <button
               onClick={onClose}
@@ -0,0 +1,60 @@
+import React from "react";
+import { useState } from "react";
+import QRCode from "qrcode";
+import { useNotification } from "../../contexts/NotificationContext";
+import { getOrCreatePickupCode } from "../../services/pickups";
+import { formatQuantity } from "../../services/quantityModel";
+import PickupSlotInfo from "./PickupSlotInfo";
+
+// Recipient's one-time pickup code for an approved application
+const PickupCode = ({ application }) => {
+  const { showError } = useNotification();
+  const [code, setCode] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleShow = async () => {
+    try {
+      setLoading(true);
+      const pickupCode = await getOrCreatePickupCode(application.id);
+      setQrDataUrl(await QRCode.toDataURL(pickupCode.payload, { width: 220, margin: 1 }));
+      setCode(pickupCode);
+    } catch (error) {
+      console.error("Error loading pickup code:", error);
+      showError(error.message || "Failed to load your pickup code. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 p-4 bg-gray-50 rounded-xl">
+      <div>
+        <p className="font-semibold text-gray-800">
+          {application.donationTitle || "Donation"} • {formatQuantity(application.quantity, application.unit)}
+        </p>
+        <p className="text-sm text-gray-600">📍 {application.pickupLocation || "Ask the donor"}</p>
+        <PickupSlotInfo application={application} />
+        <p className="text-sm text-gray-600">📞 {application.donorContact || "N/A"}</p>
+      </div>
+
+      {code ? (
+        <div className="text-center">
+          <img src={qrDataUrl} alt="Pickup QR code" className="w-40 h-40 mx-auto rounded-lg bg-white p-1" />
+          <p className="mt-2 text-2xl font-mono font-bold tracking-widest text-gray-800">{code.pin}</p>
+          <p className="text-xs text-gray-600">Show this to the donor at pickup. It works once.</p>
+        </div>
+      ) : (
+        <button
+          onClick={handleShow}
+          disabled={loading}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-lg font-medium text-sm shadow hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          {loading ? "Loading..." : "🎟️ Show pickup code"}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PickupCode;
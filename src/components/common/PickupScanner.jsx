@@ -0,0 +1,196 @@
+import React from "react";
+import { useState, useRef, useEffect } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { APPLICATION_CONFLICT } from "../../services/applications";
+import { parsePickupCode, resolvePickupCode, confirmPickup, getAwaitingServings } from "../../services/pickups";
+import { formatQuantity } from "../../services/quantityModel";
+import PickupSlotInfo from "./PickupSlotInfo";
+
+// BarcodeDetector ships with Chromium-based browsers; elsewhere the donor types the PIN
+const canScan = typeof window !== "undefined" && "BarcodeDetector" in window;
+
+// Donor screen for confirming collections with the recipient's QR code or PIN
+const PickupScanner = ({ applications }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [input, setInput] = useState("");
+  // Which pickup a typed PIN is for; QR codes name their own
+  const [selectedId, setSelectedId] = useState("");
+  const [checking, setChecking] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const handlersRef = useRef(null);
+
+  const handleConfirm = async (value) => {
+    try {
+      setChecking(true);
+      const match = resolvePickupCode(applications, value, selectedId);
+      if (!match) {
+        const code = parsePickupCode(value);
+        showError(
+          !code || code.applicationId || applications.length <= 1
+            ? "That code doesn't match any pickup waiting on your donations."
+            : "Choose whose pickup this is, then enter their 6-digit PIN."
+        );
+        return;
+      }
+
+      const { donationCompleted } = await confirmPickup(match.application.id, match.pin, currentUser.uid);
+      showSuccess(
+        `Pickup confirmed for ${match.application.householdName || "the household"}` +
+          (donationCompleted ? ". Every serving has been collected, so the donation is now completed." : ".")
+      );
+      setInput("");
+      setSelectedId("");
+    } catch (error) {
+      console.error("Error confirming pickup:", error);
+      showError(error.code === APPLICATION_CONFLICT ? error.message : "Failed to confirm pickup. Please try again.");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // The camera loop below reads the latest handlers without restarting the stream
+  useEffect(() => {
+    handlersRef.current = { onScan: handleConfirm, showError };
+  });
+
+  // Reads frames from the camera until a QR code is found or scanning stops
+  useEffect(() => {
+    if (!scanning) return;
+
+    let stream;
+    let frame;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+
+    const detect = async () => {
+      if (stopped) return;
+      try {
+        const [barcode] = await detector.detect(videoRef.current);
+        if (barcode) {
+          setScanning(false);
+          handlersRef.current.onScan(barcode.rawValue);
+          return;
+        }
+      } catch {
+        // Frames can fail to decode while the camera warms up
+      }
+      frame = requestAnimationFrame(detect);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        return videoRef.current.play().then(detect);
+      })
+      .catch((error) => {
+        console.error("Error starting camera:", error);
+        handlersRef.current.showError("Couldn't open the camera. Enter the PIN instead.");
+        setScanning(false);
+      });
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [scanning]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-2">📷 Confirm a pickup</h3>
+        <p className="text-gray-600 mb-4">
+          Scan the recipient's QR code, or choose their pickup and type their 6-digit PIN. Each code works once.
+        </p>
+
+        {scanning && (
+          <video ref={videoRef} className="w-full max-w-sm rounded-xl mb-4 bg-black" muted playsInline />
+        )}
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleConfirm(input);
+          }}
+          className="flex flex-wrap gap-3"
+        >
+          {applications.length > 1 && (
+            <select
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              className="flex-1 min-w-[12rem] px-4 py-2 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200"
+            >
+              <option value="">Whose pickup?</option>
+              {applications.map((application) => (
+                <option key={application.id} value={application.id}>
+                  {application.householdName || "Household"} ({application.donationTitle || "Donation"})
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            inputMode="numeric"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="PIN, e.g. 042917"
+            className="flex-1 min-w-[10rem] px-4 py-2 border-2 border-gray-200 rounded-xl font-mono tracking-widest focus:border-green-500 focus:ring-2 focus:ring-green-200"
+          />
+          <button
+            type="submit"
+            disabled={checking || !input.trim()}
+            className="px-4 py-2 bg-green-500 text-white rounded-xl hover:bg-green-600 transition-colors font-medium disabled:opacity-50"
+          >
+            {checking ? "Checking..." : "✅ Confirm"}
+          </button>
+          {canScan && (
+            <button
+              type="button"
+              onClick={() => setScanning((prev) => !prev)}
+              className="px-4 py-2 bg-blue-100 text-blue-700 rounded-xl hover:bg-blue-200 transition-colors font-medium"
+            >
+              {scanning ? "Stop camera" : "📷 Scan QR"}
+            </button>
+          )}
+        </form>
+      </div>
+
+      <div className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+        <h3 className="text-lg font-bold text-gray-800 mb-4">
+          Awaiting pickup ({applications.length} households, {getAwaitingServings(applications)} servings)
+        </h3>
+        {applications.length > 0 ? (
+          <div className="space-y-3">
+            {applications.map((application) => (
+              <div key={application.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-xl">
+                <div>
+                  <p className="font-semibold text-gray-800">{application.donationTitle || "Donation"}</p>
+                  <p className="text-sm text-gray-600">
+                    🏠 {application.householdName || "Household"} • {formatQuantity(application.quantity, application.unit)}
+                  </p>
+                  <PickupSlotInfo
+                    application={application}
+                    title={`Pickup: ${application.householdName || "Household"} (${application.donationTitle || "Donation"})`}
+                  />
+                </div>
+                {!application.hasPickupCode && (
+                  <span className="text-xs text-gray-500">Recipient hasn't opened their code yet</span>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-600">Nothing waiting to be collected.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PickupScanner;
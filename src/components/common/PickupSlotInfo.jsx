@@ -0,0 +1,52 @@
+import React from "react";
+import { formatSlot, toICS } from "../../services/slotModel";
+
+// Downloads text as a file without leaving the page
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Booked pickup slot of an application, with an "Add to calendar" (.ics) download.
+// `title` names the calendar event, e.g. the household for the donor's copy.
+const PickupSlotInfo = ({ application, title }) => {
+  const slot = application.pickupSlot;
+  if (!slot) return null;
+
+  const handleDownload = () => {
+    const ics = toICS({
+      uid: `${application.id}@food-donation`,
+      title: title || `Food pickup: ${application.donationTitle || "Donation"}`,
+      start: slot.start,
+      end: slot.end,
+      location: application.pickupLocation,
+      description: [
+        application.donationTitle,
+        application.householdName && `Household: ${application.householdName}`,
+        application.donorContact && `Donor contact: ${application.donorContact}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+    downloadFile(`pickup-${slot.start.slice(0, 10)}.ics`, ics, "text/calendar");
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+      <span>🕒 {formatSlot(slot)}</span>
+      <button
+        type="button"
+        onClick={handleDownload}
+        className="px-2 py-0.5 rounded-full border border-blue-200 text-blue-700 text-xs font-medium hover:bg-blue-50 transition-all"
+      >
+        📅 Add to calendar
+      </button>
+    </div>
+  );
+};
+
+export default PickupSlotInfo;
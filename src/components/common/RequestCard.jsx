@@ -104,13 +104,12 @@ const RequestCard = ({ request, onDonate }) => {
         <div className="flex justify-between items-start mb-4">
           <div className="flex-1">
             <h3 className="text-xl font-bold text-gray-800 mb-2">
-              {request.foodItem ||
-                request.foodType?.replace("-", " ") ||
-                "Food Request"}
+              {request.foodItem}
             </h3>
             <p className="text-sm text-gray-600 flex items-center mb-2">
               <span className="mr-1">📍</span>
               {request.location || "Location not specified"}
+              {typeof request.distanceKm === "number" && ` · ${request.distanceKm.toFixed(1)} km away`}
             </p>
             <div className="flex items-center gap-2">
               <span
@@ -231,7 +230,7 @@ const RequestCard = ({ request, onDonate }) => {
               <div className="p-4 bg-gray-50 rounded-xl">
                 <strong className="text-gray-800">Requested Item:</strong>
                 <p className="text-gray-600">
-                  {request.foodItem || request.foodType?.replace("-", " ")}
+                  {request.foodItem}
                 </p>
               </div>
               <div className="p-4 bg-gray-50 rounded-xl">
@@ -1,15 +1,15 @@
 import { useState } from 'react'
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore'
-import { db } from '../../config/firebase'
 import { useAuth } from '../../contexts/AuthContext'
 import { useNotification } from '../../contexts/NotificationContext'
+import { createRequest } from '../../services/requests'
+import { REQUEST_CATEGORIES } from '../../services/requestModel'
 
 const RequestForm = () => {
   const { currentUser, isGuest } = useAuth()
   const { showSuccess, showError } = useNotification()
 
   const [formData, setFormData] = useState({
-    foodType: '',
+    category: '',
     quantity: '',
     urgency: 'medium',
     location: '',
@@ -32,24 +32,13 @@ const RequestForm = () => {
     setLoading(true)
 
     try {
-      const requestData = {
-        ...formData,
-        requesterId: currentUser?.uid || 'guest',
-        requesterName: currentUser?.email || 'Anonymous Requester',
-        isGuest: isGuest || !currentUser,
-        status: 'open',
-        createdAt: serverTimestamp(),
-        fulfilledBy: null,
-        fulfilledAt: null
-      }
-
-      await addDoc(collection(db, 'requests'), requestData)
+      await createRequest(formData, currentUser, isGuest)
       
       showSuccess('Your request has been submitted! Donors will be notified.')
       
       // Reset form
       setFormData({
-        foodType: '',
+        category: '',
         quantity: '',
         urgency: 'medium',
         location: '',
@@ -77,29 +66,25 @@ const RequestForm = () => {
       </div>
 
       <form onSubmit={handleSubmit} className="space-y-6">
-        {/* Food Type */}
+        {/* Category */}
         <div>
-          <label htmlFor="foodType" className="block text-sm font-medium text-gray-700 mb-2">
+          <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-2">
             Type of Food Needed *
           </label>
           <select
-            id="foodType"
-            name="foodType"
-            value={formData.foodType}
+            id="category"
+            name="category"
+            value={formData.category}
             onChange={handleInputChange}
             className="input w-full"
             required
           >
             <option value="">Select food type...</option>
-            <option value="fresh-produce">Fresh Fruits & Vegetables</option>
-            <option value="grains">Rice, Bread & Grains</option>
-            <option value="protein">Meat, Fish & Protein</option>
-            <option value="dairy">Milk, Cheese & Dairy</option>
-            <option value="canned-goods">Canned & Packaged Foods</option>
-            <option value="prepared-meals">Prepared Meals</option>
-            <option value="baby-food">Baby Food & Formula</option>
-            <option value="any">Any Food Donation</option>
-            <option value="other">Other (specify in description)</option>
+            {Object.entries(REQUEST_CATEGORIES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {value === 'other' ? 'Other (specify in description)' : label}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -229,7 +214,7 @@ const RequestForm = () => {
         {/* Submit Button */}
         <button
           type="submit"
-          disabled={loading || !formData.foodType || !formData.quantity || !formData.location || !formData.contactInfo}
+          disabled={loading || !formData.category || !formData.quantity || !formData.location || !formData.contactInfo}
           className="w-full btn-success py-3 text-lg"
         >
           {loading ? 'Submitting...' : '🙏 Submit Request'}
@@ -1,9 +1,56 @@
 import React from "react";
 import { useState, useEffect } from "react";
+import { useNotification } from "../../contexts/NotificationContext";
+import { REQUEST_CATEGORIES } from "../../services/requestModel";
+import {
+  ANY_DISTANCE,
+  DEFAULT_DONATION_FILTERS,
+  DIETARY_TAGS,
+  DISTANCE_OPTIONS,
+  EXPIRY_WINDOWS,
+  hasActiveFilters,
+} from "../../services/listingFilters";
+import { getCurrentPosition, geocodeAddress } from "../../services/location";
 
-const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
+const DONATION_STATUS_OPTIONS = [
+  ["all", "All Donations"],
+  ["available", "Available"],
+  ["claimed", "Claimed"],
+  ["completed", "Completed"],
+];
+
+const URGENCY_OPTIONS = [
+  ["all", "All Urgency"],
+  ["urgent", "🚨 Urgent"],
+  ["high", "⚡ High"],
+  ["medium", "📅 Medium"],
+  ["low", "🕐 Low"],
+];
+
+const CATEGORY_OPTIONS = Object.entries(REQUEST_CATEGORIES).filter(([key]) => key !== "any");
+
+// Optional controls (urgency, expiry) appear when `defaults` has the matching key.
+// The "safe for my household" toggle also needs `showHouseholdFilter`, since it
+// only means something once the user has registered a household.
+const SearchFilters = ({
+  filters,
+  onFilterChange,
+  totalResults,
+  defaults = DEFAULT_DONATION_FILTERS,
+  statusOptions = DONATION_STATUS_OPTIONS,
+  itemLabel = "donation",
+  showHouseholdFilter = false,
+}) => {
+  const { showError } = useNotification();
   const [localFilters, setLocalFilters] = useState(filters);
   const [searchDebounceTimeout, setSearchDebounceTimeout] = useState(null);
+  const [address, setAddress] = useState("");
+  const [locating, setLocating] = useState(false);
+
+  // Filters live in the URL, so follow back/forward navigation and shared links
+  useEffect(() => {
+    setLocalFilters(filters);
+  }, [filters]);
 
   const handleFilterChange = (key, value) => {
     const newFilters = { ...localFilters, [key]: value };
@@ -35,15 +82,32 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
   }, [searchDebounceTimeout]);
 
   const clearFilters = () => {
-    const clearedFilters = {
-      search: "",
-      status: "available",
-      maxDistance: 50,
-    };
-    setLocalFilters(clearedFilters);
-    onFilterChange(clearedFilters);
+    setLocalFilters(defaults);
+    onFilterChange(defaults);
+  };
+
+  const toggleDietary = (tag) => {
+    const dietary = localFilters.dietary.includes(tag)
+      ? localFilters.dietary.filter((t) => t !== tag)
+      : [...localFilters.dietary, tag];
+    handleFilterChange("dietary", dietary);
+  };
+
+  const setOrigin = async (locate) => {
+    try {
+      setLocating(true);
+      handleFilterChange("origin", await locate());
+      setAddress("");
+    } catch (error) {
+      console.error("Error finding location:", error);
+      showError(error.message);
+    } finally {
+      setLocating(false);
+    }
   };
 
+  const itemsLabel = totalResults === 1 ? itemLabel : `${itemLabel}s`;
+
   return (
     <div className="bg-white rounded-lg shadow-sm border p-6 mb-6">
       <div className="flex flex-col lg:flex-row gap-4">
@@ -53,7 +117,7 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
             htmlFor="search"
             className="block text-sm font-medium text-gray-700 mb-2"
           >
-            Search donations
+            Search {itemLabel}s
           </label>
           <input
             type="text"
@@ -79,13 +143,79 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
             onChange={(e) => handleFilterChange("status", e.target.value)}
             className="input w-full"
           >
-            <option value="all">All Donations</option>
-            <option value="available">Available</option>
-            <option value="claimed">Claimed</option>
-            <option value="completed">Completed</option>
+            {statusOptions.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
           </select>
         </div>
 
+        {/* Urgency Filter */}
+        {"urgency" in defaults && (
+          <div className="lg:w-48">
+            <label
+              htmlFor="urgency"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Urgency
+            </label>
+            <select
+              id="urgency"
+              value={localFilters.urgency}
+              onChange={(e) => handleFilterChange("urgency", e.target.value)}
+              className="input w-full"
+            >
+              {URGENCY_OPTIONS.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Category Filter */}
+        <div className="lg:w-48">
+          <label
+            htmlFor="category"
+            className="block text-sm font-medium text-gray-700 mb-2"
+          >
+            Category
+          </label>
+          <select
+            id="category"
+            value={localFilters.category}
+            onChange={(e) => handleFilterChange("category", e.target.value)}
+            className="input w-full"
+          >
+            <option value="all">All Categories</option>
+            {CATEGORY_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Expiry Filter */}
+        {"expiresWithin" in defaults && (
+          <div className="lg:w-48">
+            <label
+              htmlFor="expires"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Expires
+            </label>
+            <select
+              id="expires"
+              value={localFilters.expiresWithin}
+              onChange={(e) => handleFilterChange("expiresWithin", e.target.value)}
+              className="input w-full"
+            >
+              {Object.entries(EXPIRY_WINDOWS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-4 mt-4">
         {/* Distance Filter */}
         <div className="lg:w-48">
           <label
@@ -102,15 +232,64 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
             }
             className="input w-full"
           >
-            <option value={5}>Within 5 km</option>
-            <option value={10}>Within 10 km</option>
-            <option value={25}>Within 25 km</option>
-            <option value={50}>Within 50 km</option>
-            <option value={100}>Within 100 km</option>
-            <option value={999}>Any distance</option>
+            {DISTANCE_OPTIONS.map((km) => (
+              <option key={km} value={km}>
+                {km === ANY_DISTANCE ? "Any distance" : `Within ${km} km`}
+              </option>
+            ))}
           </select>
         </div>
 
+        {/* Distance Origin */}
+        <div className="flex-1">
+          <label
+            htmlFor="origin"
+            className="block text-sm font-medium text-gray-700 mb-2"
+          >
+            Distance from
+          </label>
+          {localFilters.origin ? (
+            <div className="flex items-center gap-2 py-2">
+              <span className="text-sm text-gray-700">📍 {localFilters.origin.label}</span>
+              <button
+                onClick={() => handleFilterChange("origin", null)}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                Change
+              </button>
+            </div>
+          ) : (
+            <form
+              className="flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault();
+                if (address.trim()) setOrigin(() => geocodeAddress(address.trim()));
+              }}
+            >
+              <input
+                type="text"
+                id="origin"
+                value={address}
+                onChange={(e) => setAddress(e.target.value)}
+                placeholder="Enter an address or postcode"
+                className="input flex-1"
+                disabled={locating}
+              />
+              <button type="submit" className="btn-secondary whitespace-nowrap" disabled={locating || !address.trim()}>
+                Set
+              </button>
+              <button
+                type="button"
+                onClick={() => setOrigin(getCurrentPosition)}
+                className="btn-secondary whitespace-nowrap"
+                disabled={locating}
+              >
+                {locating ? "Locating..." : "📍 Use my location"}
+              </button>
+            </form>
+          )}
+        </div>
+
         {/* Clear Filters Button */}
         <div className="lg:w-auto flex items-end">
           <button
@@ -122,20 +301,49 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
         </div>
       </div>
 
+      {/* Dietary Tags */}
+      <div className="mt-4 flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700 mr-1">Dietary:</span>
+        {Object.entries(DIETARY_TAGS).map(([tag, label]) => (
+          <button
+            key={tag}
+            onClick={() => toggleDietary(tag)}
+            className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+              localFilters.dietary.includes(tag)
+                ? "bg-primary-100 text-primary-800 border-primary-300"
+                : "bg-gray-50 text-gray-600 border-gray-200 hover:border-gray-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        {showHouseholdFilter && "safeForHousehold" in defaults && (
+          <button
+            onClick={() => handleFilterChange("safeForHousehold", !localFilters.safeForHousehold)}
+            className={`px-3 py-1 rounded-full text-xs border transition-colors sm:ml-auto ${
+              localFilters.safeForHousehold
+                ? "bg-green-100 text-green-800 border-green-300"
+                : "bg-gray-50 text-gray-600 border-gray-200 hover:border-gray-300"
+            }`}
+            title="Hide donations that conflict with your household's allergies or diets"
+          >
+            🛡️ Safe for my household
+          </button>
+        )}
+      </div>
+
       {/* Results Count */}
       <div className="mt-4 pt-4 border-t border-gray-200">
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2">
           <p className="text-sm text-gray-600">
-            {totalResults === 1
-              ? `Found ${totalResults} donation`
-              : `Found ${totalResults} donations`}
+            Found {totalResults} {itemsLabel}
             {localFilters.search && ` matching "${localFilters.search}"`}
+            {localFilters.origin && localFilters.maxDistance !== ANY_DISTANCE &&
+              ` within ${localFilters.maxDistance} km of ${localFilters.origin.label}`}
           </p>
 
           {/* Active Filters */}
-          {(localFilters.search ||
-            localFilters.status !== "available" ||
-            localFilters.maxDistance !== 50) && (
+          {hasActiveFilters(localFilters, defaults) && (
             <div className="flex flex-wrap gap-2">
               {localFilters.search && (
                 <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary-100 text-primary-800">
@@ -149,11 +357,23 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
                 </span>
               )}
 
-              {localFilters.status !== "available" && (
+              {localFilters.status !== defaults.status && (
                 <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary-100 text-primary-800">
                   Status: {localFilters.status}
                   <button
-                    onClick={() => handleFilterChange("status", "available")}
+                    onClick={() => handleFilterChange("status", defaults.status)}
+                    className="ml-1 text-primary-600 hover:text-primary-800"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+
+              {localFilters.category !== "all" && (
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary-100 text-primary-800">
+                  Category: {REQUEST_CATEGORIES[localFilters.category] || localFilters.category}
+                  <button
+                    onClick={() => handleFilterChange("category", "all")}
                     className="ml-1 text-primary-600 hover:text-primary-800"
                   >
                     ×
@@ -161,11 +381,23 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
                 </span>
               )}
 
-              {localFilters.maxDistance !== 50 && (
+              {localFilters.safeForHousehold && (
                 <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary-100 text-primary-800">
-                  Distance: {localFilters.maxDistance}km
+                  Safe for my household
                   <button
-                    onClick={() => handleFilterChange("maxDistance", 50)}
+                    onClick={() => handleFilterChange("safeForHousehold", false)}
+                    className="ml-1 text-primary-600 hover:text-primary-800"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+
+              {localFilters.maxDistance !== defaults.maxDistance && (
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary-100 text-primary-800">
+                  Distance: {localFilters.maxDistance === ANY_DISTANCE ? "any" : `${localFilters.maxDistance}km`}
+                  <button
+                    onClick={() => handleFilterChange("maxDistance", defaults.maxDistance)}
                     className="ml-1 text-primary-600 hover:text-primary-800"
                   >
                     ×
@@ -176,6 +408,12 @@ const SearchFilters = ({ filters, onFilterChange, totalResults }) => {
           )}
         </div>
 
+        {localFilters.origin && localFilters.maxDistance !== ANY_DISTANCE && (
+          <p className="mt-2 text-xs text-gray-500">
+            {itemLabel === "donation" ? "Donations" : "Requests"} without a map location are hidden while a distance limit is set.
+          </p>
+        )}
+
         {/* Quick Filter Suggestions */}
         {totalResults === 0 && !localFilters.search && (
           <div className="mt-4 p-4 bg-yellow-50 rounded-xl border border-yellow-200">
@@ -0,0 +1,25 @@
+import React from "react";
+import { useNotification } from "../../contexts/NotificationContext";
+import { getVerificationDocumentUrl } from "../../services/householdVerification";
+
+// Opens a stored verification document in a new tab
+const VerificationDocumentLink = ({ document }) => {
+  const { showError } = useNotification();
+
+  const handleOpen = async () => {
+    try {
+      window.open(await getVerificationDocumentUrl(document), "_blank", "noopener");
+    } catch (error) {
+      console.error("Error opening verification document:", error);
+      showError(error.message || "Failed to open the document. Please try again.");
+    }
+  };
+
+  return (
+    <button onClick={handleOpen} className="text-blue-700 hover:text-blue-900 underline truncate text-left">
+      {document.contentType === "application/pdf" ? "📄" : "🖼️"} {document.name}
+    </button>
+  );
+};
+
+export default VerificationDocumentLink;
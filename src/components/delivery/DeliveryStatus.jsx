@@ -0,0 +1,110 @@
+import React from "react";
+import { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { cancelDelivery, requestDelivery } from "../../services/deliveries";
+import { DELIVERY_LABELS, DELIVERY_STATUSES, DELIVERY_STEPS, isDeliveryActive } from "../../services/deliveryModel";
+import { toDate } from "../../services/firestoreUtils";
+
+const formatTime = (value) =>
+  toDate(value)?.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) || "";
+
+// Recipient view of a delivery: ask for one on an approved application, then follow it live
+const DeliveryStatus = ({ application, delivery }) => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [asking, setAsking] = useState(false);
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const run = async (action, success) => {
+    try {
+      setSaving(true);
+      await action();
+      showSuccess(success);
+      setAsking(false);
+    } catch (error) {
+      console.error("Error updating delivery:", error);
+      showError(error.message || "Failed to update the delivery. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!delivery || delivery.status === DELIVERY_STATUSES.CANCELLED) {
+    if (!application) return null;
+    return asking ? (
+      <div className="mt-2 p-3 bg-blue-50 rounded-xl space-y-2">
+        <label className="block text-sm font-medium text-gray-700" htmlFor={`delivery-notes-${application.id}`}>
+          Directions for the volunteer (optional)
+        </label>
+        <input
+          id={`delivery-notes-${application.id}`}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="e.g. Ring bell 3, second floor"
+          className="w-full p-2 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500"
+        />
+        <p className="text-xs text-gray-600">
+          A volunteer collects the food with your pickup code and brings it to your household's address.
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={() =>
+              run(() => requestDelivery(application.id, currentUser, { notes }), "Delivery requested. We'll show you when a volunteer takes it.")
+            }
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium disabled:opacity-50"
+          >
+            {saving ? "Requesting..." : "Request delivery"}
+          </button>
+          <button onClick={() => setAsking(false)} className="px-4 py-2 text-sm text-gray-600">
+            Cancel
+          </button>
+        </div>
+      </div>
+    ) : (
+      <button onClick={() => setAsking(true)} className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-medium">
+        🚚 Can't travel? Ask a volunteer to deliver it
+      </button>
+    );
+  }
+
+  const reached = DELIVERY_STEPS.findIndex((step) => step.status === delivery.status);
+
+  return (
+    <div className="mt-2 p-3 bg-blue-50 rounded-xl">
+      <div className="flex justify-between items-start gap-2">
+        <div>
+          <p className="font-semibold text-gray-800">
+            🚚 {delivery.donationTitle}: {DELIVERY_LABELS[delivery.status]}
+          </p>
+          {delivery.volunteerName && <p className="text-sm text-gray-600">Volunteer: {delivery.volunteerName}</p>}
+        </div>
+        {(delivery.status === DELIVERY_STATUSES.REQUESTED || delivery.status === DELIVERY_STATUSES.ACCEPTED) && (
+          <button
+            onClick={() => run(() => cancelDelivery(delivery.id), "Delivery cancelled. You can still collect it yourself.")}
+            disabled={saving}
+            className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Cancel delivery
+          </button>
+        )}
+      </div>
+      <ol className="mt-3 grid grid-cols-4 gap-1 text-xs">
+        {DELIVERY_STEPS.map((step, index) => (
+          <li key={step.status} className={index <= reached ? "text-blue-800" : "text-gray-400"}>
+            <div className={`h-1.5 rounded-full mb-1 ${index <= reached ? "bg-blue-600" : "bg-gray-200"}`} />
+            <p className="font-medium">{step.label}</p>
+            <p>{formatTime(delivery[step.field])}</p>
+          </li>
+        ))}
+      </ol>
+      {isDeliveryActive(delivery) && delivery.status !== DELIVERY_STATUSES.PICKED_UP && (
+        <p className="mt-2 text-xs text-gray-600">The volunteer shows your pickup code to the donor, so keep it unused.</p>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryStatus;
@@ -0,0 +1,94 @@
+import React from "react";
+import { useState, useEffect, useRef } from "react";
+import { loadMapProvider } from "../../services/mapProvider";
+import { STOP_TYPES } from "../../services/deliveryModel";
+import { mapConfig } from "../../config/maps";
+
+const STOP_COLORS = {
+  [STOP_TYPES.PICKUP]: "#f97316",
+  [STOP_TYPES.DROPOFF]: "#22c55e",
+};
+
+const getStopIcon = (number, type) =>
+  `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(
+    `<svg width='40' height='40' xmlns='http://www.w3.org/2000/svg'><circle cx='20' cy='20' r='15' fill='${STOP_COLORS[type]}' stroke='white' stroke-width='3'/><text x='20' y='25' text-anchor='middle' fill='white' font-family='sans-serif' font-size='14' font-weight='bold'>${number}</text></svg>`
+  )}`;
+
+// Numbered stops of a volunteer's route, joined in order
+const RouteMap = ({ start, stops }) => {
+  const [mapLoaded, setMapLoaded] = useState(false);
+  const [mapError, setMapError] = useState(null);
+  const mapRef = useRef(null);
+  const providerRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadMapProvider()
+      .then((provider) => {
+        if (cancelled) return;
+        providerRef.current = provider;
+        setMapLoaded(true);
+      })
+      .catch((error) => {
+        console.error("Error loading map:", error);
+        if (!cancelled) setMapError(error.message || "Failed to load the map");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!mapLoaded || !mapRef.current) return;
+    const map = providerRef.current.createMap(mapRef.current, { center: mapConfig.defaultCenter, zoom: 12, controls: false });
+    mapInstanceRef.current = map;
+    return () => {
+      map.destroy();
+      mapInstanceRef.current = null;
+    };
+  }, [mapLoaded]);
+
+  // Redraw the route when it changes
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map) return;
+
+    const located = stops.filter((stop) => stop.position);
+    const positions = [...(start ? [start] : []), ...located.map((stop) => stop.position)];
+    const drawn = [
+      ...located.map((stop) =>
+        map.addMarker({
+          position: stop.position,
+          title: `${stops.indexOf(stop) + 1}. ${stop.type === STOP_TYPES.PICKUP ? "Pick up at" : "Deliver to"} ${
+            stop.type === STOP_TYPES.PICKUP ? stop.delivery.pickup.address : stop.delivery.dropoff.address
+          }`,
+          iconUrl: getStopIcon(stops.indexOf(stop) + 1, stop.type),
+        })
+      ),
+      ...(start ? [map.addMarker({ position: start, title: "You are here" })] : []),
+      ...(positions.length > 1 ? [map.addPolyline(positions)] : []),
+    ];
+
+    if (positions.length === 1) map.setView(positions[0], 15);
+    else if (positions.length > 1) map.fitBounds(positions);
+
+    return () => drawn.forEach((item) => item.remove());
+  }, [start, stops, mapLoaded]);
+
+  if (mapError) {
+    return <p className="text-sm text-gray-500 p-4 bg-gray-50 rounded-xl">⚠️ {mapError}</p>;
+  }
+
+  return (
+    <div className="w-full h-72 bg-gray-100 rounded-xl overflow-hidden relative z-0">
+      {mapLoaded ? (
+        <div ref={mapRef} className="w-full h-full" />
+      ) : (
+        <div className="flex items-center justify-center h-full text-gray-500">🗺️ Loading map...</div>
+      )}
+    </div>
+  );
+};
+
+export default RouteMap;
@@ -0,0 +1,49 @@
+import React from "react";
+import { useState } from "react";
+import QRCode from "qrcode";
+import { useNotification } from "../../contexts/NotificationContext";
+import { getDeliveryPickupCode } from "../../services/deliveries";
+
+// The recipient's pickup code, shown by the volunteer for the donor to scan
+const VolunteerPickupCode = ({ delivery }) => {
+  const { showError } = useNotification();
+  const [code, setCode] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleShow = async () => {
+    try {
+      setLoading(true);
+      const pickupCode = await getDeliveryPickupCode(delivery.applicationId);
+      if (!pickupCode) {
+        showError("This household has no pickup code yet. Ask them to open it in their profile.");
+        return;
+      }
+      setQrDataUrl(await QRCode.toDataURL(pickupCode.payload, { width: 220, margin: 1 }));
+      setCode(pickupCode);
+    } catch (error) {
+      console.error("Error loading pickup code:", error);
+      showError(error.message || "Failed to load the pickup code. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return code ? (
+    <div className="text-center">
+      <img src={qrDataUrl} alt="Pickup QR code" className="w-40 h-40 mx-auto rounded-lg bg-white p-1" />
+      <p className="mt-2 text-2xl font-mono font-bold tracking-widest text-gray-800">{code.pin}</p>
+      <p className="text-xs text-gray-600">Let the donor scan this for {delivery.dropoff.name || "the household"}.</p>
+    </div>
+  ) : (
+    <button
+      onClick={handleShow}
+      disabled={loading}
+      className="px-3 py-1.5 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-lg font-medium text-sm shadow disabled:opacity-50"
+    >
+      {loading ? "Loading..." : "🎟️ Show pickup code"}
+    </button>
+  );
+};
+
+export default VolunteerPickupCode;
@@ -2,8 +2,7 @@ import React from "react";
 import "intasend-inlinejs-sdk";
 import { useAuth } from "../../contexts/AuthContext";
 import { useNotification } from "../../contexts/NotificationContext";
-import { collection, addDoc, serverTimestamp } from "firebase/firestore";
-import { db } from "../../config/firebase";
+import { recordCashDonation } from "../../services/cashDonations";
 import { useEffect, useState } from "react";
 
 const CashDonation = () => {
@@ -41,15 +40,7 @@ const CashDonation = () => {
   const handlePaymentSuccess = async () => {
     try {
       if (currentUser) {
-        await addDoc(collection(db, "cash-donations"), {
-          type: "cash",
-          amount: parseFloat(amount),
-          donorId: currentUser.uid,
-          donorEmail: currentUser.email,
-          status: "completed",
-          createdAt: serverTimestamp(),
-          paymentMethod: "intasend",
-        });
+        await recordCashDonation(amount, currentUser);
         showSuccess(
           "✅ Payment completed successfully! Thank you for your donation."
         );
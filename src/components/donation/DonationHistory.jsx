@@ -0,0 +1,77 @@
+import React from "react";
+import { useState, useEffect } from "react";
+import { subscribeToDonationHistory } from "../../services/donationLifecycle";
+import { formatQuantity } from "../../services/quantityModel";
+
+const FIELD_LABELS = {
+  foodItem: "Food item",
+  quantity: "Quantity",
+  description: "Details",
+  category: "Category",
+  siteId: "Site",
+  allergens: "Allergens",
+  dietLabels: "Diet labels",
+  expirationDate: "Best before",
+  availableUntil: "Available until",
+  location: "Location",
+  coordinates: "Map pin",
+  contactInfo: "Contact",
+  pickupPreference: "Pickup preference",
+  pickupSlots: "Pickup slots",
+  requiresApproval: "Review applications",
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === "") return "none";
+  if (field === "quantity") return formatQuantity(value.amount, value.unit);
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  if (typeof value === "boolean") return value ? "yes" : "no";
+  return String(value);
+};
+
+// Slots and map pins are too long to spell out
+const describeChange = (field, { from, to }) =>
+  field === "pickupSlots" || field === "coordinates"
+    ? `${FIELD_LABELS[field]} changed`
+    : `${FIELD_LABELS[field] || field}: ${formatValue(field, from)} → ${formatValue(field, to)}`;
+
+const formatWhen = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toLocaleString() : "just now");
+
+// Edit, cancel and relist log of one of the donor's donations
+const DonationHistory = ({ donationId }) => {
+  const [entries, setEntries] = useState(null);
+
+  useEffect(
+    () =>
+      subscribeToDonationHistory(donationId, setEntries, (error) => {
+        console.error("Error loading donation history:", error);
+        setEntries([]);
+      }),
+    [donationId]
+  );
+
+  if (entries === null) return <p className="text-sm text-gray-500">Loading history...</p>;
+  if (entries.length === 0) return <p className="text-sm text-gray-500">No changes since this donation was posted.</p>;
+
+  return (
+    <ul className="space-y-3">
+      {entries.map((entry) => (
+        <li key={entry.id} className="text-sm text-gray-700 border-l-4 border-gray-200 pl-3">
+          <p className="font-semibold">
+            {entry.action === "edited" && "✏️ Edited"}
+            {entry.action === "cancelled" && "🚫 Cancelled"}
+            {entry.action === "relisted" && "🔁 Relisted as a new donation"}
+            <span className="font-normal text-gray-500"> • {formatWhen(entry.at)}</span>
+          </p>
+          {entry.action === "edited" &&
+            Object.entries(entry.changes || {}).map(([field, change]) => (
+              <p key={field} className="text-gray-600">{describeChange(field, change)}</p>
+            ))}
+          {entry.action === "cancelled" && entry.reason && <p className="text-gray-600">Reason: {entry.reason}</p>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default DonationHistory;
@@ -0,0 +1,93 @@
+import React from "react";
+import { useRef } from "react";
+import { useNotification } from "../../contexts/NotificationContext";
+import { MAX_DONATION_PHOTOS, validatePhoto } from "../../services/photos";
+
+// Picks photos for a new donation. Each entry is { file, previewUrl }; the
+// files are resized and uploaded once the donation is saved. The parent owns
+// the preview URLs, since the picker unmounts when the wizard changes step.
+const PhotoPicker = ({ photos, onChange, progress = {}, disabled = false }) => {
+  const { showError } = useNotification();
+  const inputRef = useRef(null);
+
+  const handleFiles = (fileList) => {
+    const room = MAX_DONATION_PHOTOS - photos.length;
+    const files = Array.from(fileList);
+
+    if (files.length > room) {
+      showError(`You can attach up to ${MAX_DONATION_PHOTOS} photos.`);
+    }
+
+    const accepted = files.slice(0, Math.max(0, room)).filter((file) => {
+      const error = validatePhoto(file);
+      if (error) showError(error);
+      return !error;
+    });
+
+    onChange([
+      ...photos,
+      ...accepted.map((file) => ({ file, previewUrl: URL.createObjectURL(file) })),
+    ]);
+    inputRef.current.value = "";
+  };
+
+  const removePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].previewUrl);
+    onChange(photos.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-3">
+        📷 Photos (optional, up to {MAX_DONATION_PHOTOS})
+      </label>
+      <div className="flex flex-wrap gap-3">
+        {photos.map((photo, index) => (
+          <div key={photo.previewUrl} className="relative w-24 h-24 rounded-xl overflow-hidden border-2 border-gray-200">
+            <img src={photo.previewUrl} alt={`Photo ${index + 1}`} className="w-full h-full object-cover" />
+            {progress[index] !== undefined ? (
+              <div className="absolute inset-x-0 bottom-0 bg-black/50 text-white text-xs text-center py-1">
+                {progress[index]}%
+              </div>
+            ) : (
+              <button
+                type="button"
+                onClick={() => removePhoto(index)}
+                disabled={disabled}
+                className="absolute top-1 right-1 w-6 h-6 rounded-full bg-white/90 text-gray-700 text-sm hover:bg-white"
+                aria-label="Remove photo"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        ))}
+
+        {photos.length < MAX_DONATION_PHOTOS && (
+          <button
+            type="button"
+            onClick={() => inputRef.current.click()}
+            disabled={disabled}
+            className="w-24 h-24 rounded-xl border-2 border-dashed border-gray-300 text-gray-500 hover:border-green-400 hover:text-green-600 transition-all flex flex-col items-center justify-center text-xs"
+          >
+            <span className="text-2xl">＋</span>
+            Add photo
+          </button>
+        )}
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        className="hidden"
+        onChange={(e) => handleFiles(e.target.files)}
+      />
+      <p className="text-xs text-gray-500 mt-2">
+        Photos are resized before upload. Show the food and its packaging, not people.
+      </p>
+    </div>
+  );
+};
+
+export default PhotoPicker;
@@ -0,0 +1,81 @@
+import React from "react";
+import { RECURRENCE_FREQUENCIES, WEEKDAYS, validateSchedule } from "../../services/scheduleModel";
+
+// How often a recurring donation repeats and its daily pickup window.
+// `value` is { recurrence, pickupWindow } as stored on a schedule.
+const RecurrenceFields = ({ value, onChange }) => {
+  const { recurrence, pickupWindow } = value;
+  const error = validateSchedule(value);
+
+  const setRecurrence = (changes) => onChange({ ...value, recurrence: { ...recurrence, ...changes } });
+
+  const setPickupWindow = (changes) => onChange({ ...value, pickupWindow: { ...pickupWindow, ...changes } });
+
+  const toggleDay = (day) =>
+    setRecurrence({
+      days: recurrence.days.includes(day)
+        ? recurrence.days.filter((d) => d !== day)
+        : [...recurrence.days, day],
+    });
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-semibold text-gray-700 mb-2">Repeat</label>
+        <select
+          value={recurrence.frequency}
+          onChange={(e) => setRecurrence({ frequency: e.target.value })}
+          className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+        >
+          {Object.entries(RECURRENCE_FREQUENCIES).map(([frequency, label]) => (
+            <option key={frequency} value={frequency}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {recurrence.frequency === "weekly" && (
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`w-12 py-1.5 rounded-full text-sm border-2 transition-all ${
+                recurrence.days.includes(day)
+                  ? "bg-green-100 text-green-800 border-green-300"
+                  : "bg-white text-gray-600 border-gray-200 hover:border-gray-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Pickup from</label>
+          <input
+            type="time"
+            value={pickupWindow.start}
+            onChange={(e) => setPickupWindow({ start: e.target.value })}
+            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-700 mb-2">Until</label>
+          <input
+            type="time"
+            value={pickupWindow.end}
+            onChange={(e) => setPickupWindow({ end: e.target.value })}
+            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,279 @@
+import React from "react";
+import { useState } from "react";
+import { useNotification } from "../../contexts/NotificationContext";
+import {
+  deleteSchedule,
+  setSchedulePaused,
+  skipNextOccurrence,
+  updateSchedule,
+} from "../../services/schedules";
+import {
+  describeSchedule,
+  formatOccurrence,
+  getNextOccurrence,
+  validateSchedule,
+} from "../../services/scheduleModel";
+import {
+  DEFAULT_UNIT,
+  MAX_AMOUNT,
+  QUANTITY_UNITS,
+  describeQuantity,
+  validateQuantity,
+} from "../../services/quantityModel";
+import RecurrenceFields from "./RecurrenceFields";
+
+// Editable copy of a schedule, with the quantity in form shape
+const toDraft = (schedule) => ({
+  foodItem: schedule.template.foodItem || "",
+  description: schedule.template.description || "",
+  contactInfo: schedule.template.contactInfo || "",
+  quantity: {
+    amount: String(schedule.template.quantity?.amount || ""),
+    unit: schedule.template.quantity?.unit || DEFAULT_UNIT,
+    servingsPerUnit: schedule.template.quantity?.servingsPerUnit ?? "",
+  },
+  repeat: { recurrence: schedule.recurrence, pickupWindow: schedule.pickupWindow },
+});
+
+const inputClass =
+  "w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all";
+
+// Donor-side list of recurring donation schedules with pause, skip-next and edit controls
+const RecurringSchedules = ({ schedules }) => {
+  const { showSuccess, showError } = useNotification();
+  const [busyId, setBusyId] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, draft }
+
+  const run = async (schedule, action, successMessage) => {
+    setBusyId(schedule.id);
+    try {
+      const result = await action();
+      showSuccess(typeof successMessage === "function" ? successMessage(result) : successMessage);
+    } catch (error) {
+      console.error("Error updating schedule:", error);
+      showError(error.message || "Could not update the schedule. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = (schedule) => {
+    if (!window.confirm("Stop this recurring donation? Listings already posted stay up.")) return;
+    run(schedule, () => deleteSchedule(schedule.id), "Recurring donation stopped.");
+  };
+
+  const handleSave = async () => {
+    const { id, draft } = editing;
+    setBusyId(id);
+    try {
+      await updateSchedule(id, {
+        template: {
+          foodItem: draft.foodItem.trim(),
+          description: draft.description,
+          contactInfo: draft.contactInfo,
+          quantity: draft.quantity,
+        },
+        recurrence: draft.repeat.recurrence,
+        pickupWindow: draft.repeat.pickupWindow,
+      });
+      showSuccess("Schedule updated. Listings already posted keep their old details.");
+      setEditing(null);
+    } catch (error) {
+      console.error("Error updating schedule:", error);
+      showError("Could not save the schedule. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const setDraft = (changes) => setEditing((prev) => ({ ...prev, draft: { ...prev.draft, ...changes } }));
+
+  const draftError = editing
+    ? (!editing.draft.foodItem.trim() && "Enter the food item.") ||
+      validateQuantity(editing.draft.quantity) ||
+      validateSchedule(editing.draft.repeat)
+    : null;
+
+  return (
+    <div className="space-y-6">
+      {schedules.map((schedule) => {
+        const paused = schedule.status === "paused";
+        const next = getNextOccurrence(schedule);
+        const busy = busyId === schedule.id;
+
+        return (
+          <div key={schedule.id} className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-xl font-bold text-gray-800 mb-1">🔁 {schedule.template.foodItem}</h3>
+                <p className="text-gray-600 text-sm">
+                  {describeQuantity(schedule.template)} • {describeSchedule(schedule)}
+                </p>
+                <p className="text-gray-600 text-sm">📍 {schedule.template.location}</p>
+              </div>
+              <span
+                className={`px-4 py-2 rounded-full text-sm font-bold ${
+                  paused ? "bg-gray-100 text-gray-700" : "bg-green-100 text-green-800"
+                }`}
+              >
+                {paused ? "paused" : "active"}
+              </span>
+            </div>
+
+            <p className="text-sm text-gray-700 mb-4">
+              {paused
+                ? "No new listings are posted while paused."
+                : next
+                  ? `Next pickup: ${formatOccurrence(next)}, ${schedule.pickupWindow.start}–${schedule.pickupWindow.end}`
+                  : "No pickups in the next two weeks."}
+            </p>
+
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={() =>
+                  run(schedule, () => setSchedulePaused(schedule.id, !paused), paused ? "Schedule resumed." : "Schedule paused.")
+                }
+                disabled={busy}
+                className="px-4 py-2 bg-white border-2 border-gray-200 text-gray-700 rounded-xl font-semibold hover:border-gray-300 disabled:opacity-50 transition-all"
+              >
+                {paused ? "▶️ Resume" : "⏸️ Pause"}
+              </button>
+              {!paused && next && (
+                <button
+                  onClick={() =>
+                    run(schedule, () => skipNextOccurrence(schedule), (skipped) => `Skipped the pickup on ${formatOccurrence(skipped)}.`)
+                  }
+                  disabled={busy}
+                  className="px-4 py-2 bg-white border-2 border-yellow-200 text-yellow-700 rounded-xl font-semibold hover:border-yellow-300 disabled:opacity-50 transition-all"
+                >
+                  ⏭️ Skip Next
+                </button>
+              )}
+              <button
+                onClick={() => setEditing({ id: schedule.id, draft: toDraft(schedule) })}
+                disabled={busy}
+                className="px-4 py-2 bg-white border-2 border-blue-200 text-blue-700 rounded-xl font-semibold hover:border-blue-300 disabled:opacity-50 transition-all"
+              >
+                ✏️ Edit
+              </button>
+              <button
+                onClick={() => handleDelete(schedule)}
+                disabled={busy}
+                className="px-4 py-2 bg-white border-2 border-red-200 text-red-600 rounded-xl font-semibold hover:border-red-300 hover:bg-red-50 disabled:opacity-50 transition-all"
+              >
+                🗑️ Stop
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      {editing && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-3xl max-w-lg w-full p-8 shadow-2xl max-h-[90vh] overflow-y-auto">
+            <h3 className="text-2xl font-bold text-gray-800 mb-6">Edit recurring donation</h3>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Food item</label>
+                <input
+                  type="text"
+                  value={editing.draft.foodItem}
+                  onChange={(e) => setDraft({ foodItem: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">How much each time</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    value={editing.draft.quantity.amount}
+                    onChange={(e) => setDraft({ quantity: { ...editing.draft.quantity, amount: e.target.value } })}
+                    min="1"
+                    max={MAX_AMOUNT}
+                    step="1"
+                    className={`${inputClass} flex-1 min-w-0`}
+                  />
+                  <select
+                    value={editing.draft.quantity.unit}
+                    onChange={(e) => setDraft({ quantity: { ...editing.draft.quantity, unit: e.target.value } })}
+                    className="p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                  >
+                    {Object.entries(QUANTITY_UNITS).map(([unit, { label }]) => (
+                      <option key={unit} value={unit}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {editing.draft.quantity.unit !== DEFAULT_UNIT && (
+                  <div className="mt-2 flex items-center gap-2 text-sm text-gray-600">
+                    <span>≈</span>
+                    <input
+                      type="number"
+                      value={editing.draft.quantity.servingsPerUnit}
+                      onChange={(e) =>
+                        setDraft({ quantity: { ...editing.draft.quantity, servingsPerUnit: e.target.value } })
+                      }
+                      placeholder="optional"
+                      min="0"
+                      step="0.5"
+                      className="w-24 p-2 border-2 border-gray-200 rounded-lg focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                    />
+                    <span>servings per {QUANTITY_UNITS[editing.draft.quantity.unit].one}</span>
+                  </div>
+                )}
+              </div>
+
+              <RecurrenceFields value={editing.draft.repeat} onChange={(repeat) => setDraft({ repeat })} />
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Contact</label>
+                <input
+                  type="text"
+                  value={editing.draft.contactInfo}
+                  onChange={(e) => setDraft({ contactInfo: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Details</label>
+                <textarea
+                  value={editing.draft.description}
+                  onChange={(e) => setDraft({ description: e.target.value })}
+                  rows={3}
+                  className={`${inputClass} resize-none`}
+                />
+              </div>
+
+              <p className="text-xs text-gray-500">
+                To change the pickup location, stop this schedule and create a new one.
+              </p>
+            </div>
+
+            {draftError && <p className="mt-4 text-sm text-red-600">{draftError}</p>}
+
+            <div className="flex justify-end gap-3 mt-6">
+              <button
+                onClick={() => setEditing(null)}
+                className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:border-gray-400 transition-all"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={Boolean(draftError) || busyId === editing.id}
+                className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded-xl font-semibold shadow-lg disabled:opacity-50 transition-all"
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurringSchedules;
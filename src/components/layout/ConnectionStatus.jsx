@@ -0,0 +1,108 @@
+import React from "react";
+import { useState, useEffect, useRef } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { useConnectionStatus } from "../../hooks/useConnectionStatus";
+import { dismissConflict, flushQueue } from "../../services/offlineQueue";
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+// Online/offline indicator for the navbar. It also replays the offline queue
+// when the connection returns, so it is rendered once.
+const ConnectionStatus = () => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const uid = currentUser?.uid;
+  const { online, pending, conflicts } = useConnectionStatus(uid);
+  const [syncing, setSyncing] = useState(false);
+  const [open, setOpen] = useState(false);
+  const notifyRef = useRef(null);
+
+  useEffect(() => {
+    notifyRef.current = { showSuccess, showError };
+  });
+
+  // On reconnect, and on sign-in for changes queued during an earlier visit
+  useEffect(() => {
+    if (!online || !uid) return;
+
+    const sync = async () => {
+      try {
+        setSyncing(true);
+        const { synced, conflicts: refused } = await flushQueue(uid);
+        if (synced.length > 0) {
+          notifyRef.current.showSuccess(`Back online: ${synced.length} saved change(s) synced.`);
+        }
+        refused.forEach((conflict) =>
+          notifyRef.current.showError(`${conflict.label} could not be synced: ${conflict.error}`)
+        );
+      } catch (error) {
+        console.error("Error syncing offline changes:", error);
+      } finally {
+        setSyncing(false);
+      }
+    };
+    sync();
+  }, [online, uid]);
+
+  const badge = !online
+    ? { text: pending.length > 0 ? `Offline · ${pending.length} waiting` : "Offline", style: "bg-gray-800 text-white" }
+    : syncing
+      ? { text: "Syncing...", style: "bg-blue-100 text-blue-800" }
+      : conflicts.length > 0
+        ? { text: `${conflicts.length} not synced`, style: "bg-red-100 text-red-700" }
+        : { text: "Online", style: "bg-green-100 text-green-800" };
+  const hasDetails = pending.length > 0 || conflicts.length > 0;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => hasDetails && setOpen(!open)}
+        className={`flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-medium ${badge.style}`}
+        title={online ? "Connected" : "Changes you make are saved on this device and sent when you reconnect"}
+      >
+        <span className={`w-2 h-2 rounded-full ${online ? (conflicts.length > 0 ? "bg-red-500" : "bg-green-500") : "bg-gray-400"}`} />
+        {badge.text}
+      </button>
+
+      {open && hasDetails && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-xl border border-gray-200 p-4 z-50 text-sm">
+          {pending.length > 0 && (
+            <div className="mb-3">
+              <p className="font-semibold text-gray-800 mb-1">Waiting to sync</p>
+              <ul className="space-y-1">
+                {pending.map((item) => (
+                  <li key={item.id} className="flex justify-between gap-2 text-gray-600">
+                    <span>{item.label}</span>
+                    <span className="text-xs text-gray-400">{formatTime(item.queuedAt)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {conflicts.length > 0 && (
+            <div>
+              <p className="font-semibold text-red-700 mb-1">Couldn't be synced</p>
+              <ul className="space-y-2">
+                {conflicts.map((item) => (
+                  <li key={item.id} className="p-2 bg-red-50 rounded-lg">
+                    <p className="font-medium text-gray-800">{item.label}</p>
+                    <p className="text-xs text-red-700">{item.error}</p>
+                    <button
+                      onClick={() => dismissConflict(item.id)}
+                      className="mt-1 text-xs text-gray-500 hover:text-gray-800"
+                    >
+                      Dismiss
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionStatus;
@@ -2,10 +2,14 @@ import React from "react";
 import { useState } from "react";
 import { Link, useLocation } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
+import { useNotification } from "../../contexts/NotificationContext";
+import { ROLES } from "../../config/roles";
 import AuthModal from "../common/AuthModal";
+import ConnectionStatus from "./ConnectionStatus";
 
 const Navbar = () => {
-  const { currentUser, logout, isGuest } = useAuth();
+  const { currentUser, logout, isGuest, hasRole } = useAuth();
+  const { unreadCount } = useNotification();
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
@@ -87,6 +91,18 @@ const Navbar = () => {
               >
                 Browse Requests
               </Link>
+              {hasRole(ROLES.VOLUNTEER) && (
+                <Link
+                  to="/deliveries"
+                  className={`hover:text-primary-600 transition-colors ${
+                    isActivePath("/deliveries")
+                      ? "text-primary-600 font-medium"
+                      : "text-gray-700"
+                  }`}
+                >
+                  Deliveries
+                </Link>
+              )}
             </div>
 
             {/* User Menu */}
@@ -116,6 +132,24 @@ const Navbar = () => {
               )}
             </div>
 
+            {/* Notification inbox, on every screen size */}
+            {currentUser && !isGuest && (
+              <Link
+                to="/notifications"
+                className="relative ml-auto mr-3 md:ml-4 md:mr-0 text-xl"
+                aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : "Notifications"}
+              >
+                🔔
+                {unreadCount > 0 && (
+                  <span className="absolute -top-1 -right-2 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-bold flex items-center justify-center">
+                    {unreadCount > 99 ? "99+" : unreadCount}
+                  </span>
+                )}
+              </Link>
+            )}
+
+            <ConnectionStatus />
+
             {/* Mobile menu button */}
             <button
               className="md:hidden flex items-center px-3 py-2 border rounded text-gray-500 border-gray-600 hover:text-gray-800 hover:border-gray-300"
@@ -180,6 +214,15 @@ const Navbar = () => {
                 >
                   Browse Requests
                 </Link>
+                {hasRole(ROLES.VOLUNTEER) && (
+                  <Link
+                    to="/deliveries"
+                    className="px-2 py-1 text-gray-700 hover:text-primary-600"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    Deliveries
+                  </Link>
+                )}
 
                 <div className="pt-2 border-t border-gray-200">
                   {currentUser && !isGuest ? (
@@ -0,0 +1,29 @@
+// Map and geocoding backends, chosen in .env:
+//
+//   VITE_MAP_PROVIDER     google | leaflet (default: google with a key, else leaflet)
+//   VITE_GEOCODER         google | nominatim | stub (default: google with a key, else nominatim)
+//   VITE_NOMINATIM_URL    self-hosted Nominatim, default https://nominatim.openstreetmap.org
+//   VITE_MAP_TILE_URL     Leaflet tile template, default OpenStreetMap
+//   VITE_MAP_TILE_ATTRIBUTION  credit shown with those tiles
+//   VITE_MAP_CENTER       "lat,lng" the maps open on before the user's location is known
+
+const key = import.meta.env.VITE_GOOGLE_MAPS_API_KEY
+const googleMapsKey = key && key !== 'your-google-maps-api-key' ? key : null
+
+const parseCenter = (value) => {
+  const [lat, lng] = (value || '').split(',').map(Number)
+  return Number.isFinite(lat) && Number.isFinite(lng) && value ? { lat, lng } : null
+}
+
+export const mapConfig = {
+  provider: import.meta.env.VITE_MAP_PROVIDER || (googleMapsKey ? 'google' : 'leaflet'),
+  geocoder: import.meta.env.VITE_GEOCODER || (googleMapsKey ? 'google' : 'nominatim'),
+  googleMapsKey,
+  nominatimUrl: (import.meta.env.VITE_NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, ''),
+  tileUrl: import.meta.env.VITE_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  tileAttribution: import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+    '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  defaultCenter: parseCenter(import.meta.env.VITE_MAP_CENTER) || { lat: 37.7749, lng: -122.4194 } // San Francisco
+}
+
+export default mapConfig
@@ -0,0 +1,19 @@
+// Role names stored on users/{uid}.roles and checked by firestore.rules
+export const ROLES = {
+  ADMIN: "admin",
+  COORDINATOR: "coordinator",
+  DONOR: "donor",
+  RECIPIENT: "recipient",
+  VOLUNTEER: "volunteer",
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: "🔧 Admin",
+  [ROLES.COORDINATOR]: "🧭 Coordinator",
+  [ROLES.DONOR]: "🎁 Donor",
+  [ROLES.RECIPIENT]: "🏠 Recipient",
+  [ROLES.VOLUNTEER]: "🚲 Volunteer",
+};
+
+// Roles every new account starts with; the rules only let users grant themselves these
+export const DEFAULT_ROLES = [ROLES.DONOR, ROLES.RECIPIENT];
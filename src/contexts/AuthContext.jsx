@@ -8,6 +8,7 @@ import {
   signInAnonymously,
 } from "firebase/auth";
 import { auth } from "../config/firebase";
+import { subscribeToUserProfile } from "../services/users";
 
 const AuthContext = createContext();
 
@@ -19,6 +20,8 @@ export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isGuest, setIsGuest] = useState(false);
+  const [roles, setRoles] = useState([]);
+  const [rolesLoading, setRolesLoading] = useState(true);
 
   function signUp(email, password) {
     return createUserWithEmailAndPassword(auth, email, password);
@@ -39,18 +42,50 @@ export function AuthProvider({ children }) {
   }
 
 
+  function hasRole(role) {
+    return roles.includes(role);
+  }
+
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setCurrentUser(user);
+      setRolesLoading(true);
       setLoading(false);
     });
 
     return unsubscribe;
   }, []);
 
+  // Roles live on users/{uid}; firestore.rules only allows admins to change them
+  useEffect(() => {
+    if (!currentUser || currentUser.isAnonymous) {
+      setRoles([]);
+      setRolesLoading(false);
+      return;
+    }
+
+    const unsubscribe = subscribeToUserProfile(
+      currentUser,
+      (profile) => {
+        setRoles(profile.roles || []);
+        setRolesLoading(false);
+      },
+      (error) => {
+        console.error("Error loading user roles:", error);
+        setRoles([]);
+        setRolesLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [currentUser]);
+
   const value = {
     currentUser,
     isGuest,
+    roles,
+    rolesLoading,
+    hasRole,
     signUp,
     login,
     logout,
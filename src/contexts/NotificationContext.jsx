@@ -1,5 +1,8 @@
 import React from "react";
-import { createContext, useContext, useState } from "react";
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { useAuth } from "./AuthContext";
+import { subscribeToNotifications } from "../services/notifications";
+import { getUnreadCount } from "../services/notificationModel";
 
 const NotificationContext = createContext();
 
@@ -8,11 +11,19 @@ export function useNotification() {
 }
 
 export function NotificationProvider({ children }) {
+  const { currentUser, isGuest } = useAuth();
   const [notifications, setNotifications] = useState([]);
+  const [inbox, setInbox] = useState([]);
+  // Inbox ids already seen, so only ones arriving later pop up as toasts
+  const seenIdsRef = useRef(null);
 
-  const addNotification = (notification) => {
-    const id = Date.now();
-    const newNotification = { id, ...notification };
+  const removeNotification = useCallback((id) => {
+    setNotifications((prev) => prev.filter((notif) => notif.id !== id));
+  }, []);
+
+  const addNotification = useCallback((notification) => {
+    const id = notification.id ?? Date.now();
+    const newNotification = { ...notification, id };
     setNotifications((prev) => [...prev, newNotification]);
 
     if (notification.duration !== 0) {
@@ -20,11 +31,7 @@ export function NotificationProvider({ children }) {
         removeNotification(id);
       }, notification.duration || 5000);
     }
-  };
-
-  const removeNotification = (id) => {
-    setNotifications((prev) => prev.filter((notif) => notif.id !== id));
-  };
+  }, [removeNotification]);
 
   const showSuccess = (message) => {
     addNotification({
@@ -50,14 +57,37 @@ export function NotificationProvider({ children }) {
     });
   };
 
-  const notifyNewDonation = (donation) => {
-    addNotification({
-      type: "info",
-      title: "New Donation Available!",
-      message: `${donation.foodItem} is now available for pickup at ${donation.location}`,
-      duration: 8000,
-    });
-  };
+  // Signed-in users' inbox, live; guests have none
+  const uid = currentUser && !isGuest ? currentUser.uid : null;
+
+  useEffect(() => {
+    seenIdsRef.current = null;
+    setInbox([]);
+    if (!uid) return;
+
+    return subscribeToNotifications(
+      uid,
+      (items) => {
+        if (seenIdsRef.current) {
+          items
+            .filter((item) => !item.read && !seenIdsRef.current.has(item.id))
+            .forEach((item) =>
+              addNotification({
+                id: item.id,
+                type: "info",
+                title: item.title,
+                message: item.message,
+                link: item.link,
+                duration: 8000,
+              })
+            );
+        }
+        seenIdsRef.current = new Set(items.map((item) => item.id));
+        setInbox(items);
+      },
+      (error) => console.error("Error loading notifications:", error)
+    );
+  }, [uid, addNotification]);
 
   const value = {
     notifications,
@@ -66,7 +96,8 @@ export function NotificationProvider({ children }) {
     showSuccess,
     showError,
     showInfo,
-    notifyNewDonation,
+    inbox,
+    unreadCount: getUnreadCount(inbox),
   };
 
   return (
@@ -0,0 +1,27 @@
+import { useState, useEffect } from "react";
+import { subscribeToLedger } from "../services/ledger";
+import { getLedgerSummary } from "../services/ledgerModel";
+
+/**
+ * Live allowance ledger totals for a household, with today's, this week's
+ * and this month's servings.
+ * @param {string|null|undefined} householdId
+ */
+export const useAllowanceLedger = (householdId) => {
+  const [ledger, setLedger] = useState(null);
+
+  useEffect(() => {
+    if (!householdId) {
+      setLedger(null);
+      return;
+    }
+
+    const unsubscribe = subscribeToLedger(householdId, setLedger, (err) =>
+      console.error("Error fetching allowance ledger:", err)
+    );
+
+    return () => unsubscribe();
+  }, [householdId]);
+
+  return { ledger, summary: getLedgerSummary(ledger) };
+};
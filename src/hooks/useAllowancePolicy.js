@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import { subscribeToAllowancePolicy } from "../services/allowancePolicy";
+import { DEFAULT_POLICY } from "../services/allowanceModel";
+
+/**
+ * Live fair-share allowance policy (DEFAULT_POLICY until one is saved).
+ */
+export const useAllowancePolicy = () => {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToAllowancePolicy(
+      (data) => {
+        setPolicy(data);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching allowance policy:", err);
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  return { policy, loading };
+};
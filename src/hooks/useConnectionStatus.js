@@ -0,0 +1,31 @@
+import { useState, useEffect } from "react";
+import { isOffline, subscribeToQueue } from "../services/offlineQueue";
+
+/**
+ * Whether the browser is online, with the user's changes waiting in the
+ * offline queue and those the server refused when they were replayed.
+ * @param {string|null|undefined} userId
+ */
+export const useConnectionStatus = (userId) => {
+  const [online, setOnline] = useState(!isOffline());
+  const [queue, setQueue] = useState({ pending: [], conflicts: [] });
+
+  useEffect(() => subscribeToQueue(setQueue), []);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  return {
+    online,
+    pending: queue.pending.filter((item) => item.userId === userId),
+    conflicts: queue.conflicts.filter((item) => item.userId === userId),
+  };
+};
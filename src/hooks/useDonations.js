@@ -0,0 +1,43 @@
+import { useState, useEffect } from "react";
+import {
+  subscribeToDonations,
+  subscribeToAvailableDonations,
+  subscribeToDonationsNear,
+} from "../services/donations";
+
+/**
+ * Live, normalized donation listings.
+ * @param {{availableOnly?: boolean, near?: {center: {lat: number, lng: number}, km: number}|null}} [options]
+ *   `availableOnly`: only donations still marked `available`;
+ *   `near`: only donations within `km` of `center`, loaded by geohash
+ */
+export const useDonations = ({ availableOnly = false, near = null } = {}) => {
+  const [donations, setDonations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const lat = near?.center.lat;
+  const lng = near?.center.lng;
+  const km = near?.km;
+
+  useEffect(() => {
+    const onChange = (data) => {
+      setDonations(data);
+      setLoading(false);
+      setError(null);
+    };
+    const onError = (err) => {
+      console.error("Error fetching donations:", err);
+      setError(err.message);
+      setLoading(false);
+    };
+
+    const unsubscribe =
+      km !== undefined
+        ? subscribeToDonationsNear({ lat, lng }, km, onChange, onError)
+        : (availableOnly ? subscribeToAvailableDonations : subscribeToDonations)(onChange, onError);
+
+    return () => unsubscribe();
+  }, [availableOnly, lat, lng, km]);
+
+  return { donations, loading, error };
+};
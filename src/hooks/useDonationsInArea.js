@@ -0,0 +1,37 @@
+import { useState, useEffect } from "react";
+import { subscribeToDonationsInArea } from "../services/donations";
+
+/**
+ * Live donations inside the geohash cells covering a map viewport.
+ * @param {string[]|null} prefixes from getGeohashCover; null until the map knows its bounds
+ */
+export const useDonationsInArea = (prefixes) => {
+  const [donations, setDonations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Viewports that round to the same cells keep the same subscription
+  const key = prefixes ? prefixes.join(",") : null;
+
+  useEffect(() => {
+    if (key === null) return;
+    setLoading(true);
+
+    const unsubscribe = subscribeToDonationsInArea(
+      key.split(","),
+      (data) => {
+        setDonations(data);
+        setLoading(false);
+        setError(null);
+      },
+      (err) => {
+        console.error("Error fetching donations in area:", err);
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [key]);
+
+  return { donations, loading, error };
+};
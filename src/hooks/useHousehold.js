@@ -1,17 +1,18 @@
 import { useState, useEffect } from "react";
-import { 
-  collection, 
-  query, 
-  where, 
-  onSnapshot, 
-  doc, 
-  getDoc 
-} from "firebase/firestore";
-import { db } from "../config/firebase";
 import { useAuth } from "../contexts/AuthContext";
+import { subscribeToRegistrantHousehold, subscribeToMemberHousehold, getHousehold } from "../services/households";
+import { canUserApply, getLinkedMember } from "../services/householdModel";
+import {
+  resolveRules,
+  getHouseholdSize as householdSize,
+  isLargeHousehold as largeHousehold,
+  getHouseholdShare,
+} from "../services/allowanceModel";
+import { useAllowancePolicy } from "./useAllowancePolicy";
 
 export const useHousehold = () => {
   const { currentUser } = useAuth();
+  const { policy } = useAllowancePolicy();
   const [household, setHousehold] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -23,90 +24,55 @@ export const useHousehold = () => {
       return;
     }
 
-    const userId = currentUser.uid;
-    
-    // Query for household where user is the registrant
-    const householdQuery = query(
-      collection(db, "households"),
-      where("registrantId", "==", userId)
-    );
+    // A user's own registration wins over a household they were invited into
+    const found = { registrant: undefined, member: undefined };
+    const update = (key) => (data) => {
+      found[key] = data;
+      if (found.registrant === undefined || found.member === undefined) return;
+      setHousehold(found.registrant || found.member);
+      setLoading(false);
+      setError(null);
+    };
+    const handleError = (err) => {
+      console.error("Error fetching household:", err);
+      setError(err.message);
+      setLoading(false);
+    };
 
-    const unsubscribe = onSnapshot(
-      householdQuery,
-      (querySnapshot) => {
-        if (!querySnapshot.empty) {
-          const householdDoc = querySnapshot.docs[0];
-          setHousehold({
-            id: householdDoc.id,
-            ...householdDoc.data()
-          });
-        } else {
-          // Check if user is listed as a member in any household
-          const memberQuery = query(
-            collection(db, "households"),
-            where("members", "array-contains", {
-              email: currentUser.email,
-              isRegistrant: false
-            })
-          );
-          
-          // For simplicity, we'll just set household to null if they're not the registrant
-          // In a full implementation, you might want to search through all households
-          setHousehold(null);
-        }
-        setLoading(false);
-        setError(null);
-      },
-      (err) => {
-        console.error("Error fetching household:", err);
-        setError(err.message);
-        setLoading(false);
-      }
-    );
+    const unsubscribes = [
+      subscribeToRegistrantHousehold(currentUser.uid, update("registrant"), handleError),
+      subscribeToMemberHousehold(currentUser.uid, update("member"), handleError),
+    ];
 
-    return () => unsubscribe();
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
   }, [currentUser]);
 
-  const getHouseholdSize = () => {
-    return household?.memberCount || household?.members?.length || 0;
-  };
+  const getHouseholdSize = () => householdSize(household);
 
-  const isLargeHousehold = () => {
-    return getHouseholdSize() >= 7;
-  };
+  // Base policy rules; category and site overrides apply per donation
+  const allowanceRules = resolveRules(policy);
 
-  const getMaxDonationPercentage = () => {
-    return isLargeHousehold() ? 0.35 : 0.30; // 35% for 7+ members, 30% for smaller households
-  };
+  const isLargeHousehold = () => largeHousehold(household, allowanceRules);
+
+  const getMaxDonationPercentage = () => getHouseholdShare(household, allowanceRules);
 
   const isUserRegistrant = () => {
     return household?.registrantId === currentUser?.uid;
   };
 
-  const canApplyForDonations = () => {
-    if (!household || !currentUser) return false;
-    
-    // Check if user is the registrant
-    if (isUserRegistrant()) return true;
-    
-    // Check if user is marked as someone who can apply
-    const userMember = household.members?.find(
-      member => member.email === currentUser.email && member.isRegistrant
-    );
-    
-    return !!userMember;
-  };
+  // The registrant, or a linked member allowed to apply for the household
+  const canApplyForDonations = () => canUserApply(household, currentUser?.uid);
+
+  // The member entry linked to the user's account, for invited members
+  const getLinkedMemberEntry = () => getLinkedMember(household, currentUser?.uid);
 
   const refreshHousehold = async () => {
     if (!household?.id) return;
     
     try {
-      const householdDoc = await getDoc(doc(db, "households", household.id));
-      if (householdDoc.exists()) {
-        setHousehold({
-          id: householdDoc.id,
-          ...householdDoc.data()
-        });
+      const refreshed = await getHousehold(household.id);
+      if (refreshed) {
+        setHousehold(refreshed);
       }
     } catch (err) {
       console.error("Error refreshing household:", err);
@@ -121,8 +87,10 @@ export const useHousehold = () => {
     getHouseholdSize,
     isLargeHousehold,
     getMaxDonationPercentage,
+    allowanceRules,
     isUserRegistrant,
     canApplyForDonations,
+    getLinkedMemberEntry,
     refreshHousehold,
     hasHousehold: !!household
   };
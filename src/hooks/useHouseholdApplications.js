@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import { subscribeToHouseholdApplications } from "../services/applications";
+
+/**
+ * Live applications for a household.
+ * @param {string|null|undefined} householdId
+ */
+export const useHouseholdApplications = (householdId) => {
+  const [applications, setApplications] = useState([]);
+
+  useEffect(() => {
+    if (!householdId) {
+      // For users without household or guests, reset the applications
+      setApplications([]);
+      return;
+    }
+
+    const unsubscribe = subscribeToHouseholdApplications(
+      householdId,
+      setApplications,
+      (err) => console.error("Error fetching household applications:", err)
+    );
+
+    return () => unsubscribe();
+  }, [householdId]);
+
+  return { applications };
+};
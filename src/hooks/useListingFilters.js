@@ -0,0 +1,43 @@
+import { useMemo, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  filterListings,
+  filtersFromParams,
+  filtersToParams,
+} from "../services/listingFilters";
+
+/**
+ * Filter state kept in the URL query string.
+ * @param {object} defaults DEFAULT_DONATION_FILTERS or DEFAULT_REQUEST_FILTERS (a module constant)
+ */
+export const useFilterParams = (defaults) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => filtersFromParams(searchParams, defaults), [searchParams, defaults]);
+
+  const setFilters = useCallback(
+    (next) => setSearchParams(filtersToParams(next, defaults), { replace: true }),
+    [setSearchParams, defaults]
+  );
+
+  const resetFilters = useCallback(() => setFilters(defaults), [setFilters, defaults]);
+
+  return { filters, setFilters, resetFilters };
+};
+
+/**
+ * Filter state kept in the URL query string, and the items that match it.
+ * @param {object[]} items donations or requests
+ * @param {object} defaults DEFAULT_DONATION_FILTERS or DEFAULT_REQUEST_FILTERS (a module constant)
+ * @param {object[]|null} [restrictions] household restrictions for the "safe for my household" filter (memoized)
+ */
+export const useListingFilters = (items, defaults, restrictions = null) => {
+  const { filters, setFilters, resetFilters } = useFilterParams(defaults);
+
+  const filteredItems = useMemo(
+    () => filterListings(items, filters, { restrictions }),
+    [items, filters, restrictions]
+  );
+
+  return { filters, setFilters, resetFilters, filteredItems };
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect } from "react";
+import {
+  subscribeToRequests,
+  subscribeToOpenRequests,
+  subscribeToRequestsNear,
+} from "../services/requests";
+
+/**
+ * Live food requests, urgent first.
+ * @param {{openOnly?: boolean, near?: {center: {lat: number, lng: number}, km: number}|null}} [options]
+ *   `openOnly`: only requests that are still open;
+ *   `near`: only requests within `km` of `center`, loaded by geohash
+ */
+export const useRequests = ({ openOnly = false, near = null } = {}) => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const lat = near?.center.lat;
+  const lng = near?.center.lng;
+  const km = near?.km;
+
+  useEffect(() => {
+    const onChange = (data) => {
+      setRequests(data);
+      setLoading(false);
+      setError(null);
+    };
+    const onError = (err) => {
+      console.error("Error fetching requests:", err);
+      setError(err.message);
+      setLoading(false);
+    };
+
+    const unsubscribe =
+      km !== undefined
+        ? subscribeToRequestsNear({ lat, lng }, km, onChange, onError)
+        : (openOnly ? subscribeToOpenRequests : subscribeToRequests)(onChange, onError);
+
+    return () => unsubscribe();
+  }, [openOnly, lat, lng, km]);
+
+  return { requests, loading, error };
+};
@@ -1,23 +1,84 @@
 import React, { useState, useEffect } from "react";
 import {
-  collection,
-  query,
-  onSnapshot,
-  updateDoc,
-  doc,
-  deleteDoc,
-  where,
-  orderBy,
-  getDocs,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
+  subscribeToAllDonations,
+  updateDonationStatus,
+  deleteDonation,
+} from "../services/donations";
+import {
+  subscribeToRequests,
+  updateRequestStatus,
+  deleteRequest,
+} from "../services/requests";
+import {
+  APPLICATION_CONFLICT,
+  APPLICATION_STATUSES,
+  subscribeToAllApplications,
+  approveApplication,
+  waitlistApplication,
+  rejectApplication,
+  updateApplicationStatus,
+  deleteApplication,
+} from "../services/applications";
+import { subscribeToAllHouseholds, deleteHousehold } from "../services/households";
+import { removeDonationPhoto } from "../services/photos";
+import { resetPickupAttempts } from "../services/pickups";
+import { subscribeToUsers, setUserRole } from "../services/users";
+import { ROLES, ROLE_LABELS } from "../config/roles";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotification } from "../contexts/NotificationContext";
+import { useAllowancePolicy } from "../hooks/useAllowancePolicy";
+import { getHouseholdShare, resolveRules } from "../services/allowanceModel";
+import { VERIFICATION_LABELS, getVerificationStatus, findDuplicateHouseholds } from "../services/householdModel";
+import {
+  describeQuantity,
+  formatQuantity,
+  getOriginalAmount,
+  getRemainingAmount,
+  toServings,
+} from "../services/quantityModel";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
+import AllowancePolicyEditor from "../components/admin/AllowancePolicyEditor";
+import HouseholdReviewQueue from "../components/admin/HouseholdReviewQueue";
+import DonationPhotos from "../components/common/DonationPhotos";
+import AllowanceLedger from "../components/common/AllowanceLedger";
+
+// Review decisions go through the services that keep reservations and the waitlist in step
+const updateApplication = (applicationId, status, reviewerId) => {
+  switch (status) {
+    case APPLICATION_STATUSES.APPROVED:
+      return approveApplication(applicationId, reviewerId);
+    case APPLICATION_STATUSES.WAITLISTED:
+      return waitlistApplication(applicationId, reviewerId);
+    case APPLICATION_STATUSES.REJECTED:
+      return rejectApplication(applicationId, reviewerId, "Declined by an administrator");
+    default:
+      return updateApplicationStatus(applicationId, status);
+  }
+};
+
+// Admin actions keyed by the collection each list is backed by
+const STATUS_UPDATERS = {
+  donations: updateDonationStatus,
+  requests: updateRequestStatus,
+  applications: updateApplication,
+};
+
+const DELETERS = {
+  donations: deleteDonation,
+  requests: deleteRequest,
+  applications: deleteApplication,
+  households: deleteHousehold,
+};
 
 const AdminPage = () => {
-  const { currentUser } = useAuth();
+  const { currentUser, hasRole } = useAuth();
   const { showSuccess, showError } = useNotification();
+  const { policy } = useAllowancePolicy();
+
+  // Roles come from users/{uid} and are enforced again by firestore.rules.
+  // Coordinators only get the households tab, to review and verify registrations.
+  const isAdmin = hasRole(ROLES.ADMIN);
+  const isCoordinator = !isAdmin && hasRole(ROLES.COORDINATOR);
 
   // State management
   const [activeTab, setActiveTab] = useState("dashboard");
@@ -27,83 +88,37 @@ const AdminPage = () => {
   // Data states
   const [donations, setDonations] = useState([]);
   const [requests, setRequests] = useState([]);
-  const [customRequests, setCustomRequests] = useState([]);
   const [applications, setApplications] = useState([]);
   const [households, setHouseholds] = useState([]);
+  const [users, setUsers] = useState([]);
   const [stats, setStats] = useState({});
   const [chartData, setChartData] = useState({});
+  const [ledgerHouseholdId, setLedgerHouseholdId] = useState(null);
 
-  // Simple admin check (in production, use proper role-based authentication)
-  const isAdmin =
-    currentUser?.email === "evansnyamai98@gmail.com" ||
-    currentUser?.email?.includes("admin") ||
-    currentUser?.uid === "admin-uid";
+  // Roles load after the first render
+  useEffect(() => {
+    if (isCoordinator) setActiveTab("households");
+  }, [isCoordinator]);
 
   useEffect(() => {
-    if (!isAdmin) return;
+    if (!isAdmin && !isCoordinator) return;
 
     const subscriptions = [];
 
     try {
-      // Donations subscription
-      const donationsQuery = query(collection(db, "donations"));
-      const unsubDonations = onSnapshot(donationsQuery, (snapshot) => {
-        const data = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setDonations(data);
-      });
-      subscriptions.push(unsubDonations);
-
-      // Regular requests subscription
-      const requestsQuery = query(collection(db, "requests"));
-      const unsubRequests = onSnapshot(requestsQuery, (snapshot) => {
-        const data = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setRequests(data);
-      });
-      subscriptions.push(unsubRequests);
-
-      // Custom food requests subscription
-      const customRequestsQuery = query(collection(db, "food-requests"));
-      const unsubCustomRequests = onSnapshot(
-        customRequestsQuery,
-        (snapshot) => {
-          const data = snapshot.docs.map((doc) => ({
-            id: doc.id,
-            ...doc.data(),
-            type: "custom",
-          }));
-          setCustomRequests(data);
-        }
+      subscriptions.push(
+        subscribeToAllHouseholds((data) => {
+          setHouseholds(data);
+          setLoading(false);
+        })
       );
-      subscriptions.push(unsubCustomRequests);
-
-      // Applications subscription
-      const applicationsQuery = query(collection(db, "applications"));
-      const unsubApplications = onSnapshot(applicationsQuery, (snapshot) => {
-        const data = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setApplications(data);
-      });
-      subscriptions.push(unsubApplications);
-
-      // Households subscription
-      const householdsQuery = query(collection(db, "households"));
-      const unsubHouseholds = onSnapshot(householdsQuery, (snapshot) => {
-        const data = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setHouseholds(data);
-        setLoading(false);
-      });
-      subscriptions.push(unsubHouseholds);
+      if (isAdmin) {
+        subscriptions.push(subscribeToAllDonations(setDonations));
+        subscriptions.push(subscribeToRequests(setRequests));
+        subscriptions.push(subscribeToAllApplications(setApplications));
+        // Users subscription (for role assignment)
+        subscriptions.push(subscribeToUsers(setUsers));
+      }
     } catch (error) {
       console.error("Error setting up subscriptions:", error);
       setLoading(false);
@@ -112,16 +127,15 @@ const AdminPage = () => {
     return () => {
       subscriptions.forEach((unsub) => unsub());
     };
-  }, [isAdmin]);
+  }, [isAdmin, isCoordinator]);
 
   // Calculate stats and chart data whenever data changes
   useEffect(() => {
     calculateStats();
     generateChartData();
-  }, [donations, requests, customRequests, applications, households]);
+  }, [donations, requests, applications, households]);
 
   const calculateStats = () => {
-    const allRequests = [...requests, ...customRequests];
     const now = new Date();
     const todayStart = new Date(
       now.getFullYear(),
@@ -141,7 +155,7 @@ const AdminPage = () => {
     const stats = {
       // Overview stats
       totalDonations: donations.length,
-      totalRequests: allRequests.length,
+      totalRequests: requests.length,
       totalApplications: applications.length,
       totalHouseholds: households.length,
 
@@ -156,8 +170,8 @@ const AdminPage = () => {
         .length,
 
       // Request stats
-      openRequests: allRequests.filter((r) => r.status === "open").length,
-      fulfilledRequests: allRequests.filter((r) => r.status === "fulfilled")
+      openRequests: requests.filter((r) => r.status === "open").length,
+      fulfilledRequests: requests.filter((r) => r.status === "fulfilled")
         .length,
 
       // Application stats
@@ -173,7 +187,7 @@ const AdminPage = () => {
       uniqueDonors: new Set(donations.map((d) => d.donorId).filter(Boolean))
         .size,
       uniqueRequesters: new Set(
-        allRequests.map((r) => r.requesterId).filter(Boolean)
+        requests.map((r) => r.requesterId).filter(Boolean)
       ).size,
       guestDonors: donations.filter((d) => d.isGuest).length,
       registeredDonors: donations.filter((d) => !d.isGuest).length,
@@ -204,43 +218,40 @@ const AdminPage = () => {
         isWithinRange(d.createdAt, thisMonthStart)
       ).length,
 
-      requestsToday: allRequests.filter((r) =>
+      requestsToday: requests.filter((r) =>
         isWithinRange(r.createdAt, todayStart)
       ).length,
-      requestsThisWeek: allRequests.filter((r) =>
+      requestsThisWeek: requests.filter((r) =>
         isWithinRange(r.createdAt, thisWeekStart)
       ).length,
-      requestsThisMonth: allRequests.filter((r) =>
+      requestsThisMonth: requests.filter((r) =>
         isWithinRange(r.createdAt, thisMonthStart)
       ).length,
 
       // Success metrics
       fulfillmentRate:
-        allRequests.length > 0
+        requests.length > 0
           ? (
-              (allRequests.filter((r) => r.status === "fulfilled").length /
-                allRequests.length) *
+              (requests.filter((r) => r.status === "fulfilled").length /
+                requests.length) *
               100
             ).toFixed(1)
           : 0,
 
-      // Food quantity metrics
+      // Food quantity metrics, in servings across all units
       totalServings: donations.reduce(
-        (sum, d) =>
-          sum + (parseInt(d.quantity) || parseInt(d.originalQuantity) || 0),
+        (sum, d) => sum + toServings(getOriginalAmount(d), d),
         0
       ),
       remainingServings: donations.reduce(
+        (sum, d) => sum + toServings(getRemainingAmount(d), d),
+        0
+      ),
+      servedServings: donations.reduce(
         (sum, d) =>
-          sum + (parseInt(d.remainingQuantity) || parseInt(d.quantity) || 0),
+          sum + toServings(getOriginalAmount(d) - getRemainingAmount(d), d),
         0
       ),
-      servedServings: donations.reduce((sum, d) => {
-        const original =
-          parseInt(d.originalQuantity) || parseInt(d.quantity) || 0;
-        const remaining = parseInt(d.remainingQuantity) || original;
-        return sum + (original - remaining);
-      }, 0),
     };
 
     setStats(stats);
@@ -279,8 +290,7 @@ const AdminPage = () => {
       );
       const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
 
-      const allRequests = [...requests, ...customRequests];
-      return allRequests.filter((r) => {
+      return requests.filter((r) => {
         if (!r.createdAt) return false;
         const requestDate = r.createdAt.toDate
           ? r.createdAt.toDate()
@@ -311,10 +321,10 @@ const AdminPage = () => {
             .length,
         },
         requests: {
-          open: [...requests, ...customRequests].filter(
+          open: requests.filter(
             (r) => r.status === "open"
           ).length,
-          fulfilled: [...requests, ...customRequests].filter(
+          fulfilled: requests.filter(
             (r) => r.status === "fulfilled"
           ).length,
         },
@@ -325,14 +335,11 @@ const AdminPage = () => {
   const handleStatusUpdate = async (itemId, collectionName, newStatus) => {
     try {
       setRefreshing(true);
-      await updateDoc(doc(db, collectionName, itemId), {
-        status: newStatus,
-        updatedAt: new Date(),
-      });
+      await STATUS_UPDATERS[collectionName](itemId, newStatus, currentUser.uid);
       showSuccess(`Status updated to ${newStatus}`);
     } catch (error) {
       console.error("Error updating status:", error);
-      showError("Failed to update status");
+      showError(error.code === APPLICATION_CONFLICT ? error.message : "Failed to update status");
     } finally {
       setRefreshing(false);
     }
@@ -348,7 +355,7 @@ const AdminPage = () => {
 
     try {
       setRefreshing(true);
-      await deleteDoc(doc(db, collectionName, itemId));
+      await DELETERS[collectionName](itemId);
       showSuccess("Item deleted successfully");
     } catch (error) {
       console.error("Error deleting item:", error);
@@ -358,6 +365,58 @@ const AdminPage = () => {
     }
   };
 
+  const handleRemovePhoto = async (donation, photo) => {
+    if (!confirm(`Remove this photo from "${donation.foodItem}"? This cannot be undone.`)) return;
+
+    try {
+      setRefreshing(true);
+      await removeDonationPhoto(donation.id, photo);
+      showSuccess("Photo removed");
+    } catch (error) {
+      console.error("Error removing photo:", error);
+      showError("Failed to remove photo");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleUnlockPickup = async (application) => {
+    try {
+      setRefreshing(true);
+      await resetPickupAttempts(application.id);
+      showSuccess(`Pickup code tries cleared for ${application.householdName || "this household"}`);
+    } catch (error) {
+      console.error("Error unlocking pickup:", error);
+      showError("Failed to unlock the pickup");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleRoleToggle = async (user, role) => {
+    const hasUserRole = user.roles?.includes(role);
+
+    if (hasUserRole && role === ROLES.ADMIN && user.id === currentUser?.uid) {
+      showError("You cannot remove your own admin role");
+      return;
+    }
+
+    try {
+      setRefreshing(true);
+      await setUserRole(user.id, role, !hasUserRole, currentUser.uid);
+      showSuccess(
+        `${hasUserRole ? "Removed" : "Granted"} ${role} role ${
+          hasUserRole ? "from" : "to"
+        } ${user.email || user.id}`
+      );
+    } catch (error) {
+      console.error("Error updating roles:", error);
+      showError("Failed to update roles");
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
   const refreshData = async () => {
     try {
       setRefreshing(true);
@@ -400,7 +459,10 @@ const AdminPage = () => {
       case "fulfilled":
       case "approved":
         return "bg-blue-100 text-blue-800 border-blue-200";
+      case "waitlisted":
+        return "bg-purple-100 text-purple-800 border-purple-200";
       case "fully_booked":
+      case "rejected":
         return "bg-red-100 text-red-800 border-red-200";
       default:
         return "bg-gray-100 text-gray-800 border-gray-200";
@@ -496,22 +558,13 @@ const AdminPage = () => {
     );
   };
 
-  if (!isAdmin) {
+  if (!isAdmin && !isCoordinator) {
+    // Shows the sign-in prompt, a loading state or "Access Denied" as appropriate
     return (
-      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-red-50 via-white to-orange-50">
-        <div className="text-center p-8 bg-white rounded-2xl shadow-xl border border-red-200">
-          <div className="text-6xl mb-4">🚫</div>
-          <h2 className="text-3xl font-bold text-gray-800 mb-4">
-            Access Denied
-          </h2>
-          <p className="text-gray-600 mb-6">
-            You don't have permission to access the admin panel.
-          </p>
-          <p className="text-sm text-gray-500">
-            Contact the system administrator if you believe this is an error.
-          </p>
-        </div>
-      </div>
+      <ProtectedRoute
+        requiredRole={ROLES.ADMIN}
+        message="Admin access is restricted to authorized administrators only. Please contact support if you believe you should have admin access."
+      />
     );
   }
 
@@ -535,7 +588,10 @@ const AdminPage = () => {
   }
 
   return (
-    <ProtectedRoute message="Admin access is restricted to authorized administrators only. Please contact support if you believe you should have admin access.">
+    <ProtectedRoute
+      requiredRole={isAdmin ? ROLES.ADMIN : ROLES.COORDINATOR}
+      message="Admin access is restricted to authorized administrators only. Please contact support if you believe you should have admin access."
+    >
     <div className="min-h-screen bg-gray-100 flex flex-col">
       {/* Top Navigation Bar (Red) */}
       <nav className="bg-gradient-to-r from-red-500 to-red-600 shadow-lg h-16 flex items-center justify-between px-6 relative z-50">
@@ -570,7 +626,7 @@ const AdminPage = () => {
             </div>
             <div className="text-sm">
               <p className="font-medium">{currentUser?.email?.split('@')[0] || 'Admin'}</p>
-              <p className="text-red-100 text-xs">Administrator</p>
+              <p className="text-red-100 text-xs">{isAdmin ? "Administrator" : "Coordinator"}</p>
             </div>
           </div>
 
@@ -590,10 +646,12 @@ const AdminPage = () => {
               {[
                 { id: "dashboard", label: "📊 Dashboard", count: null },
                 { id: "donations", label: "🎁 Donations", count: donations.length },
-                { id: "requests", label: "📝 Requests", count: requests.length + customRequests.length },
+                { id: "requests", label: "📝 Requests", count: requests.length },
                 { id: "households", label: "🏠 Households", count: households.length },
                 { id: "applications", label: "📋 Applications", count: applications.length },
-              ].map((tab) => (
+                { id: "users", label: "👥 Users", count: users.length },
+                { id: "policy", label: "⚖️ Policy", count: null },
+              ].filter((tab) => isAdmin || tab.id === "households").map((tab) => (
                 <button
                   key={tab.id}
                   onClick={() => setActiveTab(tab.id)}
@@ -661,14 +719,18 @@ const AdminPage = () => {
                          activeTab === "donations" ? "🎁 Donations Management" :
                          activeTab === "requests" ? "📝 Requests Management" :
                          activeTab === "households" ? "🏠 Households Management" :
-                         activeTab === "applications" ? "📋 Applications Management" : "Admin Panel"}
+                         activeTab === "applications" ? "📋 Applications Management" :
+                         activeTab === "users" ? "👥 Users & Roles" :
+                         activeTab === "policy" ? "⚖️ Fair-Share Policy" : "Admin Panel"}
                       </h1>
                       <p className="text-blue-100 mt-2">
                         {activeTab === "dashboard" ? "Real-time insights and analytics" :
                          activeTab === "donations" ? "Monitor and manage food donations" :
                          activeTab === "requests" ? "Review and process food requests" :
                          activeTab === "households" ? "Manage registered households" :
-                         activeTab === "applications" ? "Review donation applications" : "Administrative controls"}
+                         activeTab === "applications" ? "Review donation applications" :
+                         activeTab === "users" ? "Assign roles to registered users" :
+                         activeTab === "policy" ? "Set how much each household may take" : "Administrative controls"}
                       </p>
                     </div>
                     <div className="flex items-center space-x-3">
@@ -948,9 +1010,7 @@ const AdminPage = () => {
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
                         <div className="text-center">
                           <div className="font-bold text-gray-800">
-                            {donation.quantity ||
-                              donation.originalQuantity ||
-                              "N/A"}
+                            {describeQuantity(donation)}
                           </div>
                           <div className="text-xs text-gray-600">
                             Original Qty
@@ -958,9 +1018,10 @@ const AdminPage = () => {
                         </div>
                         <div className="text-center">
                           <div className="font-bold text-green-600">
-                            {donation.remainingQuantity ||
-                              donation.quantity ||
-                              "N/A"}
+                            {describeQuantity(
+                              donation,
+                              getRemainingAmount(donation)
+                            )}
                           </div>
                           <div className="text-xs text-gray-600">Remaining</div>
                         </div>
@@ -980,6 +1041,13 @@ const AdminPage = () => {
                         </div>
                       </div>
 
+                      <DonationPhotos
+                        photos={donation.photos}
+                        size="sm"
+                        className="mb-4"
+                        onRemove={(photo) => handleRemovePhoto(donation, photo)}
+                      />
+
                       {donation.description && (
                         <div className="mb-4 p-3 bg-blue-50 rounded-lg">
                           <p className="text-sm text-gray-700">
@@ -1016,6 +1084,7 @@ const AdminPage = () => {
                           </option>
                           <option value="fully_booked">Fully Booked</option>
                           <option value="completed">Completed</option>
+                          <option value="expired">Expired</option>
                         </select>
                         <button
                           onClick={() => handleDelete(donation.id, "donations")}
@@ -1048,256 +1117,131 @@ const AdminPage = () => {
           <div className="space-y-6">
             <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
               <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-                📝 Requests Management (
-                {requests.length + customRequests.length})
+                📝 Requests Management ({requests.length})
               </h2>
 
-              {/* Regular Requests */}
               {requests.length > 0 && (
-                <div className="mb-8">
-                  <h3 className="text-lg font-semibold text-gray-700 mb-4">
-                    📋 Regular Requests ({requests.length})
-                  </h3>
-                  <div className="space-y-4">
-                    {requests.map((request) => (
-                      <div
-                        key={request.id}
-                        className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-shadow"
-                      >
-                        <div className="flex justify-between items-start mb-4">
-                          <div className="flex-1">
-                            <h4 className="text-lg font-bold text-gray-800 mb-2">
-                              {request.foodType?.replace("-", " ") ||
-                                "Food Request"}{" "}
-                              - {request.quantity}
-                            </h4>
-                            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm text-gray-600">
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">📍</span>
-                                {request.location}
-                              </div>
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">👤</span>
-                                {request.requesterName || "Anonymous"} (
-                                {request.isGuest ? "Guest" : "Registered"})
-                              </div>
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">📞</span>
-                                {request.contactInfo}
-                              </div>
+                <div className="space-y-4">
+                  {requests.map((request) => (
+                    <div
+                      key={request.id}
+                      className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-shadow"
+                    >
+                      <div className="flex justify-between items-start mb-4">
+                        <div className="flex-1">
+                          <h4 className="text-lg font-bold text-gray-800 mb-2">
+                            {request.foodItem} - {request.quantity}
+                          </h4>
+                          <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm text-gray-600">
+                            <div className="flex items-center">
+                              <span className="w-4 h-4 mr-2">📍</span>
+                              {request.location || "No location specified"}
+                            </div>
+                            <div className="flex items-center">
+                              <span className="w-4 h-4 mr-2">👤</span>
+                              {request.requesterName || "Anonymous"} (
+                              {request.isGuest ? "Guest" : "Registered"})
+                            </div>
+                            <div className="flex items-center">
+                              <span className="w-4 h-4 mr-2">📞</span>
+                              {request.contactInfo}
                             </div>
                           </div>
-                          <div className="flex flex-col items-end gap-2">
+                        </div>
+                        <div className="flex flex-col items-end gap-2">
+                          <span
+                            className={`px-3 py-1 rounded-full text-xs font-medium border ${getStatusColor(
+                              request.status
+                            )}`}
+                          >
+                            {request.status}
+                          </span>
+                          {request.urgency && (
                             <span
-                              className={`px-3 py-1 rounded-full text-xs font-medium border ${getStatusColor(
-                                request.status
+                              className={`px-2 py-1 text-xs rounded-full ${getUrgencyColor(
+                                request.urgency
                               )}`}
                             >
-                              {request.status}
+                              {request.urgency}
                             </span>
-                            {request.urgency && (
-                              <span
-                                className={`px-2 py-1 text-xs rounded-full ${getUrgencyColor(
-                                  request.urgency
-                                )}`}
-                              >
-                                {request.urgency}
-                              </span>
-                            )}
-                          </div>
+                          )}
                         </div>
+                      </div>
 
-                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
-                          <div className="text-center">
-                            <div className="font-bold text-gray-800">
-                              {request.urgency || "Normal"}
-                            </div>
-                            <div className="text-xs text-gray-600">Urgency</div>
-                          </div>
-                          <div className="text-center">
-                            <div className="font-bold text-blue-600">
-                              {formatDateShort(request.createdAt)}
-                            </div>
-                            <div className="text-xs text-gray-600">Posted</div>
+                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
+                        <div className="text-center">
+                          <div className="font-bold text-gray-800">
+                            {request.urgency || "Normal"}
                           </div>
-                          <div className="text-center">
-                            <div className="font-bold text-purple-600">
-                              {request.fulfilledAt
-                                ? formatDateShort(request.fulfilledAt)
-                                : "N/A"}
-                            </div>
-                            <div className="text-xs text-gray-600">
-                              Fulfilled
-                            </div>
+                          <div className="text-xs text-gray-600">Urgency</div>
+                        </div>
+                        <div className="text-center">
+                          <div className="font-bold text-blue-600">
+                            {formatDateShort(request.createdAt)}
                           </div>
+                          <div className="text-xs text-gray-600">Posted</div>
                         </div>
-
-                        {request.description && (
-                          <div className="mb-4 p-3 bg-blue-50 rounded-lg">
-                            <p className="text-sm text-gray-700">
-                              <strong>Description:</strong>{" "}
-                              {request.description}
-                            </p>
+                        <div className="text-center">
+                          <div className="font-bold text-purple-600">
+                            {request.fulfilledAt
+                              ? formatDateShort(request.fulfilledAt)
+                              : "N/A"}
                           </div>
-                        )}
-
-                        {request.dietary && (
-                          <div className="mb-4 p-3 bg-orange-50 rounded-lg">
-                            <p className="text-sm text-orange-700">
-                              <strong>🍽️ Dietary Needs:</strong>{" "}
-                              {request.dietary}
-                            </p>
+                          <div className="text-xs text-gray-600">
+                            Fulfilled
                           </div>
-                        )}
-
-                        <div className="flex flex-wrap gap-3">
-                          <select
-                            value={request.status}
-                            onChange={(e) =>
-                              handleStatusUpdate(
-                                request.id,
-                                "requests",
-                                e.target.value
-                              )
-                            }
-                            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
-                            disabled={refreshing}
-                          >
-                            <option value="open">Open</option>
-                            <option value="fulfilled">Fulfilled</option>
-                          </select>
-                          <button
-                            onClick={() => handleDelete(request.id, "requests")}
-                            className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
-                            disabled={refreshing}
-                          >
-                            🗑️ Delete
-                          </button>
                         </div>
                       </div>
-                    ))}
-                  </div>
-                </div>
-              )}
 
-              {/* Custom Food Requests */}
-              {customRequests.length > 0 && (
-                <div>
-                  <h3 className="text-lg font-semibold text-gray-700 mb-4">
-                    🎯 Custom Food Requests ({customRequests.length})
-                  </h3>
-                  <div className="space-y-4">
-                    {customRequests.map((request) => (
-                      <div
-                        key={request.id}
-                        className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-shadow"
-                      >
-                        <div className="flex justify-between items-start mb-4">
-                          <div className="flex-1">
-                            <h4 className="text-lg font-bold text-gray-800 mb-2">
-                              {request.foodItem} - {request.quantity}
-                            </h4>
-                            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm text-gray-600">
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">📍</span>
-                                {request.location || "No location specified"}
-                              </div>
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">👤</span>
-                                {request.requesterName || "Anonymous"} (
-                                {request.isGuest ? "Guest" : "Registered"})
-                              </div>
-                              <div className="flex items-center">
-                                <span className="w-4 h-4 mr-2">📞</span>
-                                {request.contactInfo}
-                              </div>
-                            </div>
-                          </div>
-                          <div className="flex flex-col items-end gap-2">
-                            <span
-                              className={`px-3 py-1 rounded-full text-xs font-medium border ${getStatusColor(
-                                request.status
-                              )}`}
-                            >
-                              {request.status}
-                            </span>
-                            {request.urgency && (
-                              <span
-                                className={`px-2 py-1 text-xs rounded-full ${getUrgencyColor(
-                                  request.urgency
-                                )}`}
-                              >
-                                {request.urgency}
-                              </span>
-                            )}
-                          </div>
+                      {request.description && (
+                        <div className="mb-4 p-3 bg-blue-50 rounded-lg">
+                          <p className="text-sm text-gray-700">
+                            <strong>Description:</strong>{" "}
+                            {request.description}
+                          </p>
                         </div>
+                      )}
 
-                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
-                          <div className="text-center">
-                            <div className="font-bold text-gray-800">
-                              {request.urgency || "Normal"}
-                            </div>
-                            <div className="text-xs text-gray-600">Urgency</div>
-                          </div>
-                          <div className="text-center">
-                            <div className="font-bold text-blue-600">
-                              {formatDateShort(request.createdAt)}
-                            </div>
-                            <div className="text-xs text-gray-600">Posted</div>
-                          </div>
-                          <div className="text-center">
-                            <div className="font-bold text-purple-600">
-                              {request.interestedDonors?.length || 0}
-                            </div>
-                            <div className="text-xs text-gray-600">
-                              Interested
-                            </div>
-                          </div>
+                      {request.dietary && (
+                        <div className="mb-4 p-3 bg-orange-50 rounded-lg">
+                          <p className="text-sm text-orange-700">
+                            <strong>🍽️ Dietary Needs:</strong>{" "}
+                            {request.dietary}
+                          </p>
                         </div>
+                      )}
 
-                        {request.description && (
-                          <div className="mb-4 p-3 bg-blue-50 rounded-lg">
-                            <p className="text-sm text-gray-700">
-                              <strong>Description:</strong>{" "}
-                              {request.description}
-                            </p>
-                          </div>
-                        )}
-
-                        <div className="flex flex-wrap gap-3">
-                          <select
-                            value={request.status}
-                            onChange={(e) =>
-                              handleStatusUpdate(
-                                request.id,
-                                "food-requests",
-                                e.target.value
-                              )
-                            }
-                            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
-                            disabled={refreshing}
-                          >
-                            <option value="open">Open</option>
-                            <option value="fulfilled">Fulfilled</option>
-                          </select>
-                          <button
-                            onClick={() =>
-                              handleDelete(request.id, "food-requests")
-                            }
-                            className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
-                            disabled={refreshing}
-                          >
-                            🗑️ Delete
-                          </button>
-                        </div>
+                      <div className="flex flex-wrap gap-3">
+                        <select
+                          value={request.status}
+                          onChange={(e) =>
+                            handleStatusUpdate(
+                              request.id,
+                              "requests",
+                              e.target.value
+                            )
+                          }
+                          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                          disabled={refreshing}
+                        >
+                          <option value="open">Open</option>
+                          <option value="fulfilled">Fulfilled</option>
+                          <option value="closed">Closed</option>
+                        </select>
+                        <button
+                          onClick={() => handleDelete(request.id, "requests")}
+                          className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
+                          disabled={refreshing}
+                        >
+                          🗑️ Delete
+                        </button>
                       </div>
-                    ))}
-                  </div>
+                    </div>
+                  ))}
                 </div>
               )}
 
-              {requests.length === 0 && customRequests.length === 0 && (
+              {requests.length === 0 && (
                 <div className="text-center py-12">
                   <div className="text-6xl mb-4">📝</div>
                   <h3 className="text-xl font-bold text-gray-800 mb-2">
@@ -1315,6 +1259,8 @@ const AdminPage = () => {
         {/* Households Tab */}
         {activeTab === "households" && (
           <div className="space-y-6">
+            <HouseholdReviewQueue households={households} />
+
             <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
               <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
                 🏠 Households Management ({households.length})
@@ -1362,6 +1308,11 @@ const AdminPage = () => {
                             {household.members?.length || 0} members{" "}
                             {(household.members?.length || 0) >= 7 && "(Large)"}
                           </span>
+                          {findDuplicateHouseholds(household, households).length > 0 && (
+                            <span className="px-3 py-1 rounded-full text-xs font-medium border bg-orange-100 text-orange-800 border-orange-200">
+                              🚩 Possible duplicate
+                            </span>
+                          )}
                         </div>
                       </div>
 
@@ -1438,9 +1389,7 @@ const AdminPage = () => {
                         </div>
                         <div className="text-center">
                           <div className="font-bold text-purple-600">
-                            {(household.members?.length || 0) >= 7
-                              ? "35%"
-                              : "30%"}
+                            {Math.round(getHouseholdShare(household, resolveRules(policy)) * 100)}%
                           </div>
                           <div className="text-xs text-gray-600">
                             Max Donation %
@@ -1448,22 +1397,38 @@ const AdminPage = () => {
                         </div>
                         <div className="text-center">
                           <div className="font-bold text-orange-600">
-                            {household.registrantId ? "Verified" : "Unverified"}
+                            {VERIFICATION_LABELS[getVerificationStatus(household)]}
                           </div>
-                          <div className="text-xs text-gray-600">Status</div>
+                          <div className="text-xs text-gray-600">Verification</div>
                         </div>
                       </div>
 
+                      {ledgerHouseholdId === household.id && (
+                        <div className="mb-4">
+                          <AllowanceLedger householdId={household.id} title="📒 Allowance Ledger" canAdjust />
+                        </div>
+                      )}
+
                       <div className="flex flex-wrap gap-3">
                         <button
                           onClick={() =>
-                            handleDelete(household.id, "households")
+                            setLedgerHouseholdId(ledgerHouseholdId === household.id ? null : household.id)
                           }
-                          className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
-                          disabled={refreshing}
+                          className="px-4 py-2 bg-emerald-100 text-emerald-700 rounded-lg hover:bg-emerald-200 transition-colors text-sm font-medium"
                         >
-                          🗑️ Delete Household
+                          {ledgerHouseholdId === household.id ? "Hide Allowance" : "📒 Allowance & Adjustments"}
                         </button>
+                        {isAdmin && (
+                          <button
+                            onClick={() =>
+                              handleDelete(household.id, "households")
+                            }
+                            className="px-4 py-2 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
+                            disabled={refreshing}
+                          >
+                            🗑️ Delete Household
+                          </button>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -1501,8 +1466,8 @@ const AdminPage = () => {
                       <div className="flex justify-between items-start mb-4">
                         <div className="flex-1">
                           <h3 className="text-lg font-bold text-gray-800 mb-2">
-                            {application.donationTitle} - {application.quantity}{" "}
-                            servings
+                            {application.donationTitle} -{" "}
+                            {formatQuantity(application.quantity, application.unit)}
                           </h3>
                           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-600">
                             <div className="flex items-center">
@@ -1543,7 +1508,7 @@ const AdminPage = () => {
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 p-4 bg-gray-50 rounded-lg">
                         <div className="text-center">
                           <div className="font-bold text-blue-600">
-                            {application.quantity}
+                            {formatQuantity(application.quantity, application.unit)}
                           </div>
                           <div className="text-xs text-gray-600">Quantity</div>
                         </div>
@@ -1586,9 +1551,20 @@ const AdminPage = () => {
                         >
                           <option value="pending">Pending</option>
                           <option value="approved">Approved</option>
+                          <option value="waitlisted">Waitlisted</option>
                           <option value="completed">Completed</option>
                           <option value="rejected">Rejected</option>
+                          <option value="expired">Expired</option>
                         </select>
+                        {application.status === "approved" && application.hasPickupCode && (
+                          <button
+                            onClick={() => handleUnlockPickup(application)}
+                            className="px-4 py-2 bg-amber-100 text-amber-700 rounded-lg hover:bg-amber-200 transition-colors text-sm font-medium"
+                            disabled={refreshing}
+                          >
+                            🔓 Reset Code Tries
+                          </button>
+                        )}
                         <button
                           onClick={() =>
                             handleDelete(application.id, "applications")
@@ -1617,6 +1593,74 @@ const AdminPage = () => {
           </div>
         )}
 
+        {/* Users Tab */}
+        {activeTab === "users" && (
+          <div className="space-y-6">
+            <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
+              <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+                👥 Users & Roles ({users.length})
+              </h2>
+
+              {users.length > 0 ? (
+                <div className="space-y-4">
+                  {users.map((user) => (
+                    <div
+                      key={user.id}
+                      className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-shadow"
+                    >
+                      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                        <div>
+                          <h3 className="text-lg font-bold text-gray-800">
+                            {user.email || "No email"}
+                            {user.id === currentUser?.uid && (
+                              <span className="ml-2 text-xs text-gray-500">(you)</span>
+                            )}
+                          </h3>
+                          <div className="text-sm text-gray-600">
+                            Joined: {formatDateShort(user.createdAt)}
+                          </div>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          {Object.values(ROLES).map((role) => {
+                            const active = user.roles?.includes(role);
+                            return (
+                              <button
+                                key={role}
+                                onClick={() => handleRoleToggle(user, role)}
+                                disabled={refreshing}
+                                className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 ${
+                                  active
+                                    ? "bg-blue-100 text-blue-800 border-blue-300"
+                                    : "bg-gray-50 text-gray-400 border-gray-200 hover:text-gray-600"
+                                }`}
+                              >
+                                {ROLE_LABELS[role]}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-center py-12">
+                  <div className="text-6xl mb-4">👥</div>
+                  <h3 className="text-xl font-bold text-gray-800 mb-2">
+                    No users found
+                  </h3>
+                  <p className="text-gray-600">
+                    User profiles are created when people sign in.
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Policy Tab */}
+        {activeTab === "policy" && <AllowancePolicyEditor />}
+
                 </div>
             </div>
           </div>
@@ -0,0 +1,281 @@
+import React from "react";
+import { useState, useEffect, useMemo } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { useNotification } from "../contexts/NotificationContext";
+import { ROLES } from "../config/roles";
+import {
+  acceptDelivery,
+  advanceDelivery,
+  releaseDelivery,
+  subscribeToOpenDeliveries,
+  subscribeToVolunteerDeliveries,
+} from "../services/deliveries";
+import {
+  DELIVERY_STATUSES,
+  STOP_TYPES,
+  getRouteStops,
+  planRoute,
+} from "../services/deliveryModel";
+import { getDistanceKm, toLatLng } from "../services/listingFilters";
+import { getCurrentPosition } from "../services/location";
+import { loadMapProvider } from "../services/mapProvider";
+import { formatQuantity } from "../services/quantityModel";
+import { toDate } from "../services/firestoreUtils";
+import RouteMap from "../components/delivery/RouteMap";
+import VolunteerPickupCode from "../components/delivery/VolunteerPickupCode";
+import ProtectedRoute from "../components/auth/ProtectedRoute";
+
+const formatKm = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
+
+const isToday = (value) => toDate(value)?.toDateString() === new Date().toDateString();
+
+// Open delivery jobs and the volunteer's own route through the ones they took
+const VolunteerDeliveries = () => {
+  const { currentUser } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const [openDeliveries, setOpenDeliveries] = useState([]);
+  const [myDeliveries, setMyDeliveries] = useState([]);
+  const [start, setStart] = useState(null);
+  const [provider, setProvider] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const uid = currentUser.uid;
+
+  useEffect(() => {
+    const unsubscribeOpen = subscribeToOpenDeliveries(setOpenDeliveries, (error) =>
+      console.error("Error loading open deliveries:", error)
+    );
+    const unsubscribeMine = subscribeToVolunteerDeliveries(uid, setMyDeliveries, (error) =>
+      console.error("Error loading your deliveries:", error)
+    );
+    return () => {
+      unsubscribeOpen();
+      unsubscribeMine();
+    };
+  }, [uid]);
+
+  // The route starts where the volunteer is, when the browser can tell
+  useEffect(() => {
+    getCurrentPosition()
+      .then(({ lat, lng }) => setStart({ lat, lng }))
+      .catch((error) => console.log("Geolocation error:", error));
+    loadMapProvider()
+      .then(setProvider)
+      .catch((error) => console.error("Error loading map provider:", error));
+  }, []);
+
+  const route = useMemo(
+    () =>
+      planRoute(
+        start,
+        getRouteStops(
+          myDeliveries.filter(
+            (delivery) =>
+              delivery.status === DELIVERY_STATUSES.ACCEPTED || delivery.status === DELIVERY_STATUSES.PICKED_UP
+          )
+        )
+      ),
+    [start, myDeliveries]
+  );
+
+  const jobs = useMemo(
+    () =>
+      openDeliveries
+        .map((delivery) => {
+          const pickup = toLatLng(delivery.pickup?.coordinates);
+          const dropoff = toLatLng(delivery.dropoff?.coordinates);
+          return {
+            ...delivery,
+            distanceKm: start && pickup ? getDistanceKm(start, pickup) : null,
+            tripKm: pickup && dropoff ? getDistanceKm(pickup, dropoff) : null,
+          };
+        })
+        .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity)),
+    [openDeliveries, start]
+  );
+
+  const deliveredToday = myDeliveries.filter(
+    (delivery) => delivery.status === DELIVERY_STATUSES.DELIVERED && isToday(delivery.deliveredAt)
+  ).length;
+
+  const run = async (deliveryId, action, success) => {
+    try {
+      setBusyId(deliveryId);
+      await action();
+      showSuccess(success);
+    } catch (error) {
+      console.error("Error updating delivery:", error);
+      showError(error.message || "Failed to update the delivery. Please try again.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const directionsLink = (address) =>
+    provider && address ? (
+      <a
+        href={provider.getDirectionsUrl(address)}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="text-sm text-blue-600 hover:text-blue-800"
+      >
+        🗺️ Directions
+      </a>
+    ) : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 py-8 px-4">
+      <div className="max-w-5xl mx-auto space-y-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold text-gray-800 mb-2">🚲 Deliveries</h1>
+          <p className="text-gray-600">
+            Collect food from donors with the household's pickup code and bring it to people who can't travel.
+          </p>
+          {deliveredToday > 0 && (
+            <p className="mt-2 text-sm text-green-700 font-medium">✅ {deliveredToday} delivered today, thank you!</p>
+          )}
+        </div>
+
+        {/* The volunteer's route */}
+        <section className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+          <div className="flex justify-between items-baseline mb-4">
+            <h2 className="text-xl font-bold text-gray-800">🧭 My Route</h2>
+            {route.stops.length > 0 && (
+              <span className="text-sm text-gray-600">
+                {route.stops.length} stop(s) • about {formatKm(route.distanceKm)}
+                {start ? " from you" : ""}
+              </span>
+            )}
+          </div>
+
+          {route.stops.length === 0 ? (
+            <p className="text-gray-500 text-center py-6">No deliveries on your route. Take one below.</p>
+          ) : (
+            <>
+              <RouteMap start={start} stops={route.stops} />
+              <ol className="mt-4 space-y-3">
+                {route.stops.map((stop, index) => {
+                  const { delivery } = stop;
+                  const isPickup = stop.type === STOP_TYPES.PICKUP;
+                  const place = isPickup ? delivery.pickup : delivery.dropoff;
+                  return (
+                    <li key={stop.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-gray-50 rounded-xl">
+                      <div className="flex gap-3">
+                        <span
+                          className={`flex-shrink-0 w-8 h-8 rounded-full text-white font-bold flex items-center justify-center ${
+                            isPickup ? "bg-orange-500" : "bg-green-500"
+                          }`}
+                        >
+                          {index + 1}
+                        </span>
+                        <div>
+                          <p className="font-semibold text-gray-800">
+                            {isPickup ? "Pick up" : "Deliver"} {delivery.donationTitle} •{" "}
+                            {formatQuantity(delivery.quantity, delivery.unit)}
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            📍 {place.address || "No address given"}
+                            {!stop.position && " (not on the map)"}
+                          </p>
+                          {!isPickup && delivery.dropoff.name && (
+                            <p className="text-sm text-gray-600">🏠 {delivery.dropoff.name}</p>
+                          )}
+                          {place.contact && <p className="text-sm text-gray-600">📞 {place.contact}</p>}
+                          {!isPickup && delivery.dropoff.notes && (
+                            <p className="text-sm text-gray-600">📝 {delivery.dropoff.notes}</p>
+                          )}
+                          {directionsLink(place.address)}
+                        </div>
+                      </div>
+
+                      <div className="flex flex-col items-stretch md:items-end gap-2">
+                        {isPickup && <VolunteerPickupCode delivery={delivery} />}
+                        <div className="flex gap-2">
+                          {isPickup && (
+                            <button
+                              onClick={() =>
+                                run(delivery.id, () => releaseDelivery(delivery.id, uid), "Delivery handed back for another volunteer.")
+                              }
+                              disabled={busyId === delivery.id}
+                              className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                            >
+                              Hand back
+                            </button>
+                          )}
+                          {(isPickup || delivery.status === DELIVERY_STATUSES.PICKED_UP) && (
+                            <button
+                              onClick={() =>
+                                run(
+                                  delivery.id,
+                                  () => advanceDelivery(delivery.id, uid),
+                                  isPickup ? "Marked as picked up." : "Marked as delivered. Thank you!"
+                                )
+                              }
+                              disabled={busyId === delivery.id}
+                              className="px-4 py-1.5 bg-green-600 text-white rounded-lg text-sm font-medium disabled:opacity-50"
+                            >
+                              {isPickup ? "✅ Picked up" : "✅ Delivered"}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </>
+          )}
+        </section>
+
+        {/* Jobs waiting for a volunteer */}
+        <section className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+          <h2 className="text-xl font-bold text-gray-800 mb-4">📦 Open Deliveries ({jobs.length})</h2>
+          {jobs.length === 0 ? (
+            <p className="text-gray-500 text-center py-6">Nobody is waiting for a delivery right now.</p>
+          ) : (
+            <div className="space-y-3">
+              {jobs.map((delivery) => (
+                <div
+                  key={delivery.id}
+                  className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-gray-50 rounded-xl"
+                >
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {delivery.donationTitle} • {formatQuantity(delivery.quantity, delivery.unit)}
+                    </p>
+                    <p className="text-sm text-gray-600">From 📍 {delivery.pickup.address || "No address given"}</p>
+                    <p className="text-sm text-gray-600">To 🏠 {delivery.dropoff.address}</p>
+                    <p className="text-xs text-gray-500">
+                      {delivery.distanceKm !== null && `${formatKm(delivery.distanceKm)} from you`}
+                      {delivery.distanceKm !== null && delivery.tripKm !== null && " • "}
+                      {delivery.tripKm !== null && `${formatKm(delivery.tripKm)} trip`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() =>
+                      run(delivery.id, () => acceptDelivery(delivery.id, currentUser), "Added to your route.")
+                    }
+                    disabled={busyId === delivery.id}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium disabled:opacity-50"
+                  >
+                    {busyId === delivery.id ? "Taking..." : "🚲 Take this delivery"}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+const DeliveriesPage = () => (
+  <ProtectedRoute
+    requiredRole={ROLES.VOLUNTEER}
+    message="Sign in with a volunteer account to see delivery jobs. An admin can give your account the volunteer role."
+  >
+    <VolunteerDeliveries />
+  </ProtectedRoute>
+);
+
+export default DeliveriesPage;
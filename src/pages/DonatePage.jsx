@@ -1,21 +1,75 @@
 import React from "react";
-import { useState, useEffect } from "react";
-import { collection, addDoc, serverTimestamp, query, onSnapshot, orderBy, updateDoc, doc } from "firebase/firestore";
-import { db } from "../config/firebase";
+import { useState, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotification } from "../contexts/NotificationContext";
+import { useRequests } from "../hooks/useRequests";
+import { useAllowancePolicy } from "../hooks/useAllowancePolicy";
+import { createDonation, getDonation, newDonationId } from "../services/donations";
+import {
+  canRelistDonation,
+  isDonationEditable,
+  recordRelist,
+  toDonationForm,
+  updateDonation,
+} from "../services/donationLifecycle";
+import { createSchedule } from "../services/schedules";
+import { uploadDonationPhoto } from "../services/photos";
+import { fulfillRequest } from "../services/requests";
+import { OFFLINE_ACTIONS, isOffline, queueChange, toQueuedUser } from "../services/offlineQueue";
+import { REQUEST_CATEGORIES } from "../services/requestModel";
+import {
+  DEFAULT_UNIT,
+  MAX_AMOUNT,
+  QUANTITY_UNITS,
+  describeQuantity,
+  toQuantity,
+  validateQuantity,
+} from "../services/quantityModel";
+import { ALLERGENS, DIET_LABELS } from "../services/dietaryModel";
+import {
+  DEFAULT_DAYS_AHEAD,
+  DEFAULT_PICKUP_WINDOW,
+  DEFAULT_RECURRENCE,
+  validateSchedule,
+} from "../services/scheduleModel";
+import {
+  DEFAULT_SLOT_SETTINGS,
+  SLOT_LENGTHS,
+  buildPickupSlots,
+  toSlotSettings,
+  validateSlotSettings,
+} from "../services/slotModel";
 import LocationPicker from "../components/common/LocationPicker";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 import CashDonation from "../components/donation/CashDonation";
+import PhotoPicker from "../components/donation/PhotoPicker";
+import RecurrenceFields from "../components/donation/RecurrenceFields";
+import DietaryInfo from "../components/common/DietaryInfo";
+
+const EMPTY_QUANTITY = { amount: "", unit: DEFAULT_UNIT, servingsPerUnit: "" };
+
+// Requests ask for free text ("5 servings"); suggest its leading number
+const suggestQuantity = (text, fallback) => {
+  const amount = parseInt(text);
+  return amount > 0 ? { ...EMPTY_QUANTITY, amount: String(amount) } : fallback;
+};
 
 const DonatePage = () => {
   const { currentUser, isGuest } = useAuth();
-  const { showSuccess, showError, notifyNewDonation } = useNotification();
+  const { showSuccess, showError, showInfo } = useNotification();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // ?edit=<id> changes a live listing; ?relist=<id> posts a finished one again
+  const editId = searchParams.get("edit");
+  const relistId = searchParams.get("relist");
+  const sourceId = editId || relistId;
+  const [sourceDonation, setSourceDonation] = useState(null);
 
   const [donationType, setDonationType] = useState("food"); // "food" or "cash"
   const [formData, setFormData] = useState({
     foodItem: "",
-    quantity: "",
+    quantity: EMPTY_QUANTITY, // { amount, unit, servingsPerUnit }, see quantityModel.js
     expirationDate: "",
     description: "",
     location: "",
@@ -24,77 +78,33 @@ const DonatePage = () => {
     useManualLocation: false,
     pickupPreference: "flexible", // flexible, asap, scheduled
     availableUntil: "",
+    requiresApproval: false, // donor reviews each application before quantity is reserved
+    category: "", // picks up category-specific allowance rules
+    siteId: "", // distribution site, when the policy defines any
+    allergens: null, // null until the donor answers; [] means none of the listed allergens
+    dietLabels: [],
     targetRequestId: "", // New field for targeting specific requests
-    targetRequestType: "", // 'regular' or 'custom'
   });
+  const [photos, setPhotos] = useState([]); // [{ file, previewUrl }], uploaded after the donation is saved
+  const [uploadProgress, setUploadProgress] = useState({});
+  const photosRef = useRef(photos);
+  const [repeat, setRepeat] = useState(null); // { recurrence, pickupWindow } to save a recurring schedule instead
+  const [slotSettings, setSlotSettings] = useState(DEFAULT_SLOT_SETTINGS); // used when pickupPreference is "scheduled"
   const [loading, setLoading] = useState(false);
   const [currentStep, setCurrentStep] = useState(1);
   const [showPreview, setShowPreview] = useState(false);
-  const [requests, setRequests] = useState([]);
+  const { requests } = useRequests({ openOnly: true });
+  const { policy } = useAllowancePolicy();
+  const sites = Object.entries(policy.sites || {});
   const [selectedRequest, setSelectedRequest] = useState(null);
 
-  // Load requests for the dropdown
+  // Release photo previews when leaving the page
   useEffect(() => {
-    // Load both regular requests and custom food requests
-    const regularRequestsQuery = query(
-      collection(db, "requests")
-    );
-
-    const customRequestsQuery = query(
-      collection(db, "food-requests")
-    );
-
-    const unsubscribeRegular = onSnapshot(regularRequestsQuery, (snapshot) => {
-      const regularRequests = [];
-      snapshot.forEach((doc) => {
-        const data = doc.data();
-        if (data.status === 'open') { // Only show open requests
-          regularRequests.push({
-            id: doc.id,
-            ...data,
-            type: 'regular'
-          });
-        }
-      });
+    photosRef.current = photos;
+  }, [photos]);
 
-      const unsubscribeCustom = onSnapshot(customRequestsQuery, (snapshot) => {
-        const customRequests = [];
-        snapshot.forEach((doc) => {
-          const data = doc.data();
-          if (data.status === 'open') { // Only show open requests
-            customRequests.push({
-              id: doc.id,
-              ...data,
-              type: 'custom'
-            });
-          }
-        });
-
-        // Combine and sort all requests
-        const allRequests = [...regularRequests, ...customRequests];
-
-        // Sort by urgency first, then by creation date
-        allRequests.sort((a, b) => {
-          const urgencyOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
-          const aUrgency = urgencyOrder[a.urgency] || 1;
-          const bUrgency = urgencyOrder[b.urgency] || 1;
-
-          if (aUrgency !== bUrgency) {
-            return bUrgency - aUrgency; // Higher urgency first
-          }
-
-          const aDate = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-          const bDate = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-          return bDate - aDate;
-        });
-
-        setRequests(allRequests);
-      });
-
-      return () => unsubscribeCustom();
-    });
-
-    return () => unsubscribeRegular();
+  useEffect(() => {
+    return () => photosRef.current.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
   }, []);
 
   // Check for pre-filled data from requests page
@@ -106,13 +116,12 @@ const DonatePage = () => {
         setFormData(prev => ({
           ...prev,
           foodItem: requestInfo.suggestedFoodItem || "",
-          quantity: requestInfo.suggestedQuantity || "",
+          quantity: suggestQuantity(requestInfo.suggestedQuantity, EMPTY_QUANTITY),
           targetRequestId: requestInfo.targetRequestId || "",
-          targetRequestType: requestInfo.targetRequestType || "",
         }));
 
         // Find and set the selected request
-        const targetRequest = requests.find(r => r.id === requestInfo.targetRequestId && r.type === requestInfo.targetRequestType);
+        const targetRequest = requests.find(r => r.id === requestInfo.targetRequestId);
         if (targetRequest) {
           setSelectedRequest(targetRequest);
         }
@@ -125,6 +134,37 @@ const DonatePage = () => {
     }
   }, [requests]);
 
+  // Fill the wizard from the donation being edited or relisted
+  useEffect(() => {
+    if (!sourceId || !currentUser) return;
+    let active = true;
+
+    getDonation(sourceId)
+      .then((donation) => {
+        if (!active) return;
+        if (!donation || donation.donorId !== currentUser.uid) {
+          setSourceDonation({ error: "You can only change your own donations." });
+        } else if (editId && !isDonationEditable(donation)) {
+          setSourceDonation({ error: `This donation is ${donation.status} and can no longer be edited. Relist it instead.` });
+        } else if (relistId && !canRelistDonation(donation)) {
+          setSourceDonation({ error: "Only completed, expired or cancelled donations can be relisted." });
+        } else {
+          // A relisted donation starts with fresh dates and pickup slots
+          setFormData(relistId ? { ...toDonationForm(donation), expirationDate: "", availableUntil: "" } : toDonationForm(donation));
+          if (editId && donation.pickupSlots?.length > 0) setSlotSettings(toSlotSettings(donation.pickupSlots));
+          setSourceDonation(donation);
+        }
+      })
+      .catch((error) => {
+        console.error("Error loading donation:", error);
+        if (active) setSourceDonation({ error: "Could not load the donation. Please try again." });
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [sourceId, editId, relistId, currentUser]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({
@@ -133,6 +173,33 @@ const DonatePage = () => {
     }));
   };
 
+  const handleQuantityChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      quantity: { ...prev.quantity, [name]: value },
+    }));
+  };
+
+  const toggleAllergen = (key) => {
+    setFormData((prev) => {
+      const current = prev.allergens || [];
+      const allergens = current.includes(key) ? current.filter((k) => k !== key) : [...current, key];
+      return { ...prev, allergens: allergens.length ? allergens : null };
+    });
+  };
+
+  const toggleDietLabel = (key) => {
+    setFormData((prev) => ({
+      ...prev,
+      dietLabels: prev.dietLabels.includes(key)
+        ? prev.dietLabels.filter((k) => k !== key)
+        : [...prev.dietLabels, key],
+    }));
+  };
+
+  const quantityError = formData.quantity.amount === "" ? null : validateQuantity(formData.quantity);
+
   const handleLocationSelect = (location, coordinates) => {
     setFormData((prev) => ({
       ...prev,
@@ -148,59 +215,128 @@ const DonatePage = () => {
       setFormData(prev => ({
         ...prev,
         targetRequestId: "",
-        targetRequestType: "",
       }));
       return;
     }
 
-    const [requestType, requestId] = selectedValue.split('|');
-    const request = requests.find(r => r.id === requestId && r.type === requestType);
+    const request = requests.find(r => r.id === selectedValue);
 
     if (request) {
       setSelectedRequest(request);
       setFormData(prev => ({
         ...prev,
-        targetRequestId: requestId,
-        targetRequestType: requestType,
-        foodItem: request.foodItem || request.foodType?.replace('-', ' ') || prev.foodItem,
-        quantity: request.quantity || prev.quantity,
+        targetRequestId: request.id,
+        foodItem: request.foodItem || prev.foodItem,
+        quantity: suggestQuantity(request.quantity, prev.quantity),
       }));
     }
   };
 
+  // Schedules need an account to be managed from, and fulfil no single request
+  const canRepeat = Boolean(currentUser) && !isGuest && !formData.targetRequestId && !sourceId;
+
+  // Recurring donations use their own daily pickup window instead of slots
+  const usesSlots = formData.pickupPreference === "scheduled" && !repeat;
+  const slotError = usesSlots ? validateSlotSettings(slotSettings) : null;
+  const pickupSlots = usesSlots && !slotError ? buildPickupSlots(slotSettings) : [];
+
+  const handleSlotChange = (e) => {
+    const { name, value } = e.target;
+    setSlotSettings((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const resetForm = () => {
+    setFormData({
+      foodItem: "",
+      quantity: EMPTY_QUANTITY,
+      expirationDate: "",
+      description: "",
+      location: "",
+      contactInfo: "",
+      coordinates: null,
+      useManualLocation: false,
+      pickupPreference: "flexible",
+      availableUntil: "",
+      requiresApproval: false,
+      category: "",
+      siteId: "",
+      allergens: null,
+      dietLabels: [],
+      targetRequestId: "",
+    });
+    photos.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+    setPhotos([]);
+    setRepeat(null);
+    setSlotSettings(DEFAULT_SLOT_SETTINGS);
+    setSelectedRequest(null);
+    setCurrentStep(1);
+    setShowPreview(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const donationData = {
-        ...formData,
-        donorId: currentUser?.uid || "guest",
-        donorName: currentUser?.email || "Anonymous Donor",
-        isGuest: isGuest || !currentUser,
-        status: "available",
-        createdAt: serverTimestamp(),
-        claimedBy: null,
-        claimedAt: null,
-        remainingQuantity: formData.quantity,
-        originalQuantity: formData.quantity,
-        applicants: [],
-        pickupPreference: formData.pickupPreference,
-        availableUntil: formData.availableUntil || null,
-      };
-
-      const docRef = await addDoc(collection(db, "donations"), donationData);
+      if (editId) {
+        const changed = await updateDonation(editId, { ...formData, pickupSlots }, currentUser);
+        if (changed.length > 0) {
+          showSuccess("Your donation has been updated.");
+        } else {
+          showInfo("Nothing changed.");
+        }
+        navigate("/profile");
+        return;
+      }
+
+      if (repeat) {
+        await createSchedule(formData, repeat, currentUser);
+        showSuccess(
+          `Your recurring donation is saved. Each pickup is listed automatically up to ${DEFAULT_DAYS_AHEAD} days ahead; manage it from your profile.`
+        );
+        resetForm();
+        return;
+      }
+
+      // Photos can't be kept for later, so an offline post goes without them
+      if (isOffline() && currentUser) {
+        queueChange(
+          OFFLINE_ACTIONS.POST_DONATION,
+          {
+            formData: { ...formData, pickupSlots, relistedFrom: relistId },
+            user: toQueuedUser(currentUser),
+            isGuest,
+            donationId: newDonationId(),
+          },
+          `Donation "${formData.foodItem}"`
+        );
+        showInfo(
+          "You're offline. Your donation will be posted when you reconnect." +
+            (photos.length > 0 ? " Photos can't be saved offline, so it will be posted without them." : "")
+        );
+        resetForm();
+        return;
+      }
+
+      const { id: donationId } = await createDonation(
+        { ...formData, pickupSlots, relistedFrom: relistId },
+        currentUser,
+        isGuest
+      );
+
+      // The donation is live even if a photo fails; donors can post again without it
+      const failedUploads = await uploadPhotos(donationId);
+      if (failedUploads > 0) {
+        showError(`${failedUploads} photo(s) could not be uploaded. Your donation was posted without them.`);
+      }
 
       // If this donation is targeting a specific request, mark the request as fulfilled
-      if (formData.targetRequestId && formData.targetRequestType) {
+      if (formData.targetRequestId) {
         try {
-          const requestCollection = formData.targetRequestType === 'regular' ? 'requests' : 'food-requests';
-          await updateDoc(doc(db, requestCollection, formData.targetRequestId), {
-            status: 'fulfilled',
-            fulfilledBy: currentUser?.uid || 'guest',
-            fulfilledAt: serverTimestamp(),
-            donationId: docRef.id,
-            donorContact: formData.contactInfo
+          await fulfillRequest(formData.targetRequestId, {
+            donorId: currentUser?.uid || 'guest',
+            donationId,
+            donorContact: formData.contactInfo,
           });
           showSuccess("Your donation has been posted and the request has been marked as fulfilled!");
         } catch (error) {
@@ -211,33 +347,40 @@ const DonatePage = () => {
         showSuccess("Your donation has been posted successfully!");
       }
 
-      notifyNewDonation({ ...donationData, id: docRef.id });
-
-      setFormData({
-        foodItem: "",
-        quantity: "",
-        expirationDate: "",
-        description: "",
-        location: "",
-        contactInfo: "",
-        coordinates: null,
-        useManualLocation: false,
-        pickupPreference: "flexible",
-        availableUntil: "",
-        targetRequestId: "",
-        targetRequestType: "",
-      });
-      setSelectedRequest(null);
-      setCurrentStep(1);
-      setShowPreview(false);
+      if (relistId) {
+        // The new listing is already live, so a failed log entry isn't reported as a failed post
+        await recordRelist(relistId, donationId, currentUser).catch((error) =>
+          console.error("Error recording relist:", error)
+        );
+        navigate("/profile");
+        return;
+      }
+      resetForm();
     } catch (error) {
       console.error("Error adding donation:", error);
-      showError("Failed to post donation. Please try again.");
+      showError(editId ? error.message || "Failed to save your changes. Please try again." : "Failed to post donation. Please try again.");
     } finally {
+      setUploadProgress({});
       setLoading(false);
     }
   };
 
+  // Uploads one photo at a time so progress is easy to follow; returns how many failed
+  const uploadPhotos = async (donationId) => {
+    let failed = 0;
+    for (const [index, photo] of photos.entries()) {
+      try {
+        await uploadDonationPhoto(donationId, photo.file, (percent) =>
+          setUploadProgress((prev) => ({ ...prev, [index]: percent }))
+        );
+      } catch (error) {
+        console.error("Error uploading photo:", error);
+        failed += 1;
+      }
+    }
+    return failed;
+  };
+
   return (
     <ProtectedRoute message="You need to create an account to share food donations with the community. This helps us maintain security and track donations properly.">
     <div className="min-h-screen py-8 px-4 bg-gradient-to-br from-green-50 via-white to-blue-50">
@@ -245,7 +388,11 @@ const DonatePage = () => {
         {/* Progress Header */}
         <div className="text-center mb-8">
           <h1 className="text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-green-600 to-blue-600 mb-4">
-            {donationType === "food" ? "🍎 Donate Food to Your Community" : "💰 Make a Cash Donation"}
+            {editId
+              ? "✏️ Edit Your Donation"
+              : relistId
+                ? "🔁 Relist Your Donation"
+                : donationType === "food" ? "🍎 Donate Food to Your Community" : "💰 Make a Cash Donation"}
           </h1>
           <p className="text-gray-600 text-lg mb-4">
             {donationType === "food"
@@ -254,34 +401,45 @@ const DonatePage = () => {
             }
           </p>
 
+          {sourceId && (
+            <p className="mb-6 text-sm text-gray-600">
+              {sourceDonation?.error ||
+                (editId
+                  ? "Households who already applied keep their reservations. Changes are recorded in the donation's history."
+                  : "This posts a new donation with the same details. Set new dates before you share it.")}
+            </p>
+          )}
+
           {/* Donation Type Selection */}
-          <div className="mb-6">
-            <div className="inline-flex bg-white/70 backdrop-blur-sm rounded-2xl p-2 border-2 border-gray-200 shadow-lg">
-              <button
-                onClick={() => setDonationType("food")}
-                className={`px-8 py-3 rounded-xl font-semibold transition-all ${
-                  donationType === "food"
-                    ? "bg-gradient-to-r from-green-500 to-blue-500 text-white shadow-lg"
-                    : "text-gray-600 hover:text-gray-800"
-                }`}
-              >
-                🍎 Donate Food
-              </button>
-              <button
-                onClick={() => setDonationType("cash")}
-                className={`px-8 py-3 rounded-xl font-semibold transition-all ${
-                  donationType === "cash"
-                    ? "bg-gradient-to-r from-green-500 to-blue-500 text-white shadow-lg"
-                    : "text-gray-600 hover:text-gray-800"
-                }`}
-              >
-                💰 Donate Cash
-              </button>
+          {!sourceId && (
+            <div className="mb-6">
+              <div className="inline-flex bg-white/70 backdrop-blur-sm rounded-2xl p-2 border-2 border-gray-200 shadow-lg">
+                <button
+                  onClick={() => setDonationType("food")}
+                  className={`px-8 py-3 rounded-xl font-semibold transition-all ${
+                    donationType === "food"
+                      ? "bg-gradient-to-r from-green-500 to-blue-500 text-white shadow-lg"
+                      : "text-gray-600 hover:text-gray-800"
+                  }`}
+                >
+                  🍎 Donate Food
+                </button>
+                <button
+                  onClick={() => setDonationType("cash")}
+                  className={`px-8 py-3 rounded-xl font-semibold transition-all ${
+                    donationType === "cash"
+                      ? "bg-gradient-to-r from-green-500 to-blue-500 text-white shadow-lg"
+                      : "text-gray-600 hover:text-gray-800"
+                  }`}
+                >
+                  💰 Donate Cash
+                </button>
+              </div>
             </div>
-          </div>
+          )}
 
           {/* Browse Requests Link - Only show for food donations */}
-          {donationType === "food" && (
+          {donationType === "food" && !sourceId && (
             <div className="mb-8">
               <a
                 href="/requests"
@@ -326,7 +484,15 @@ const DonatePage = () => {
 
         <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-8">
 
-          {donationType === "cash" ? (
+          {sourceId && !sourceDonation?.id ? (
+            <div className="text-center py-8 text-gray-600">
+              {sourceDonation?.error ? (
+                <a href="/profile" className="font-semibold text-green-700 hover:underline">← Back to your donations</a>
+              ) : (
+                "Loading your donation..."
+              )}
+            </div>
+          ) : donationType === "cash" ? (
             <CashDonation />
           ) : (
             <form onSubmit={handleSubmit} className="space-y-8">
@@ -339,69 +505,71 @@ const DonatePage = () => {
                 </h2>
 
                 {/* Request Selection Dropdown */}
-                <div className="mb-6 p-6 bg-gradient-to-r from-blue-50 to-green-50 rounded-xl border-2 border-blue-200">
-                  <label className="block text-sm font-semibold text-blue-800 mb-3">
-                    🎯 Are you donating to fulfill a specific request? (Optional)
-                  </label>
-                  <select
-                    value={selectedRequest ? `${selectedRequest.type}|${selectedRequest.id}` : ""}
-                    onChange={handleRequestSelection}
-                    className="w-full p-4 border-2 border-blue-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all bg-white"
-                  >
-                    <option value="">🆓 General donation (not for a specific request)</option>
-                    {requests.length > 0 && (
-                      <optgroup label="🙋‍♀️ Open Food Requests">
-                        {requests.map((request) => (
-                          <option
-                            key={`${request.type}-${request.id}`}
-                            value={`${request.type}|${request.id}`}
-                          >
-                            {request.urgency === 'urgent' ? '🚨' : request.urgency === 'high' ? '⚡' : '📝'} {request.foodItem || request.foodType?.replace('-', ' ')} - {request.quantity} ({request.location || 'No location'})
-                          </option>
-                        ))}
-                      </optgroup>
-                    )}
-                  </select>
+                {!sourceId && (
+                  <div className="mb-6 p-6 bg-gradient-to-r from-blue-50 to-green-50 rounded-xl border-2 border-blue-200">
+                    <label className="block text-sm font-semibold text-blue-800 mb-3">
+                      🎯 Are you donating to fulfill a specific request? (Optional)
+                    </label>
+                    <select
+                      value={selectedRequest ? selectedRequest.id : ""}
+                      onChange={handleRequestSelection}
+                      className="w-full p-4 border-2 border-blue-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-all bg-white"
+                    >
+                      <option value="">🆓 General donation (not for a specific request)</option>
+                      {requests.length > 0 && (
+                        <optgroup label="🙋‍♀️ Open Food Requests">
+                          {requests.map((request) => (
+                            <option
+                              key={request.id}
+                              value={request.id}
+                            >
+                              {request.urgency === 'urgent' ? '🚨' : request.urgency === 'high' ? '⚡' : '📝'} {request.foodItem} - {request.quantity} ({request.location || 'No location'})
+                            </option>
+                          ))}
+                        </optgroup>
+                      )}
+                    </select>
 
-                  {selectedRequest && (
-                    <div className="mt-4 p-4 bg-white/70 rounded-lg border border-blue-300">
-                      <h4 className="font-bold text-blue-800 mb-2">📋 Request Details:</h4>
-                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
-                        <div>
-                          <strong className="text-blue-700">Requested by:</strong>
-                          <p className="text-blue-600">{selectedRequest.requesterName || selectedRequest.applicantName || 'Anonymous'}</p>
-                        </div>
-                        <div>
-                          <strong className="text-blue-700">Urgency:</strong>
-                          <span className={`ml-2 px-2 py-1 rounded-full text-xs font-semibold ${
-                            selectedRequest.urgency === 'urgent' ? 'bg-red-100 text-red-800' :
-                            selectedRequest.urgency === 'high' ? 'bg-orange-100 text-orange-800' :
-                            selectedRequest.urgency === 'medium' ? 'bg-yellow-100 text-yellow-800' :
-                            'bg-green-100 text-green-800'
-                          }`}>
-                            {selectedRequest.urgency || 'normal'}
-                          </span>
-                        </div>
-                        {selectedRequest.description && (
-                          <div className="md:col-span-2">
-                            <strong className="text-blue-700">Additional details:</strong>
-                            <p className="text-blue-600">{selectedRequest.description}</p>
+                    {selectedRequest && (
+                      <div className="mt-4 p-4 bg-white/70 rounded-lg border border-blue-300">
+                        <h4 className="font-bold text-blue-800 mb-2">📋 Request Details:</h4>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                          <div>
+                            <strong className="text-blue-700">Requested by:</strong>
+                            <p className="text-blue-600">{selectedRequest.requesterName || selectedRequest.applicantName || 'Anonymous'}</p>
                           </div>
-                        )}
-                        {selectedRequest.dietary && (
-                          <div className="md:col-span-2">
-                            <strong className="text-blue-700">Dietary needs:</strong>
-                            <p className="text-blue-600">{selectedRequest.dietary}</p>
+                          <div>
+                            <strong className="text-blue-700">Urgency:</strong>
+                            <span className={`ml-2 px-2 py-1 rounded-full text-xs font-semibold ${
+                              selectedRequest.urgency === 'urgent' ? 'bg-red-100 text-red-800' :
+                              selectedRequest.urgency === 'high' ? 'bg-orange-100 text-orange-800' :
+                              selectedRequest.urgency === 'medium' ? 'bg-yellow-100 text-yellow-800' :
+                              'bg-green-100 text-green-800'
+                            }`}>
+                              {selectedRequest.urgency || 'normal'}
+                            </span>
                           </div>
-                        )}
+                          {selectedRequest.description && (
+                            <div className="md:col-span-2">
+                              <strong className="text-blue-700">Additional details:</strong>
+                              <p className="text-blue-600">{selectedRequest.description}</p>
+                            </div>
+                          )}
+                          {selectedRequest.dietary && (
+                            <div className="md:col-span-2">
+                              <strong className="text-blue-700">Dietary needs:</strong>
+                              <p className="text-blue-600">{selectedRequest.dietary}</p>
+                            </div>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  )}
+                    )}
 
-                  <p className="text-xs text-blue-600 mt-3">
-                    💡 <strong>Tip:</strong> Donating to a specific request helps ensure your food goes directly to someone who needs exactly what you're offering!
-                  </p>
-                </div>
+                    <p className="text-xs text-blue-600 mt-3">
+                      💡 <strong>Tip:</strong> Donating to a specific request helps ensure your food goes directly to someone who needs exactly what you're offering!
+                    </p>
+                  </div>
+                )}
                 {/* Food Item */}
                 <div className="grid md:grid-cols-2 gap-6">
                   <div>
@@ -422,18 +590,152 @@ const DonatePage = () => {
                   {/* Quantity */}
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-3">
-                      📊 How much? (servings/portions) *
+                      📊 How much? *
                     </label>
-                    <input
-                      type="number"
-                      name="quantity"
-                      value={formData.quantity}
+                    <div className="flex gap-2">
+                      <input
+                        type="number"
+                        name="amount"
+                        value={formData.quantity.amount}
+                        onChange={handleQuantityChange}
+                        placeholder="e.g., 5, 10, 20"
+                        min="1"
+                        max={MAX_AMOUNT}
+                        step="1"
+                        className="flex-1 min-w-0 p-4 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                        required
+                      />
+                      <select
+                        name="unit"
+                        value={formData.quantity.unit}
+                        onChange={handleQuantityChange}
+                        className="p-4 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                      >
+                        {Object.entries(QUANTITY_UNITS).map(([unit, { label }]) => (
+                          <option key={unit} value={unit}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {formData.quantity.unit !== DEFAULT_UNIT && (
+                      <div className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+                        <span>≈</span>
+                        <input
+                          type="number"
+                          name="servingsPerUnit"
+                          value={formData.quantity.servingsPerUnit}
+                          onChange={handleQuantityChange}
+                          placeholder="optional"
+                          min="0"
+                          step="0.5"
+                          className="w-24 p-2 border-2 border-gray-200 rounded-lg focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                        />
+                        <span>servings per {QUANTITY_UNITS[formData.quantity.unit].one}</span>
+                      </div>
+                    )}
+                    {quantityError && (
+                      <p className="mt-2 text-sm text-red-600">{quantityError}</p>
+                    )}
+                  </div>
+                </div>
+
+                {/* Category & Site */}
+                <div className="grid md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-3">
+                      🏷️ Category
+                    </label>
+                    <select
+                      name="category"
+                      value={formData.category}
                       onChange={handleInputChange}
-                      placeholder="e.g., 5, 10, 20"
-                      min="1"
                       className="w-full p-4 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
-                      required
-                    />
+                    >
+                      <option value="">Not specified</option>
+                      {Object.entries(REQUEST_CATEGORIES)
+                        .filter(([key]) => key !== "any")
+                        .map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                    </select>
+                  </div>
+
+                  {sites.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 mb-3">
+                        🏢 Distribution site
+                      </label>
+                      <select
+                        name="siteId"
+                        value={formData.siteId}
+                        onChange={handleInputChange}
+                        className="w-full p-4 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                      >
+                        <option value="">None</option>
+                        {sites.map(([siteId, site]) => (
+                          <option key={siteId} value={siteId}>{site.name || siteId}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                </div>
+
+                {/* Allergens & Diet */}
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-3">
+                      ⚠️ Contains allergens
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(ALLERGENS).map(([key, label]) => (
+                        <button
+                          key={key}
+                          type="button"
+                          onClick={() => toggleAllergen(key)}
+                          className={`px-3 py-1.5 rounded-full text-sm border-2 transition-all ${
+                            formData.allergens?.includes(key)
+                              ? "bg-amber-100 text-amber-800 border-amber-300"
+                              : "bg-white text-gray-600 border-gray-200 hover:border-gray-300"
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => setFormData((prev) => ({ ...prev, allergens: prev.allergens?.length === 0 ? null : [] }))}
+                        className={`px-3 py-1.5 rounded-full text-sm border-2 transition-all ${
+                          formData.allergens?.length === 0
+                            ? "bg-green-100 text-green-800 border-green-300"
+                            : "bg-white text-gray-600 border-gray-200 hover:border-gray-300"
+                        }`}
+                      >
+                        None of these
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      Households with allergies are warned about donations that don't say.
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-3">
+                      🥗 Suitable for
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.entries(DIET_LABELS).map(([key, label]) => (
+                        <button
+                          key={key}
+                          type="button"
+                          onClick={() => toggleDietLabel(key)}
+                          className={`px-3 py-1.5 rounded-full text-sm border-2 transition-all ${
+                            formData.dietLabels.includes(key)
+                              ? "bg-green-100 text-green-800 border-green-300"
+                              : "bg-white text-gray-600 border-gray-200 hover:border-gray-300"
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
                   </div>
                 </div>
 
@@ -497,8 +799,100 @@ const DonatePage = () => {
                       </label>
                     ))}
                   </div>
+
+                  {usesSlots && (
+                    <div className="mt-4 p-4 rounded-xl border-2 border-green-200 bg-green-50/50 space-y-4">
+                      <p className="text-sm text-gray-700">
+                        Split your pickup window into slots. Each household books one slot when it applies.
+                      </p>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                          <label className="block text-xs font-semibold text-gray-700 mb-1">Date</label>
+                          <input
+                            type="date"
+                            name="date"
+                            value={slotSettings.date}
+                            onChange={handleSlotChange}
+                            min={new Date().toISOString().split("T")[0]}
+                            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-semibold text-gray-700 mb-1">From</label>
+                          <input
+                            type="time"
+                            name="start"
+                            value={slotSettings.start}
+                            onChange={handleSlotChange}
+                            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-semibold text-gray-700 mb-1">Until</label>
+                          <input
+                            type="time"
+                            name="end"
+                            value={slotSettings.end}
+                            onChange={handleSlotChange}
+                            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                          />
+                        </div>
+                      </div>
+                      <div className="grid grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-xs font-semibold text-gray-700 mb-1">Slot length</label>
+                          <select
+                            name="slotMinutes"
+                            value={slotSettings.slotMinutes}
+                            onChange={handleSlotChange}
+                            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                          >
+                            {SLOT_LENGTHS.map((minutes) => (
+                              <option key={minutes} value={minutes}>{minutes} minutes</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-xs font-semibold text-gray-700 mb-1">Households per slot</label>
+                          <input
+                            type="number"
+                            name="capacity"
+                            value={slotSettings.capacity}
+                            onChange={handleSlotChange}
+                            min="1"
+                            step="1"
+                            className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all"
+                          />
+                        </div>
+                      </div>
+                      {slotError ? (
+                        <p className="text-sm text-red-600">{slotError}</p>
+                      ) : (
+                        <p className="text-xs text-gray-600">
+                          {pickupSlots.length} slot(s), up to {slotSettings.capacity} household(s) each.
+                        </p>
+                      )}
+                    </div>
+                  )}
                 </div>
 
+                {/* Manual approval */}
+                <label className="flex items-start p-4 rounded-xl border-2 border-gray-200 cursor-pointer hover:border-gray-300 transition-all">
+                  <input
+                    type="checkbox"
+                    name="requiresApproval"
+                    checked={formData.requiresApproval}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, requiresApproval: e.target.checked }))}
+                    className="mr-3 mt-1 w-4 h-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
+                  />
+                  <span>
+                    <span className="block font-semibold text-gray-700">✋ Review applications before approving</span>
+                    <span className="block text-xs text-gray-600">
+                      Households apply as pending. You approve, waitlist or decline each one from your profile.
+                    </span>
+                  </span>
+                </label>
+
                 {/* Description */}
                 <div>
                   <label className="block text-sm font-semibold text-gray-700 mb-3">
@@ -514,12 +908,24 @@ const DonatePage = () => {
                   />
                 </div>
 
+                {/* Photos */}
+                {editId ? (
+                  <p className="text-sm text-gray-600">📷 Photos stay as they are when you edit a donation.</p>
+                ) : (
+                  <PhotoPicker
+                    photos={photos}
+                    onChange={setPhotos}
+                    progress={uploadProgress}
+                    disabled={loading}
+                  />
+                )}
+
                 {/* Step 1 Navigation */}
                 <div className="flex justify-end pt-6">
                   <button
                     type="button"
                     onClick={() => setCurrentStep(2)}
-                    disabled={!formData.foodItem || !formData.quantity}
+                    disabled={!formData.foodItem || Boolean(validateQuantity(formData.quantity)) || Boolean(slotError)}
                     className="px-8 py-3 bg-gradient-to-r from-green-500 to-blue-500 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed transition-all"
                   >
                     Continue to Location 👉
@@ -664,6 +1070,24 @@ const DonatePage = () => {
                   </h3>
                   
                   <div className="bg-white p-6 rounded-lg shadow-md">
+                    {photos.length > 0 && (
+                      <div className="flex gap-2 mb-4 overflow-x-auto">
+                        {photos.map((photo, index) => (
+                          <div key={photo.previewUrl} className="relative flex-shrink-0">
+                            <img
+                              src={photo.previewUrl}
+                              alt={`Photo ${index + 1}`}
+                              className="w-28 h-28 object-cover rounded-lg"
+                            />
+                            {uploadProgress[index] !== undefined && (
+                              <div className="absolute inset-x-0 bottom-0 bg-black/50 text-white text-xs text-center py-1 rounded-b-lg">
+                                Uploading {uploadProgress[index]}%
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex justify-between items-start mb-4">
                       <div>
                         <h4 className="text-xl font-semibold text-gray-800">{formData.foodItem || 'Your Food Item'}</h4>
@@ -677,7 +1101,9 @@ const DonatePage = () => {
                     <div className="space-y-2 text-sm text-gray-600">
                       <div className="flex items-center">
                         <span className="mr-2">🥄</span>
-                        <span>Quantity: {formData.quantity || 'X'} servings</span>
+                        <span>
+                          Quantity: {validateQuantity(formData.quantity) ? 'X' : describeQuantity({ quantity: toQuantity(formData.quantity) })}
+                        </span>
                       </div>
                       {formData.expirationDate && (
                         <div className="flex items-center">
@@ -691,9 +1117,14 @@ const DonatePage = () => {
                       </div>
                       <div className="flex items-center">
                         <span className="mr-2">🚗</span>
-                        <span>Pickup: {formData.pickupPreference === 'flexible' ? 'Flexible timing' : formData.pickupPreference === 'asap' ? 'ASAP' : 'Scheduled pickup'}</span>
+                        <span>
+                          Pickup: {formData.pickupPreference === 'flexible' ? 'Flexible timing' : formData.pickupPreference === 'asap' ? 'ASAP' : 'Scheduled pickup'}
+                          {pickupSlots.length > 0 && ` (${pickupSlots.length} slots, ${slotSettings.start}–${slotSettings.end})`}
+                        </span>
                       </div>
                     </div>
+
+                    <DietaryInfo donation={formData} className="mt-4" />
                     
                     {formData.description && (
                       <div className="mt-4 p-3 bg-gray-50 rounded text-sm text-gray-700">
@@ -703,6 +1134,34 @@ const DonatePage = () => {
                   </div>
                 </div>
 
+                {/* Recurring */}
+                {canRepeat && (
+                  <div className="p-6 rounded-xl border-2 border-gray-200 bg-white">
+                    <label className="flex items-start gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(repeat)}
+                        onChange={(e) =>
+                          setRepeat(e.target.checked ? { recurrence: DEFAULT_RECURRENCE, pickupWindow: DEFAULT_PICKUP_WINDOW } : null)
+                        }
+                        className="mt-1 w-4 h-4 text-green-600 focus:ring-green-500 border-gray-300 rounded"
+                      />
+                      <span>
+                        <span className="block font-semibold text-gray-800">🔁 Repeat this donation</span>
+                        <span className="block text-sm text-gray-600">
+                          For regular surplus: each pickup is listed automatically up to {DEFAULT_DAYS_AHEAD} days
+                          ahead. Pause, skip or edit it from your profile. Photos aren't copied to repeated listings.
+                        </span>
+                      </span>
+                    </label>
+                    {repeat && (
+                      <div className="mt-4">
+                        <RecurrenceFields value={repeat} onChange={setRepeat} />
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Terms & Guidelines */}
                 <div className="bg-yellow-50 p-6 rounded-xl border-2 border-yellow-200">
                   <h3 className="font-bold text-gray-800 mb-4 flex items-center">
@@ -755,16 +1214,22 @@ const DonatePage = () => {
 
                   <button
                     type="submit"
-                    disabled={loading}
+                    disabled={loading || Boolean(repeat && validateSchedule(repeat)) || Boolean(slotError)}
                     className="px-12 py-4 bg-gradient-to-r from-green-500 to-blue-500 text-white rounded-xl font-bold text-lg shadow-xl hover:shadow-2xl disabled:opacity-50 disabled:cursor-not-allowed transition-all transform hover:scale-105"
                   >
                     {loading ? (
                       <div className="flex items-center">
                         <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-3"></div>
-                        Posting your donation...
+                        {editId ? "Saving your changes..." : "Posting your donation..."}
                       </div>
                     ) : (
-                      <span>🎁 Share with Community</span>
+                      <span>
+                        {editId
+                          ? "💾 Save Changes"
+                          : relistId
+                            ? "🔁 Relist Donation"
+                            : repeat ? "🔁 Save Recurring Donation" : "🎁 Share with Community"}
+                      </span>
                     )}
                   </button>
                 </div>
@@ -1,7 +1,10 @@
 import React, { useEffect, useState } from "react";
 import { useSearchParams, useNavigate } from "react-router-dom";
-import { doc, updateDoc, serverTimestamp, getDoc } from "firebase/firestore";
-import { db } from "../config/firebase";
+import {
+  getCashDonation,
+  markCashDonationCompleted,
+  markCashDonationFailed,
+} from "../services/cashDonations";
 import { useNotification } from "../contexts/NotificationContext";
 
 const DonationSuccessPage = () => {
@@ -24,24 +27,21 @@ const DonationSuccessPage = () => {
 
       try {
         // Get the donation record
-        const donationDoc = await getDoc(doc(db, "cash-donations", ref));
+        const donationRecord = await getCashDonation(ref);
 
-        if (!donationDoc.exists()) {
+        if (!donationRecord) {
           showError("Donation record not found");
           navigate('/donate');
           return;
         }
 
-        const donationData = donationDoc.data();
-        setDonation({ id: ref, ...donationData });
+        setDonation(donationRecord);
 
         // Update donation status based on payment result
         if (status === 'successful' || status === 'completed') {
-          await updateDoc(doc(db, "cash-donations", ref), {
-            status: 'completed',
-            completedAt: serverTimestamp(),
-            paymentReference: searchParams.get('transaction_id') || `INTASEND_${Date.now()}`,
-            paymentMethod: searchParams.get('payment_method') || 'unknown'
+          await markCashDonationCompleted(ref, {
+            transactionId: searchParams.get('transaction_id'),
+            paymentMethod: searchParams.get('payment_method'),
           });
 
           showSuccess("🎉 Payment completed successfully! Thank you for your generous donation.");
@@ -50,11 +50,7 @@ const DonationSuccessPage = () => {
           localStorage.removeItem('pendingDonation');
 
         } else if (status === 'failed' || status === 'cancelled') {
-          await updateDoc(doc(db, "cash-donations", ref), {
-            status: 'failed',
-            failedAt: serverTimestamp(),
-            failureReason: status === 'cancelled' ? 'Payment cancelled by user' : 'Payment failed'
-          });
+          await markCashDonationFailed(ref, status === 'cancelled');
 
           showError("❌ Payment was not completed. You can try again from the donation page.");
         } else {
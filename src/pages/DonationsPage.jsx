@@ -1,41 +1,43 @@
 import React from "react";
-import { useState, useEffect } from "react";
-import {
-  collection,
-  query,
-  where,
-  orderBy,
-  onSnapshot,
-  doc,
-  updateDoc,
-  arrayUnion,
-  serverTimestamp,
-  addDoc,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
+import { useState, useMemo } from "react";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotification } from "../contexts/NotificationContext";
 import { useHousehold } from "../hooks/useHousehold";
+import { useDonations } from "../hooks/useDonations";
+import { useHouseholdApplications } from "../hooks/useHouseholdApplications";
+import { useAllowanceLedger } from "../hooks/useAllowanceLedger";
+import { useAllowancePolicy } from "../hooks/useAllowancePolicy";
+import { useFilterParams, useListingFilters } from "../hooks/useListingFilters";
+import {
+  getTotalListed,
+  APPLICATION_CONFLICT,
+  APPLICATION_STATUSES,
+} from "../services/applications";
+import { getRemainingQuantity } from "../services/donations";
+import {
+  DEFAULT_UNIT,
+  QUANTITY_UNITS,
+  describeQuantity,
+  formatQuantity,
+  getQuantity,
+} from "../services/quantityModel";
+import { DEFAULT_DONATION_FILTERS, getNearbyArea } from "../services/listingFilters";
+import { evaluateAllowance, getDailyLimit, resolveRules } from "../services/allowanceModel";
+import { getHouseholdRestrictions } from "../services/dietaryModel";
+import { formatSlot, getSlotAvailability } from "../services/slotModel";
+import { meetsVerificationPolicy } from "../services/householdModel";
+import { createRequest } from "../services/requests";
+import { OFFLINE_ACTIONS, runOrQueue, toQueuedUser } from "../services/offlineQueue";
 import DonationCard from "../components/common/DonationCard";
 import DonationMap from "../components/common/DonationMap";
+import DietaryInfo from "../components/common/DietaryInfo";
 import SearchFilters from "../components/common/SearchFilters";
 import HouseholdRegistration from "../components/common/HouseholdRegistration";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 
-// Helper function to check if donation is urgent (expires within 5 days)
-const checkIfUrgent = (expirationDate) => {
-  if (!expirationDate) return false;
-  
-  const expDate = expirationDate.toDate ? expirationDate.toDate() : new Date(expirationDate);
-  const now = new Date();
-  const fiveDaysFromNow = new Date(now.getTime() + (5 * 24 * 60 * 60 * 1000));
-  
-  return expDate <= fiveDaysFromNow;
-};
-
 const DonationsPage = () => {
   const { currentUser, isGuest } = useAuth();
-  const { showSuccess, showError } = useNotification();
+  const { showSuccess, showError, showInfo } = useNotification();
   const { 
     household, 
     hasHousehold, 
@@ -44,169 +46,53 @@ const DonationsPage = () => {
     getHouseholdSize,
     isLargeHousehold 
   } = useHousehold();
-  const [donations, setDonations] = useState([]);
-  const [filteredDonations, setFilteredDonations] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // A "near me" search only loads donations in range
+  const { filters: searchFilters } = useFilterParams(DEFAULT_DONATION_FILTERS);
+  const { donations, loading } = useDonations({ near: getNearbyArea(searchFilters) });
+  // The daily allowance is a share of everything listed, whatever the search
+  const { donations: allListings } = useDonations();
+  const { policy } = useAllowancePolicy();
   const [viewMode, setViewMode] = useState("list"); // 'list' or 'map'
-  const [filters, setFilters] = useState({
-    search: "",
-    status: "available",
-    maxDistance: 50, // km
-  });
-  const [userApplications, setUserApplications] = useState([]);
-  const [dailyPickupCount, setDailyPickupCount] = useState(0);
+  const restrictions = useMemo(
+    () => (household ? getHouseholdRestrictions(household) : null),
+    [household]
+  );
+  const {
+    filters,
+    setFilters,
+    resetFilters,
+    filteredItems: filteredDonations,
+  } = useListingFilters(donations, DEFAULT_DONATION_FILTERS, restrictions);
+  const { applications: userApplications } = useHouseholdApplications(household?.id);
+  const { ledger, summary: allowanceSummary } = useAllowanceLedger(household?.id);
+  const dailyPickupCount = allowanceSummary.day.allocated;
   const [showApplicationModal, setShowApplicationModal] = useState(false);
   const [selectedDonation, setSelectedDonation] = useState(null);
   const [applicationQuantity, setApplicationQuantity] = useState(1);
+  const [pickupSlotId, setPickupSlotId] = useState(null);
+  // Slot availability follows the live listing while the modal is open
+  const slotOptions = selectedDonation
+    ? getSlotAvailability(donations.find((d) => d.id === selectedDonation.id) || selectedDonation)
+    : [];
+  const chosenSlot = slotOptions.find((slot) => slot.id === pickupSlotId);
+  const needsSlot = slotOptions.length > 0 && (!chosenSlot || chosenSlot.left === 0 || chosenSlot.past);
+  const totalListed = getTotalListed(allListings);
+  const dailyLimit = getDailyLimit(totalListed, resolveRules(policy));
+  const allowance = selectedDonation && household
+    ? evaluateAllowance(household, selectedDonation, { ledger, totalListed }, policy)
+    : null;
+  const selectedUnit = selectedDonation ? getQuantity(selectedDonation).unit : DEFAULT_UNIT;
   const [showRequestModal, setShowRequestModal] = useState(false);
   const [showHouseholdModal, setShowHouseholdModal] = useState(false);
   const [customRequest, setCustomRequest] = useState({
     foodItem: "",
     quantity: "",
     description: "",
-    urgency: "normal", // normal, urgent
+    urgency: "medium", // low, medium, high, urgent
     location: "",
     contactInfo: "",
   });
 
-  useEffect(() => {
-    // Simple query to get all donations first, then filter in memory
-    const q = query(
-      collection(db, "donations"),
-      orderBy("createdAt", "desc")
-    );
-
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const donationsData = [];
-      querySnapshot.forEach((doc) => {
-        const data = doc.data();
-        
-        // Ensure we have basic required fields
-        if (!data.foodItem) {
-          console.log("Skipping document with missing foodItem:", doc.id, data);
-          return;
-        }
-        
-        // Calculate remaining quantity and update status if needed
-        const originalQuantity = parseInt(data.originalQuantity || data.quantity || 0);
-        const remainingQuantity = parseInt(data.remainingQuantity || originalQuantity);
-        let status = data.status || "available";
-        
-        // Update status based on remaining quantity
-        if (remainingQuantity <= 0 && status !== "fully_booked") {
-          status = "fully_booked";
-        } else if (remainingQuantity < originalQuantity && status === "available") {
-          status = "partially_claimed";
-        }
-        
-        // Calculate if donation is urgent based on expiration
-        const isUrgent = checkIfUrgent(data.expirationDate);
-        
-        donationsData.push({
-          id: doc.id,
-          ...data,
-          remainingQuantity,
-          originalQuantity,
-          status,
-          isUrgent,
-        });
-      });
-      
-      // Sort donations: urgent ones first, then by creation date
-      donationsData.sort((a, b) => {
-        // Urgent donations first
-        if (a.isUrgent && !b.isUrgent) return -1;
-        if (!a.isUrgent && b.isUrgent) return 1;
-        
-        // Then by creation date (newest first)
-        const aDate = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-        const bDate = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-        return bDate - aDate;
-      });
-      
-      console.log("Fetched donations:", donationsData.length, donationsData);
-      setDonations(donationsData);
-      setFilteredDonations(donationsData);
-      setLoading(false);
-    });
-
-    return () => unsubscribe();
-  }, []);
-
-  // Load user applications and daily pickup count
-  useEffect(() => {
-    if (currentUser && household) {
-      // Get user's applications from today
-      const today = new Date().toISOString().split('T')[0];
-      
-      // Get all household applications first, then filter by date in memory
-      const householdApplicationsQuery = query(
-        collection(db, "applications"),
-        where("householdId", "==", household.id)
-      );
-      
-      const unsubscribeApps = onSnapshot(householdApplicationsQuery, (snapshot) => {
-        const apps = [];
-        let totalPickup = 0;
-        
-        snapshot.forEach((doc) => {
-          const data = doc.data();
-          const app = { id: doc.id, ...data };
-          apps.push(app);
-          
-          // Count today's pickups
-          if (data.applicationDate === today && (data.status === "approved" || data.status === "completed")) {
-            totalPickup += parseInt(data.quantity) || 0;
-          }
-        });
-        
-        setUserApplications(apps);
-        setDailyPickupCount(totalPickup);
-      });
-      
-      return () => unsubscribeApps();
-    } else {
-      // For users without household or guests, reset the applications
-      setUserApplications([]);
-      setDailyPickupCount(0);
-    }
-  }, [currentUser, household]);
-
-  const handleFilterChange = (newFilters) => {
-    setFilters(newFilters);
-
-    let filtered = donations;
-
-    // Search filter
-    if (newFilters.search) {
-      const searchTerm = newFilters.search.toLowerCase();
-      filtered = filtered.filter(
-        (donation) =>
-          donation.foodItem.toLowerCase().includes(searchTerm) ||
-          donation.description?.toLowerCase().includes(searchTerm) ||
-          donation.location.toLowerCase().includes(searchTerm)
-      );
-    }
-
-    // Status filter
-    if (newFilters.status !== "all") {
-      if (newFilters.status === "available") {
-        filtered = filtered.filter(
-          (donation) => donation.status === "available" || donation.status === "partially_claimed"
-        );
-      } else {
-        filtered = filtered.filter(
-          (donation) => donation.status === newFilters.status
-        );
-      }
-    }
-
-    // Distance filter would require user location and calculation
-    // For now, we'll skip the distance filter implementation
-
-    setFilteredDonations(filtered);
-  };
-
   const handleApplyForDonation = (donation) => {
     if (!currentUser && !isGuest) {
       showError('Please sign in or continue as guest to apply for donations');
@@ -231,9 +117,15 @@ const DonationsPage = () => {
       showError('You are not authorized to apply for donations on behalf of your household');
       return;
     }
+
+    if (!meetsVerificationPolicy(household, policy)) {
+      showError('Your household must be verified before applying. Upload your documents from the Household tab of your profile.');
+      return;
+    }
     
     setSelectedDonation(donation);
     setApplicationQuantity(1);
+    setPickupSlotId(null);
     setShowApplicationModal(true);
   };
 
@@ -250,17 +142,10 @@ const DonationsPage = () => {
       return;
     }
 
-    const userId = currentUser?.uid || `guest_${Date.now()}`;
-    const today = new Date().toISOString().split('T')[0]; // Use ISO format for consistency
-
     try {
-      
-      // Check daily limit (max 30% of total available food per day)
-      const totalAvailable = donations.reduce((total, d) => total + (parseInt(d.originalQuantity) || parseInt(d.quantity) || 0), 0);
-      const maxDailyPickup = Math.max(5, Math.floor(totalAvailable * 0.3)); // Minimum 5 servings per day
-      
-      if (dailyPickupCount + applicationQuantity > maxDailyPickup) {
-        showError(`Daily pickup limit would be exceeded. You can pick up ${Math.max(0, maxDailyPickup - dailyPickupCount)} more servings today.`);
+      // Daily limit from the allowance policy
+      if (allowance && applicationQuantity > allowance.maxQuantity && allowance.limitedBy === "daily") {
+        showError(`Daily pickup limit would be exceeded. You can pick up ${formatQuantity(allowance.maxQuantity, selectedUnit)} more of this donation today.`);
         return;
       }
       
@@ -273,103 +158,49 @@ const DonationsPage = () => {
         showError('Your household has already applied for this donation.');
         return;
       }
-      
-      const remainingQty = parseInt(selectedDonation.remainingQuantity) || parseInt(selectedDonation.quantity) || 0;
-      const originalQty = parseInt(selectedDonation.originalQuantity) || parseInt(selectedDonation.quantity) || 0;
-      
-      // Calculate max allowed per household for this donation (30%/35% rule with small amount exception)
-      const householdPercentage = getMaxDonationPercentage(); // 30% or 35% based on household size
-      let maxAllowedForThisDonation;
-      if (remainingQty <= 3) {
-        // Small amount exception: allow up to remaining quantity
-        maxAllowedForThisDonation = remainingQty;
+
+      // Quantity, allowance and duplicate checks are re-run server-side.
+      // Offline, the application is queued and those checks run when it is sent.
+      const { queued, result } = await runOrQueue(
+        OFFLINE_ACTIONS.APPLY,
+        {
+          donationId: selectedDonation.id,
+          household: { id: household.id },
+          quantity: applicationQuantity,
+          pickupSlotId,
+          user: toQueuedUser(currentUser),
+        },
+        `Application for "${selectedDonation.foodItem}"`
+      );
+
+      if (queued) {
+        showInfo("You're offline. Your application will be sent when you reconnect; you'll hear here if the donation is gone by then.");
       } else {
-        // Apply percentage rule based on original quantity and household size
-        maxAllowedForThisDonation = Math.max(1, Math.ceil(originalQty * householdPercentage));
-      }
-      
-      if (applicationQuantity > remainingQty) {
-        showError('Not enough quantity available.');
-        return;
-      }
-      
-      if (applicationQuantity > maxAllowedForThisDonation) {
-        const percentageNote = remainingQty <= 3 ? '' : ` (${Math.round(householdPercentage * 100)}% of original ${originalQty} for ${isLargeHousehold() ? 'large' : 'regular'} household)`;
-        showError(`Maximum ${maxAllowedForThisDonation} serving(s) allowed per household for this donation${percentageNote}.`);
-        return;
-      }
-      
-      // Create application with household structure
-      const applicationData = {
-        donationId: selectedDonation.id,
-        applicantId: userId,
-        applicantName: currentUser?.email || currentUser?.displayName || 'Anonymous',
-        householdId: household.id,
-        householdName: household.householdName,
-        householdSize: getHouseholdSize(),
-        isLargeHousehold: isLargeHousehold(),
-        maxPercentage: Math.round(householdPercentage * 100),
-        quantity: parseInt(applicationQuantity),
-        applicationDate: today,
-        status: 'approved', // Auto-approve for now, can be changed to 'pending' for manual approval
-        createdAt: serverTimestamp(),
-        donationTitle: selectedDonation.foodItem,
-        donorId: selectedDonation.donorId,
-        donorContact: selectedDonation.contactInfo,
-        pickupLocation: selectedDonation.location,
-      };
-      
-      // Update donation document
-      const newRemainingQuantity = Math.max(0, remainingQty - applicationQuantity);
-      let newStatus = selectedDonation.status;
-      
-      if (newRemainingQuantity === 0) {
-        newStatus = 'fully_booked';
-      } else if (newRemainingQuantity < (parseInt(selectedDonation.originalQuantity) || parseInt(selectedDonation.quantity) || 0)) {
-        newStatus = 'partially_claimed';
+        showSuccess(
+          result.status === APPLICATION_STATUSES.PENDING
+            ? `Application for ${formatQuantity(applicationQuantity, selectedUnit)} sent! The donor will review it and you'll see the decision in your profile.`
+            : `Application submitted for ${formatQuantity(applicationQuantity, selectedUnit)}! Contact the donor to arrange pickup.`
+        );
       }
-      
-      await updateDoc(doc(db, 'donations', selectedDonation.id), {
-        applicants: arrayUnion({
-          applicantId: userId,
-          applicantName: applicationData.applicantName,
-          householdId: household.id,
-          householdName: household.householdName,
-          householdSize: getHouseholdSize(),
-          quantity: parseInt(applicationQuantity),
-          appliedAt: new Date().toISOString(),
-          status: 'approved'
-        }),
-        remainingQuantity: newRemainingQuantity,
-        status: newStatus,
-        lastUpdated: serverTimestamp(),
-      });
-      
-      // Add to applications collection
-      await addDoc(collection(db, 'applications'), applicationData);
-      
-      showSuccess(`Application submitted for ${applicationQuantity} serving(s)! Contact the donor to arrange pickup.`);
       setShowApplicationModal(false);
       
       // Reset form
       setApplicationQuantity(1);
+      setPickupSlotId(null);
       setSelectedDonation(null);
       
     } catch (error) {
-      console.error('Error submitting application:', error);
-      console.error('Error details:', error.message);
-      console.error('Selected donation:', selectedDonation);
-      console.error('Application data:', {
-        donationId: selectedDonation?.id,
-        userId,
-        applicationQuantity,
-        today
-      });
-      
+      console.error(error);
+
       // Show more specific error message
+      if (error.code === APPLICATION_CONFLICT) {
+        showError(error.message);
+        return;
+      }
+
       let errorMessage = 'Failed to submit application. ';
       if (error.code === 'permission-denied') {
-        errorMessage += 'Permission denied. Please check your Firebase security rules.';
+        errorMessage += "You don't have permission to apply for this donation.";
       } else if (error.code === 'unavailable') {
         errorMessage += 'Service unavailable. Please try again later.';
       } else if (error.message) {
@@ -392,28 +223,13 @@ const DonationsPage = () => {
 
   const submitCustomRequest = async () => {
     try {
-      const userId = currentUser?.uid || 'guest';
-      
       // Validate required fields
       if (!customRequest.foodItem || !customRequest.quantity || !customRequest.contactInfo) {
         showError('Please fill in all required fields');
         return;
       }
 
-      const requestData = {
-        ...customRequest,
-        requesterId: userId,
-        requesterName: currentUser?.email || 'Anonymous',
-        isGuest: isGuest || !currentUser,
-        status: 'open',
-        createdAt: serverTimestamp(),
-        matchedDonations: [],
-        interestedDonors: [],
-        type: 'custom_request'
-      };
-
-      // Add to food-requests collection
-      await addDoc(collection(db, 'food-requests'), requestData);
+      await createRequest(customRequest, currentUser, isGuest);
 
       showSuccess('Your food request has been posted! Donors in your area will be notified.');
       setShowRequestModal(false);
@@ -421,7 +237,7 @@ const DonationsPage = () => {
         foodItem: "",
         quantity: "",
         description: "",
-        urgency: "normal",
+        urgency: "medium",
         location: "",
         contactInfo: "",
       });
@@ -514,11 +330,13 @@ const DonationsPage = () => {
               <div className="text-left">
                 <div className="font-semibold text-gray-800">
                   Daily Pickup: {dailyPickupCount}/
-                  {Math.floor(donations.reduce((total, d) => total + (d.originalQuantity || d.quantity || 0), 0) * 0.3)} servings
+                  {dailyLimit} servings
                 </div>
                 <div className="text-xs text-gray-600">
                   Household: {household?.householdName} ({getHouseholdSize()} members)
-                  {isLargeHousehold() && <span className="text-green-600 font-medium"> • 35% Max Limit</span>}
+                  {isLargeHousehold() && (
+                    <span className="text-green-600 font-medium"> • {Math.round(getMaxDonationPercentage() * 100)}% Max Limit</span>
+                  )}
                 </div>
               </div>
             </div>
@@ -554,8 +372,9 @@ const DonationsPage = () => {
         {/* Search and Filters */}
         <SearchFilters
           filters={filters}
-          onFilterChange={handleFilterChange}
+          onFilterChange={setFilters}
           totalResults={filteredDonations.length}
+          showHouseholdFilter={Boolean(household)}
         />
 
         {/* Content */}
@@ -567,6 +386,7 @@ const DonationsPage = () => {
                   <DonationCard
                     key={donation.id}
                     donation={donation}
+                    restrictions={restrictions}
                     onApply={() => handleApplyForDonation(donation)}
                   />
                 ))}
@@ -597,9 +417,7 @@ const DonationsPage = () => {
                     ) : (
                       <>
                         <button
-                          onClick={() =>
-                            setFilters({ ...filters, search: "", status: "available" })
-                          }
+                          onClick={resetFilters}
                           className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:border-gray-400 transition-all"
                         >
                           🔄 Clear Filters
@@ -616,7 +434,7 @@ const DonationsPage = () => {
           </div>
         ) : (
           <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl overflow-hidden border border-white/20">
-            <DonationMap donations={filteredDonations} />
+            <DonationMap filters={filters} restrictions={restrictions} />
           </div>
         )}
 
@@ -663,7 +481,7 @@ const DonationsPage = () => {
                 <div>
                   <span className="text-2xl">🥄</span>
                   <div className="mt-2 font-semibold text-gray-700">
-                    {donations.reduce((total, d) => total + (d.originalQuantity || d.quantity || 0), 0)} Total Servings
+                    {getTotalListed(donations)} Total Servings
                   </div>
                 </div>
                 <div>
@@ -719,17 +537,18 @@ const DonationsPage = () => {
                     </p>
                     <p className="text-sm text-blue-600 flex items-center mt-1">
                       <span className="mr-1">📊</span>
-                      {selectedDonation.remainingQuantity || selectedDonation.quantity} servings available
+                      {describeQuantity(selectedDonation, getRemainingQuantity(selectedDonation))} available
                     </p>
                   </div>
                 </div>
+                <DietaryInfo donation={selectedDonation} restrictions={restrictions} className="mt-4" />
               </div>
 
               {/* Quantity Selection */}
               <div className="mb-6">
                 <label className="block text-sm font-bold text-gray-700 mb-3 flex items-center">
                   <span className="mr-2">🥄</span>
-                  How many servings do you need?
+                  How many {QUANTITY_UNITS[selectedUnit].many} do you need?
                 </label>
                 <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-4 border border-white/40">
                   <input
@@ -737,16 +556,56 @@ const DonationsPage = () => {
                     value={applicationQuantity}
                     onChange={(e) => setApplicationQuantity(parseInt(e.target.value) || 1)}
                     min="1"
-                    max={selectedDonation.remainingQuantity || selectedDonation.quantity}
+                    max={allowance ? allowance.maxQuantity : getRemainingQuantity(selectedDonation)}
                     className="w-full p-4 border-2 border-gray-200 rounded-xl focus:border-green-500 focus:ring-2 focus:ring-green-200 transition-all text-center text-2xl font-bold text-gray-800"
                   />
                   <div className="flex justify-between text-xs text-gray-500 mt-2">
                     <span>Minimum: 1</span>
-                    <span>Maximum: {selectedDonation.remainingQuantity || selectedDonation.quantity}</span>
+                    <span>Maximum: {allowance ? allowance.maxQuantity : getRemainingQuantity(selectedDonation)}</span>
                   </div>
+                  {allowance && allowance.limitedBy !== "remaining" && (
+                    <p className="text-xs text-gray-600 mt-2">
+                      {allowance.limitedBy === "daily"
+                        ? `Limited by your daily allowance (${allowance.dailyUsed}/${allowance.dailyLimit} servings used today).`
+                        : `Your household may take up to ${Math.round(allowance.share * 100)}% of this donation.`}
+                    </p>
+                  )}
                 </div>
               </div>
 
+              {/* Pickup Slot */}
+              {slotOptions.length > 0 && (
+                <div className="mb-6">
+                  <label className="block text-sm font-bold text-gray-700 mb-3 flex items-center">
+                    <span className="mr-2">🕒</span>
+                    Choose a pickup time
+                  </label>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {slotOptions.map((slot) => {
+                      const unavailable = slot.past || slot.left === 0;
+                      return (
+                        <button
+                          key={slot.id}
+                          type="button"
+                          onClick={() => setPickupSlotId(slot.id)}
+                          disabled={unavailable}
+                          className={`p-3 rounded-xl border-2 text-left text-sm transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+                            pickupSlotId === slot.id
+                              ? "border-green-500 bg-green-50 text-green-800"
+                              : "border-gray-200 bg-white/60 hover:border-gray-300"
+                          }`}
+                        >
+                          <span className="block font-semibold">{formatSlot(slot)}</span>
+                          <span className="block text-xs text-gray-600">
+                            {slot.past ? "Ended" : slot.left === 0 ? "Full" : `${slot.left} of ${slot.capacity} places left`}
+                          </span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+
               {/* Household Info */}
               {household && (
                 <div className="bg-gradient-to-r from-green-50 to-emerald-50 rounded-2xl p-4 mb-6 border border-green-100">
@@ -786,7 +645,7 @@ const DonationsPage = () => {
                 </button>
                 <button
                   onClick={submitApplication}
-                  disabled={!applicationQuantity || applicationQuantity < 1}
+                  disabled={!applicationQuantity || applicationQuantity < 1 || needsSlot}
                   className="flex-1 py-4 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl font-bold shadow-xl hover:shadow-2xl disabled:opacity-50 disabled:cursor-not-allowed transition-all transform hover:scale-105"
                 >
                   🤝 Submit Application
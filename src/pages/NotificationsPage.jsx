@@ -0,0 +1,134 @@
+import React from "react";
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useNotification } from "../contexts/NotificationContext";
+import {
+  deleteNotification,
+  markNotificationsRead,
+  setNotificationArchived,
+} from "../services/notifications";
+import { NOTIFICATION_ICONS } from "../services/notificationModel";
+import { toDate } from "../services/firestoreUtils";
+import ProtectedRoute from "../components/auth/ProtectedRoute";
+
+const formatTime = (value) =>
+  toDate(value)?.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) || "Just now";
+
+// The signed-in user's notification inbox, with the archive on a second tab
+const Inbox = () => {
+  const navigate = useNavigate();
+  const { inbox, unreadCount, showError } = useNotification();
+  const [showArchived, setShowArchived] = useState(false);
+
+  const shown = inbox.filter((notification) => Boolean(notification.archived) === showArchived);
+  const archivedCount = inbox.filter((notification) => notification.archived).length;
+
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error("Error updating notifications:", error);
+      showError(error.message || "Failed to update your notifications. Please try again.");
+    }
+  };
+
+  const handleOpen = (notification) => {
+    if (!notification.read) run(() => markNotificationsRead([notification.id]));
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = () =>
+    run(() =>
+      markNotificationsRead(
+        inbox.filter((notification) => !notification.read && !notification.archived).map(({ id }) => id)
+      )
+    );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-green-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="flex justify-between items-end mb-6">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-800 mb-2">🔔 Notifications</h1>
+            <p className="text-gray-600">
+              {unreadCount > 0 ? `${unreadCount} unread` : "You're all caught up."}
+            </p>
+          </div>
+          {unreadCount > 0 && !showArchived && (
+            <button onClick={handleMarkAllRead} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+              Mark all as read
+            </button>
+          )}
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {[false, true].map((archived) => (
+            <button
+              key={String(archived)}
+              onClick={() => setShowArchived(archived)}
+              className={`px-4 py-2 rounded-xl text-sm font-medium ${
+                showArchived === archived ? "bg-blue-600 text-white" : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {archived ? `Archived (${archivedCount})` : `Inbox (${inbox.length - archivedCount})`}
+            </button>
+          ))}
+        </div>
+
+        <div className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 divide-y divide-gray-100">
+          {shown.length === 0 ? (
+            <p className="text-gray-500 text-center py-12">
+              {showArchived ? "Nothing archived." : "No notifications yet. We'll let you know when something happens."}
+            </p>
+          ) : (
+            shown.map((notification) => (
+              <div
+                key={notification.id}
+                className={`flex gap-3 p-4 ${notification.read ? "" : "bg-blue-50/70"} first:rounded-t-3xl last:rounded-b-3xl`}
+              >
+                <span className="text-2xl flex-shrink-0">{NOTIFICATION_ICONS[notification.type] || "🔔"}</span>
+                <button onClick={() => handleOpen(notification)} className="flex-1 min-w-0 text-left">
+                  <p className={`text-gray-800 ${notification.read ? "" : "font-semibold"}`}>{notification.title}</p>
+                  <p className="text-sm text-gray-600">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{formatTime(notification.createdAt)}</p>
+                </button>
+                <div className="flex flex-col items-end gap-1 text-xs">
+                  {!notification.read && (
+                    <button
+                      onClick={() => run(() => markNotificationsRead([notification.id]))}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Mark read
+                    </button>
+                  )}
+                  <button
+                    onClick={() => run(() => setNotificationArchived(notification.id, !showArchived))}
+                    className="text-gray-600 hover:text-gray-800"
+                  >
+                    {showArchived ? "Move to inbox" : "Archive"}
+                  </button>
+                  {showArchived && (
+                    <button
+                      onClick={() => run(() => deleteNotification(notification.id))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const NotificationsPage = () => (
+  <ProtectedRoute message="Sign in to see your notifications about donations, applications and pickups.">
+    <Inbox />
+  </ProtectedRoute>
+);
+
+export default NotificationsPage;
@@ -1,23 +1,63 @@
 import React from "react";
 import { useState, useEffect } from "react";
-import {
-  collection,
-  query,
-  where,
-  orderBy,
-  onSnapshot,
-  updateDoc,
-  doc,
-  deleteDoc,
-  getDocs,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotification } from "../contexts/NotificationContext";
 import { useHousehold } from "../hooks/useHousehold";
+import {
+  subscribeToDonorDonations,
+  subscribeToClaimedDonations,
+  updateDonationStatus,
+  deleteDonation,
+  normalizeDonation,
+} from "../services/donations";
+import { canRelistDonation, cancelDonation, isDonationEditable } from "../services/donationLifecycle";
+import {
+  subscribeToUserRequests,
+  subscribeToFulfilledRequests,
+  updateRequestStatus,
+  deleteRequest,
+} from "../services/requests";
+import {
+  APPLICATION_STATUSES,
+  subscribeToApplicantApplications,
+  subscribeToDonorReviewQueue,
+} from "../services/applications";
+import { subscribeToAwaitingPickups } from "../services/pickups";
+import { subscribeToDonorSchedules } from "../services/schedules";
+import { subscribeToHouseholdInvites } from "../services/households";
+import { subscribeToApplicantDeliveries } from "../services/deliveries";
+import { DELIVERY_STATUSES } from "../services/deliveryModel";
+import { toDate } from "../services/firestoreUtils";
+import { describeQuantity, formatQuantity } from "../services/quantityModel";
+import { ALLERGENS, DIET_LABELS } from "../services/dietaryModel";
 import HouseholdRegistration from "../components/common/HouseholdRegistration";
+import ApplicationReviewQueue from "../components/common/ApplicationReviewQueue";
+import PickupCode from "../components/common/PickupCode";
+import PickupScanner from "../components/common/PickupScanner";
+import PickupSlotInfo from "../components/common/PickupSlotInfo";
+import RecurringSchedules from "../components/donation/RecurringSchedules";
+import DonationHistory from "../components/donation/DonationHistory";
+import HouseholdInvites from "../components/common/HouseholdInvites";
+import MemberAccess from "../components/common/MemberAccess";
+import HouseholdVerification from "../components/common/HouseholdVerification";
+import AllowanceLedger from "../components/common/AllowanceLedger";
+import DeliveryStatus from "../components/delivery/DeliveryStatus";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 
+// Donors and requesters manage their own donations and requests here
+const STATUS_UPDATERS = {
+  donations: updateDonationStatus,
+  requests: updateRequestStatus,
+};
+
+const DELETERS = {
+  donations: deleteDonation,
+  requests: deleteRequest,
+};
+
+// Finished deliveries stay on the profile for a day
+const RECENT_DELIVERY_MS = 24 * 60 * 60 * 1000;
+
 const ProfilePage = () => {
   const { currentUser, logout } = useAuth();
   const { showSuccess, showError } = useNotification();
@@ -26,6 +66,10 @@ const ProfilePage = () => {
     hasHousehold,
     getHouseholdSize,
     isLargeHousehold,
+    getMaxDonationPercentage,
+    allowanceRules,
+    isUserRegistrant,
+    getLinkedMemberEntry,
   } = useHousehold();
   const [profileView, setProfileView] = useState("overview"); // overview, donor, applicant
   const [activeTab, setActiveTab] = useState("overview");
@@ -34,6 +78,12 @@ const ProfilePage = () => {
   const [claimedDonations, setClaimedDonations] = useState([]);
   const [donationApplications, setDonationApplications] = useState([]);
   const [userApplications, setUserApplications] = useState([]);
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [awaitingPickups, setAwaitingPickups] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [historyDonationId, setHistoryDonationId] = useState(null);
+  const [householdInvites, setHouseholdInvites] = useState([]);
   const [userType, setUserType] = useState(null);
   const [showHouseholdForm, setShowHouseholdForm] = useState(false);
   const [loading, setLoading] = useState(true);
@@ -56,239 +106,118 @@ const ProfilePage = () => {
     setLoading(true);
     setDataLoaded({ donations: false, requests: false, claimed: false, applications: false, fulfilledRequests: false });
 
-    const fetchUserData = async () => {
-      try {
-        // Get user's donations
-        const donationsQuery = query(
-          collection(db, "donations"),
-          where("donorId", "==", currentUser.uid)
-        );
-
-        // Get user's requests
-        const requestsQuery = query(
-          collection(db, "requests"),
-          where("requesterId", "==", currentUser.uid)
-        );
-
-        // Get claimed donations
-        const claimedQuery = query(
-          collection(db, "donations"),
-          where("claimedBy", "==", currentUser.uid)
-        );
-
-
-        const unsubscribeDonations = onSnapshot(donationsQuery, (snapshot) => {
-          const donations = [];
-          snapshot.forEach((doc) => {
-            donations.push({ id: doc.id, ...doc.data() });
-          });
-
-          // Sort by creation date (newest first)
-          donations.sort((a, b) => {
-            const aDate = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-            const bDate = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-            return bDate - aDate;
-          });
-
-          console.log('ProfilePage: Loaded donations (as DONOR):', donations.length);
-          if (donations.length > 0) {
-            console.log('ProfilePage: User IS a DONOR - sample donation:', donations[0]);
-          }
-          setUserDonations(donations);
-          setDataLoaded(prev => ({ ...prev, donations: true }));
-        }, (error) => {
-          console.error('Error fetching donations:', error);
-          setDataLoaded(prev => ({ ...prev, donations: true }));
-        });
-
-        const unsubscribeRequests = onSnapshot(requestsQuery, (snapshot) => {
-          const requests = [];
-          snapshot.forEach((doc) => {
-            requests.push({ id: doc.id, ...doc.data() });
-          });
-
-          // Sort by creation date (newest first)
-          requests.sort((a, b) => {
-            const aDate = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-            const bDate = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-            return bDate - aDate;
-          });
-
-          console.log('ProfilePage: Loaded requests (as APPLICANT):', requests.length);
-          if (requests.length > 0) {
-            console.log('ProfilePage: User HAS made requests - sample request:', requests[0]);
-          }
-          setUserRequests(requests);
-          setDataLoaded(prev => ({ ...prev, requests: true }));
-        }, (error) => {
-          console.error('Error fetching requests:', error);
-          setDataLoaded(prev => ({ ...prev, requests: true }));
-        });
-
-        const unsubscribeClaimed = onSnapshot(claimedQuery, (snapshot) => {
-          const claimed = [];
-          snapshot.forEach((doc) => {
-            claimed.push({ id: doc.id, ...doc.data() });
-          });
-
-          // Sort by claimed date (newest first)
-          claimed.sort((a, b) => {
-            const aDate = a.claimedAt?.toDate?.() || new Date(a.claimedAt || 0);
-            const bDate = b.claimedAt?.toDate?.() || new Date(b.claimedAt || 0);
-            return bDate - aDate;
-          });
-
-          console.log('ProfilePage: Loaded claimed donations (as APPLICANT):', claimed.length);
-          if (claimed.length > 0) {
-            console.log('ProfilePage: User HAS claimed donations - sample claim:', claimed[0]);
-          }
-          setClaimedDonations(claimed);
-          setDataLoaded(prev => ({ ...prev, claimed: true }));
-        }, (error) => {
-          console.error('Error fetching claimed donations:', error);
-          setDataLoaded(prev => ({ ...prev, claimed: true }));
-        });
-
-        // Get applications to user's donations for impact metrics
-        const applicationsQuery = query(
-          collection(db, "donations"),
-          where("donorId", "==", currentUser.uid)
-        );
-        
-        // ADDITIONAL CHECK: Get user's applications from applications collection
-        const userApplicationsQuery = query(
-          collection(db, "applications"),
-          where("applicantId", "==", currentUser.uid)
-        );
-
-        const unsubscribeApplications = onSnapshot(
-          applicationsQuery,
-          async (snapshot) => {
-            try {
-              const donationIds = [];
-              snapshot.forEach((doc) => {
-                donationIds.push(doc.id);
-              });
-
-              if (donationIds.length > 0) {
-                // Count total applications to user's donations
-                const allApplications = [];
-                const appQuery = query(
-                  collection(db, "donations"),
-                  where("claimedBy", "!=", null)
-                );
-                const appSnapshot = await getDocs(appQuery);
-                appSnapshot.forEach((doc) => {
-                  const data = doc.data();
-                  if (data.donorId === currentUser.uid) {
-                    allApplications.push({ id: doc.id, ...data });
-                  }
-                });
-                console.log('ProfilePage: Loaded donation applications:', allApplications.length);
-                setDonationApplications(allApplications);
-              }
-              setDataLoaded(prev => ({ ...prev, applications: true }));
-            } catch (error) {
-              console.error('Error fetching donation applications:', error);
-              setDataLoaded(prev => ({ ...prev, applications: true }));
-            }
-          }
-        );
-
-        // Monitor user's applications for complete applicant picture
-        const unsubscribeUserApplications = onSnapshot(userApplicationsQuery, (snapshot) => {
-          const applications = [];
-          snapshot.forEach((doc) => {
-            applications.push({ id: doc.id, ...doc.data() });
-          });
-          console.log('ProfilePage: Loaded user applications from applications collection:', applications.length);
-          if (applications.length > 0) {
-            console.log('ProfilePage: ADDITIONAL APPLICANT EVIDENCE - Applications:', applications.map(a => ({ id: a.id, donationTitle: a.donationTitle, applicantId: a.applicantId })));
-          }
-          setUserApplications(applications);
-        }, (error) => {
-          console.error('Error fetching user applications:', error);
-          setUserApplications([]);
-        });
-
-        // Get fulfilled requests (both regular and custom) where user was the fulfiller
-        const fetchFulfilledRequests = async () => {
-          try {
-            // Check regular requests
-            const regularRequestsQuery = query(
-              collection(db, "requests"),
-              where("fulfilledBy", "==", currentUser.uid)
-            );
+    const uid = currentUser.uid;
 
-            const customRequestsQuery = query(
-              collection(db, "food-requests"),
-              where("fulfilledBy", "==", currentUser.uid)
-            );
-
-            const unsubscribeRegularFulfilled = onSnapshot(regularRequestsQuery, (snapshot) => {
-              const regularFulfilled = [];
-              snapshot.forEach((doc) => {
-                regularFulfilled.push({
-                  id: doc.id,
-                  ...doc.data(),
-                  type: 'regular',
-                  requestType: 'regular'
-                });
-              });
-
-              const unsubscribeCustomFulfilled = onSnapshot(customRequestsQuery, (snapshot) => {
-                const customFulfilled = [];
-                snapshot.forEach((doc) => {
-                  customFulfilled.push({
-                    id: doc.id,
-                    ...doc.data(),
-                    type: 'custom',
-                    requestType: 'custom'
-                  });
-                });
-
-                const allFulfilled = [...regularFulfilled, ...customFulfilled];
-
-                // Sort by fulfilledAt date (newest first) in memory since we can't use orderBy with where clauses without indexes
-                allFulfilled.sort((a, b) => {
-                  const aDate = a.fulfilledAt?.toDate?.() || new Date(a.fulfilledAt || 0);
-                  const bDate = b.fulfilledAt?.toDate?.() || new Date(b.fulfilledAt || 0);
-                  return bDate - aDate;
-                });
-
-                console.log('ProfilePage: Loaded fulfilled requests:', allFulfilled.length);
-                setFulfilledRequests(allFulfilled);
-                setDataLoaded(prev => ({ ...prev, fulfilledRequests: true }));
-              });
-
-              return () => unsubscribeCustomFulfilled();
-            });
-
-            return () => unsubscribeRegularFulfilled();
-          } catch (error) {
-            console.error('Error fetching fulfilled requests:', error);
-            setDataLoaded(prev => ({ ...prev, fulfilledRequests: true }));
-          }
-        };
-
-        fetchFulfilledRequests();
-
-        return () => {
-          unsubscribeDonations();
-          unsubscribeRequests();
-          unsubscribeClaimed();
-          unsubscribeApplications();
-          unsubscribeUserApplications();
-        };
-      } catch (error) {
-        console.error('Error setting up data subscriptions:', error);
-        setLoading(false);
+    const unsubscribeDonations = subscribeToDonorDonations(uid, (donations) => {
+      console.log('ProfilePage: Loaded donations (as DONOR):', donations.length);
+      if (donations.length > 0) {
+        console.log('ProfilePage: User IS a DONOR - sample donation:', donations[0]);
+      }
+      setUserDonations(donations);
+
+      // Applications to user's donations for impact metrics
+      const claimed = donations.filter((donation) => donation.claimedBy != null);
+      console.log('ProfilePage: Loaded donation applications:', claimed.length);
+      setDonationApplications(claimed);
+      setDataLoaded(prev => ({ ...prev, donations: true, applications: true }));
+    }, (error) => {
+      console.error('Error fetching donations:', error);
+      setDataLoaded(prev => ({ ...prev, donations: true, applications: true }));
+    });
+
+    const unsubscribeRequests = subscribeToUserRequests(uid, (requests) => {
+      console.log('ProfilePage: Loaded requests (as APPLICANT):', requests.length);
+      if (requests.length > 0) {
+        console.log('ProfilePage: User HAS made requests - sample request:', requests[0]);
+      }
+      setUserRequests(requests);
+      setDataLoaded(prev => ({ ...prev, requests: true }));
+    }, (error) => {
+      console.error('Error fetching requests:', error);
+      setDataLoaded(prev => ({ ...prev, requests: true }));
+    });
+
+    const unsubscribeClaimed = subscribeToClaimedDonations(uid, (claimed) => {
+      console.log('ProfilePage: Loaded claimed donations (as APPLICANT):', claimed.length);
+      if (claimed.length > 0) {
+        console.log('ProfilePage: User HAS claimed donations - sample claim:', claimed[0]);
       }
+      setClaimedDonations(claimed);
+      setDataLoaded(prev => ({ ...prev, claimed: true }));
+    }, (error) => {
+      console.error('Error fetching claimed donations:', error);
+      setDataLoaded(prev => ({ ...prev, claimed: true }));
+    });
+
+    // Monitor user's applications for complete applicant picture
+    const unsubscribeUserApplications = subscribeToApplicantApplications(uid, (applications) => {
+      console.log('ProfilePage: Loaded user applications from applications collection:', applications.length);
+      setUserApplications(applications);
+    }, (error) => {
+      console.error('Error fetching user applications:', error);
+      setUserApplications([]);
+    });
+
+    // Applications waiting on this user's decision as a donor
+    const unsubscribeReviewQueue = subscribeToDonorReviewQueue(uid, setReviewQueue, (error) => {
+      console.error('Error fetching review queue:', error);
+      setReviewQueue([]);
+    });
+
+    // Approved applications on this user's donations not yet collected
+    const unsubscribePickups = subscribeToAwaitingPickups(uid, setAwaitingPickups, (error) => {
+      console.error('Error fetching awaiting pickups:', error);
+      setAwaitingPickups([]);
+    });
+
+    // Recurring donation schedules this user set up as a donor
+    const unsubscribeSchedules = subscribeToDonorSchedules(uid, setSchedules, (error) => {
+      console.error('Error fetching recurring schedules:', error);
+      setSchedules([]);
+    });
+
+    // Volunteer deliveries this user asked for as a recipient
+    const unsubscribeDeliveries = subscribeToApplicantDeliveries(uid, setDeliveries, (error) => {
+      console.error('Error fetching deliveries:', error);
+      setDeliveries([]);
+    });
+
+    // Get fulfilled requests (both regular and custom) where user was the fulfiller
+    const unsubscribeFulfilled = subscribeToFulfilledRequests(uid, (fulfilled) => {
+      console.log('ProfilePage: Loaded fulfilled requests:', fulfilled.length);
+      setFulfilledRequests(fulfilled);
+      setDataLoaded(prev => ({ ...prev, fulfilledRequests: true }));
+    }, (error) => {
+      console.error('Error fetching fulfilled requests:', error);
+      setDataLoaded(prev => ({ ...prev, fulfilledRequests: true }));
+    });
+
+    return () => {
+      unsubscribeDonations();
+      unsubscribeRequests();
+      unsubscribeClaimed();
+      unsubscribeUserApplications();
+      unsubscribeReviewQueue();
+      unsubscribePickups();
+      unsubscribeSchedules();
+      unsubscribeDeliveries();
+      unsubscribeFulfilled();
     };
-
-    fetchUserData();
   }, [currentUser]);
 
+  // Invitations the registrant has sent to household members
+  const householdId = household?.id;
+  const managesHousehold = Boolean(household) && household.registrantId === currentUser?.uid;
+  useEffect(() => {
+    if (!householdId || !managesHousehold) {
+      setHouseholdInvites([]);
+      return undefined;
+    }
+    return subscribeToHouseholdInvites(householdId, setHouseholdInvites, (error) =>
+      console.error("Error loading household invitations:", error)
+    );
+  }, [householdId, managesHousehold]);
+
   // REINFORCED user type determination with comprehensive logging
   useEffect(() => {
     const allDataLoaded = Object.values(dataLoaded).every(loaded => loaded);
@@ -311,14 +240,14 @@ const ProfilePage = () => {
         console.log('ProfilePage: APPLICANT EVIDENCE - Claimed donations:', claimedDonations.map(d => ({ id: d.id, foodItem: d.foodItem, claimedBy: d.claimedBy })));
       }
       if (userRequests.length > 0) {
-        console.log('ProfilePage: APPLICANT EVIDENCE - User requests:', userRequests.map(r => ({ id: r.id, foodType: r.foodType, requesterId: r.requesterId })));
+        console.log('ProfilePage: APPLICANT EVIDENCE - User requests:', userRequests.map(r => ({ id: r.id, foodItem: r.foodItem, requesterId: r.requesterId })));
       }
       if (userApplications.length > 0) {
         console.log('ProfilePage: APPLICANT EVIDENCE - User applications:', userApplications.map(a => ({ id: a.id, donationTitle: a.donationTitle, applicantId: a.applicantId })));
       }
       
       // REINFORCED LOGIC: Multiple ways to be a donor or applicant
-      const isDonor = userDonations.length > 0;
+      const isDonor = userDonations.length > 0 || schedules.length > 0;
       const isApplicantViaRequests = userRequests.length > 0;
       const isApplicantViaClaims = claimedDonations.length > 0;
       const isApplicantViaApplications = userApplications.length > 0;
@@ -373,7 +302,20 @@ const ProfilePage = () => {
     } else if (currentUser) {
       console.log('ProfilePage: Waiting for data to load. Status:', dataLoaded);
     }
-  }, [dataLoaded, userDonations.length, userRequests.length, claimedDonations.length, userApplications.length, hasHousehold, currentUser]);
+  }, [dataLoaded, userDonations.length, schedules.length, userRequests.length, claimedDonations.length, userApplications.length, hasHousehold, currentUser]);
+
+  // Deliveries to follow once the volunteer has collected the food (the
+  // application is completed then), plus ones delivered in the last day
+  const approvedIds = new Set(
+    userApplications.filter((app) => app.status === APPLICATION_STATUSES.APPROVED).map((app) => app.id)
+  );
+  const followedDeliveries = deliveries.filter(
+    (delivery) =>
+      !approvedIds.has(delivery.id) &&
+      (delivery.status === DELIVERY_STATUSES.PICKED_UP ||
+        (delivery.status === DELIVERY_STATUSES.DELIVERED &&
+          new Date() - (toDate(delivery.deliveredAt) || new Date()) < RECENT_DELIVERY_MS))
+  );
 
   // Helper function to get view-specific stats
   const getViewStats = () => {
@@ -404,10 +346,7 @@ const ProfilePage = () => {
 
   const handleStatusUpdate = async (itemId, collection_name, newStatus) => {
     try {
-      await updateDoc(doc(db, collection_name, itemId), {
-        status: newStatus,
-        updatedAt: new Date(),
-      });
+      await STATUS_UPDATERS[collection_name](itemId, newStatus);
       showSuccess(`Status updated to ${newStatus}`);
     } catch (error) {
       console.error("Error updating status:", error);
@@ -419,7 +358,7 @@ const ProfilePage = () => {
     if (!confirm("Are you sure you want to delete this item?")) return;
 
     try {
-      await deleteDoc(doc(db, collection_name, itemId));
+      await DELETERS[collection_name](itemId);
       showSuccess("Item deleted successfully");
     } catch (error) {
       console.error("Error deleting item:", error);
@@ -427,6 +366,19 @@ const ProfilePage = () => {
     }
   };
 
+  const handleCancelDonation = async (donation) => {
+    const reason = window.prompt("Cancel this donation? Households who applied will be notified.\nReason (optional):");
+    if (reason === null) return;
+
+    try {
+      const { notified } = await cancelDonation(donation.id, reason, currentUser);
+      showSuccess(notified > 0 ? `Donation cancelled. ${notified} household(s) were notified.` : "Donation cancelled.");
+    } catch (error) {
+      console.error("Error cancelling donation:", error);
+      showError(error.message || "Failed to cancel the donation");
+    }
+  };
+
   const formatDate = (timestamp) => {
     if (!timestamp) return "N/A";
     const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -440,6 +392,14 @@ const ProfilePage = () => {
         return "bg-success-100 text-success-800";
       case "claimed":
         return "bg-orange-100 text-orange-800";
+      case "pending":
+        return "bg-yellow-100 text-yellow-800";
+      case "waitlisted":
+        return "bg-purple-100 text-purple-800";
+      case "rejected":
+      case "cancelled":
+      case "cancelled_by_donor":
+        return "bg-red-100 text-red-800";
       case "completed":
       case "fulfilled":
         return "bg-gray-100 text-gray-800";
@@ -589,7 +549,7 @@ const ProfilePage = () => {
                     📝 Register Household
                   </button>
                 )}
-                {hasHousehold && (
+                {hasHousehold && isUserRegistrant() && (
                   <button
                     onClick={() => setShowHouseholdForm(true)}
                     className="px-4 py-2 bg-white border-2 border-gray-300 text-gray-700 rounded-xl font-medium hover:border-gray-400 transition-all"
@@ -621,11 +581,13 @@ const ProfilePage = () => {
                   <span className="font-medium">{isLargeHousehold() ? "Large" : "Standard"}</span> household
                 </div>
                 <div className="text-blue-700">
-                  <span className="font-medium">{isLargeHousehold() ? "35%" : "30%"}</span> donation limit
+                  <span className="font-medium">{Math.round(getMaxDonationPercentage() * 100)}%</span> donation limit
                 </div>
               </div>
             </div>
           )}
+
+          <HouseholdInvites hasHousehold={hasHousehold} />
         </div>
 
         {/* Beautiful Stats Grid */}
@@ -732,6 +694,42 @@ const ProfilePage = () => {
                   >
                     🌟 Impact & Analytics
                   </button>
+                  {reviewQueue.length > 0 && (
+                    <button
+                      onClick={() => setActiveTab("review")}
+                      className={`px-6 py-3 text-sm font-semibold rounded-xl transition-all duration-300 whitespace-nowrap ${
+                        activeTab === "review"
+                          ? "bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow-lg transform scale-105"
+                          : "text-gray-600 hover:text-gray-800 hover:bg-white/50"
+                      }`}
+                    >
+                      ✋ Review Applications ({reviewQueue.length})
+                    </button>
+                  )}
+                  {schedules.length > 0 && (
+                    <button
+                      onClick={() => setActiveTab("recurring")}
+                      className={`px-6 py-3 text-sm font-semibold rounded-xl transition-all duration-300 whitespace-nowrap ${
+                        activeTab === "recurring"
+                          ? "bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow-lg transform scale-105"
+                          : "text-gray-600 hover:text-gray-800 hover:bg-white/50"
+                      }`}
+                    >
+                      🔁 Recurring ({schedules.length})
+                    </button>
+                  )}
+                  {awaitingPickups.length > 0 && (
+                    <button
+                      onClick={() => setActiveTab("pickups")}
+                      className={`px-6 py-3 text-sm font-semibold rounded-xl transition-all duration-300 whitespace-nowrap ${
+                        activeTab === "pickups"
+                          ? "bg-gradient-to-r from-green-500 to-emerald-500 text-white shadow-lg transform scale-105"
+                          : "text-gray-600 hover:text-gray-800 hover:bg-white/50"
+                      }`}
+                    >
+                      📷 Confirm Pickups ({awaitingPickups.length})
+                    </button>
+                  )}
                   {fulfilledRequests.length > 0 && (
                     <button
                       onClick={() => setActiveTab("fulfilled")}
@@ -875,7 +873,7 @@ const ProfilePage = () => {
                         </div>
                         <div>
                           <p className="font-semibold text-orange-800">
-                            Requested: {request.foodType.replace("-", " ")}
+                            Requested: {request.foodItem}
                           </p>
                           <p className="text-sm text-orange-600">
                             {formatDate(request.createdAt)} • {request.urgency} priority
@@ -982,7 +980,7 @@ const ProfilePage = () => {
 
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 p-4 bg-gray-50/70 rounded-2xl">
                         <div className="text-center">
-                          <div className="text-lg font-bold text-gray-800">{donation.quantity}</div>
+                          <div className="text-lg font-bold text-gray-800">{describeQuantity(donation)}</div>
                           <div className="text-xs text-gray-600">Quantity</div>
                         </div>
                         <div className="text-center">
@@ -1030,13 +1028,55 @@ const ProfilePage = () => {
                             ✅ Mark Complete
                           </button>
                         )}
+                        {isDonationEditable(normalizeDonation(donation)) && (
+                          <>
+                            <a
+                              href={`/donate?edit=${donation.id}`}
+                              className="px-4 py-2 bg-white border-2 border-blue-200 text-blue-700 rounded-xl font-semibold hover:border-blue-300 transition-all"
+                            >
+                              ✏️ Edit
+                            </a>
+                            <button
+                              onClick={() => handleCancelDonation(donation)}
+                              className="px-4 py-2 bg-white border-2 border-red-200 text-red-600 rounded-xl font-semibold hover:border-red-300 hover:bg-red-50 transition-all"
+                            >
+                              🚫 Cancel
+                            </button>
+                          </>
+                        )}
+                        {canRelistDonation(normalizeDonation(donation)) && (
+                          <>
+                            <a
+                              href={`/donate?relist=${donation.id}`}
+                              className="px-4 py-2 bg-white border-2 border-green-200 text-green-700 rounded-xl font-semibold hover:border-green-300 transition-all"
+                            >
+                              🔁 Relist
+                            </a>
+                            {/* Active listings are cancelled instead, so no application is left pointing at nothing */}
+                            <button
+                              onClick={() => handleDelete(donation.id, "donations")}
+                              className="px-4 py-2 bg-white border-2 border-red-200 text-red-600 rounded-xl font-semibold hover:border-red-300 hover:bg-red-50 transition-all"
+                            >
+                              🗑️ Delete
+                            </button>
+                          </>
+                        )}
                         <button
-                          onClick={() => handleDelete(donation.id, "donations")}
-                          className="px-4 py-2 bg-white border-2 border-red-200 text-red-600 rounded-xl font-semibold hover:border-red-300 hover:bg-red-50 transition-all"
+                          onClick={() => setHistoryDonationId(historyDonationId === donation.id ? null : donation.id)}
+                          className="px-4 py-2 bg-white border-2 border-gray-200 text-gray-700 rounded-xl font-semibold hover:border-gray-300 transition-all"
                         >
-                          🗑️ Delete
+                          📜 History
                         </button>
                       </div>
+
+                      {donation.status === "cancelled" && donation.cancellationReason && (
+                        <p className="mt-4 text-sm text-red-700">Cancelled: {donation.cancellationReason}</p>
+                      )}
+                      {historyDonationId === donation.id && (
+                        <div className="mt-6 p-4 bg-gray-50/70 rounded-2xl">
+                          <DonationHistory donationId={donation.id} />
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -1183,13 +1223,27 @@ const ProfilePage = () => {
             </div>
           )}
 
+          {/* Application Review Tab */}
+          {activeTab === "review" && (
+            <ApplicationReviewQueue applications={reviewQueue} />
+          )}
+
+          {/* Pickup Confirmation Tab */}
+          {activeTab === "recurring" && (
+            <RecurringSchedules schedules={schedules} />
+          )}
+
+          {activeTab === "pickups" && (
+            <PickupScanner applications={awaitingPickups} />
+          )}
+
           {/* Fulfilled Requests Tab */}
           {activeTab === "fulfilled" && (
             <div>
               {fulfilledRequests.length > 0 ? (
                 <div className="space-y-6">
                   {fulfilledRequests.map((request) => (
-                    <div key={`${request.requestType}-${request.id}`} className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6 hover:shadow-2xl transition-all duration-300">
+                    <div key={request.id} className="bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6 hover:shadow-2xl transition-all duration-300">
                       <div className="flex justify-between items-start mb-6">
                         <div className="flex items-start space-x-4">
                           <div className="w-16 h-16 bg-gradient-to-br from-green-400 to-blue-500 rounded-2xl flex items-center justify-center text-2xl text-white shadow-lg">
@@ -1197,7 +1251,7 @@ const ProfilePage = () => {
                           </div>
                           <div>
                             <h3 className="text-xl font-bold text-gray-800 mb-1">
-                              {request.foodItem || request.foodType?.replace('-', ' ') || 'Food Request'}
+                              {request.foodItem}
                             </h3>
                             <p className="text-gray-600 flex items-center mb-2">
                               📍 {request.location || 'Location not specified'}
@@ -1304,6 +1358,75 @@ const ProfilePage = () => {
           {/* Enhanced Claimed Food Tab */}
           {activeTab === "claimed" && (
             <div>
+              {/* Approved applications waiting to be collected */}
+              {userApplications.some((app) => app.status === APPLICATION_STATUSES.APPROVED) && (
+                <div className="mb-6 bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+                  <h3 className="text-lg font-bold text-gray-800 mb-4">🎟️ Ready for Pickup</h3>
+                  <div className="space-y-3">
+                    {userApplications
+                      .filter((app) => app.status === APPLICATION_STATUSES.APPROVED)
+                      .map((app) => (
+                        <div key={app.id}>
+                          <PickupCode application={app} />
+                          <DeliveryStatus
+                            application={app}
+                            delivery={deliveries.find((delivery) => delivery.id === app.id)}
+                          />
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Deliveries already collected by a volunteer, so no longer waiting for pickup */}
+              {followedDeliveries.length > 0 && (
+                <div className="mb-6 bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+                  <h3 className="text-lg font-bold text-gray-800 mb-4">🚚 Deliveries</h3>
+                  <div className="space-y-3">
+                    {followedDeliveries.map((delivery) => (
+                      <DeliveryStatus key={delivery.id} delivery={delivery} />
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Decisions still open, or declined, on manual-approval donations */}
+              {userApplications.some((app) => app.status !== APPLICATION_STATUSES.APPROVED && app.status !== APPLICATION_STATUSES.COMPLETED) && (
+                <div className="mb-6 bg-white/70 backdrop-blur-sm rounded-3xl shadow-xl border border-white/20 p-6">
+                  <h3 className="text-lg font-bold text-gray-800 mb-4">📨 Application Status</h3>
+                  <div className="space-y-3">
+                    {userApplications
+                      .filter((app) => app.status !== APPLICATION_STATUSES.APPROVED && app.status !== APPLICATION_STATUSES.COMPLETED)
+                      .map((app) => (
+                        <div key={app.id} className="flex justify-between items-start p-3 bg-gray-50 rounded-xl">
+                          <div>
+                            <p className="font-semibold text-gray-800">
+                              {app.donationTitle || "Donation"} • {formatQuantity(app.quantity, app.unit)}
+                            </p>
+                            {(app.status === APPLICATION_STATUSES.PENDING || app.status === APPLICATION_STATUSES.WAITLISTED) && (
+                              <PickupSlotInfo application={app} />
+                            )}
+                            {app.status === APPLICATION_STATUSES.REJECTED && app.rejectionReason && (
+                              <p className="text-sm text-red-700">Reason: {app.rejectionReason}</p>
+                            )}
+                            {app.status === APPLICATION_STATUSES.CANCELLED_BY_DONOR && (
+                              <p className="text-sm text-red-700">
+                                The donor cancelled this donation.{app.cancellationReason && ` Reason: ${app.cancellationReason}`}
+                              </p>
+                            )}
+                            {app.status === APPLICATION_STATUSES.WAITLISTED && (
+                              <p className="text-sm text-purple-700">You'll be approved automatically if servings free up.</p>
+                            )}
+                          </div>
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusColor(app.status)}`}>
+                            {app.status}
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )}
+
               {claimedDonations.length > 0 ? (
                 <div className="space-y-6">
                   {claimedDonations.map((donation) => (
@@ -1336,7 +1459,7 @@ const ProfilePage = () => {
 
                       <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6 p-4 bg-blue-50/70 rounded-2xl">
                         <div className="text-center">
-                          <div className="text-lg font-bold text-blue-800">{donation.quantity}</div>
+                          <div className="text-lg font-bold text-blue-800">{describeQuantity(donation)}</div>
                           <div className="text-xs text-blue-600">Quantity Received</div>
                         </div>
                         <div className="text-center">
@@ -1398,7 +1521,7 @@ const ProfilePage = () => {
                           </div>
                           <div>
                             <h3 className="text-xl font-bold text-gray-800 mb-1">
-                              {request.foodType.replace("-", " ")} - {request.quantity}
+                              {request.foodItem} - {request.quantity}
                             </h3>
                             <p className="text-gray-600 flex items-center mb-2">
                               📍 {request.location}
@@ -1512,15 +1635,21 @@ const ProfilePage = () => {
                       <h3 className="text-2xl font-bold text-gray-800">
                         {household.householdName}
                       </h3>
-                      <p className="text-gray-600">Registered household profile</p>
+                      <p className="text-gray-600">
+                        {isUserRegistrant()
+                          ? "Registered household profile"
+                          : `You are linked as ${getLinkedMemberEntry()?.name || "a member"}; the registrant manages this profile`}
+                      </p>
                     </div>
                   </div>
-                  <button
-                    onClick={() => setShowHouseholdForm(true)}
-                    className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all transform hover:scale-105"
-                  >
-                    ✏️ Edit Household
-                  </button>
+                  {isUserRegistrant() && (
+                    <button
+                      onClick={() => setShowHouseholdForm(true)}
+                      className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 text-white rounded-xl font-semibold shadow-lg hover:shadow-xl transition-all transform hover:scale-105"
+                    >
+                      ✏️ Edit Household
+                    </button>
+                  )}
                 </div>
 
                 <div className="grid md:grid-cols-2 gap-8">
@@ -1556,7 +1685,7 @@ const ProfilePage = () => {
                         <div>
                           <p className="font-medium text-blue-800">Type</p>
                           <p className="text-blue-700">
-                            {isLargeHousehold() ? "Large (7+ members)" : "Standard"}
+                            {isLargeHousehold() ? `Large (${allowanceRules.largeHouseholdSize}+ members)` : "Standard"}
                           </p>
                         </div>
                       </div>
@@ -1565,7 +1694,7 @@ const ProfilePage = () => {
                         <div>
                           <p className="font-medium text-blue-800">Donation Limit</p>
                           <p className="text-blue-700">
-                            {Math.round(isLargeHousehold() ? 35 : 30)}% of available quantity
+                            {Math.round(getMaxDonationPercentage() * 100)}% of available quantity
                           </p>
                         </div>
                       </div>
@@ -1596,7 +1725,7 @@ const ProfilePage = () => {
                             <div className="flex-1">
                               <div className="flex items-center gap-2 mb-1">
                                 <p className="font-bold text-green-800">{member.name}</p>
-                                {member.isRegistrant && (
+                                {index === household.members.findIndex((m) => m.isRegistrant) && (
                                   <span className="px-2 py-1 bg-green-200 text-green-800 rounded-full text-xs font-bold">
                                     Registrant
                                   </span>
@@ -1615,11 +1744,32 @@ const ProfilePage = () => {
                                   📞 {member.phone}
                                 </p>
                               )}
+                              {(member.allergies?.length > 0 || member.diets?.length > 0) && (
+                                <div className="mt-2 flex flex-wrap gap-1">
+                                  {(member.allergies || []).map((key) => (
+                                    <span key={key} className="px-2 py-0.5 bg-amber-100 text-amber-800 rounded-full text-xs">
+                                      No {ALLERGENS[key]?.toLowerCase() || key}
+                                    </span>
+                                  ))}
+                                  {(member.diets || []).map((key) => (
+                                    <span key={key} className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs">
+                                      {DIET_LABELS[key] || key}
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
                               {member.dietaryRestrictions && (
                                 <div className="mt-2 px-3 py-1 bg-orange-100 text-orange-800 rounded-lg text-xs">
                                   🍽️ Dietary: {member.dietaryRestrictions}
                                 </div>
                               )}
+                              <MemberAccess
+                                household={household}
+                                member={member}
+                                index={index}
+                                invite={householdInvites.find((invite) => invite.memberId === member.id)}
+                                canManage={isUserRegistrant()}
+                              />
                             </div>
                           </div>
                         </div>
@@ -1627,6 +1777,14 @@ const ProfilePage = () => {
                     </div>
                   </div>
                 </div>
+
+                <div className="mt-8">
+                  <HouseholdVerification household={household} canManage={isUserRegistrant()} />
+                </div>
+
+                <div className="mt-8">
+                  <AllowanceLedger householdId={household.id} showLimit />
+                </div>
               </div>
 
               {/* Application History & Statistics */}
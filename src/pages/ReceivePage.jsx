@@ -1,77 +1,33 @@
 import React from "react";
-import { useState, useEffect } from "react";
-import {
-  collection,
-  query,
-  where,
-  orderBy,
-  onSnapshot,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
+import { useState, useMemo } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { useDonations } from "../hooks/useDonations";
+import { useHousehold } from "../hooks/useHousehold";
+import { useListingFilters } from "../hooks/useListingFilters";
+import { DEFAULT_DONATION_FILTERS } from "../services/listingFilters";
+import { getHouseholdRestrictions } from "../services/dietaryModel";
 import DonationCard from "../components/common/DonationCard";
 import SearchFilters from "../components/common/SearchFilters";
 import RequestForm from "../components/common/RequestForm";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 
+// Recipients browse nearby food, so the distance limit starts tighter
+const RECEIVE_FILTERS = { ...DEFAULT_DONATION_FILTERS, maxDistance: 25 };
+
 const ReceivePage = () => {
   const { currentUser, isGuest } = useAuth();
-  const [donations, setDonations] = useState([]);
-  const [filteredDonations, setFilteredDonations] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { donations, loading } = useDonations({ availableOnly: true });
+  const { household } = useHousehold();
   const [activeTab, setActiveTab] = useState("browse"); // 'browse' or 'request'
-  const [filters, setFilters] = useState({
-    search: "",
-    status: "available",
-    maxDistance: 25,
-  });
-
-  useEffect(() => {
-    const q = query(
-      collection(db, "donations"),
-      where("status", "==", "available"),
-      orderBy("createdAt", "desc")
-    );
-
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const donationsData = [];
-      querySnapshot.forEach((doc) => {
-        donationsData.push({
-          id: doc.id,
-          ...doc.data(),
-        });
-      });
-      setDonations(donationsData);
-      setFilteredDonations(donationsData);
-      setLoading(false);
-    });
-
-    return () => unsubscribe();
-  }, []);
-
-  const handleFilterChange = (newFilters) => {
-    setFilters(newFilters);
-
-    let filtered = donations;
-
-    if (newFilters.search) {
-      const searchTerm = newFilters.search.toLowerCase();
-      filtered = filtered.filter(
-        (donation) =>
-          donation.foodItem.toLowerCase().includes(searchTerm) ||
-          donation.description?.toLowerCase().includes(searchTerm) ||
-          donation.location.toLowerCase().includes(searchTerm)
-      );
-    }
-
-    if (newFilters.status !== "all") {
-      filtered = filtered.filter(
-        (donation) => donation.status === newFilters.status
-      );
-    }
-
-    setFilteredDonations(filtered);
-  };
+  const restrictions = useMemo(
+    () => (household ? getHouseholdRestrictions(household) : null),
+    [household]
+  );
+  const {
+    filters,
+    setFilters,
+    filteredItems: filteredDonations,
+  } = useListingFilters(donations, RECEIVE_FILTERS, restrictions);
 
   if (loading) {
     return (
@@ -129,8 +85,10 @@ const ReceivePage = () => {
             {/* Search and Filters */}
             <SearchFilters
               filters={filters}
-              onFilterChange={handleFilterChange}
+              onFilterChange={setFilters}
               totalResults={filteredDonations.length}
+              defaults={RECEIVE_FILTERS}
+              showHouseholdFilter={Boolean(household)}
             />
 
             {/* Available Donations */}
@@ -138,7 +96,7 @@ const ReceivePage = () => {
               <>
                 <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3 mb-8">
                   {filteredDonations.map((donation) => (
-                    <DonationCard key={donation.id} donation={donation} />
+                    <DonationCard key={donation.id} donation={donation} restrictions={restrictions} />
                   ))}
                 </div>
 
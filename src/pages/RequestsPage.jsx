@@ -1,132 +1,38 @@
 import React from "react";
-import { useState, useEffect } from "react";
-import {
-  collection,
-  query,
-  orderBy,
-  onSnapshot,
-  where,
-} from "firebase/firestore";
-import { db } from "../config/firebase";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotification } from "../contexts/NotificationContext";
+import { useRequests } from "../hooks/useRequests";
+import { useFilterParams, useListingFilters } from "../hooks/useListingFilters";
+import { DEFAULT_REQUEST_FILTERS, getNearbyArea } from "../services/listingFilters";
 import RequestCard from "../components/common/RequestCard";
 import SearchFilters from "../components/common/SearchFilters";
 import ProtectedRoute from "../components/auth/ProtectedRoute";
 
+const REQUEST_STATUS_OPTIONS = [
+  ["all", "All Requests"],
+  ["open", "Open Requests"],
+  ["fulfilled", "Fulfilled"],
+  ["closed", "Closed"],
+];
+
 const RequestsPage = () => {
   const { currentUser } = useAuth();
   const { showSuccess } = useNotification();
-  const [requests, setRequests] = useState([]);
-  const [filteredRequests, setFilteredRequests] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    search: "",
-    status: "open",
-    urgency: "all",
-  });
-
-  useEffect(() => {
-    // Load both regular requests and custom food requests
-    const regularRequestsQuery = query(
-      collection(db, "requests")
-    );
-
-    const customRequestsQuery = query(
-      collection(db, "food-requests")
-    );
-
-    const unsubscribeRegular = onSnapshot(regularRequestsQuery, (snapshot) => {
-      const regularRequests = [];
-      snapshot.forEach((doc) => {
-        regularRequests.push({
-          id: doc.id,
-          ...doc.data(),
-          type: 'regular'
-        });
-      });
-
-      const unsubscribeCustom = onSnapshot(customRequestsQuery, (snapshot) => {
-        const customRequests = [];
-        snapshot.forEach((doc) => {
-          customRequests.push({
-            id: doc.id,
-            ...doc.data(),
-            type: 'custom'
-          });
-        });
-
-        // Combine and sort all requests
-        const allRequests = [...regularRequests, ...customRequests];
-
-        // Sort by urgency first, then by creation date
-        allRequests.sort((a, b) => {
-          // Urgency priority: urgent > high > medium > low
-          const urgencyOrder = { urgent: 4, high: 3, medium: 2, low: 1 };
-          const aUrgency = urgencyOrder[a.urgency] || 1;
-          const bUrgency = urgencyOrder[b.urgency] || 1;
-
-          if (aUrgency !== bUrgency) {
-            return bUrgency - aUrgency; // Higher urgency first
-          }
-
-          // If same urgency, sort by creation date (newest first)
-          const aDate = a.createdAt?.toDate?.() || new Date(a.createdAt || 0);
-          const bDate = b.createdAt?.toDate?.() || new Date(b.createdAt || 0);
-          return bDate - aDate;
-        });
-
-        setRequests(allRequests);
-        setFilteredRequests(allRequests);
-        setLoading(false);
-      });
-
-      return () => unsubscribeCustom();
-    });
-
-    return () => unsubscribeRegular();
-  }, []);
-
-  const handleFilterChange = (newFilters) => {
-    setFilters(newFilters);
-
-    let filtered = requests;
-
-    // Search filter
-    if (newFilters.search) {
-      const searchTerm = newFilters.search.toLowerCase();
-      filtered = filtered.filter(
-        (request) =>
-          (request.foodItem && request.foodItem.toLowerCase().includes(searchTerm)) ||
-          (request.foodType && request.foodType.toLowerCase().includes(searchTerm)) ||
-          (request.description && request.description.toLowerCase().includes(searchTerm)) ||
-          (request.location && request.location.toLowerCase().includes(searchTerm))
-      );
-    }
-
-    // Status filter
-    if (newFilters.status !== "all") {
-      filtered = filtered.filter(
-        (request) => request.status === newFilters.status
-      );
-    }
-
-    // Urgency filter
-    if (newFilters.urgency && newFilters.urgency !== "all") {
-      filtered = filtered.filter(
-        (request) => request.urgency === newFilters.urgency
-      );
-    }
-
-    setFilteredRequests(filtered);
-  };
+  // A "near me" search only loads requests in range
+  const { filters: searchFilters } = useFilterParams(DEFAULT_REQUEST_FILTERS);
+  const { requests, loading } = useRequests({ near: getNearbyArea(searchFilters) });
+  const {
+    filters,
+    setFilters,
+    resetFilters,
+    filteredItems: filteredRequests,
+  } = useListingFilters(requests, DEFAULT_REQUEST_FILTERS);
 
   const handleDonateToRequest = (request) => {
     // Navigate to donate page with request pre-filled
     const requestInfo = {
       targetRequestId: request.id,
-      targetRequestType: request.type,
-      suggestedFoodItem: request.foodItem || request.foodType?.replace('-', ' '),
+      suggestedFoodItem: request.foodItem,
       suggestedQuantity: request.quantity,
       requesterLocation: request.location,
       requesterContact: request.contactInfo
@@ -194,74 +100,15 @@ const RequestsPage = () => {
           </div>
         </div>
 
-        {/* Enhanced Search and Filters */}
-        <div className="mb-8">
-          <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-lg border border-white/20 p-6">
-            <div className="flex flex-col lg:flex-row gap-4">
-              {/* Search */}
-              <div className="flex-1">
-                <label className="block text-sm font-semibold text-gray-700 mb-2">
-                  🔍 Search requests
-                </label>
-                <input
-                  type="text"
-                  value={filters.search}
-                  onChange={(e) => handleFilterChange({ ...filters, search: e.target.value })}
-                  placeholder="Search by food type, location, or description..."
-                  className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all"
-                />
-              </div>
-
-              {/* Status Filter */}
-              <div className="lg:w-48">
-                <label className="block text-sm font-semibold text-gray-700 mb-2">
-                  📊 Status
-                </label>
-                <select
-                  value={filters.status}
-                  onChange={(e) => handleFilterChange({ ...filters, status: e.target.value })}
-                  className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all"
-                >
-                  <option value="all">All Requests</option>
-                  <option value="open">Open Requests</option>
-                  <option value="fulfilled">Fulfilled</option>
-                </select>
-              </div>
-
-              {/* Urgency Filter */}
-              <div className="lg:w-48">
-                <label className="block text-sm font-semibold text-gray-700 mb-2">
-                  ⚡ Urgency
-                </label>
-                <select
-                  value={filters.urgency}
-                  onChange={(e) => handleFilterChange({ ...filters, urgency: e.target.value })}
-                  className="w-full p-3 border-2 border-gray-200 rounded-xl focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all"
-                >
-                  <option value="all">All Urgency</option>
-                  <option value="urgent">🚨 Urgent</option>
-                  <option value="high">⚡ High</option>
-                  <option value="medium">📅 Medium</option>
-                  <option value="low">🕐 Low</option>
-                </select>
-              </div>
-            </div>
-
-            <div className="mt-4 flex items-center justify-between">
-              <p className="text-sm text-gray-600">
-                Showing {filteredRequests.length} of {requests.length} requests
-              </p>
-              {(filters.search || filters.status !== 'open' || filters.urgency !== 'all') && (
-                <button
-                  onClick={() => setFilters({ search: "", status: "open", urgency: "all" })}
-                  className="text-sm text-orange-600 hover:text-orange-700 font-medium"
-                >
-                  Clear filters
-                </button>
-              )}
-            </div>
-          </div>
-        </div>
+        {/* Search and Filters */}
+        <SearchFilters
+          filters={filters}
+          onFilterChange={setFilters}
+          totalResults={filteredRequests.length}
+          defaults={DEFAULT_REQUEST_FILTERS}
+          statusOptions={REQUEST_STATUS_OPTIONS}
+          itemLabel="request"
+        />
 
         {/* Requests Grid */}
         {filteredRequests.length > 0 ? (
@@ -303,7 +150,7 @@ const RequestsPage = () => {
                 ) : (
                   <>
                     <button
-                      onClick={() => setFilters({ search: "", status: "open", urgency: "all" })}
+                      onClick={resetFilters}
                       className="px-6 py-3 bg-white border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:border-gray-400 transition-all"
                     >
                       🔄 Clear Filters
@@ -0,0 +1,133 @@
+// Fair-share policy model: how much of a donation, and how much per day, a household
+// may take. The live policy is the admin-edited settings/allowancePolicy
+// document; DEFAULT_POLICY applies until one is saved.
+//
+// settings/allowancePolicy:
+//   version     number, bumped on every save and copied onto each application
+//   rules       base rules (see DEFAULT_RULES)
+//   categories  { [food category]: partial rules }
+//   sites       { [siteId]: { name, rules: partial rules } }
+//   requireVerification  households must be verified by staff before applying
+//
+// Per-donation caps are in the donation's own unit; daily limits are in
+// servings so donations listed in different units add up.
+
+import { getOriginalAmount, getRemainingAmount, fromServings } from "./quantityModel.js";
+import { getLedgerTotal, toDateKey } from "./ledgerModel.js";
+
+export const DEFAULT_RULES = {
+  largeHouseholdSize: 7, // members needed to count as a large household
+  householdShare: 0.3, // share of one donation a household may take
+  largeHouseholdShare: 0.35,
+  smallRemainderThreshold: 3, // at or below this many units left, anyone may take the rest
+  dailyShare: 0.3, // share of everything listed a household may collect per day
+  dailyMinimum: 5, // daily allowance never drops below this many servings
+};
+
+export const DEFAULT_POLICY = {
+  version: 0,
+  rules: DEFAULT_RULES,
+  categories: {},
+  sites: {},
+  requireVerification: false,
+};
+
+/**
+ * Rules for one donation: base rules, then its site's, then its category's.
+ * @param {object} policy
+ * @param {{category?: string, siteId?: string}} [donation]
+ * @returns {typeof DEFAULT_RULES}
+ */
+export const resolveRules = (policy, donation = {}) => ({
+  ...DEFAULT_RULES,
+  ...policy?.rules,
+  ...policy?.sites?.[donation.siteId]?.rules,
+  ...policy?.categories?.[donation.category],
+});
+
+/**
+ * @param {object|null} household
+ * @returns {number}
+ */
+export const getHouseholdSize = (household) =>
+  household?.memberCount || household?.members?.length || 0;
+
+/**
+ * @param {object|null} household
+ * @param {typeof DEFAULT_RULES} rules
+ * @returns {boolean}
+ */
+export const isLargeHousehold = (household, rules = DEFAULT_RULES) =>
+  getHouseholdSize(household) >= rules.largeHouseholdSize;
+
+/**
+ * Share of a single donation the household may take.
+ * @param {object|null} household
+ * @param {typeof DEFAULT_RULES} rules
+ * @returns {number} e.g. 0.3
+ */
+export const getHouseholdShare = (household, rules = DEFAULT_RULES) =>
+  isLargeHousehold(household, rules) ? rules.largeHouseholdShare : rules.householdShare;
+
+/**
+ * Daily allowance from the total quantity currently listed.
+ * @param {number} totalListed servings
+ * @param {typeof DEFAULT_RULES} rules
+ * @returns {number}
+ */
+export const getDailyLimit = (totalListed, rules = DEFAULT_RULES) =>
+  Math.max(rules.dailyMinimum, Math.floor(totalListed * rules.dailyShare));
+
+/**
+ * How much of a donation, in the donation's unit, a household may apply for right now.
+ * @param {object} household household document
+ * @param {object} donation donation document (quantities, category, siteId)
+ * @param {{ledger: object|null, totalListed: number, date?: string}} history
+ *   the household's allowance ledger (see ledgerModel) and the total servings currently listed
+ * @param {object} policy allowance policy document
+ * @returns {{
+ *   maxQuantity: number,
+ *   perDonationCap: number,
+ *   dailyLimit: number,
+ *   dailyUsed: number,
+ *   limitedBy: "donation"|"remaining"|"daily",
+ *   isLargeHousehold: boolean,
+ *   share: number,
+ *   rules: typeof DEFAULT_RULES,
+ *   policyVersion: number
+ * }}
+ */
+export const evaluateAllowance = (household, donation, history, policy) => {
+  const rules = resolveRules(policy, donation);
+  const original = getOriginalAmount(donation);
+  const remaining = getRemainingAmount(donation);
+
+  const large = isLargeHousehold(household, rules);
+  const share = large ? rules.largeHouseholdShare : rules.householdShare;
+  const perDonationCap =
+    remaining <= rules.smallRemainderThreshold ? remaining : Math.max(1, Math.ceil(original * share));
+
+  const date = history.date || toDateKey();
+  const dailyLimit = getDailyLimit(history.totalListed, rules);
+  const dailyUsed = getLedgerTotal(history.ledger, "allocated", "days", date);
+  const dailyLeft = Math.max(0, dailyLimit - dailyUsed);
+
+  const limits = [
+    ["donation", perDonationCap],
+    ["remaining", remaining],
+    ["daily", fromServings(dailyLeft, donation)],
+  ];
+  const [limitedBy, maxQuantity] = limits.reduce((lowest, limit) => (limit[1] < lowest[1] ? limit : lowest));
+
+  return {
+    maxQuantity: Math.max(0, maxQuantity),
+    perDonationCap,
+    dailyLimit,
+    dailyUsed,
+    limitedBy,
+    isLargeHousehold: large,
+    share,
+    rules,
+    policyVersion: policy?.version ?? DEFAULT_POLICY.version,
+  };
+};
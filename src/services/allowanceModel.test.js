@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_POLICY, evaluateAllowance } from "./allowanceModel.js";
+
+const DATE = "2026-10-19";
+
+const household = (memberCount) => ({ memberCount });
+
+const donation = (amount, fields = {}) => ({
+  quantity: { amount, unit: "servings" },
+  originalQuantity: amount,
+  remainingQuantity: amount,
+  ...fields,
+});
+
+const history = (allocatedToday = 0, totalListed = 100) => ({
+  ledger: { allocated: { days: { [DATE]: allocatedToday } } },
+  totalListed,
+  date: DATE,
+});
+
+test("caps a regular household at its share of the donation", () => {
+  const allowance = evaluateAllowance(household(3), donation(20), history(), DEFAULT_POLICY);
+
+  assert.equal(allowance.isLargeHousehold, false);
+  assert.equal(allowance.share, 0.3);
+  assert.equal(allowance.perDonationCap, 6);
+  assert.equal(allowance.maxQuantity, 6);
+  assert.equal(allowance.limitedBy, "donation");
+});
+
+test("gives large households the larger share", () => {
+  const allowance = evaluateAllowance(household(7), donation(20), history(), DEFAULT_POLICY);
+
+  assert.equal(allowance.isLargeHousehold, true);
+  assert.equal(allowance.share, 0.35);
+  assert.equal(allowance.perDonationCap, 7);
+  assert.equal(allowance.maxQuantity, 7);
+});
+
+test("uses the policy's large household size and shares", () => {
+  const policy = { version: 4, rules: { largeHouseholdSize: 4, largeHouseholdShare: 0.5 } };
+  const allowance = evaluateAllowance(household(4), donation(20), history(), policy);
+
+  assert.equal(allowance.isLargeHousehold, true);
+  assert.equal(allowance.perDonationCap, 10);
+  assert.equal(allowance.policyVersion, 4);
+});
+
+test("lets anyone take a small remainder", () => {
+  const allowance = evaluateAllowance(household(1), donation(20, { remainingQuantity: 3 }), history(), DEFAULT_POLICY);
+
+  assert.equal(allowance.perDonationCap, 3);
+  assert.equal(allowance.maxQuantity, 3);
+});
+
+test("never offers more than remains", () => {
+  const allowance = evaluateAllowance(household(1), donation(20, { remainingQuantity: 4 }), history(), DEFAULT_POLICY);
+
+  assert.equal(allowance.perDonationCap, 6);
+  assert.equal(allowance.maxQuantity, 4);
+  assert.equal(allowance.limitedBy, "remaining");
+});
+
+test("limits the household to what is left of today's allowance", () => {
+  const allowance = evaluateAllowance(household(3), donation(20), history(28), DEFAULT_POLICY);
+
+  assert.equal(allowance.dailyLimit, 30);
+  assert.equal(allowance.dailyUsed, 28);
+  assert.equal(allowance.maxQuantity, 2);
+  assert.equal(allowance.limitedBy, "daily");
+});
+
+test("offers nothing once the daily limit is used up", () => {
+  const allowance = evaluateAllowance(household(3), donation(20), history(35), DEFAULT_POLICY);
+
+  assert.equal(allowance.maxQuantity, 0);
+  assert.equal(allowance.limitedBy, "daily");
+});
+
+test("keeps the daily minimum when little is listed", () => {
+  const allowance = evaluateAllowance(household(3), donation(20), history(0, 4), DEFAULT_POLICY);
+
+  assert.equal(allowance.dailyLimit, 5);
+  assert.equal(allowance.maxQuantity, 5);
+  assert.equal(allowance.limitedBy, "daily");
+});
+
+test("only counts servings allocated on the day being checked", () => {
+  const ledger = { allocated: { days: { "2026-10-18": 30 } } };
+  const allowance = evaluateAllowance(household(3), donation(20), { ledger, totalListed: 100, date: DATE }, DEFAULT_POLICY);
+
+  assert.equal(allowance.dailyUsed, 0);
+  assert.equal(allowance.maxQuantity, 6);
+});
+
+test("converts the daily allowance into the donation's unit", () => {
+  const rice = donation(20, { quantity: { amount: 20, unit: "kg", servingsPerUnit: 4 } });
+  const allowance = evaluateAllowance(household(3), rice, history(20), DEFAULT_POLICY);
+
+  // 10 servings left today buy 2 whole kg
+  assert.equal(allowance.maxQuantity, 2);
+  assert.equal(allowance.limitedBy, "daily");
+});
@@ -0,0 +1,79 @@
+import {
+  collection,
+  doc,
+  onSnapshot,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { DEFAULT_POLICY } from "./allowanceModel";
+
+const policyRef = doc(db, "settings", "allowancePolicy");
+
+const policyVersionsRef = collection(db, "settings", "allowancePolicy", "versions");
+
+const withDefaults = (data) => ({ ...DEFAULT_POLICY, ...data });
+
+/**
+ * Live allowance policy, or DEFAULT_POLICY until an admin saves one.
+ * @param {(policy: object) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAllowancePolicy = (onChange, onError) =>
+  onSnapshot(
+    policyRef,
+    (snap) => onChange(snap.exists() ? withDefaults(snap.data()) : DEFAULT_POLICY),
+    onError
+  );
+
+/**
+ * Reads the policy inside a transaction so an application is checked against
+ * the same version it records.
+ * @param {import("firebase/firestore").Transaction} transaction
+ * @returns {Promise<object>}
+ */
+export const readAllowancePolicy = async (transaction) => {
+  const snap = await transaction.get(policyRef);
+  return snap.exists() ? withDefaults(snap.data()) : DEFAULT_POLICY;
+};
+
+/**
+ * Saves a new policy version and keeps a copy under versions/{version} so
+ * applications can be traced back to the rules they were checked against.
+ * @param {{rules: object, categories: object, sites: object, requireVerification: boolean}} policy
+ * @param {string} adminId
+ * @returns {Promise<number>} the new version
+ */
+export const saveAllowancePolicy = (policy, adminId) =>
+  runTransaction(db, async (transaction) => {
+    const current = await readAllowancePolicy(transaction);
+    const version = (current.version || 0) + 1;
+    const data = {
+      version,
+      rules: policy.rules,
+      categories: policy.categories || {},
+      sites: policy.sites || {},
+      requireVerification: Boolean(policy.requireVerification),
+      updatedBy: adminId,
+      updatedAt: serverTimestamp(),
+    };
+
+    transaction.set(policyRef, data);
+    transaction.set(doc(policyVersionsRef, String(version)), data);
+    return version;
+  });
+
+/**
+ * Saved policy versions, newest first.
+ * @param {(versions: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToPolicyVersions = (onChange, onError) =>
+  onSnapshot(
+    policyVersionsRef,
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("updatedAt"))),
+    onError
+  );
@@ -0,0 +1,557 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest, toInt } from "./firestoreUtils";
+import { getListedDonations, getOriginalQuantity, getRemainingQuantity } from "./donations";
+import { isDonationPastDue } from "./expiry";
+import { DEFAULT_UNIT, formatQuantity, getQuantity, toServings } from "./quantityModel";
+import { evaluateAllowance, getHouseholdSize } from "./allowanceModel";
+import { readAllowancePolicy } from "./allowancePolicy";
+import { findSlot, getSlotBookings, hasSlotRoom } from "./slotModel";
+import { meetsVerificationPolicy } from "./householdModel";
+import { readLedger, writeLedgerEntry } from "./ledger";
+import { LEDGER_ENTRY_TYPES, getAllocationDate, toApplicationEntry, toDateKey } from "./ledgerModel";
+import { writeNotification } from "./notifications";
+import { applicationApprovedNotification, isRealUser } from "./notificationModel";
+
+const applicationsRef = collection(db, "applications");
+
+// Error code for applications rejected inside the claim transaction
+export const APPLICATION_CONFLICT = "application-conflict";
+
+const applicationConflict = (message) => {
+  const error = new Error(message);
+  error.code = APPLICATION_CONFLICT;
+  return error;
+};
+
+// Application lifecycle. Manual-approval donations start at "pending";
+// only "approved" and "completed" applications hold quantity.
+export const APPLICATION_STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  WAITLISTED: "waitlisted",
+  REJECTED: "rejected",
+  COMPLETED: "completed",
+  EXPIRED: "expired", // donation expired before pickup
+  CANCELLED_BY_DONOR: "cancelled_by_donor", // donor took the listing down
+};
+
+const REVIEWABLE = [APPLICATION_STATUSES.PENDING, APPLICATION_STATUSES.WAITLISTED];
+
+/**
+ * One application per household per donation: a deterministic id lets the
+ * claim transaction detect duplicates without a query.
+ * @param {string} donationId
+ * @param {string} householdId
+ * @returns {string}
+ */
+export const getApplicationId = (donationId, householdId) => `${donationId}_${householdId}`;
+
+/**
+ * Total servings across listed donations, the base for the daily allowance.
+ * @param {object[]} donations
+ * @returns {number}
+ */
+export const getTotalListed = (donations) =>
+  donations.reduce((total, d) => total + toServings(getOriginalQuantity(d), d), 0);
+
+/**
+ * Listing status after the remaining quantity changes. Unlike
+ * deriveDonationStatus this moves back to "available" when quantity is released.
+ * @param {number} remainingQuantity
+ * @param {number} originalQuantity
+ * @returns {string}
+ */
+export const getReservationStatus = (remainingQuantity, originalQuantity) => {
+  if (remainingQuantity <= 0) return "fully_booked";
+  if (remainingQuantity < originalQuantity) return "partially_claimed";
+  return "available";
+};
+
+// Entry in donation.applicants for an application holding quantity
+const toApplicantEntry = (application) => ({
+  applicantId: application.applicantId,
+  applicantName: application.applicantName,
+  householdId: application.householdId,
+  householdName: application.householdName,
+  householdSize: application.householdSize,
+  quantity: toInt(application.quantity),
+  unit: application.unit || DEFAULT_UNIT,
+  appliedAt: application.appliedAt || new Date().toISOString(),
+  pickupSlotId: application.pickupSlot?.id || null,
+  status: APPLICATION_STATUSES.APPROVED,
+});
+
+/**
+ * Claims part of a donation for a household. The donation, the household and
+ * the allowance policy are re-read inside a transaction so remaining quantity,
+ * the fair-share limits and duplicate checks run against the server copies;
+ * the daily limit counts the listings read just before. The donation
+ * and application are written together. The application records the policy
+ * version it was checked against.
+ * If the donation has `requiresApproval`, the application is stored as
+ * "pending" and nothing is reserved until the donor approves it.
+ * Donations with `pickupSlots` need a slot that hasn't ended and still has room.
+ * Rejections throw an Error whose `code` is APPLICATION_CONFLICT.
+ * @param {object} params
+ * @param {string} params.donationId
+ * @param {{id: string}} params.household the applying household
+ * @param {number} params.quantity amount requested, in the donation's unit
+ * @param {string} [params.pickupSlotId] chosen pickup slot, see slotModel
+ * @param {{uid: string, email?: string, displayName?: string}|null} params.user
+ * @returns {Promise<{id: string, status: string}>}
+ */
+export const applyForDonation = async ({
+  donationId,
+  household,
+  quantity,
+  pickupSlotId,
+  user,
+}) => {
+  const requested = Number(quantity);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw applicationConflict("Enter a whole number of at least 1.");
+  }
+
+  const userId = user?.uid || `guest_${Date.now()}`;
+  const today = toDateKey();
+  const donationRef = doc(db, "donations", donationId);
+  const applicationRef = doc(db, "applications", getApplicationId(donationId, household.id));
+  let status = APPLICATION_STATUSES.APPROVED;
+  // Queries can't run in a transaction; a listing posted meanwhile only moves the limit slightly
+  const totalListed = getTotalListed(await getListedDonations());
+
+  await runTransaction(db, async (transaction) => {
+    const donationSnap = await transaction.get(donationRef);
+    const applicationSnap = await transaction.get(applicationRef);
+    // Verification is read from the server; staff may have just changed it
+    const householdSnap = await transaction.get(doc(db, "households", household.id));
+    const policy = await readAllowancePolicy(transaction);
+    const ledger = await readLedger(transaction, household.id);
+
+    if (!donationSnap.exists()) {
+      throw applicationConflict("This donation is no longer available.");
+    }
+    if (applicationSnap.exists()) {
+      throw applicationConflict("Your household has already applied for this donation.");
+    }
+    if (!householdSnap.exists()) {
+      throw applicationConflict("Register your household before applying.");
+    }
+
+    const donation = donationSnap.data();
+    if (donation.status === "expired" || isDonationPastDue(donation)) {
+      throw applicationConflict("This donation has expired.");
+    }
+    if (donation.donorId && donation.donorId === user?.uid) {
+      throw applicationConflict("You cannot apply for your own donations.");
+    }
+    const applicant = { id: household.id, ...householdSnap.data() };
+    if (!meetsVerificationPolicy(applicant, policy)) {
+      throw applicationConflict("Your household must be verified before applying. Upload your documents from the Household tab of your profile.");
+    }
+
+    // Re-read quantities from the server copy, not the cached listing
+    const originalQty = getOriginalQuantity(donation);
+    const remainingQty = getRemainingQuantity(donation);
+    const { unit } = getQuantity(donation);
+    const servings = toServings(requested, donation);
+    const allowance = evaluateAllowance(applicant, donation, { totalListed, ledger, date: today }, policy);
+
+    // Manual-approval donations accept the application anyway; the donor can waitlist it
+    if (requested > remainingQty && !donation.requiresApproval) {
+      throw applicationConflict(
+        remainingQty > 0
+          ? `Only ${formatQuantity(remainingQty, unit)} still available. Someone may have just applied - please adjust your request.`
+          : "This donation has just been fully booked by another household."
+      );
+    }
+
+    if (requested > allowance.perDonationCap) {
+      const percentageNote = remainingQty <= allowance.rules.smallRemainderThreshold ? "" : ` (${Math.round(allowance.share * 100)}% of original ${originalQty} for ${allowance.isLargeHousehold ? "large" : "regular"} household)`;
+      throw applicationConflict(`Maximum ${formatQuantity(allowance.perDonationCap, unit)} allowed per household for this donation${percentageNote}.`);
+    }
+
+    if (allowance.dailyUsed + servings > allowance.dailyLimit) {
+      throw applicationConflict(
+        `Daily pickup limit would be exceeded. You can pick up ${Math.max(0, allowance.dailyLimit - allowance.dailyUsed)} more servings today.`
+      );
+    }
+
+    let pickupSlot = null;
+    if (donation.pickupSlots?.length > 0) {
+      const slot = findSlot(donation, pickupSlotId);
+      if (!slot) {
+        throw applicationConflict("Choose a pickup time for this donation.");
+      }
+      if (new Date(slot.end) <= new Date()) {
+        throw applicationConflict("That pickup time has passed. Please choose another.");
+      }
+      if (!hasSlotRoom(donation, slot.id)) {
+        throw applicationConflict("That pickup time was just filled. Please choose another.");
+      }
+      pickupSlot = { id: slot.id, start: slot.start, end: slot.end };
+    }
+
+    const application = {
+      donationId,
+      applicantId: userId,
+      applicantName: user?.email || user?.displayName || "Anonymous",
+      householdId: household.id,
+      householdName: applicant.householdName,
+      householdSize: getHouseholdSize(applicant),
+      isLargeHousehold: allowance.isLargeHousehold,
+      maxPercentage: Math.round(allowance.share * 100),
+      policyVersion: allowance.policyVersion,
+      quantity: requested,
+      unit,
+      servings,
+      applicationDate: today,
+      appliedAt: new Date().toISOString(),
+      donationTitle: donation.foodItem,
+      donorId: donation.donorId,
+      donorContact: donation.contactInfo,
+      pickupLocation: donation.location,
+      pickupSlot,
+    };
+
+    if (donation.requiresApproval) {
+      // Quantity is reserved when the donor approves, see approveApplication
+      status = APPLICATION_STATUSES.PENDING;
+    } else {
+      const newRemainingQuantity = Math.max(0, remainingQty - requested);
+
+      transaction.update(donationRef, {
+        applicants: arrayUnion(toApplicantEntry(application)),
+        originalQuantity: originalQty,
+        remainingQuantity: newRemainingQuantity,
+        status: getReservationStatus(newRemainingQuantity, originalQty),
+        lastUpdated: serverTimestamp(),
+      });
+    }
+
+    // Written in the same transaction so a failure never leaves an orphaned applicant
+    transaction.set(applicationRef, {
+      ...application,
+      status,
+      ...(status === APPLICATION_STATUSES.APPROVED && { allocatedOn: today }),
+      createdAt: serverTimestamp(),
+    });
+    if (status === APPLICATION_STATUSES.APPROVED) {
+      writeLedgerEntry(
+        transaction,
+        household.id,
+        toApplicationEntry(LEDGER_ENTRY_TYPES.ALLOCATION, applicationRef.id, application, today),
+        userId
+      );
+    }
+  });
+
+  return { id: applicationRef.id, status };
+};
+
+/**
+ * Reads an application and its donation at the start of a review transaction.
+ * @returns {Promise<{applicationRef: object, application: object, donationRef: object, donation: object}>}
+ */
+const readForReview = async (transaction, applicationId) => {
+  const applicationRef = doc(db, "applications", applicationId);
+  const applicationSnap = await transaction.get(applicationRef);
+  if (!applicationSnap.exists()) {
+    throw applicationConflict("This application no longer exists.");
+  }
+
+  const application = applicationSnap.data();
+  const donationRef = doc(db, "donations", application.donationId);
+  const donationSnap = await transaction.get(donationRef);
+  if (!donationSnap.exists()) {
+    throw applicationConflict("The donation for this application no longer exists.");
+  }
+
+  return { applicationRef, application, donationRef, donation: donationSnap.data() };
+};
+
+const reviewFields = (reviewerId, status) => ({
+  status,
+  reviewedBy: reviewerId,
+  reviewedAt: serverTimestamp(),
+  updatedAt: serverTimestamp(),
+});
+
+// Approves an application, counts its servings against today's allowance
+// and tells the applicant
+const allocate = (transaction, applicationRef, application, reviewerId) => {
+  const today = toDateKey();
+  transaction.update(applicationRef, {
+    ...reviewFields(reviewerId, APPLICATION_STATUSES.APPROVED),
+    allocatedOn: today,
+  });
+  writeLedgerEntry(
+    transaction,
+    application.householdId,
+    toApplicationEntry(LEDGER_ENTRY_TYPES.ALLOCATION, applicationRef.id, application, today),
+    reviewerId
+  );
+  if (isRealUser(application.applicantId) && application.applicantId !== reviewerId) {
+    writeNotification(transaction, application.applicantId, applicationApprovedNotification(application), {
+      senderId: reviewerId,
+      applicationId: applicationRef.id,
+    });
+  }
+};
+
+/**
+ * Gives back an approved application's servings to the day they were allocated on.
+ * Call after the transaction's reads.
+ * @param {import("firebase/firestore").Transaction} transaction
+ * @param {string} applicationId
+ * @param {object} application
+ * @param {string} by uid of whoever released it
+ */
+export const releaseAllocation = (transaction, applicationId, application, by) =>
+  writeLedgerEntry(
+    transaction,
+    application.householdId,
+    toApplicationEntry(LEDGER_ENTRY_TYPES.CANCELLATION, applicationId, application, getAllocationDate(application)),
+    by
+  );
+
+// Waitlisted applications in queue order, skipping any deleted or reviewed since
+const readWaitlist = async (transaction, applicationIds) => {
+  const snaps = await Promise.all(
+    applicationIds.map((id) => transaction.get(doc(db, "applications", id)))
+  );
+  return snaps
+    .filter((snap) => snap.exists() && snap.data().status === APPLICATION_STATUSES.WAITLISTED)
+    .map((snap) => ({ id: snap.id, ref: snap.ref, data: snap.data() }));
+};
+
+/**
+ * Picks waitlisted applications to approve, in queue order, while quantity
+ * lasts. A household asking for more than is left is skipped rather than
+ * blocking smaller requests behind it. The same goes for a household whose
+ * pickup slot is already full.
+ * @param {{id: string, data: object}[]} waitlisted in queue order
+ * @param {number} remainingQuantity
+ * @param {object} [donation] with the applicants after the release, for slot capacity
+ * @returns {{promoted: object[], remainingQuantity: number}}
+ */
+export const promoteWaitlist = (waitlisted, remainingQuantity, donation = {}) => {
+  const promoted = [];
+  const bookings = getSlotBookings(donation);
+  let remaining = remainingQuantity;
+
+  waitlisted.forEach((entry) => {
+    const requested = toInt(entry.data.quantity);
+    const slotId = entry.data.pickupSlot?.id;
+    if (requested > 0 && requested <= remaining && hasSlotRoom(donation, slotId, bookings)) {
+      promoted.push(entry);
+      remaining -= requested;
+      if (slotId) bookings[slotId] = (bookings[slotId] || 0) + 1;
+    }
+  });
+
+  return { promoted, remainingQuantity: remaining };
+};
+
+/**
+ * Approves a pending or waitlisted application and reserves its quantity.
+ * @param {string} applicationId
+ * @param {string} reviewerId uid of the donor (or staff member)
+ * @returns {Promise<void>}
+ */
+export const approveApplication = (applicationId, reviewerId) =>
+  runTransaction(db, async (transaction) => {
+    const { applicationRef, application, donationRef, donation } = await readForReview(transaction, applicationId);
+
+    if (!REVIEWABLE.includes(application.status)) {
+      throw applicationConflict(`This application is already ${application.status}.`);
+    }
+
+    const originalQty = getOriginalQuantity(donation);
+    const remainingQty = getRemainingQuantity(donation);
+    const requested = toInt(application.quantity);
+    if (requested > remainingQty) {
+      throw applicationConflict(
+        `Only ${formatQuantity(remainingQty, getQuantity(donation).unit)} left. Waitlist this household or reject the application.`
+      );
+    }
+    if (!hasSlotRoom(donation, application.pickupSlot?.id)) {
+      throw applicationConflict("The pickup time this household chose is full. Waitlist or reject the application.");
+    }
+
+    const newRemainingQuantity = remainingQty - requested;
+    transaction.update(donationRef, {
+      applicants: arrayUnion(toApplicantEntry(application)),
+      waitlist: arrayRemove(applicationId),
+      originalQuantity: originalQty,
+      remainingQuantity: newRemainingQuantity,
+      status: getReservationStatus(newRemainingQuantity, originalQty),
+      lastUpdated: serverTimestamp(),
+    });
+    allocate(transaction, applicationRef, application, reviewerId);
+  });
+
+/**
+ * Moves a pending application onto the donation's waitlist. Waitlisted
+ * applications are approved automatically as quantity is released.
+ * @param {string} applicationId
+ * @param {string} reviewerId
+ * @returns {Promise<void>}
+ */
+export const waitlistApplication = (applicationId, reviewerId) =>
+  runTransaction(db, async (transaction) => {
+    const { applicationRef, application, donationRef } = await readForReview(transaction, applicationId);
+
+    if (application.status !== APPLICATION_STATUSES.PENDING) {
+      throw applicationConflict(`Only pending applications can be waitlisted (this one is ${application.status}).`);
+    }
+
+    transaction.update(donationRef, {
+      waitlist: arrayUnion(applicationId),
+      lastUpdated: serverTimestamp(),
+    });
+    transaction.update(applicationRef, reviewFields(reviewerId, APPLICATION_STATUSES.WAITLISTED));
+  });
+
+/**
+ * Rejects an application with a reason shown to the household. Rejecting an
+ * approved application releases its quantity, which then goes to the waitlist.
+ * @param {string} applicationId
+ * @param {string} reviewerId
+ * @param {string} reason
+ * @returns {Promise<{promoted: string[]}>} ids of waitlisted applications that were approved
+ */
+export const rejectApplication = async (applicationId, reviewerId, reason) => {
+  let promoted = [];
+
+  await runTransaction(db, async (transaction) => {
+    const { applicationRef, application, donationRef, donation } = await readForReview(transaction, applicationId);
+
+    if (application.status === APPLICATION_STATUSES.REJECTED || application.status === APPLICATION_STATUSES.COMPLETED) {
+      throw applicationConflict(`This application is already ${application.status}.`);
+    }
+
+    // Transactions need every read before the first write
+    const waitlist = (donation.waitlist || []).filter((id) => id !== applicationId);
+    const waitlisted = await readWaitlist(transaction, waitlist);
+
+    const originalQty = getOriginalQuantity(donation);
+    let remainingQty = getRemainingQuantity(donation);
+    let applicants = donation.applicants || [];
+
+    if (application.status === APPLICATION_STATUSES.APPROVED) {
+      applicants = applicants.filter((entry) => entry.householdId !== application.householdId);
+      remainingQty = Math.min(originalQty, remainingQty + toInt(application.quantity));
+    }
+
+    const promotion = promoteWaitlist(waitlisted, remainingQty, { ...donation, applicants });
+    promoted = promotion.promoted.map(({ id }) => id);
+
+    promotion.promoted.forEach(({ ref, data }) => {
+      allocate(transaction, ref, data, reviewerId);
+      applicants = [...applicants, toApplicantEntry(data)];
+    });
+    if (application.status === APPLICATION_STATUSES.APPROVED) {
+      releaseAllocation(transaction, applicationId, application, reviewerId);
+    }
+
+    transaction.update(donationRef, {
+      applicants,
+      waitlist: waitlist.filter((id) => !promoted.includes(id)),
+      originalQuantity: originalQty,
+      remainingQuantity: promotion.remainingQuantity,
+      status: getReservationStatus(promotion.remainingQuantity, originalQty),
+      lastUpdated: serverTimestamp(),
+    });
+    transaction.update(applicationRef, {
+      ...reviewFields(reviewerId, APPLICATION_STATUSES.REJECTED),
+      rejectionReason: reason?.trim() || "",
+    });
+  });
+
+  return { promoted };
+};
+
+/**
+ * @param {string} householdId
+ * @param {(applications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToHouseholdApplications = (householdId, onChange, onError) =>
+  onSnapshot(
+    query(applicationsRef, where("householdId", "==", householdId)),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
+
+/**
+ * @param {string} applicantId
+ * @param {(applications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToApplicantApplications = (applicantId, onChange, onError) =>
+  onSnapshot(
+    query(applicationsRef, where("applicantId", "==", applicantId)),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
+
+/**
+ * @param {(applications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAllApplications = (onChange, onError) =>
+  onSnapshot(applicationsRef, (snapshot) => onChange(mapDocs(snapshot)), onError);
+
+/**
+ * Pending and waitlisted applications on the donor's listings, oldest first.
+ * @param {string} donorId
+ * @param {(applications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonorReviewQueue = (donorId, onChange, onError) =>
+  onSnapshot(
+    query(
+      applicationsRef,
+      where("donorId", "==", donorId),
+      where("status", "in", REVIEWABLE)
+    ),
+    (snapshot) => onChange(mapDocs(snapshot).sort((a, b) => byNewest()(b, a))),
+    onError
+  );
+
+/**
+ * Sets the status directly without touching reservations; approve, waitlist
+ * and reject go through the review functions above.
+ * @param {string} applicationId
+ * @param {string} status
+ * @returns {Promise<void>}
+ */
+export const updateApplicationStatus = (applicationId, status) =>
+  updateDoc(doc(db, "applications", applicationId), {
+    status,
+    updatedAt: new Date(),
+  });
+
+/**
+ * @param {string} applicationId
+ * @returns {Promise<void>}
+ */
+export const deleteApplication = (applicationId) => deleteDoc(doc(db, "applications", applicationId));
@@ -0,0 +1,62 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  addDoc,
+  updateDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+
+/**
+ * Records a completed IntaSend payment.
+ * @param {number|string} amount
+ * @param {{uid: string, email?: string}} user
+ * @returns {Promise<string>} new document id
+ */
+export const recordCashDonation = async (amount, user) => {
+  const docRef = await addDoc(collection(db, "cash-donations"), {
+    type: "cash",
+    amount: parseFloat(amount),
+    donorId: user.uid,
+    donorEmail: user.email,
+    status: "completed",
+    createdAt: serverTimestamp(),
+    paymentMethod: "intasend",
+  });
+  return docRef.id;
+};
+
+/**
+ * @param {string} reference cash donation document id
+ * @returns {Promise<object|null>}
+ */
+export const getCashDonation = async (reference) => {
+  const snapshot = await getDoc(doc(db, "cash-donations", reference));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * @param {string} reference
+ * @param {{transactionId?: string|null, paymentMethod?: string|null}} payment
+ * @returns {Promise<void>}
+ */
+export const markCashDonationCompleted = (reference, { transactionId, paymentMethod }) =>
+  updateDoc(doc(db, "cash-donations", reference), {
+    status: "completed",
+    completedAt: serverTimestamp(),
+    paymentReference: transactionId || `INTASEND_${Date.now()}`,
+    paymentMethod: paymentMethod || "unknown",
+  });
+
+/**
+ * @param {string} reference
+ * @param {boolean} cancelled whether the user cancelled rather than the payment failing
+ * @returns {Promise<void>}
+ */
+export const markCashDonationFailed = (reference, cancelled) =>
+  updateDoc(doc(db, "cash-donations", reference), {
+    status: "failed",
+    failedAt: serverTimestamp(),
+    failureReason: cancelled ? "Payment cancelled by user" : "Payment failed",
+  });
@@ -0,0 +1,253 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  getDoc,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { APPLICATION_CONFLICT, APPLICATION_STATUSES } from "./applications";
+import { getOrCreatePickupCode, toPickupPayload } from "./pickups";
+import { DELIVERY_STATUSES, getNextDeliveryStatus, isDeliveryActive } from "./deliveryModel";
+
+// Volunteer deliveries (see deliveryModel.js). One per application, with the
+// application's id, so a household can't ask twice for the same pickup.
+
+const deliveriesRef = collection(db, "deliveries");
+
+const deliveryConflict = (message) => {
+  const error = new Error(message);
+  error.code = APPLICATION_CONFLICT;
+  return error;
+};
+
+// The timestamp each status sets
+const STATUS_FIELDS = {
+  [DELIVERY_STATUSES.REQUESTED]: "requestedAt",
+  [DELIVERY_STATUSES.ACCEPTED]: "acceptedAt",
+  [DELIVERY_STATUSES.PICKED_UP]: "pickedUpAt",
+  [DELIVERY_STATUSES.DELIVERED]: "deliveredAt",
+  [DELIVERY_STATUSES.CANCELLED]: "cancelledAt",
+};
+
+/**
+ * Asks for a volunteer to bring an approved application to the household's
+ * address. Creates the pickup code the volunteer will show the donor.
+ * @param {string} applicationId
+ * @param {{uid: string}} user the applicant
+ * @param {{notes?: string}} [details] directions for the volunteer
+ * @returns {Promise<void>}
+ */
+export const requestDelivery = async (applicationId, user, { notes = "" } = {}) => {
+  await getOrCreatePickupCode(applicationId);
+
+  const applicationRef = doc(db, "applications", applicationId);
+  const deliveryRef = doc(deliveriesRef, applicationId);
+
+  await runTransaction(db, async (transaction) => {
+    const applicationSnap = await transaction.get(applicationRef);
+    const deliverySnap = await transaction.get(deliveryRef);
+    if (!applicationSnap.exists()) {
+      throw deliveryConflict("This application no longer exists.");
+    }
+
+    const application = applicationSnap.data();
+    if (application.status !== APPLICATION_STATUSES.APPROVED) {
+      throw deliveryConflict("Only approved applications can be delivered.");
+    }
+    if (deliverySnap.exists() && isDeliveryActive(deliverySnap.data())) {
+      throw deliveryConflict("A delivery is already on its way for this application.");
+    }
+
+    const householdSnap = await transaction.get(doc(db, "households", application.householdId));
+    const donationSnap = await transaction.get(doc(db, "donations", application.donationId));
+    const household = householdSnap.exists() ? householdSnap.data() : {};
+    const donation = donationSnap.exists() ? donationSnap.data() : {};
+    if (!household.address) {
+      throw new Error("Add your household's address before asking for a delivery.");
+    }
+
+    transaction.set(deliveryRef, {
+      applicationId,
+      donationId: application.donationId,
+      householdId: application.householdId,
+      applicantId: user.uid,
+      donorId: application.donorId,
+      donationTitle: application.donationTitle || donation.foodItem || "Donation",
+      quantity: application.quantity,
+      unit: application.unit,
+      pickup: {
+        address: donation.location || application.pickupLocation || "",
+        coordinates: donation.coordinates || null,
+        contact: application.donorContact || donation.contactInfo || "",
+      },
+      dropoff: {
+        address: household.address,
+        coordinates: household.coordinates || null,
+        contact: household.contactPhone || "",
+        name: household.householdName || application.householdName || "",
+        notes: notes.trim(),
+      },
+      status: DELIVERY_STATUSES.REQUESTED,
+      volunteerId: null,
+      volunteerName: null,
+      requestedAt: serverTimestamp(),
+      acceptedAt: null,
+      pickedUpAt: null,
+      deliveredAt: null,
+      cancelledAt: null,
+      updatedAt: serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * The recipient withdraws a delivery request before the food is collected.
+ * @param {string} deliveryId
+ * @returns {Promise<void>}
+ */
+export const cancelDelivery = (deliveryId) =>
+  runTransaction(db, async (transaction) => {
+    const deliveryRef = doc(deliveriesRef, deliveryId);
+    const snap = await transaction.get(deliveryRef);
+    const status = snap.exists() ? snap.data().status : null;
+    if (status !== DELIVERY_STATUSES.REQUESTED && status !== DELIVERY_STATUSES.ACCEPTED) {
+      throw deliveryConflict("The volunteer already has the food, so this delivery can't be cancelled.");
+    }
+    transaction.update(deliveryRef, {
+      status: DELIVERY_STATUSES.CANCELLED,
+      cancelledAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  });
+
+/**
+ * A volunteer takes a requested delivery.
+ * @param {string} deliveryId
+ * @param {{uid: string, email?: string, displayName?: string}} volunteer
+ * @returns {Promise<void>}
+ */
+export const acceptDelivery = (deliveryId, volunteer) =>
+  runTransaction(db, async (transaction) => {
+    const deliveryRef = doc(deliveriesRef, deliveryId);
+    const snap = await transaction.get(deliveryRef);
+    if (!snap.exists() || snap.data().status !== DELIVERY_STATUSES.REQUESTED) {
+      throw deliveryConflict("Another volunteer has already taken this delivery.");
+    }
+    transaction.update(deliveryRef, {
+      status: DELIVERY_STATUSES.ACCEPTED,
+      volunteerId: volunteer.uid,
+      volunteerName: volunteer.displayName || volunteer.email || "Volunteer",
+      acceptedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  });
+
+/**
+ * The assigned volunteer hands a delivery back before collecting it.
+ * @param {string} deliveryId
+ * @param {string} volunteerId
+ * @returns {Promise<void>}
+ */
+export const releaseDelivery = (deliveryId, volunteerId) =>
+  runTransaction(db, async (transaction) => {
+    const deliveryRef = doc(deliveriesRef, deliveryId);
+    const snap = await transaction.get(deliveryRef);
+    const delivery = snap.exists() ? snap.data() : {};
+    if (delivery.volunteerId !== volunteerId || delivery.status !== DELIVERY_STATUSES.ACCEPTED) {
+      throw deliveryConflict("Only a delivery you haven't collected yet can be handed back.");
+    }
+    transaction.update(deliveryRef, {
+      status: DELIVERY_STATUSES.REQUESTED,
+      volunteerId: null,
+      volunteerName: null,
+      acceptedAt: null,
+      updatedAt: serverTimestamp(),
+    });
+  });
+
+/**
+ * Moves the volunteer's delivery one step on: accepted -> picked_up -> delivered.
+ * @param {string} deliveryId
+ * @param {string} volunteerId
+ * @returns {Promise<string>} the new status
+ */
+export const advanceDelivery = async (deliveryId, volunteerId) => {
+  let next = null;
+
+  await runTransaction(db, async (transaction) => {
+    const deliveryRef = doc(deliveriesRef, deliveryId);
+    const snap = await transaction.get(deliveryRef);
+    const delivery = snap.exists() ? snap.data() : {};
+    next = getNextDeliveryStatus(delivery.status);
+    if (delivery.volunteerId !== volunteerId || !next) {
+      throw deliveryConflict(
+        delivery.status === DELIVERY_STATUSES.CANCELLED
+          ? "The household cancelled this delivery."
+          : "This delivery isn't on your route any more."
+      );
+    }
+    transaction.update(deliveryRef, {
+      status: next,
+      [STATUS_FIELDS[next]]: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  });
+
+  return next;
+};
+
+/**
+ * The recipient's pickup code, for the assigned volunteer to show the donor.
+ * @param {string} applicationId
+ * @returns {Promise<{pin: string, payload: string}|null>}
+ */
+export const getDeliveryPickupCode = async (applicationId) => {
+  const snap = await getDoc(doc(db, "applications", applicationId, "private", "pickup"));
+  return snap.exists() ? { pin: snap.data().pin, payload: toPickupPayload(applicationId, snap.data().pin) } : null;
+};
+
+/**
+ * Live feed of deliveries waiting for a volunteer, oldest request first.
+ * @param {(deliveries: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToOpenDeliveries = (onChange, onError) =>
+  onSnapshot(
+    query(deliveriesRef, where("status", "==", DELIVERY_STATUSES.REQUESTED)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("requestedAt")).reverse()),
+    onError
+  );
+
+/**
+ * Live feed of a volunteer's deliveries, newest first.
+ * @param {string} volunteerId
+ * @param {(deliveries: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToVolunteerDeliveries = (volunteerId, onChange, onError) =>
+  onSnapshot(
+    query(deliveriesRef, where("volunteerId", "==", volunteerId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("acceptedAt"))),
+    onError
+  );
+
+/**
+ * Live feed of the deliveries a recipient asked for, newest first.
+ * @param {string} applicantId
+ * @param {(deliveries: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToApplicantDeliveries = (applicantId, onChange, onError) =>
+  onSnapshot(
+    query(deliveriesRef, where("applicantId", "==", applicantId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("requestedAt"))),
+    onError
+  );
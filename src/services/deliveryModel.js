@@ -0,0 +1,180 @@
+// Volunteer deliveries of approved applications, and the route through them.
+//
+// deliveries/{applicationId}:
+//   applicationId, donationId, householdId, applicantId, donorId
+//   donationTitle, quantity, unit
+//   pickup   { address, coordinates, contact }   the donor's location
+//   dropoff  { address, coordinates, contact, name, notes }   the household
+//   status   requested -> accepted -> picked_up -> delivered, or cancelled
+//   volunteerId, volunteerName
+//   requestedAt, acceptedAt, pickedUpAt, deliveredAt, cancelledAt, updatedAt
+//
+// The volunteer carries the recipient's pickup code and the donor confirms it
+// as for any pickup, so the application and allowance ledger move as usual.
+
+import { getDistanceKm, toLatLng } from "./listingFilters.js";
+
+export const DELIVERY_STATUSES = {
+  REQUESTED: "requested",
+  ACCEPTED: "accepted",
+  PICKED_UP: "picked_up",
+  DELIVERED: "delivered",
+  CANCELLED: "cancelled",
+};
+
+export const DELIVERY_LABELS = {
+  requested: "Waiting for a volunteer",
+  accepted: "Volunteer on the way to the donor",
+  picked_up: "Out for delivery",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+};
+
+// The steps shown to recipients, each with the timestamp field it sets
+export const DELIVERY_STEPS = [
+  { status: DELIVERY_STATUSES.REQUESTED, field: "requestedAt", label: "Requested" },
+  { status: DELIVERY_STATUSES.ACCEPTED, field: "acceptedAt", label: "Volunteer assigned" },
+  { status: DELIVERY_STATUSES.PICKED_UP, field: "pickedUpAt", label: "Picked up" },
+  { status: DELIVERY_STATUSES.DELIVERED, field: "deliveredAt", label: "Delivered" },
+];
+
+// What the assigned volunteer does next, by current status
+const NEXT_STEPS = {
+  [DELIVERY_STATUSES.ACCEPTED]: DELIVERY_STATUSES.PICKED_UP,
+  [DELIVERY_STATUSES.PICKED_UP]: DELIVERY_STATUSES.DELIVERED,
+};
+
+/**
+ * @param {string} status
+ * @returns {string|null} the status the volunteer moves the delivery to, or null when done
+ */
+export const getNextDeliveryStatus = (status) => NEXT_STEPS[status] || null;
+
+/**
+ * @param {{status: string}} delivery
+ * @returns {boolean} whether a volunteer is, or may still be, on it
+ */
+export const isDeliveryActive = (delivery) =>
+  [DELIVERY_STATUSES.REQUESTED, DELIVERY_STATUSES.ACCEPTED, DELIVERY_STATUSES.PICKED_UP].includes(delivery.status);
+
+export const STOP_TYPES = {
+  PICKUP: "pickup",
+  DROPOFF: "dropoff",
+};
+
+/**
+ * The stops left on a volunteer's deliveries: a pickup for each not yet
+ * collected, and a drop-off for each.
+ * @param {object[]} deliveries accepted or picked up
+ * @returns {{id: string, type: string, delivery: object, position: {lat: number, lng: number}|null}[]}
+ */
+export const getRouteStops = (deliveries) =>
+  deliveries.flatMap((delivery) => {
+    const dropoff = {
+      id: `${delivery.id}:${STOP_TYPES.DROPOFF}`,
+      type: STOP_TYPES.DROPOFF,
+      delivery,
+      position: toLatLng(delivery.dropoff?.coordinates),
+    };
+    if (delivery.status === DELIVERY_STATUSES.PICKED_UP) return [dropoff];
+    if (delivery.status !== DELIVERY_STATUSES.ACCEPTED) return [];
+    return [
+      {
+        id: `${delivery.id}:${STOP_TYPES.PICKUP}`,
+        type: STOP_TYPES.PICKUP,
+        delivery,
+        position: toLatLng(delivery.pickup?.coordinates),
+      },
+      dropoff,
+    ];
+  });
+
+const pickupIdOf = (stop) => `${stop.delivery.id}:${STOP_TYPES.PICKUP}`;
+
+// Every drop-off comes after its own pickup, when that pickup is still on the route
+const keepsPickupsFirst = (stops) =>
+  stops.every(
+    (stop, index) =>
+      stop.type !== STOP_TYPES.DROPOFF || !stops.slice(index + 1).some((later) => later.id === pickupIdOf(stop))
+  );
+
+/**
+ * Length of a route through located stops.
+ * @param {{lat: number, lng: number}|null} start
+ * @param {{position: {lat: number, lng: number}}[]} stops
+ * @returns {number} kilometres, as the crow flies
+ */
+export const getRouteDistanceKm = (start, stops) =>
+  stops.reduce(
+    (total, stop, index) => {
+      const from = index === 0 ? start : stops[index - 1].position;
+      return from ? total + getDistanceKm(from, stop.position) : total;
+    },
+    0
+  );
+
+// Greedy first pass: always the nearest stop that may come next
+const nearestNeighbour = (start, stops) => {
+  const route = [];
+  const remaining = [...stops];
+  let current = start;
+
+  while (remaining.length > 0) {
+    const allowed = remaining.filter(
+      (stop) => stop.type !== STOP_TYPES.DROPOFF || !remaining.some((other) => other.id === pickupIdOf(stop))
+    );
+    const next = current
+      ? allowed.reduce((best, stop) =>
+          getDistanceKm(current, stop.position) < getDistanceKm(current, best.position) ? stop : best
+        )
+      : allowed[0];
+    route.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    current = next.position;
+  }
+  return route;
+};
+
+// Reverses any stretch of the route that makes it shorter, until none does
+const twoOpt = (start, route) => {
+  let best = route;
+  let bestDistance = getRouteDistanceKm(start, best);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i += 1) {
+      for (let j = i + 1; j < best.length; j += 1) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        const distance = getRouteDistanceKm(start, candidate);
+        if (distance < bestDistance - 1e-9 && keepsPickupsFirst(candidate)) {
+          best = candidate;
+          bestDistance = distance;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Orders a volunteer's stops into a short route: nearest neighbour, then
+ * 2-opt, never dropping off before picking up. Stops without coordinates
+ * can't be placed, so they go last (pickups first) in their given order, and
+ * so does the drop-off of a pickup that can't be placed.
+ * @param {{lat: number, lng: number}|null} start where the volunteer is, if known
+ * @param {object[]} stops from getRouteStops
+ * @returns {{stops: object[], distanceKm: number}} distance covers the located stops only
+ */
+export const planRoute = (start, stops) => {
+  const canPlace = (stop) =>
+    stop.position && stops.every((other) => other.id !== pickupIdOf(stop) || other.position);
+  const located = stops.filter(canPlace);
+  const unlocated = stops
+    .filter((stop) => !canPlace(stop))
+    .sort((a, b) => (a.type === b.type ? 0 : a.type === STOP_TYPES.PICKUP ? -1 : 1));
+
+  const route = located.length > 0 ? twoOpt(start, nearestNeighbour(start, located)) : [];
+  return { stops: [...route, ...unlocated], distanceKm: getRouteDistanceKm(start, route) };
+};
@@ -0,0 +1,167 @@
+// Allergen and diet labels on donations, matched against the dietary
+// restrictions of a household's members.
+//
+// donations/{id}:
+//   allergens   string[]|null  keys of ALLERGENS the food contains; [] means
+//                              none of them, null means the donor didn't say
+//   dietLabels  string[]       keys of DIET_LABELS the food is suitable for
+//
+// households/{id}.members[]:
+//   allergies            string[]  keys of ALLERGENS the member must avoid
+//   diets                string[]  keys of DIET_LABELS the member keeps to
+//   dietaryRestrictions  string    free-text notes, also scanned for the above
+
+export const ALLERGENS = {
+  peanuts: "Peanuts",
+  nuts: "Tree nuts",
+  gluten: "Gluten",
+  dairy: "Dairy",
+  eggs: "Eggs",
+  soy: "Soy",
+  fish: "Fish",
+  shellfish: "Shellfish",
+  sesame: "Sesame",
+};
+
+export const DIET_LABELS = {
+  vegetarian: "Vegetarian",
+  vegan: "Vegan",
+  halal: "Halal",
+  kosher: "Kosher",
+  "diabetic-friendly": "Diabetic-friendly",
+};
+
+// Labels that also satisfy another diet
+const IMPLIED_DIETS = {
+  vegan: ["vegetarian"],
+};
+
+// Words in free-text restrictions ("no nuts", "coeliac", "halal only")
+const ALLERGEN_KEYWORDS = {
+  peanuts: /\bpeanuts?\b/,
+  nuts: /\b(tree ?nuts?|nuts?|almonds?|cashews?|walnuts?|hazelnuts?)\b/,
+  gluten: /\b(gluten|wheat|coeliac|celiac)\b/,
+  dairy: /\b(dairy|lactose|milk)\b/,
+  eggs: /\beggs?\b/,
+  soy: /\b(soy|soya)\b/,
+  fish: /\bfish\b/,
+  shellfish: /\b(shellfish|shrimps?|prawns?|crabs?|lobsters?)\b/,
+  sesame: /\bsesame\b/,
+};
+
+const DIET_KEYWORDS = {
+  vegetarian: /\bvegetarian\b/,
+  vegan: /\bvegan\b/,
+  halal: /\bhalal\b/,
+  kosher: /\bkosher\b/,
+  "diabetic-friendly": /\b(diabetic|diabetes|sugar[- ]free)\b/,
+};
+
+const matchKeywords = (text, keywords) =>
+  Object.keys(keywords).filter((key) => keywords[key].test(text));
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * @param {object} donation
+ * @returns {boolean} whether the donor said which allergens the food contains
+ */
+export const isAllergenDeclared = (donation) => Array.isArray(donation.allergens);
+
+/**
+ * @param {object} donation
+ * @returns {string[]} keys of ALLERGENS, empty when none or undeclared
+ */
+export const getAllergens = (donation) =>
+  isAllergenDeclared(donation) ? donation.allergens.filter((key) => key in ALLERGENS) : [];
+
+/**
+ * Diet labels a donation satisfies, including implied ones (vegan is also vegetarian).
+ * @param {object} donation
+ * @returns {string[]} keys of DIET_LABELS
+ */
+export const getDietLabels = (donation) => {
+  const labels = (donation.dietLabels || []).filter((key) => key in DIET_LABELS);
+  return unique([...labels, ...labels.flatMap((key) => IMPLIED_DIETS[key] || [])]);
+};
+
+/**
+ * One member's restrictions, from the chosen tags plus any keywords in the free-text notes.
+ * @param {object} member
+ * @returns {{name: string, allergies: string[], diets: string[]}}
+ */
+export const getMemberRestrictions = (member) => {
+  const text = (member.dietaryRestrictions || "").toLowerCase();
+  return {
+    name: member.name || "A household member",
+    allergies: unique([...(member.allergies || []), ...matchKeywords(text, ALLERGEN_KEYWORDS)]),
+    diets: unique([...(member.diets || []), ...matchKeywords(text, DIET_KEYWORDS)]),
+  };
+};
+
+/**
+ * Members of a household that have any restriction.
+ * @param {object|null} household
+ * @returns {{name: string, allergies: string[], diets: string[]}[]}
+ */
+export const getHouseholdRestrictions = (household) =>
+  (household?.members || [])
+    .map(getMemberRestrictions)
+    .filter(({ allergies, diets }) => allergies.length > 0 || diets.length > 0);
+
+/**
+ * Compares a donation with a household's restrictions.
+ * @param {object} donation
+ * @param {ReturnType<typeof getHouseholdRestrictions>} restrictions
+ * @returns {{
+ *   conflicts: {type: "allergen"|"diet", key: string, label: string, members: string[]}[],
+ *   undeclared: boolean
+ * }} `undeclared` is set when someone has allergies but the donor didn't list allergens
+ */
+export const findDietaryConflicts = (donation, restrictions) => {
+  const allergens = getAllergens(donation);
+  const dietLabels = getDietLabels(donation);
+  const conflicts = {};
+
+  const addConflict = (type, key, label, name) => {
+    const id = `${type}:${key}`;
+    conflicts[id] = conflicts[id] || { type, key, label, members: [] };
+    conflicts[id].members.push(name);
+  };
+
+  restrictions.forEach(({ name, allergies, diets }) => {
+    allergies
+      .filter((key) => allergens.includes(key))
+      .forEach((key) => addConflict("allergen", key, ALLERGENS[key], name));
+    diets
+      .filter((key) => !dietLabels.includes(key))
+      .forEach((key) => addConflict("diet", key, DIET_LABELS[key], name));
+  });
+
+  return {
+    conflicts: Object.values(conflicts),
+    undeclared:
+      !isAllergenDeclared(donation) && restrictions.some(({ allergies }) => allergies.length > 0),
+  };
+};
+
+/**
+ * Whether every member can eat the donation, as far as the labels say.
+ * @param {object} donation
+ * @param {ReturnType<typeof getHouseholdRestrictions>} restrictions
+ * @returns {boolean}
+ */
+export const isSafeForHousehold = (donation, restrictions) => {
+  const { conflicts, undeclared } = findDietaryConflicts(donation, restrictions);
+  return conflicts.length === 0 && !undeclared;
+};
+
+/**
+ * Short text for one conflict, e.g. "Contains dairy (Sam)".
+ * @param {{type: string, label: string, members: string[]}} conflict
+ * @returns {string}
+ */
+export const describeConflict = ({ type, label, members }) =>
+  type === "allergen"
+    ? `Contains ${label.toLowerCase()} (${members.join(", ")})`
+    : `Not labelled ${label.toLowerCase()} (${members.join(", ")})`;
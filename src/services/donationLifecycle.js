@@ -0,0 +1,324 @@
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  doc,
+  getDocs,
+  updateDoc,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs } from "./firestoreUtils";
+import { getOriginalQuantity, getRemainingQuantity } from "./donations";
+import { APPLICATION_STATUSES, getReservationStatus, releaseAllocation } from "./applications";
+import { EXPIRABLE_DONATION_STATUSES } from "./expiry";
+import { formatQuantity, getQuantity, toQuantity } from "./quantityModel";
+import { findSlot, formatSlot, getSlotBookings, getSlotsEnd } from "./slotModel";
+import { toGeoFields } from "./geoModel";
+import { writeNotification } from "./notifications";
+import { NOTIFICATION_TYPES, isRealUser } from "./notificationModel";
+
+// Editing, cancelling and relisting a donation after it is posted. Each change
+// is logged in donations/{id}/history as { action, changes?, reason?, donationId?, by, byName, at }.
+
+// Donate form fields a donor may change on a live listing
+export const EDITABLE_FIELDS = [
+  "foodItem",
+  "quantity",
+  "description",
+  "category",
+  "siteId",
+  "allergens",
+  "dietLabels",
+  "expirationDate",
+  "availableUntil",
+  "location",
+  "coordinates",
+  "contactInfo",
+  "pickupPreference",
+  "pickupSlots",
+  "requiresApproval",
+];
+
+// Application copies of donation fields, kept in step with edits
+const APPLICATION_COPIES = {
+  foodItem: "donationTitle",
+  location: "pickupLocation",
+  contactInfo: "donorContact",
+};
+
+// Applications still holding, or waiting for, quantity
+const OPEN_APPLICATION_STATUSES = [
+  APPLICATION_STATUSES.PENDING,
+  APPLICATION_STATUSES.APPROVED,
+  APPLICATION_STATUSES.WAITLISTED,
+];
+
+const RELISTABLE_STATUSES = ["completed", "expired", "cancelled"];
+
+const historyRef = (donationId) => collection(db, "donations", donationId, "history");
+
+const historyEntry = (user, entry) => ({
+  ...entry,
+  by: user.uid,
+  byName: user.email || user.displayName || "Donor",
+  at: serverTimestamp(),
+});
+
+/**
+ * Live listings (not yet completed, expired or cancelled) can be edited and cancelled.
+ * @param {object} donation normalized donation
+ * @returns {boolean}
+ */
+export const isDonationEditable = (donation) => EXPIRABLE_DONATION_STATUSES.includes(donation.status);
+
+/**
+ * @param {object} donation normalized donation
+ * @returns {boolean}
+ */
+export const canRelistDonation = (donation) => RELISTABLE_STATUSES.includes(donation.status);
+
+/**
+ * The donate form's fields for an existing donation, for editing or relisting.
+ * @param {object} donation
+ * @returns {object}
+ */
+export const toDonationForm = (donation) => {
+  const { amount, unit, servingsPerUnit } = getQuantity(donation);
+  return {
+    foodItem: donation.foodItem || "",
+    quantity: { amount: String(amount || ""), unit, servingsPerUnit: servingsPerUnit ?? "" },
+    expirationDate: donation.expirationDate || "",
+    description: donation.description || "",
+    location: donation.location || "",
+    contactInfo: donation.contactInfo || "",
+    coordinates: donation.coordinates || null,
+    useManualLocation: false,
+    pickupPreference: donation.pickupPreference || "flexible",
+    availableUntil: donation.availableUntil || "",
+    requiresApproval: Boolean(donation.requiresApproval),
+    category: donation.category || "",
+    siteId: donation.siteId || "",
+    allergens: donation.allergens ?? null,
+    dietLabels: donation.dietLabels || [],
+    targetRequestId: "",
+  };
+};
+
+/**
+ * Fields that differ between two versions of a donation.
+ * @param {object} before
+ * @param {object} after
+ * @returns {Object<string, {from: *, to: *}>}
+ */
+export const diffDonation = (before, after) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter(
+      (field) => field in after && JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    ).map((field) => [field, { from: before[field] ?? null, to: after[field] ?? null }])
+  );
+
+// Open applications on one of the donor's listings
+const getOpenApplications = (donationId, donorId) =>
+  getDocs(
+    query(
+      collection(db, "applications"),
+      where("donationId", "==", donationId),
+      where("donorId", "==", donorId),
+      where("status", "in", OPEN_APPLICATION_STATUSES)
+    )
+  );
+
+/**
+ * Saves the donor's edits to a live listing and logs them. Quantity already
+ * reserved by households stays reserved, so the new amount can't be lower
+ * and the unit can't change; booked pickup slots must keep their places.
+ * Open applications pick up a new title, location or contact.
+ * @param {string} donationId
+ * @param {object} formData donate form fields, with `pickupSlots` from buildPickupSlots
+ * @param {{uid: string, email?: string}} user
+ * @returns {Promise<string[]>} the fields that changed
+ */
+export const updateDonation = async (donationId, formData, user) => {
+  const donationRef = doc(db, "donations", donationId);
+  let changes = {};
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(donationRef);
+    if (!snap.exists()) {
+      throw new Error("This donation no longer exists.");
+    }
+
+    const donation = snap.data();
+    if (!EXPIRABLE_DONATION_STATUSES.includes(donation.status)) {
+      throw new Error(`This donation is ${donation.status}. Relist it as a new donation instead.`);
+    }
+
+    const current = getQuantity(donation);
+    const quantity = toQuantity(formData.quantity);
+    const reserved = getOriginalQuantity(donation) - getRemainingQuantity(donation);
+    if (reserved > 0 && quantity.unit !== current.unit) {
+      throw new Error(`Households have reserved ${formatQuantity(reserved, current.unit)}, so the unit can't change.`);
+    }
+    if (quantity.amount < reserved) {
+      throw new Error(`Households have reserved ${formatQuantity(reserved, current.unit)}, so the quantity can't go below that.`);
+    }
+
+    const pickupSlots = formData.pickupPreference === "scheduled" ? formData.pickupSlots || [] : [];
+    const bookings = getSlotBookings(donation);
+    const lostSlot = Object.keys(bookings).find((slotId) => {
+      const slot = pickupSlots.find((s) => s.id === slotId);
+      return !slot || slot.capacity < bookings[slotId];
+    });
+    if (lostSlot) {
+      const booked = findSlot(donation, lostSlot);
+      throw new Error(
+        `${bookings[lostSlot]} household(s) booked the ${booked ? formatSlot(booked) : lostSlot} pickup. Keep that slot and its places.`
+      );
+    }
+
+    const next = {
+      ...Object.fromEntries(EDITABLE_FIELDS.filter((field) => field in formData).map((field) => [field, formData[field]])),
+      quantity,
+      pickupSlots,
+      availableUntil: formData.availableUntil || getSlotsEnd(pickupSlots) || null,
+      category: formData.category || null,
+      siteId: formData.siteId || null,
+      allergens: formData.allergens ?? null,
+      dietLabels: formData.dietLabels || [],
+    };
+
+    changes = diffDonation(donation, next);
+    if (Object.keys(changes).length === 0) return;
+
+    const remainingQuantity = quantity.amount - reserved;
+    transaction.update(donationRef, {
+      ...next,
+      ...toGeoFields("coordinates" in next ? next.coordinates : donation.coordinates),
+      originalQuantity: quantity.amount,
+      remainingQuantity,
+      status: donation.status === "claimed" ? "claimed" : getReservationStatus(remainingQuantity, quantity.amount),
+      editedAt: serverTimestamp(),
+      lastUpdated: serverTimestamp(),
+    });
+    transaction.set(doc(historyRef(donationId)), historyEntry(user, { action: "edited", changes }));
+  });
+
+  const copies = Object.fromEntries(
+    Object.entries(APPLICATION_COPIES)
+      .filter(([field]) => field in changes)
+      .map(([field, copy]) => [copy, changes[field].to])
+  );
+  if (Object.keys(copies).length > 0) {
+    const applications = await getOpenApplications(donationId, user.uid);
+    await Promise.all(
+      applications.docs.map((snap) => updateDoc(snap.ref, { ...copies, updatedAt: serverTimestamp() }))
+    );
+  }
+
+  return Object.keys(changes);
+};
+
+/**
+ * Takes a live listing down. Open applications become "cancelled_by_donor"
+ * and each signed-in applicant gets a notification; approved servings go back to the
+ * households' allowance, and collected pickups stay on record.
+ * @param {string} donationId
+ * @param {string} reason shown to the households
+ * @param {{uid: string, email?: string}} user the donor
+ * @returns {Promise<{notified: number}>}
+ */
+export const cancelDonation = async (donationId, reason, user) => {
+  const donationRef = doc(db, "donations", donationId);
+  const open = await getOpenApplications(donationId, user.uid);
+  let notified = 0;
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(donationRef);
+    if (!snap.exists()) {
+      throw new Error("This donation no longer exists.");
+    }
+    // Applications reviewed since the query are re-read so none is missed or overwritten
+    const applications = (await Promise.all(open.docs.map((application) => transaction.get(application.ref))))
+      .filter((application) => application.exists() && OPEN_APPLICATION_STATUSES.includes(application.data().status));
+
+    const donation = snap.data();
+    if (!EXPIRABLE_DONATION_STATUSES.includes(donation.status)) {
+      throw new Error(`This donation is already ${donation.status}.`);
+    }
+
+    const cancellationReason = reason?.trim() || "";
+    transaction.update(donationRef, {
+      status: "cancelled",
+      cancellationReason,
+      cancelledAt: serverTimestamp(),
+      applicants: (donation.applicants || []).filter((entry) => entry.status === APPLICATION_STATUSES.COMPLETED),
+      waitlist: [],
+      lastUpdated: serverTimestamp(),
+    });
+
+    applications.forEach((application) => {
+      const { applicantId, status } = application.data();
+      if (status === APPLICATION_STATUSES.APPROVED) {
+        releaseAllocation(transaction, application.id, application.data(), user.uid);
+      }
+      transaction.update(application.ref, {
+        status: APPLICATION_STATUSES.CANCELLED_BY_DONOR,
+        cancellationReason,
+        updatedAt: serverTimestamp(),
+      });
+      if (!isRealUser(applicantId)) return;
+      writeNotification(
+        transaction,
+        applicantId,
+        {
+          type: NOTIFICATION_TYPES.DONATION_CANCELLED,
+          title: "Donation cancelled",
+          message: `The donor cancelled "${donation.foodItem}".` + (cancellationReason ? ` Reason: ${cancellationReason}` : ""),
+          link: "/profile",
+        },
+        { senderId: user.uid, applicationId: application.id }
+      );
+    });
+    notified = applications.filter((application) => isRealUser(application.data().applicantId)).length;
+
+    transaction.set(doc(historyRef(donationId)), historyEntry(user, { action: "cancelled", reason: cancellationReason }));
+  });
+
+  return { notified };
+};
+
+/**
+ * Logs on a finished donation that it was posted again as `newDonationId`.
+ * The new donation carries `relistedFrom`. Logging the same relist twice
+ * keeps one entry.
+ * @param {string} donationId the original donation
+ * @param {string} newDonationId
+ * @param {{uid: string, email?: string}} user
+ * @returns {Promise<void>}
+ */
+export const recordRelist = (donationId, newDonationId, user) =>
+  runTransaction(db, async (transaction) => {
+    const entryRef = doc(historyRef(donationId), `relisted_${newDonationId}`);
+    const snap = await transaction.get(entryRef);
+    if (!snap.exists()) {
+      transaction.set(entryRef, historyEntry(user, { action: "relisted", donationId: newDonationId }));
+    }
+  });
+
+/**
+ * Live edit history of a donation, newest first.
+ * @param {string} donationId
+ * @param {(entries: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonationHistory = (donationId, onChange, onError) =>
+  onSnapshot(
+    query(historyRef(donationId), orderBy("at", "desc")),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
@@ -0,0 +1,314 @@
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest, toDate } from "./firestoreUtils";
+import { isDonationPastDue } from "./expiry";
+import { getOriginalAmount, getRemainingAmount, toQuantity } from "./quantityModel";
+import { deleteAllDonationPhotos } from "./photos";
+import { getSlotsEnd } from "./slotModel";
+import { toGeoFields } from "./geoModel";
+import { subscribeToGeohashCells, subscribeWithinRadius } from "./geoQueries";
+
+const donationsRef = collection(db, "donations");
+
+const URGENT_WINDOW_MS = 5 * 24 * 60 * 60 * 1000;
+
+/**
+ * A donation is urgent when it expires within five days.
+ * @param {import("firebase/firestore").Timestamp|string|null} expirationDate
+ * @returns {boolean}
+ */
+export const isDonationUrgent = (expirationDate) => {
+  const expDate = toDate(expirationDate);
+  if (!expDate) return false;
+  return expDate.getTime() <= Date.now() + URGENT_WINDOW_MS;
+};
+
+/**
+ * Original quantity of a donation, in its own unit (see quantityModel.js).
+ * @param {object} donation
+ * @returns {number}
+ */
+export const getOriginalQuantity = (donation) => getOriginalAmount(donation);
+
+/**
+ * Remaining quantity, in the donation's unit; a donation that was never
+ * claimed still has its original quantity.
+ * @param {object} donation
+ * @returns {number}
+ */
+export const getRemainingQuantity = (donation) => getRemainingAmount(donation);
+
+// Statuses the quantity never overrides
+const FINAL_STATUSES = ["completed", "expired", "cancelled"];
+
+/**
+ * Status derived from the remaining quantity.
+ * @param {number} remainingQuantity
+ * @param {number} originalQuantity
+ * @param {string} status stored status
+ * @returns {string}
+ */
+export const deriveDonationStatus = (remainingQuantity, originalQuantity, status = "available") => {
+  if (FINAL_STATUSES.includes(status)) return status;
+  if (remainingQuantity <= 0 && status !== "fully_booked") return "fully_booked";
+  if (remainingQuantity < originalQuantity && status === "available") return "partially_claimed";
+  return status;
+};
+
+/**
+ * Adds parsed quantities, derived status and the urgency flag to a raw document.
+ * Past-due donations show as "expired" even before the expiry job has run.
+ * @param {{id: string}} donation
+ * @returns {object}
+ */
+export const normalizeDonation = (donation) => {
+  const originalQuantity = getOriginalQuantity(donation);
+  const remainingQuantity = getRemainingQuantity(donation);
+  const status = deriveDonationStatus(remainingQuantity, originalQuantity, donation.status || "available");
+
+  return {
+    ...donation,
+    originalQuantity,
+    remainingQuantity,
+    status: status !== "completed" && status !== "cancelled" && isDonationPastDue(donation) ? "expired" : status,
+    isUrgent: isDonationUrgent(donation.expirationDate),
+  };
+};
+
+// Urgent donations first, then newest first
+const byUrgencyThenNewest = (a, b) => {
+  if (a.isUrgent && !b.isUrgent) return -1;
+  if (!a.isUrgent && b.isUrgent) return 1;
+  return byNewest()(a, b);
+};
+
+/**
+ * Live feed of every listed donation, normalized and sorted urgent-first.
+ * Expired and cancelled donations are left out.
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonations = (onChange, onError) =>
+  onSnapshot(
+    query(donationsRef, orderBy("createdAt", "desc")),
+    (snapshot) => onChange(toListedDonations(snapshot)),
+    onError
+  );
+
+const toListedDonations = (snapshot) =>
+  mapDocs(snapshot)
+    // Ensure we have basic required fields
+    .filter((donation) => donation.foodItem)
+    .map(normalizeDonation)
+    .filter((donation) => donation.status !== "expired" && donation.status !== "cancelled")
+    .sort(byUrgencyThenNewest);
+
+/**
+ * Every listed donation, read once; the same set as subscribeToDonations.
+ * @returns {Promise<object[]>}
+ */
+export const getListedDonations = async () =>
+  toListedDonations(await getDocs(query(donationsRef, orderBy("createdAt", "desc"))));
+
+/**
+ * Live feed of the donations inside a map area, one query per geohash prefix
+ * (see getGeohashCover). Includes expired and fully booked listings for the
+ * map legend; cancelled and completed ones are left out, as are donations
+ * saved before geohashes (run `npm run backfill:geohash`).
+ * @param {string[]} prefixes
+ * @param {(donations: object[]) => void} onChange called once every prefix has loaded, then on each change
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonationsInArea = (prefixes, onChange, onError) =>
+  subscribeToGeohashCells(
+    "donations",
+    prefixes,
+    (docs) =>
+      onChange(
+        docs
+          .filter((donation) => donation.foodItem)
+          .map(normalizeDonation)
+          .filter((donation) => donation.status !== "cancelled" && donation.status !== "completed")
+      ),
+    onError
+  );
+
+/**
+ * Live feed of the listed donations within `km` of a point, as
+ * subscribeToDonations but without downloading the whole collection.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonationsNear = (center, km, onChange, onError) =>
+  subscribeWithinRadius(
+    center,
+    km,
+    (docs) =>
+      onChange(
+        docs
+          .filter((donation) => donation.foodItem)
+          .map(normalizeDonation)
+          .filter((donation) => donation.status !== "expired" && donation.status !== "cancelled")
+          .sort(byUrgencyThenNewest)
+      ),
+    onError
+  );
+
+/**
+ * Live feed of donations whose stored status is still `available`.
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAvailableDonations = (onChange, onError) =>
+  onSnapshot(
+    query(donationsRef, where("status", "==", "available"), orderBy("createdAt", "desc")),
+    (snapshot) =>
+      onChange(mapDocs(snapshot).map(normalizeDonation).filter((donation) => donation.status !== "expired")),
+    onError
+  );
+
+/**
+ * Live feed of a donor's own donations, newest first.
+ * @param {string} donorId
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonorDonations = (donorId, onChange, onError) =>
+  onSnapshot(
+    query(donationsRef, where("donorId", "==", donorId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest())),
+    onError
+  );
+
+/**
+ * Live feed of donations claimed by a user through the legacy `claimedBy` field.
+ * @param {string} userId
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToClaimedDonations = (userId, onChange, onError) =>
+  onSnapshot(
+    query(donationsRef, where("claimedBy", "==", userId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("claimedAt"))),
+    onError
+  );
+
+/**
+ * Live feed of every donation without any filtering (admin dashboard).
+ * @param {(donations: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAllDonations = (onChange, onError) =>
+  onSnapshot(donationsRef, (snapshot) => onChange(mapDocs(snapshot)), onError);
+
+/**
+ * Posts a new donation on behalf of the signed-in (or anonymous) user.
+ * @param {object} formData fields collected by the donate wizard; `quantity`
+ *   is { amount, unit, servingsPerUnit } as checked by validateQuantity, and
+ *   `pickupSlots` comes from buildPickupSlots when pickupPreference is "scheduled"
+ * @param {{uid: string, email?: string}|null} user
+ * @param {boolean} isGuest
+ * @param {string|null} [donationId] an id from newDonationId; posting again
+ *   with the same id leaves the existing donation alone
+ * @returns {Promise<{id: string, data: object}>}
+ */
+export const createDonation = async (formData, user, isGuest, donationId = null) => {
+  const quantity = toQuantity(formData.quantity);
+  const data = {
+    ...formData,
+    quantity,
+    donorId: user?.uid || "guest",
+    donorName: user?.email || "Anonymous Donor",
+    isGuest: isGuest || !user,
+    status: "available",
+    createdAt: serverTimestamp(),
+    claimedBy: null,
+    claimedAt: null,
+    remainingQuantity: quantity.amount,
+    originalQuantity: quantity.amount,
+    applicants: [],
+    pickupPreference: formData.pickupPreference,
+    pickupSlots: formData.pickupPreference === "scheduled" ? formData.pickupSlots || [] : [],
+    // Without an explicit end time, a slotted listing closes after its last slot
+    availableUntil: formData.availableUntil || getSlotsEnd(formData.pickupSlots || []) || null,
+    category: formData.category || null,
+    siteId: formData.siteId || null,
+    allergens: formData.allergens ?? null,
+    dietLabels: formData.dietLabels || [],
+    relistedFrom: formData.relistedFrom || null,
+    ...toGeoFields(formData.coordinates),
+  };
+
+  if (!donationId) {
+    const docRef = await addDoc(donationsRef, data);
+    return { id: docRef.id, data };
+  }
+
+  const docRef = doc(donationsRef, donationId);
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(docRef);
+    if (!snap.exists()) transaction.set(docRef, data);
+  });
+  return { id: donationId, data };
+};
+
+/**
+ * Picks the id of a donation before it is posted, so a retried post can't
+ * list it twice.
+ * @returns {string}
+ */
+export const newDonationId = () => doc(donationsRef).id;
+
+/**
+ * @param {string} donationId
+ * @returns {Promise<object|null>} the normalized donation, or null if it doesn't exist
+ */
+export const getDonation = async (donationId) => {
+  const snap = await getDoc(doc(db, "donations", donationId));
+  return snap.exists() ? normalizeDonation({ id: snap.id, ...snap.data() }) : null;
+};
+
+/**
+ * @param {string} donationId
+ * @param {string} status
+ * @returns {Promise<void>}
+ */
+export const updateDonationStatus = (donationId, status) =>
+  updateDoc(doc(db, "donations", donationId), {
+    status,
+    updatedAt: new Date(),
+  });
+
+/**
+ * Deletes a donation and its photos.
+ * @param {string} donationId
+ * @returns {Promise<void>}
+ */
+export const deleteDonation = async (donationId) => {
+  // Photos first: the Storage rules look up the donor on the donation document
+  await deleteAllDonationPhotos(donationId);
+  await deleteDoc(doc(db, "donations", donationId));
+};
@@ -0,0 +1,51 @@
+// Expiry rules shared by the app and scripts/expire-stale.js.
+
+export const DEFAULT_REQUEST_MAX_AGE_DAYS = 30;
+
+// Donation statuses the expiry job may move to "expired"
+export const EXPIRABLE_DONATION_STATUSES = ["available", "partially_claimed", "fully_booked", "claimed"];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timestamps, Dates and strings become a Date; a bare "YYYY-MM-DD" lasts until the end of that day
+const toDeadline = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  const date = DATE_ONLY.test(value) ? new Date(`${value}T23:59:59`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * The earlier of `expirationDate` and `availableUntil`.
+ * @param {object} donation
+ * @returns {Date|null} null when neither is set
+ */
+export const getDonationDeadline = (donation) => {
+  const deadlines = [donation.expirationDate, donation.availableUntil].map(toDeadline).filter(Boolean);
+  if (deadlines.length === 0) return null;
+  return new Date(Math.min(...deadlines.map((date) => date.getTime())));
+};
+
+/**
+ * @param {object} donation
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isDonationPastDue = (donation, now = new Date()) => {
+  const deadline = getDonationDeadline(donation);
+  return deadline !== null && deadline < now;
+};
+
+/**
+ * An open request older than `maxAgeDays`.
+ * @param {object} request
+ * @param {Date} [now]
+ * @param {number} [maxAgeDays]
+ * @returns {boolean}
+ */
+export const isRequestStale = (request, now = new Date(), maxAgeDays = DEFAULT_REQUEST_MAX_AGE_DAYS) => {
+  if (request.status !== "open") return false;
+  const createdAt = toDeadline(request.createdAt);
+  return createdAt !== null && now - createdAt > maxAgeDays * DAY_MS;
+};
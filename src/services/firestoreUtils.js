@@ -0,0 +1,21 @@
+// Small helpers shared by the service modules
+
+// Firestore Timestamps, ISO strings and Dates all become a Date (or null)
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  return new Date(value);
+};
+
+export const mapDocs = (snapshot, extra = {}) =>
+  snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data(), ...extra }));
+
+// Sort comparator: newest first by the given timestamp field
+export const byNewest = (field = "createdAt") => (a, b) => {
+  const aDate = toDate(a[field]) || new Date(0);
+  const bDate = toDate(b[field]) || new Date(0);
+  return bDate - aDate;
+};
+
+// Lenient integer parse used for the legacy free-text quantity fields
+export const toInt = (value) => parseInt(value) || 0;
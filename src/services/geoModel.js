@@ -0,0 +1,225 @@
+// Geohashes for location queries, and marker clustering for the maps.
+//
+// Donations, requests and households with coordinates store `geohash`
+// (GEOHASH_PRECISION characters) and `geoBounds`, the bounding box of that
+// geohash cell as {south, west, north, east}. An area - a map viewport, or the bounding
+// box of a radius - is covered by a handful of shorter geohash cells, and each
+// cell is one range query on that field: every hash inside a cell starts with
+// the cell's hash. Cells overshoot the area, so results are filtered again.
+
+import { getDistanceKm, toLatLng } from "./listingFilters.js";
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// ~5 m cells, finer than any viewport needs
+export const GEOHASH_PRECISION = 9;
+
+// Appended to a prefix as the range-query upper bound (sorts after any hash)
+export const GEOHASH_END = "\uf8ff";
+
+/**
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} [precision]
+ * @returns {string}
+ */
+export const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let useLng = true;
+
+  while (hash.length < precision) {
+    const [axis, coordinate] = useLng ? ["lng", lng] : ["lat", lat];
+    const mid = (range[axis][0] + range[axis][1]) / 2;
+    value *= 2;
+    if (coordinate >= mid) {
+      value += 1;
+      range[axis][0] = mid;
+    } else {
+      range[axis][1] = mid;
+    }
+    useLng = !useLng;
+
+    bits += 1;
+    if (bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Degrees spanned by one cell; longitude gets the extra bit of odd lengths.
+ * @param {number} precision
+ * @returns {{width: number, height: number}}
+ */
+export const getCellSize = (precision) => {
+  const bits = precision * 5;
+  return { width: 360 / 2 ** Math.ceil(bits / 2), height: 180 / 2 ** Math.floor(bits / 2) };
+};
+
+/**
+ * Bounding box of a geohash cell.
+ * @param {string} hash
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export const getGeohashBounds = (hash) => {
+  const range = { lat: [-90, 90], lng: [-180, 180] };
+  let useLng = true;
+
+  [...hash].forEach((char) => {
+    const value = BASE32.indexOf(char);
+    for (let bit = 4; bit >= 0; bit -= 1) {
+      const axis = useLng ? "lng" : "lat";
+      const mid = (range[axis][0] + range[axis][1]) / 2;
+      range[axis][(value >> bit) & 1 ? 0 : 1] = mid;
+      useLng = !useLng;
+    }
+  });
+
+  return { south: range.lat[0], west: range.lng[0], north: range.lat[1], east: range.lng[1] };
+};
+
+/**
+ * Location fields to store with a document, from its `coordinates`.
+ * @param {{lat: number|string, lng: number|string}|null|undefined} coordinates
+ * @returns {{geohash: string|null, geoBounds: {south: number, west: number, north: number, east: number}|null}}
+ */
+export const toGeoFields = (coordinates) => {
+  const position = toLatLng(coordinates);
+  if (!position) return { geohash: null, geoBounds: null };
+
+  const geohash = encodeGeohash(position.lat, position.lng);
+  return { geohash, geoBounds: getGeohashBounds(geohash) };
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Geohash prefixes whose cells together cover a viewport: the longest
+ * prefixes that need no more than `maxCells` queries.
+ * @param {{south: number, west: number, north: number, east: number}} bounds
+ * @param {number} [maxCells]
+ * @returns {string[]} [""] when only the whole world fits
+ */
+export const getGeohashCover = (bounds, maxCells = 9) => {
+  const south = clamp(bounds.south, -90, 90);
+  const north = clamp(bounds.north, -90, 90);
+  // A viewport across the antimeridian is covered as every longitude
+  const [west, east] = bounds.west <= bounds.east ? [clamp(bounds.west, -180, 180), clamp(bounds.east, -180, 180)] : [-180, 180];
+
+  for (let precision = GEOHASH_PRECISION; precision >= 1; precision -= 1) {
+    const { width, height } = getCellSize(precision);
+    const firstColumn = Math.floor((west + 180) / width);
+    const lastColumn = Math.min(Math.floor((east + 180) / width), 2 ** Math.ceil((precision * 5) / 2) - 1);
+    const firstRow = Math.floor((south + 90) / height);
+    const lastRow = Math.min(Math.floor((north + 90) / height), 2 ** Math.floor((precision * 5) / 2) - 1);
+    if ((lastColumn - firstColumn + 1) * (lastRow - firstRow + 1) > maxCells) continue;
+
+    const cells = new Set();
+    for (let column = firstColumn; column <= lastColumn; column += 1) {
+      for (let row = firstRow; row <= lastRow; row += 1) {
+        cells.add(encodeGeohash(-90 + (row + 0.5) * height, -180 + (column + 0.5) * width, precision));
+      }
+    }
+    return [...cells].sort();
+  }
+  return [""];
+};
+
+/**
+ * Bounding box of a circle; one that reaches past the antimeridian or a pole
+ * spans every longitude.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km radius
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export const getRadiusBounds = ({ lat, lng }, km) => {
+  const latDelta = (km / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const south = lat - latDelta;
+  const north = lat + latDelta;
+  const lngDelta = south <= -90 || north >= 90 ? 180 : latDelta / Math.cos((lat * Math.PI) / 180);
+  const wraps = lng - lngDelta < -180 || lng + lngDelta > 180;
+
+  return {
+    south: Math.max(south, -90),
+    north: Math.min(north, 90),
+    west: wraps ? -180 : lng - lngDelta,
+    east: wraps ? 180 : lng + lngDelta,
+  };
+};
+
+/**
+ * Geohash prefixes to query for everything within `km` of `center`.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @returns {string[]}
+ */
+export const getRadiusCover = (center, km) => getGeohashCover(getRadiusBounds(center, km));
+
+/**
+ * Keeps the items whose `coordinates` are within `km` of `center`.
+ * @param {object[]} items
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @returns {object[]} each with `distanceKm`, nearest first
+ */
+export const withinRadius = (items, center, km) =>
+  items
+    .map((item) => {
+      const position = toLatLng(item.coordinates);
+      return { ...item, distanceKm: position ? getDistanceKm(center, position) : null };
+    })
+    .filter((item) => item.distanceKm !== null && item.distanceKm <= km)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+/**
+ * @param {{south: number, west: number, north: number, east: number}} bounds
+ * @param {{lat: number, lng: number}} position
+ * @returns {boolean}
+ */
+export const isInBounds = (bounds, { lat, lng }) =>
+  lat >= bounds.south &&
+  lat <= bounds.north &&
+  (bounds.west <= bounds.east ? lng >= bounds.west && lng <= bounds.east : lng >= bounds.west || lng <= bounds.east);
+
+// Web Mercator world pixel position at a zoom level, as both map providers draw
+const project = ({ lat, lng }, zoom) => {
+  const scale = 256 * 2 ** zoom;
+  const sin = Math.sin((clamp(lat, -85, 85) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+};
+
+/**
+ * Groups items whose markers would fall in the same square of the screen.
+ * @param {object[]} items each with `position` {lat, lng}
+ * @param {number} zoom map zoom level
+ * @param {number} [cellPx] square size in screen pixels
+ * @returns {{position: {lat: number, lng: number}, items: object[]}[]} single items form clusters of one
+ */
+export const clusterByGrid = (items, zoom, cellPx = 60) => {
+  const cells = new Map();
+  items.forEach((item) => {
+    const { x, y } = project(item.position, zoom);
+    const key = `${Math.floor(x / cellPx)}:${Math.floor(y / cellPx)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  });
+
+  return [...cells.values()].map((group) => ({
+    position: {
+      lat: group.reduce((total, item) => total + item.position.lat, 0) / group.length,
+      lng: group.reduce((total, item) => total + item.position.lng, 0) / group.length,
+    },
+    items: group,
+  }));
+};
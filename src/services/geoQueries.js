@@ -0,0 +1,69 @@
+import { collection, query, orderBy, startAt, endAt, getDocs, onSnapshot } from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs } from "./firestoreUtils";
+import { GEOHASH_END, getRadiusCover, withinRadius } from "./geoModel";
+
+// Location queries on the stored `geohash` field (see geoModel.js), for any
+// collection that keeps one: donations, requests and households. Documents
+// saved before geohashes need `npm run backfill:geohash` to be found.
+
+const prefixQuery = (collectionName, prefix) =>
+  query(collection(db, collectionName), orderBy("geohash"), startAt(prefix), endAt(prefix + GEOHASH_END));
+
+/**
+ * Live documents in the cells of some geohash prefixes. Results are not
+ * trimmed to any area; callers filter by bounds or distance.
+ * @param {string} collectionName
+ * @param {string[]} prefixes from getGeohashCover or getRadiusCover
+ * @param {(docs: object[]) => void} onChange called once every prefix has loaded, then on each change
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToGeohashCells = (collectionName, prefixes, onChange, onError) => {
+  const results = new Map();
+
+  const unsubscribes = prefixes.map((prefix) =>
+    onSnapshot(
+      prefixQuery(collectionName, prefix),
+      (snapshot) => {
+        results.set(prefix, mapDocs(snapshot));
+        if (results.size === prefixes.length) onChange([...results.values()].flat());
+      },
+      onError
+    )
+  );
+
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
+
+/**
+ * Everything within `km` of a point, read once. Used by the "near me"
+ * listings, request matching and alerts.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @param {{collectionName?: string}} [options] "donations" (default), "requests" or "households"
+ * @returns {Promise<object[]>} documents with `distanceKm`, nearest first
+ */
+export const queryWithinRadius = async (center, km, { collectionName = "donations" } = {}) => {
+  const snapshots = await Promise.all(
+    getRadiusCover(center, km).map((prefix) => getDocs(prefixQuery(collectionName, prefix)))
+  );
+  return withinRadius(snapshots.flatMap((snapshot) => mapDocs(snapshot)), center, km);
+};
+
+/**
+ * Live version of queryWithinRadius.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @param {(docs: object[]) => void} onChange documents with `distanceKm`, nearest first
+ * @param {(error: Error) => void} [onError]
+ * @param {{collectionName?: string}} [options]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeWithinRadius = (center, km, onChange, onError, { collectionName = "donations" } = {}) =>
+  subscribeToGeohashCells(
+    collectionName,
+    getRadiusCover(center, km),
+    (docs) => onChange(withinRadius(docs, center, km)),
+    onError
+  );
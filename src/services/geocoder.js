@@ -0,0 +1,99 @@
+import { mapConfig } from "../config/maps";
+
+// Address lookups behind one interface, chosen by VITE_GEOCODER:
+//   geocode(address)           -> { lat, lng, label }
+//   reverseGeocode({lat, lng}) -> { lat, lng, label }
+// Both reject with an Error whose message can be shown to the user.
+// "stub" answers without any network, for local runs and tests.
+
+export const GEOCODERS = {
+  GOOGLE: "google",
+  NOMINATIM: "nominatim",
+  STUB: "stub",
+};
+
+const notFound = (query) => new Error(`No location found for "${query}".`);
+
+const googleGeocoder = (apiKey) => {
+  const lookup = async (params, query) => {
+    if (!apiKey) {
+      throw new Error("Address search needs a Google Maps API key.");
+    }
+    const response = await fetch(
+      `https://maps.googleapis.com/maps/api/geocode/json?${new URLSearchParams({ ...params, key: apiKey })}`
+    );
+    const data = await response.json();
+    const [result] = data.results || [];
+    if (data.status !== "OK" || !result) throw notFound(query);
+    return {
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng,
+      label: result.formatted_address,
+    };
+  };
+
+  return {
+    geocode: (address) => lookup({ address }, address),
+    reverseGeocode: ({ lat, lng }) => lookup({ latlng: `${lat},${lng}` }, `${lat}, ${lng}`),
+  };
+};
+
+// Public Nominatim allows about one request a second; self-host it for real traffic
+const nominatimGeocoder = (baseUrl) => {
+  const lookup = async (path, params, query) => {
+    const response = await fetch(`${baseUrl}/${path}?${new URLSearchParams({ format: "jsonv2", ...params })}`, {
+      headers: { "Accept-Language": navigator.language || "en" },
+    });
+    if (!response.ok) {
+      throw new Error(`Address search failed (${response.status}). Please try again.`);
+    }
+    const data = await response.json();
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result || result.error) throw notFound(query);
+    return { lat: Number(result.lat), lng: Number(result.lon), label: result.display_name };
+  };
+
+  return {
+    geocode: (address) => lookup("search", { q: address, limit: "1" }, address),
+    reverseGeocode: ({ lat, lng }) => lookup("reverse", { lat: String(lat), lon: String(lng) }, `${lat}, ${lng}`),
+  };
+};
+
+// The same address always lands on the same point, within ~5 km of the default center
+const stubGeocoder = (center) => {
+  const hash = (text) => [...text].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+  return {
+    geocode: async (address) => {
+      const value = hash(address.trim().toLowerCase());
+      return {
+        lat: center.lat + ((value % 1000) / 1000 - 0.5) * 0.09,
+        lng: center.lng + ((Math.floor(value / 1000) % 1000) / 1000 - 0.5) * 0.09,
+        label: address.trim(),
+      };
+    },
+    reverseGeocode: async ({ lat, lng }) => ({ lat, lng, label: `${lat.toFixed(5)}, ${lng.toFixed(5)}` }),
+  };
+};
+
+let geocoder = null;
+
+/**
+ * The configured geocoder.
+ * @returns {{geocode: (address: string) => Promise<object>, reverseGeocode: (position: object) => Promise<object>}}
+ */
+export const getGeocoder = () => {
+  if (!geocoder) {
+    switch (mapConfig.geocoder) {
+      case GEOCODERS.GOOGLE:
+        geocoder = googleGeocoder(mapConfig.googleMapsKey);
+        break;
+      case GEOCODERS.STUB:
+        geocoder = stubGeocoder(mapConfig.defaultCenter);
+        break;
+      default:
+        geocoder = nominatimGeocoder(mapConfig.nominatimUrl);
+    }
+  }
+  return geocoder;
+};
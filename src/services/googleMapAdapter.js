@@ -0,0 +1,80 @@
+import { loadScript } from "./loadScript";
+
+// Google Maps JavaScript API behind the map adapter interface (see mapProvider.js)
+
+const MARKER_SIZE = 40;
+
+/**
+ * @param {string} apiKey
+ * @returns {Promise<object>} map provider
+ */
+export const createGoogleMaps = async (apiKey) => {
+  await loadScript(
+    "google-maps-script",
+    `https://maps.googleapis.com/maps/api/js?key=${apiKey}&libraries=places,geometry`
+  );
+  const { maps } = window.google;
+
+  const createMap = (element, { center, zoom, controls = true }) => {
+    const map = new maps.Map(element, {
+      center,
+      zoom,
+      mapTypeControl: controls,
+      streetViewControl: controls,
+      fullscreenControl: controls,
+    });
+
+    return {
+      setView: (position, level) => {
+        map.setCenter(position);
+        if (level) map.setZoom(level);
+      },
+      fitBounds: (positions) => {
+        const bounds = new maps.LatLngBounds();
+        positions.forEach((position) => bounds.extend(position));
+        map.fitBounds(bounds);
+      },
+      onClick: (handler) => {
+        const listener = map.addListener("click", (event) =>
+          handler({ lat: event.latLng.lat(), lng: event.latLng.lng() })
+        );
+        return () => listener.remove();
+      },
+      getZoom: () => map.getZoom(),
+      getBounds: () => {
+        const bounds = map.getBounds();
+        if (!bounds) return null;
+        const southWest = bounds.getSouthWest();
+        const northEast = bounds.getNorthEast();
+        return { south: southWest.lat(), west: southWest.lng(), north: northEast.lat(), east: northEast.lng() };
+      },
+      // "idle" fires once the map first renders, then after every pan or zoom
+      onViewChange: (handler) => {
+        const listener = map.addListener("idle", handler);
+        return () => listener.remove();
+      },
+      addMarker: ({ position, title, iconUrl, iconSize = MARKER_SIZE, onClick, drop = false }) => {
+        const marker = new maps.Marker({
+          position,
+          map,
+          title,
+          icon: iconUrl ? { url: iconUrl, scaledSize: new maps.Size(iconSize, iconSize) } : undefined,
+          animation: drop ? maps.Animation.DROP : undefined,
+        });
+        if (onClick) marker.addListener("click", onClick);
+        return { remove: () => marker.setMap(null) };
+      },
+      addPolyline: (positions, { color = "#2563eb" } = {}) => {
+        const line = new maps.Polyline({ path: positions, map, strokeColor: color, strokeOpacity: 0.8, strokeWeight: 4 });
+        return { remove: () => line.setMap(null) };
+      },
+      destroy: () => maps.event.clearInstanceListeners(map),
+    };
+  };
+
+  return {
+    name: "google",
+    createMap,
+    getDirectionsUrl: (query) => `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`,
+  };
+};
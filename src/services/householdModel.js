@@ -0,0 +1,231 @@
+// Household membership (which accounts belong to a household and what each
+// member may do), eligibility verification, and duplicate registration checks.
+//
+// households/{id}:
+//   registrantId   the account that registered, and manages, the household
+//   members[]      { id, name, email, ..., isRegistrant, canApply }
+//   memberLinks    { [memberId]: uid }  accounts that accepted an invitation
+//   memberUids     uid[]  linked accounts; indexed for the membership lookup
+//   applicantUids  uid[]  the registrant plus linked members with canApply
+//   verificationStatus     "unverified"|"pending"|"verified"|"rejected"
+//   verificationDocuments  [{ id, path, name, contentType }] in Storage
+//   verificationNote, verifiedBy, verifiedAt  set by staff
+//   duplicateReview        { clearedIds: [householdId] } matches staff dismissed
+// householdInvites/{householdId}_{email}:
+//   householdId, householdName, memberId, memberName, email, canApply,
+//   invitedBy, status "pending"|"accepted"|"declined"
+
+/**
+ * @param {string|null|undefined} email
+ * @returns {string} trimmed and lower-cased, as stored on invitations
+ */
+export const normalizeEmail = (email) => (email || "").trim().toLowerCase();
+
+/**
+ * One invitation per household and email address.
+ * @param {string} householdId
+ * @param {string} email
+ * @returns {string}
+ */
+export const getInviteId = (householdId, email) => `${householdId}_${normalizeEmail(email)}`;
+
+/**
+ * Whether a member may apply for donations on behalf of the household.
+ * Households saved before `canApply` existed used `isRegistrant` for this.
+ * @param {object} member
+ * @returns {boolean}
+ */
+export const canMemberApply = (member) => Boolean(member.canApply ?? member.isRegistrant);
+
+/**
+ * Gives every member a stable id; households saved before ids existed have none.
+ * @param {object[]} members
+ * @param {() => string} makeId
+ * @returns {object[]}
+ */
+export const withMemberIds = (members, makeId) =>
+  members.map((member) => (member.id ? member : { ...member, id: makeId() }));
+
+/**
+ * Account links of members still in the household.
+ * @param {object} household
+ * @returns {Object<string, string>} uid per member id
+ */
+export const getMemberLinks = (household) => {
+  const memberIds = (household.members || []).map((member) => member.id);
+  return Object.fromEntries(
+    Object.entries(household.memberLinks || {}).filter(([memberId]) => memberIds.includes(memberId))
+  );
+};
+
+/**
+ * @param {object} household
+ * @returns {string[]} accounts linked to a member
+ */
+export const getMemberUids = (household) => [...new Set(Object.values(getMemberLinks(household)))];
+
+/**
+ * @param {object} household
+ * @returns {string[]} accounts allowed to apply for donations for the household
+ */
+export const getApplicantUids = (household) => {
+  const links = getMemberLinks(household);
+  const members = (household.members || []).filter((member) => links[member.id] && canMemberApply(member));
+  return [...new Set([household.registrantId, ...members.map((member) => links[member.id])].filter(Boolean))];
+};
+
+/**
+ * The member an account is linked to.
+ * @param {object|null} household
+ * @param {string} uid
+ * @returns {object|null}
+ */
+export const getLinkedMember = (household, uid) => {
+  const links = household ? getMemberLinks(household) : {};
+  return (household?.members || []).find((member) => links[member.id] === uid) || null;
+};
+
+/**
+ * @param {object|null} household
+ * @param {string|null|undefined} uid
+ * @returns {boolean}
+ */
+export const canUserApply = (household, uid) =>
+  Boolean(household && uid) && (household.registrantId === uid || getApplicantUids(household).includes(uid));
+
+// ---- Verification ----
+
+export const VERIFICATION_STATUSES = {
+  UNVERIFIED: "unverified",
+  PENDING: "pending",
+  VERIFIED: "verified",
+  REJECTED: "rejected",
+};
+
+export const VERIFICATION_LABELS = {
+  unverified: "Unverified",
+  pending: "Awaiting review",
+  verified: "Verified",
+  rejected: "Not verified",
+};
+
+/**
+ * @param {object|null} household
+ * @returns {string} one of VERIFICATION_STATUSES
+ */
+export const getVerificationStatus = (household) =>
+  household?.verificationStatus || VERIFICATION_STATUSES.UNVERIFIED;
+
+/**
+ * Whether the allowance policy lets this household apply yet.
+ * @param {object|null} household
+ * @param {{requireVerification?: boolean}} policy
+ * @returns {boolean}
+ */
+export const meetsVerificationPolicy = (household, policy) =>
+  !policy?.requireVerification || getVerificationStatus(household) === VERIFICATION_STATUSES.VERIFIED;
+
+// ---- Duplicates ----
+
+const ADDRESS_WORDS = {
+  street: "st",
+  avenue: "ave",
+  road: "rd",
+  drive: "dr",
+  lane: "ln",
+  boulevard: "blvd",
+  court: "ct",
+  place: "pl",
+  apartment: "apt",
+  suite: "ste",
+  north: "n",
+  south: "s",
+  east: "e",
+  west: "w",
+};
+
+/**
+ * "12 Oak Street, Apt. 4" and "12 oak st apt 4" compare equal.
+ * @param {string|null|undefined} address
+ * @returns {string}
+ */
+export const normalizeAddress = (address) =>
+  (address || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter((word) => word && word !== "unit" && word !== "no")
+    .map((word) => ADDRESS_WORDS[word] || word)
+    .join(" ");
+
+/**
+ * Digits only, without a leading country code for 11+ digit numbers.
+ * @param {string|null|undefined} phone
+ * @returns {string}
+ */
+export const normalizePhone = (phone) => (phone || "").replace(/\D/g, "").slice(-10);
+
+/**
+ * @param {string|null|undefined} name
+ * @returns {string}
+ */
+export const normalizeName = (name) =>
+  (name || "").toLowerCase().replace(/[^a-z\s'-]/g, "").replace(/\s+/g, " ").trim();
+
+// Phone numbers shorter than this are too incomplete to compare
+const MIN_PHONE_DIGITS = 7;
+
+// A couple of shared first-and-last names is a match; one could be chance
+const MIN_SHARED_NAMES = 2;
+
+const getPhones = (household) =>
+  new Set(
+    [household.contactPhone, ...(household.members || []).map((member) => member.phone)]
+      .map(normalizePhone)
+      .filter((phone) => phone.length >= MIN_PHONE_DIGITS)
+  );
+
+const getNames = (household) =>
+  new Set((household.members || []).map((member) => normalizeName(member.name)).filter(Boolean));
+
+/**
+ * Why two registrations look like the same household.
+ * @param {object} household
+ * @param {object} other
+ * @returns {{address: boolean, phone: boolean, names: string[]}}
+ */
+export const compareHouseholds = (household, other) => {
+  const address = normalizeAddress(household.address);
+  const phones = getPhones(other);
+  const names = getNames(other);
+  return {
+    address: address !== "" && address === normalizeAddress(other.address),
+    phone: [...getPhones(household)].some((phone) => phones.has(phone)),
+    names: [...getNames(household)].filter((name) => names.has(name)),
+  };
+};
+
+/**
+ * Other registrations that look like the same household, leaving out the
+ * ones staff already cleared.
+ * @param {object} household
+ * @param {object[]} households every registered household
+ * @returns {{household: object, reasons: string[]}[]}
+ */
+export const findDuplicateHouseholds = (household, households) => {
+  const cleared = household.duplicateReview?.clearedIds || [];
+  return households
+    .filter((other) => other.id !== household.id && !cleared.includes(other.id))
+    .filter((other) => !(other.duplicateReview?.clearedIds || []).includes(household.id))
+    .map((other) => {
+      const match = compareHouseholds(household, other);
+      const reasons = [
+        match.address && "same address",
+        match.phone && "same phone number",
+        match.names.length >= MIN_SHARED_NAMES && `${match.names.length} member names in common`,
+      ].filter(Boolean);
+      return { household: other, reasons };
+    })
+    .filter(({ reasons }) => reasons.length > 0);
+};
@@ -0,0 +1,112 @@
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from "firebase/storage";
+import { doc, updateDoc, arrayUnion, arrayRemove, serverTimestamp } from "firebase/firestore";
+import { db, storage } from "../config/firebase";
+import { VERIFICATION_STATUSES } from "./householdModel";
+
+// Proof-of-eligibility documents live at households/{householdId}/verification/{id}
+// in Storage and are listed on the household as `verificationDocuments`.
+// Uploading one asks staff to review the household.
+
+export const MAX_VERIFICATION_DOCUMENTS = 5;
+
+// storage.rules caps uploads at the same size and types
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_TYPES = /^(image\/.+|application\/pdf)$/;
+
+/**
+ * Checks a picked file before it is uploaded.
+ * @param {File} file
+ * @returns {string|null} an error message, or null when the file is usable
+ */
+export const validateVerificationDocument = (file) => {
+  if (!DOCUMENT_TYPES.test(file.type)) return `${file.name} is not an image or PDF.`;
+  if (file.size > MAX_DOCUMENT_BYTES) return `${file.name} is larger than 10 MB.`;
+  return null;
+};
+
+/**
+ * Uploads a document for the registrant and marks the household as awaiting review.
+ * @param {string} householdId
+ * @param {File} file
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<{id: string, path: string, name: string, contentType: string}>}
+ */
+export const uploadVerificationDocument = async (householdId, file, onProgress) => {
+  const id = crypto.randomUUID();
+  const path = `households/${householdId}/verification/${id}`;
+
+  const task = uploadBytesResumable(ref(storage, path), file, { contentType: file.type });
+  await new Promise((resolve, reject) =>
+    task.on(
+      "state_changed",
+      (snapshot) => onProgress?.(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+      reject,
+      resolve
+    )
+  );
+
+  const document = { id, path, name: file.name, contentType: file.type };
+  await updateDoc(doc(db, "households", householdId), {
+    verificationDocuments: arrayUnion(document),
+    verificationStatus: VERIFICATION_STATUSES.PENDING,
+    verificationRequestedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return document;
+};
+
+/**
+ * Short-lived link for the registrant or staff to open a document.
+ * @param {{path: string}} document
+ * @returns {Promise<string>}
+ */
+export const getVerificationDocumentUrl = (document) => getDownloadURL(ref(storage, document.path));
+
+/**
+ * Deletes a document from Storage and from the household.
+ * @param {string} householdId
+ * @param {object} document the entry exactly as stored in `verificationDocuments`
+ * @returns {Promise<void>}
+ */
+export const removeVerificationDocument = async (householdId, document) => {
+  try {
+    await deleteObject(ref(storage, document.path));
+  } catch (error) {
+    // Already gone from Storage; still drop the dangling entry
+    if (error.code !== "storage/object-not-found") throw error;
+  }
+  await updateDoc(doc(db, "households", householdId), {
+    verificationDocuments: arrayRemove(document),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Staff decision on a household's eligibility.
+ * @param {string} householdId
+ * @param {"verified"|"rejected"} status
+ * @param {string} note shown to the registrant
+ * @param {string} reviewerId
+ * @returns {Promise<void>}
+ */
+export const reviewHouseholdVerification = (householdId, status, note, reviewerId) =>
+  updateDoc(doc(db, "households", householdId), {
+    verificationStatus: status,
+    verificationNote: note?.trim() || "",
+    verifiedBy: reviewerId,
+    verifiedAt: serverTimestamp(),
+  });
+
+/**
+ * Records that staff checked two look-alike registrations and both are genuine.
+ * @param {string} householdId
+ * @param {string} otherHouseholdId
+ * @param {string} reviewerId
+ * @returns {Promise<void>}
+ */
+export const clearDuplicateMatch = (householdId, otherHouseholdId, reviewerId) =>
+  updateDoc(doc(db, "households", householdId), {
+    "duplicateReview.clearedIds": arrayUnion(otherHouseholdId),
+    "duplicateReview.reviewedBy": reviewerId,
+    "duplicateReview.reviewedAt": serverTimestamp(),
+  });
@@ -0,0 +1,322 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs } from "./firestoreUtils";
+import {
+  normalizeEmail,
+  getInviteId,
+  canMemberApply,
+  withMemberIds,
+  getMemberLinks,
+  getMemberUids,
+  getApplicantUids,
+  normalizeAddress,
+  VERIFICATION_STATUSES,
+} from "./householdModel";
+import { toGeoFields } from "./geoModel";
+import { locateAddress } from "./location";
+
+const householdsRef = collection(db, "households");
+const invitesRef = collection(db, "householdInvites");
+
+const newMemberId = () => crypto.randomUUID();
+
+// Only staff and the verification upload change these
+const REVIEW_FIELDS = [
+  "verificationStatus",
+  "verificationDocuments",
+  "verificationNote",
+  "verificationRequestedAt",
+  "verifiedBy",
+  "verifiedAt",
+  "duplicateReview",
+];
+
+const withoutReviewFields = (householdData) =>
+  Object.fromEntries(Object.entries(householdData).filter(([key]) => !REVIEW_FIELDS.includes(key)));
+
+/**
+ * Live feed of the household registered by a user (or null).
+ * @param {string} registrantId
+ * @param {(household: object|null) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToRegistrantHousehold = (registrantId, onChange, onError) =>
+  onSnapshot(
+    query(householdsRef, where("registrantId", "==", registrantId)),
+    (snapshot) => onChange(snapshot.empty ? null : mapDocs(snapshot)[0]),
+    onError
+  );
+
+/**
+ * Live feed of the household a user was invited into and linked to (or null).
+ * @param {string} uid
+ * @param {(household: object|null) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToMemberHousehold = (uid, onChange, onError) =>
+  onSnapshot(
+    query(householdsRef, where("memberUids", "array-contains", uid)),
+    (snapshot) => onChange(snapshot.empty ? null : mapDocs(snapshot)[0]),
+    onError
+  );
+
+/**
+ * @param {(households: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAllHouseholds = (onChange, onError) =>
+  onSnapshot(householdsRef, (snapshot) => onChange(mapDocs(snapshot)), onError);
+
+/**
+ * @param {string} householdId
+ * @returns {Promise<object|null>}
+ */
+export const getHousehold = async (householdId) => {
+  const snapshot = await getDoc(doc(db, "households", householdId));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+/**
+ * Creates a household, or updates it when `householdId` is given. Members get
+ * a stable id, and the linked-account lists are derived again from the
+ * members so removing a member (or their `canApply`) takes their access away.
+ * A verified household that moves address goes back to staff for review.
+ * The address is located again on every save; if that fails the previous
+ * coordinates stay unless the address changed.
+ * @param {object} householdData form fields, including `members`
+ * @param {{uid: string, email?: string}|null} user registrant
+ * @param {string|null} [householdId]
+ * @param {number|null} [expectedUpdatedAt] `updatedAt` (ms) of the copy the edit
+ *   was made from; the save is refused if the household changed since
+ * @returns {Promise<{id: string, data: object}>}
+ */
+export const saveHousehold = async (householdData, user, householdId = null, expectedUpdatedAt = null) => {
+  // Guest registrations could not be told apart, which defeated the per-household caps
+  if (!user?.uid) {
+    throw new Error("Sign in to register a household.");
+  }
+
+  const members = withMemberIds(householdData.members, newMemberId);
+  const located = await locateAddress(householdData.address);
+  const data = {
+    ...withoutReviewFields(householdData),
+    ...(located ? { coordinates: located, ...toGeoFields(located) } : {}),
+    members,
+    registrantId: user.uid,
+    registrantEmail: user.email || "",
+    memberCount: members.length,
+    updatedAt: serverTimestamp(),
+    status: "active",
+  };
+
+  if (householdId) {
+    const householdRef = doc(db, "households", householdId);
+    let saved = data;
+    await runTransaction(db, async (transaction) => {
+      const snap = await transaction.get(householdRef);
+      const current = snap.exists() ? snap.data() : {};
+      if (expectedUpdatedAt && current.updatedAt?.toMillis() !== expectedUpdatedAt) {
+        throw new Error(`"${data.householdName}" was changed elsewhere while you were offline. Open it again and redo your edits.`);
+      }
+      // Invitations may have been accepted while the form was open
+      const linked = { ...data, memberLinks: current.memberLinks || {} };
+      saved = {
+        ...linked,
+        memberLinks: getMemberLinks(linked),
+        memberUids: getMemberUids(linked),
+        applicantUids: getApplicantUids(linked),
+      };
+      const moved = normalizeAddress(current.address) !== normalizeAddress(data.address);
+      if (current.verificationStatus === VERIFICATION_STATUSES.VERIFIED && moved) {
+        saved.verificationStatus = VERIFICATION_STATUSES.PENDING;
+      }
+      if (moved && !located) {
+        Object.assign(saved, { coordinates: null, ...toGeoFields(null) });
+      }
+      // Keep the original registration date
+      transaction.update(householdRef, saved);
+    });
+    await syncInvites(householdId, members);
+    return { id: householdId, data: saved };
+  }
+
+  const created = {
+    coordinates: null,
+    ...toGeoFields(null),
+    ...data,
+    memberLinks: {},
+    memberUids: [],
+    applicantUids: [data.registrantId],
+    verificationStatus: VERIFICATION_STATUSES.UNVERIFIED,
+    verificationDocuments: [],
+    createdAt: serverTimestamp(),
+  };
+  const docRef = await addDoc(householdsRef, created);
+  return { id: docRef.id, data: created };
+};
+
+// Pending invitations follow the members they were sent for
+const syncInvites = async (householdId, members) => {
+  const pending = await getDocs(
+    query(invitesRef, where("householdId", "==", householdId), where("status", "==", "pending"))
+  );
+  await Promise.all(
+    pending.docs.map((snap) => {
+      const invite = snap.data();
+      const member = members.find((m) => m.id === invite.memberId);
+      if (!member || normalizeEmail(member.email) !== invite.email) return deleteDoc(snap.ref);
+      if (canMemberApply(member) !== invite.canApply) return updateDoc(snap.ref, { canApply: canMemberApply(member) });
+      return null;
+    })
+  );
+};
+
+/**
+ * Invites a listed member to link their own account to the household,
+ * replacing any earlier invitation to the same email. Members of households
+ * saved before member ids existed get theirs here.
+ * @param {string} householdId
+ * @param {number} memberIndex position in `members`
+ * @param {{uid: string, email?: string}} user the registrant
+ * @returns {Promise<void>}
+ */
+export const inviteMember = async (householdId, memberIndex, user) => {
+  const householdRef = doc(db, "households", householdId);
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(householdRef);
+    if (!snap.exists()) {
+      throw new Error("Household not found.");
+    }
+
+    const household = snap.data();
+    const members = withMemberIds(household.members || [], newMemberId);
+    const member = members[memberIndex];
+    if (!member) {
+      throw new Error("This member is no longer in the household.");
+    }
+    const email = normalizeEmail(member.email);
+    if (!email) {
+      throw new Error(`Add an email address for ${member.name || "this member"} first.`);
+    }
+    if (email === normalizeEmail(user.email)) {
+      throw new Error("You are already the household registrant.");
+    }
+
+    if (members.some((m, index) => m !== household.members[index])) {
+      transaction.update(householdRef, { members, updatedAt: serverTimestamp() });
+    }
+    transaction.set(doc(invitesRef, getInviteId(householdId, email)), {
+      householdId,
+      householdName: household.householdName || "Household",
+      memberId: member.id,
+      memberName: member.name || "",
+      email,
+      canApply: canMemberApply(member),
+      invitedBy: user.uid,
+      invitedByEmail: user.email || "",
+      status: "pending",
+      createdAt: serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Live feed of a household's invitations, for the registrant.
+ * @param {string} householdId
+ * @param {(invites: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToHouseholdInvites = (householdId, onChange, onError) =>
+  onSnapshot(
+    query(invitesRef, where("householdId", "==", householdId)),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
+
+/**
+ * Live feed of pending invitations sent to an email address.
+ * @param {string} email
+ * @param {(invites: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToMyInvites = (email, onChange, onError) =>
+  onSnapshot(
+    query(invitesRef, where("email", "==", normalizeEmail(email)), where("status", "==", "pending")),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
+
+/**
+ * Links the signed-in account to the member it was invited as.
+ * @param {object} invite
+ * @param {{uid: string}} user
+ * @returns {Promise<void>}
+ */
+export const acceptInvite = async (invite, user) => {
+  const inviteRef = doc(invitesRef, invite.id);
+  const householdRef = doc(db, "households", invite.householdId);
+
+  await runTransaction(db, async (transaction) => {
+    const inviteSnap = await transaction.get(inviteRef);
+    const householdSnap = await transaction.get(householdRef);
+    if (!inviteSnap.exists() || inviteSnap.data().status !== "pending") {
+      throw new Error("This invitation is no longer open.");
+    }
+    if (!householdSnap.exists()) {
+      throw new Error("This household no longer exists.");
+    }
+
+    const { memberId, canApply } = inviteSnap.data();
+    if (!(householdSnap.data().members || []).some((m) => m.id === memberId)) {
+      throw new Error("The household no longer lists you as a member.");
+    }
+
+    transaction.update(householdRef, {
+      [`memberLinks.${memberId}`]: user.uid,
+      memberUids: arrayUnion(user.uid),
+      ...(canApply ? { applicantUids: arrayUnion(user.uid) } : {}),
+      updatedAt: serverTimestamp(),
+    });
+    transaction.update(inviteRef, { status: "accepted", acceptedBy: user.uid, respondedAt: serverTimestamp() });
+  });
+};
+
+/**
+ * @param {string} inviteId
+ * @returns {Promise<void>}
+ */
+export const declineInvite = (inviteId) =>
+  updateDoc(doc(invitesRef, inviteId), { status: "declined", respondedAt: serverTimestamp() });
+
+/**
+ * Withdraws an invitation; the registrant may send a new one later.
+ * @param {string} inviteId
+ * @returns {Promise<void>}
+ */
+export const revokeInvite = (inviteId) => deleteDoc(doc(invitesRef, inviteId));
+
+/**
+ * @param {string} householdId
+ * @returns {Promise<void>}
+ */
+export const deleteHousehold = (householdId) => deleteDoc(doc(db, "households", householdId));
@@ -0,0 +1,73 @@
+import { loadScript, loadStylesheet } from "./loadScript";
+
+// Leaflet with OpenStreetMap (or any XYZ) tiles behind the map adapter
+// interface (see mapProvider.js). Needs no API key.
+
+const LEAFLET_CDN = "https://unpkg.com/leaflet@1.9.4/dist";
+const MARKER_SIZE = 40;
+
+/**
+ * @param {{tileUrl: string, tileAttribution: string}} options
+ * @returns {Promise<object>} map provider
+ */
+export const createLeafletMaps = async ({ tileUrl, tileAttribution }) => {
+  loadStylesheet("leaflet-css", `${LEAFLET_CDN}/leaflet.css`);
+  await loadScript("leaflet-script", `${LEAFLET_CDN}/leaflet.js`);
+  const L = window.L;
+
+  const createMap = (element, { center, zoom, controls = true }) => {
+    const map = L.map(element, { zoomControl: controls }).setView([center.lat, center.lng], zoom);
+    L.tileLayer(tileUrl, { maxZoom: 19, attribution: tileAttribution }).addTo(map);
+
+    return {
+      setView: (position, level) => map.setView([position.lat, position.lng], level || map.getZoom()),
+      fitBounds: (positions) =>
+        map.fitBounds(
+          positions.map((position) => [position.lat, position.lng]),
+          { padding: [MARKER_SIZE, MARKER_SIZE] }
+        ),
+      onClick: (handler) => {
+        const listener = (event) => handler({ lat: event.latlng.lat, lng: event.latlng.lng });
+        map.on("click", listener);
+        return () => map.off("click", listener);
+      },
+      getZoom: () => map.getZoom(),
+      getBounds: () => {
+        const bounds = map.getBounds();
+        return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+      },
+      // Called now for the initial view, as Google's "idle" is, then after every pan or zoom
+      onViewChange: (handler) => {
+        map.on("moveend", handler);
+        handler();
+        return () => map.off("moveend", handler);
+      },
+      addMarker: ({ position, title, iconUrl, iconSize = MARKER_SIZE, onClick }) => {
+        const icon = iconUrl
+          ? L.icon({
+              iconUrl,
+              iconSize: [iconSize, iconSize],
+              iconAnchor: [iconSize / 2, iconSize / 2],
+            })
+          : new L.Icon.Default();
+        const marker = L.marker([position.lat, position.lng], { title, icon }).addTo(map);
+        if (onClick) marker.on("click", onClick);
+        return { remove: () => marker.remove() };
+      },
+      addPolyline: (positions, { color = "#2563eb" } = {}) => {
+        const line = L.polyline(
+          positions.map((position) => [position.lat, position.lng]),
+          { color, opacity: 0.8, weight: 4 }
+        ).addTo(map);
+        return { remove: () => line.remove() };
+      },
+      destroy: () => map.remove(),
+    };
+  };
+
+  return {
+    name: "leaflet",
+    createMap,
+    getDirectionsUrl: (query) => `https://www.openstreetmap.org/search?query=${encodeURIComponent(query)}`,
+  };
+};
@@ -0,0 +1,113 @@
+import {
+  collection,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+  doc,
+  increment,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs } from "./firestoreUtils";
+import { LEDGER_ENTRY_TYPES, buildTotalsUpdate, toDateKey } from "./ledgerModel";
+
+// Household allowance ledger, see ledgerModel.js for the document shapes.
+// Entries are only ever added; the totals move with them in the same transaction.
+
+const ledgerRef = (householdId) => doc(db, "allowanceLedgers", householdId);
+
+const entriesRef = (householdId) => collection(db, "allowanceLedgers", householdId, "entries");
+
+/**
+ * Reads a household's ledger totals inside a transaction (null before the first entry).
+ * @param {import("firebase/firestore").Transaction} transaction
+ * @param {string} householdId
+ * @returns {Promise<object|null>}
+ */
+export const readLedger = async (transaction, householdId) => {
+  const snap = await transaction.get(ledgerRef(householdId));
+  return snap.exists() ? snap.data() : null;
+};
+
+/**
+ * Adds an entry and moves the totals with it. Call after the transaction's reads.
+ * @param {import("firebase/firestore").Transaction} transaction
+ * @param {string} householdId
+ * @param {{type: string, servings: number, date: string}} entry see ledgerModel
+ * @param {string} by uid of whoever caused the change
+ */
+export const writeLedgerEntry = (transaction, householdId, entry, by) => {
+  const entryRef = doc(entriesRef(householdId));
+  transaction.set(entryRef, { ...entry, by, at: serverTimestamp() });
+  transaction.set(
+    ledgerRef(householdId),
+    {
+      householdId,
+      ...buildTotalsUpdate(entry, increment),
+      lastEntryId: entryRef.id,
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Staff correction to a household's allowance for a day, e.g. food handed
+ * out in person or an allocation counted twice.
+ * @param {string} householdId
+ * @param {number} servings positive uses allowance, negative gives it back
+ * @param {string} reason kept on the entry
+ * @param {{uid: string, email?: string}} user
+ * @param {string} [date] "YYYY-MM-DD", defaults to today
+ * @returns {Promise<void>}
+ */
+export const adjustAllowance = async (householdId, servings, reason, user, date = toDateKey()) => {
+  if (!Number.isInteger(servings) || servings === 0) {
+    throw new Error("Enter a whole number of servings other than 0.");
+  }
+  if (!reason?.trim()) {
+    throw new Error("Give a reason for the adjustment.");
+  }
+
+  await runTransaction(db, async (transaction) => {
+    writeLedgerEntry(
+      transaction,
+      householdId,
+      {
+        type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+        servings,
+        date,
+        reason: reason.trim(),
+        byName: user.email || "Staff",
+      },
+      user.uid
+    );
+  });
+};
+
+/**
+ * Live ledger totals of a household (null before the first entry).
+ * @param {string} householdId
+ * @param {(ledger: object|null) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToLedger = (householdId, onChange, onError) =>
+  onSnapshot(ledgerRef(householdId), (snap) => onChange(snap.exists() ? snap.data() : null), onError);
+
+/**
+ * Latest ledger entries of a household, newest first.
+ * @param {string} householdId
+ * @param {(entries: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @param {number} [max]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToLedgerEntries = (householdId, onChange, onError, max = 50) =>
+  onSnapshot(
+    query(entriesRef(householdId), orderBy("at", "desc"), limit(max)),
+    (snapshot) => onChange(mapDocs(snapshot)),
+    onError
+  );
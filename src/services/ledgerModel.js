@@ -0,0 +1,152 @@
+// Household allowance ledger: every allocation, pickup, cancellation and
+// staff adjustment, with running totals the allowance limits are read from.
+//
+// allowanceLedgers/{householdId}:
+//   allocated    { days: { "YYYY-MM-DD": servings }, weeks: { "YYYY-Www": ... }, months: { "YYYY-MM": ... } }
+//   received     same shape, servings picked up
+//   lastEntryId  the entry written with the latest change to the totals
+// allowanceLedgers/{householdId}/entries/{id}:
+//   type, servings, date, applicationId?, donationId?, donationTitle?, reason?, by, byName, at
+//
+// Servings count toward the day (and its week and month) of `date`: the day
+// the quantity was allocated, so a cancellation gives back that day's allowance.
+// Totals are kept for every period; at one key a day they stay small for years.
+
+import { getApplicationServings } from "./quantityModel.js";
+
+export const LEDGER_ENTRY_TYPES = {
+  ALLOCATION: "allocation",
+  PICKUP: "pickup",
+  CANCELLATION: "cancellation",
+  ADJUSTMENT: "adjustment",
+};
+
+export const LEDGER_LABELS = {
+  allocation: "Allocated",
+  pickup: "Picked up",
+  cancellation: "Released",
+  adjustment: "Adjusted",
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * The UTC calendar day, as applications record `applicationDate`.
+ * @param {Date} [date]
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const toDateKey = (date = new Date()) => date.toISOString().split("T")[0];
+
+/**
+ * ISO 8601 week of a day; weeks start on Monday.
+ * @param {string} dateKey "YYYY-MM-DD"
+ * @returns {string} e.g. "2026-W43"
+ */
+export const toWeekKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  // The week belongs to the year its Thursday falls in
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = 1 + Math.floor((date - yearStart) / (7 * 24 * 60 * 60 * 1000));
+  return `${date.getUTCFullYear()}-W${pad(week)}`;
+};
+
+/**
+ * @param {string} dateKey "YYYY-MM-DD"
+ * @returns {string} "YYYY-MM"
+ */
+export const toMonthKey = (dateKey) => dateKey.slice(0, 7);
+
+/**
+ * Change an entry makes to the allocated and received totals.
+ * @param {{type: string, servings: number}} entry adjustments carry a signed amount
+ * @returns {{allocated: number, received: number}}
+ */
+export const getEntryEffect = ({ type, servings }) => {
+  switch (type) {
+    case LEDGER_ENTRY_TYPES.ALLOCATION:
+      return { allocated: servings, received: 0 };
+    case LEDGER_ENTRY_TYPES.CANCELLATION:
+      return { allocated: -servings, received: 0 };
+    case LEDGER_ENTRY_TYPES.PICKUP:
+      return { allocated: 0, received: servings };
+    case LEDGER_ENTRY_TYPES.ADJUSTMENT:
+      return { allocated: servings, received: 0 };
+    default:
+      return { allocated: 0, received: 0 };
+  }
+};
+
+/**
+ * Merge-write for the ledger totals. `increment` is the SDK's
+ * FieldValue.increment, so concurrent entries never overwrite each other.
+ * @param {{type: string, servings: number, date: string}} entry
+ * @param {(n: number) => *} increment
+ * @returns {object}
+ */
+export const buildTotalsUpdate = (entry, increment) => {
+  const keys = { days: entry.date, weeks: toWeekKey(entry.date), months: toMonthKey(entry.date) };
+  const effect = getEntryEffect(entry);
+  return Object.fromEntries(
+    Object.entries(effect)
+      .filter(([, amount]) => amount !== 0)
+      .map(([total, amount]) => [
+        total,
+        Object.fromEntries(Object.entries(keys).map(([period, key]) => [period, { [key]: increment(amount) }])),
+      ])
+  );
+};
+
+/**
+ * Servings counted for one period.
+ * @param {object|null} ledger ledger totals document
+ * @param {"allocated"|"received"} total
+ * @param {"days"|"weeks"|"months"} period
+ * @param {string} key as made by toDateKey, toWeekKey or toMonthKey
+ * @returns {number}
+ */
+export const getLedgerTotal = (ledger, total, period, key) => Math.max(0, ledger?.[total]?.[period]?.[key] || 0);
+
+/**
+ * Day, week and month totals around a date, for the allowance panel.
+ * @param {object|null} ledger
+ * @param {string} [dateKey]
+ * @returns {{day: {allocated: number, received: number}, week: {...}, month: {...}}}
+ */
+export const getLedgerSummary = (ledger, dateKey = toDateKey()) => {
+  const periods = { day: ["days", dateKey], week: ["weeks", toWeekKey(dateKey)], month: ["months", toMonthKey(dateKey)] };
+  return Object.fromEntries(
+    Object.entries(periods).map(([name, [period, key]]) => [
+      name,
+      {
+        allocated: getLedgerTotal(ledger, "allocated", period, key),
+        received: getLedgerTotal(ledger, "received", period, key),
+      },
+    ])
+  );
+};
+
+/**
+ * Ledger entry for an application moving quantity in or out of the allowance.
+ * @param {string} type LEDGER_ENTRY_TYPES
+ * @param {string} applicationId
+ * @param {object} application
+ * @param {string} date day the servings count toward
+ * @returns {object}
+ */
+export const toApplicationEntry = (type, applicationId, application, date) => ({
+  type,
+  servings: getApplicationServings(application),
+  date,
+  applicationId,
+  donationId: application.donationId,
+  donationTitle: application.donationTitle || "",
+});
+
+/**
+ * The day an application's servings were allocated. Applications approved
+ * before the ledger existed only have their application date.
+ * @param {object} application
+ * @returns {string}
+ */
+export const getAllocationDate = (application) => application.allocatedOn || application.applicationDate;
@@ -0,0 +1,251 @@
+// Filtering shared by DonationsPage, ReceivePage and RequestsPage, and the
+// mapping between filter state and the URL query string.
+
+import { getDonationDeadline } from "./expiry.js";
+import { getAllergens, getDietLabels, isAllergenDeclared, isSafeForHousehold } from "./dietaryModel.js";
+
+export const DIETARY_TAGS = {
+  vegetarian: "Vegetarian",
+  vegan: "Vegan",
+  halal: "Halal",
+  kosher: "Kosher",
+  "gluten-free": "Gluten-free",
+  "dairy-free": "Dairy-free",
+  "nut-free": "Nut-free",
+  "diabetic-friendly": "Diabetic-friendly",
+};
+
+// "Free-from" tags a donation earns by declaring it contains none of these allergens
+const FREE_FROM = {
+  "gluten-free": ["gluten"],
+  "dairy-free": ["dairy"],
+  "nut-free": ["nuts", "peanuts"],
+};
+
+export const EXPIRY_WINDOWS = {
+  any: "Any time",
+  1: "Within 1 day",
+  3: "Within 3 days",
+  7: "Within a week",
+};
+
+// Distance choices in km; ANY_DISTANCE turns the distance filter off
+export const ANY_DISTANCE = 999;
+export const DISTANCE_OPTIONS = [5, 10, 25, 50, 100, ANY_DISTANCE];
+
+export const DEFAULT_DONATION_FILTERS = {
+  search: "",
+  status: "available",
+  category: "all",
+  dietary: [],
+  expiresWithin: "any",
+  maxDistance: 50,
+  origin: null, // { lat, lng, label } to measure distance from
+  safeForHousehold: false, // hide donations that conflict with the household's dietary restrictions
+};
+
+export const DEFAULT_REQUEST_FILTERS = {
+  search: "",
+  status: "open",
+  urgency: "all",
+  category: "all",
+  dietary: [],
+  maxDistance: ANY_DISTANCE,
+  origin: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_KM = 6371;
+
+// Donations listed as "available" include ones only partly claimed
+const STATUS_GROUPS = {
+  available: ["available", "partially_claimed"],
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * @param {{lat: number|string, lng: number|string}|null|undefined} coordinates
+ * @returns {{lat: number, lng: number}|null}
+ */
+export const toLatLng = (coordinates) => {
+  const lat = parseFloat(coordinates?.lat);
+  const lng = parseFloat(coordinates?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+};
+
+/**
+ * Great-circle (haversine) distance.
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} kilometres
+ */
+export const getDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Dietary tags an item advertises: a donation's diet labels and declared
+ * allergens (see dietaryModel.js), or keywords in a request's free-text `dietary` field.
+ * @param {object} item donation or request
+ * @returns {string[]} keys of DIETARY_TAGS
+ */
+export const getDietaryTags = (item) => {
+  if (Array.isArray(item.dietLabels) || isAllergenDeclared(item)) {
+    const allergens = getAllergens(item);
+    const freeFrom = isAllergenDeclared(item)
+      ? Object.keys(FREE_FROM).filter((tag) => !FREE_FROM[tag].some((key) => allergens.includes(key)))
+      : [];
+    return [...getDietLabels(item), ...freeFrom].filter((tag) => tag in DIETARY_TAGS);
+  }
+  const text = (item.dietary || "").toLowerCase();
+  return Object.keys(DIETARY_TAGS).filter(
+    (tag) => text.includes(tag) || text.includes(tag.replace("-", " "))
+  );
+};
+
+const matchesSearch = (item, term) =>
+  [item.foodItem, item.category, item.description, item.location]
+    .filter(Boolean)
+    .some((value) => String(value).toLowerCase().includes(term));
+
+const matchesStatus = (item, status) =>
+  status === "all" || (STATUS_GROUPS[status] || [status]).includes(item.status);
+
+const matchesExpiry = (item, expiresWithin, now) => {
+  if (expiresWithin === "any") return true;
+  const deadline = getDonationDeadline(item);
+  return deadline !== null && deadline - now <= Number(expiresWithin) * DAY_MS;
+};
+
+/**
+ * Applies every filter. Items without coordinates are left out once a
+ * distance limit and an origin are both set.
+ * @param {object[]} items donations or requests
+ * @param {typeof DEFAULT_DONATION_FILTERS|typeof DEFAULT_REQUEST_FILTERS} filters
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {object[]|null} [options.restrictions] from getHouseholdRestrictions; without it `safeForHousehold` is ignored
+ * @returns {object[]} matching items; with an origin, each gets `distanceKm` and the list is sorted nearest first
+ */
+export const filterListings = (items, filters, { now = new Date(), restrictions = null } = {}) => {
+  const term = filters.search?.trim().toLowerCase();
+  const origin = toLatLng(filters.origin);
+  const limitDistance = origin && filters.maxDistance !== ANY_DISTANCE;
+
+  const matches = items
+    .filter((item) => !term || matchesSearch(item, term))
+    .filter((item) => matchesStatus(item, filters.status))
+    .filter((item) => !filters.urgency || filters.urgency === "all" || item.urgency === filters.urgency)
+    .filter((item) => !filters.category || filters.category === "all" || item.category === filters.category)
+    .filter((item) => {
+      if (!filters.dietary?.length) return true;
+      const tags = getDietaryTags(item);
+      return filters.dietary.every((tag) => tags.includes(tag));
+    })
+    .filter((item) => !filters.expiresWithin || matchesExpiry(item, filters.expiresWithin, now))
+    .filter((item) => !filters.safeForHousehold || !restrictions || isSafeForHousehold(item, restrictions));
+
+  if (!origin) return matches;
+
+  return matches
+    .map((item) => {
+      const position = toLatLng(item.coordinates);
+      return { ...item, distanceKm: position ? getDistanceKm(origin, position) : null };
+    })
+    .filter((item) => !limitDistance || (item.distanceKm !== null && item.distanceKm <= filters.maxDistance))
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+};
+
+/**
+ * The area a distance-limited search covers, so only that part of a
+ * collection needs loading (see geoQueries.js).
+ * @param {object} filters
+ * @returns {{center: {lat: number, lng: number}, km: number}|null} null without an origin or a distance limit
+ */
+export const getNearbyArea = (filters) => {
+  const origin = toLatLng(filters.origin);
+  return origin && filters.maxDistance !== ANY_DISTANCE ? { center: origin, km: filters.maxDistance } : null;
+};
+
+/**
+ * @param {object} filters
+ * @param {object} defaults
+ * @returns {boolean} whether anything differs from the defaults
+ */
+export const hasActiveFilters = (filters, defaults) =>
+  Object.keys(defaults).some((key) => JSON.stringify(filters[key]) !== JSON.stringify(defaults[key]));
+
+// Short query-string names for each filter
+const PARAMS = {
+  search: "q",
+  status: "status",
+  urgency: "urgency",
+  category: "category",
+  dietary: "diet",
+  expiresWithin: "expires",
+  maxDistance: "km",
+  safeForHousehold: "safe",
+};
+
+/**
+ * Reads filters from the query string, falling back to `defaults`.
+ * @param {URLSearchParams} params
+ * @param {object} defaults DEFAULT_DONATION_FILTERS or DEFAULT_REQUEST_FILTERS
+ * @returns {object}
+ */
+export const filtersFromParams = (params, defaults) => {
+  const filters = { ...defaults };
+
+  Object.entries(PARAMS).forEach(([key, name]) => {
+    if (!(key in defaults) || !params.has(name)) return;
+    const value = params.get(name);
+    if (key === "dietary") {
+      filters.dietary = value.split(",").filter((tag) => tag in DIETARY_TAGS);
+    } else if (key === "safeForHousehold") {
+      filters.safeForHousehold = value === "true";
+    } else if (key === "maxDistance") {
+      filters.maxDistance = parseInt(value) || defaults.maxDistance;
+    } else {
+      filters[key] = value;
+    }
+  });
+
+  const [lat, lng] = (params.get("near") || "").split(",");
+  const origin = toLatLng({ lat, lng });
+  if (origin) {
+    filters.origin = { ...origin, label: params.get("place") || "Selected location" };
+  }
+
+  return filters;
+};
+
+/**
+ * Writes the filters that differ from `defaults` to a query string.
+ * @param {object} filters
+ * @param {object} defaults
+ * @returns {URLSearchParams}
+ */
+export const filtersToParams = (filters, defaults) => {
+  const params = new URLSearchParams();
+
+  Object.entries(PARAMS).forEach(([key, name]) => {
+    if (!(key in defaults)) return;
+    const value = key === "dietary" ? (filters.dietary || []).join(",") : String(filters[key] ?? "");
+    const fallback = key === "dietary" ? defaults.dietary.join(",") : String(defaults[key]);
+    if (value !== fallback) params.set(name, value);
+  });
+
+  const origin = toLatLng(filters.origin);
+  if (origin) {
+    params.set("near", `${origin.lat.toFixed(5)},${origin.lng.toFixed(5)}`);
+    if (filters.origin.label) params.set("place", filters.origin.label);
+  }
+
+  return params;
+};
@@ -0,0 +1,41 @@
+// Loads third-party browser libraries once per page, however many components ask.
+
+const loads = {};
+
+/**
+ * @param {string} id element id, also the cache key
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+export const loadScript = (id, src) => {
+  if (!loads[id]) {
+    loads[id] = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.id = id;
+      script.src = src;
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        // Let a later attempt try again, e.g. once back online
+        delete loads[id];
+        script.remove();
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return loads[id];
+};
+
+/**
+ * @param {string} id
+ * @param {string} href
+ */
+export const loadStylesheet = (id, href) => {
+  if (document.getElementById(id)) return;
+  const link = document.createElement("link");
+  link.id = id;
+  link.rel = "stylesheet";
+  link.href = href;
+  document.head.appendChild(link);
+};
@@ -0,0 +1,49 @@
+// Browser location helpers for the distance filters and saved addresses.
+
+import { getGeocoder } from "./geocoder";
+
+/**
+ * The device's current position.
+ * @returns {Promise<{lat: number, lng: number, label: string}>}
+ */
+export const getCurrentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Location is not supported by this browser."));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        resolve({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          label: "My location",
+        }),
+      () => reject(new Error("Could not get your location. Check the browser's location permission.")),
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  });
+
+/**
+ * Looks an address up with the configured geocoder (see geocoder.js).
+ * @param {string} address
+ * @returns {Promise<{lat: number, lng: number, label: string}>}
+ */
+export const geocodeAddress = (address) => getGeocoder().geocode(address);
+
+/**
+ * Coordinates to store with a saved address. A failed lookup (offline, not
+ * found) saves nothing rather than blocking the save.
+ * @param {string} address
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+export const locateAddress = async (address) => {
+  if (!address?.trim()) return null;
+  try {
+    const { lat, lng } = await geocodeAddress(address);
+    return { lat, lng };
+  } catch (error) {
+    console.warn(`Could not locate "${address}":`, error);
+    return null;
+  }
+};
@@ -0,0 +1,57 @@
+import { mapConfig } from "../config/maps";
+import { createGoogleMaps } from "./googleMapAdapter";
+import { createLeafletMaps } from "./leafletMapAdapter";
+
+// Components draw maps through this interface and never call google.maps or
+// Leaflet themselves, so the backend is a setting (VITE_MAP_PROVIDER).
+//
+// provider
+//   name                       "google" | "leaflet"
+//   createMap(element, { center, zoom, controls }) -> map
+//   getDirectionsUrl(query)    link to directions in the provider's own site
+// map
+//   setView(position, zoom?)
+//   fitBounds(positions)
+//   onClick(handler(position)) -> unsubscribe
+//   getZoom()
+//   getBounds()                { south, west, north, east }, or null before the first render
+//   onViewChange(handler())    -> unsubscribe; also fires for the initial view
+//   addMarker({ position, title, iconUrl?, iconSize?, onClick?, drop? }) -> { remove() }
+//   addPolyline(positions, { color? }) -> { remove() }
+//   destroy()
+// Positions are { lat, lng }.
+
+export const MAP_PROVIDERS = {
+  GOOGLE: "google",
+  LEAFLET: "leaflet",
+};
+
+let provider = null;
+
+/**
+ * Loads the configured map library once and returns its adapter.
+ * @returns {Promise<object>}
+ */
+export const loadMapProvider = () => {
+  if (!provider) {
+    provider = createProvider().catch((error) => {
+      provider = null;
+      throw error;
+    });
+  }
+  return provider;
+};
+
+const createProvider = async () => {
+  switch (mapConfig.provider) {
+    case MAP_PROVIDERS.GOOGLE:
+      if (!mapConfig.googleMapsKey) {
+        throw new Error("Google Maps API key not configured. Set VITE_GOOGLE_MAPS_API_KEY, or VITE_MAP_PROVIDER=leaflet for OpenStreetMap.");
+      }
+      return createGoogleMaps(mapConfig.googleMapsKey);
+    case MAP_PROVIDERS.LEAFLET:
+      return createLeafletMaps(mapConfig);
+    default:
+      throw new Error(`Unknown map provider "${mapConfig.provider}". Use "google" or "leaflet".`);
+  }
+};
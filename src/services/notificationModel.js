@@ -0,0 +1,166 @@
+// In-app notification inbox, shared by the app and the notification scripts.
+//
+// notifications/{id}:
+//   userId, type, title, message, link    link is an app path, or null
+//   read, readAt, archived, archivedAt    set by the recipient
+//   senderId, applicationId?, requestId?  on notifications written by another user,
+//                                         checked against that document in firestore.rules
+//   createdAt
+//
+// Nearby donations and pickup reminders are sent by scripts/send-notifications.js;
+// approvals and fulfilled requests in the same write as the change.
+
+import { getDonationDeadline } from "./expiry.js";
+import { formatQuantity } from "./quantityModel.js";
+
+export const NOTIFICATION_TYPES = {
+  DONATION_NEARBY: "donation_nearby",
+  APPLICATION_APPROVED: "application_approved",
+  REQUEST_FULFILLED: "request_fulfilled",
+  PICKUP_REMINDER: "pickup_reminder",
+  DONATION_CANCELLED: "donation_cancelled",
+  DONATION_EXPIRED: "donation_expired",
+  APPLICATION_EXPIRED: "application_expired",
+  REQUEST_CLOSED: "request_closed",
+};
+
+export const NOTIFICATION_ICONS = {
+  donation_nearby: "📍",
+  application_approved: "✅",
+  request_fulfilled: "🎁",
+  pickup_reminder: "⏰",
+  donation_cancelled: "🚫",
+  donation_expired: "⌛",
+  application_expired: "⌛",
+  request_closed: "📪",
+};
+
+// Households within this distance hear about a new donation
+export const NEARBY_RADIUS_KM = 5;
+
+// How long before a pickup the reminder goes out
+export const PICKUP_REMINDER_HOURS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Guests have placeholder ids ("guest", "guest_<time>") and no inbox
+export const isRealUser = (uid) => Boolean(uid) && !uid.startsWith("guest");
+
+/**
+ * The stored fields of a new notification, without `createdAt`.
+ * @param {string} userId recipient
+ * @param {{type: string, title: string, message: string, link?: string}} notification
+ * @returns {object}
+ */
+export const toNotification = (userId, { type, title, message, link }) => ({
+  userId,
+  type,
+  title,
+  message,
+  link: link || null,
+  read: false,
+  archived: false,
+});
+
+/**
+ * @param {object[]} notifications
+ * @returns {number} unread ones still in the inbox
+ */
+export const getUnreadCount = (notifications) =>
+  notifications.filter((notification) => !notification.read && !notification.archived).length;
+
+const formatTime = (date) => date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+const formatDay = (date) => date.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" });
+
+/**
+ * When an approved application is meant to be collected: its booked slot, the
+ * pickup window of a recurring listing, or otherwise until the donation's deadline.
+ * @param {object} application
+ * @param {object} donation
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+export const getPickupTime = (application, donation) => {
+  if (application.pickupSlot?.start) {
+    return { start: new Date(application.pickupSlot.start), end: new Date(application.pickupSlot.end) };
+  }
+  if (donation.occurrenceDate && donation.pickupWindow) {
+    return {
+      start: new Date(`${donation.occurrenceDate}T${donation.pickupWindow.start}`),
+      end: new Date(`${donation.occurrenceDate}T${donation.pickupWindow.end}`),
+    };
+  }
+  return { start: null, end: getDonationDeadline(donation) };
+};
+
+/**
+ * Whether an approved application's pickup starts, or its donation runs out,
+ * within `hours`. Pickups with no time and past ones get no reminder.
+ * @param {object} application
+ * @param {object} donation
+ * @param {Date} [now]
+ * @param {number} [hours]
+ * @returns {boolean}
+ */
+export const isPickupReminderDue = (application, donation, now = new Date(), hours = PICKUP_REMINDER_HOURS) => {
+  const { start, end } = getPickupTime(application, donation);
+  if (!end || end <= now) return false;
+  return (start || end).getTime() - hours * HOUR_MS <= now.getTime();
+};
+
+/**
+ * @param {object} donation
+ * @param {number} distanceKm from the household
+ * @returns {{type: string, title: string, message: string, link: string}}
+ */
+export const nearbyDonationNotification = (donation, distanceKm) => ({
+  type: NOTIFICATION_TYPES.DONATION_NEARBY,
+  title: "New food near you",
+  message: `"${donation.foodItem}" was just posted ${distanceKm < 1 ? "under 1" : Math.round(distanceKm)} km from your household` +
+    (donation.location ? `, at ${donation.location}.` : "."),
+  link: "/donations",
+});
+
+/**
+ * @param {object} application
+ * @returns {{type: string, title: string, message: string, link: string}}
+ */
+export const applicationApprovedNotification = (application) => ({
+  type: NOTIFICATION_TYPES.APPLICATION_APPROVED,
+  title: "Application approved",
+  message: `Your application for ${formatQuantity(application.quantity, application.unit)} of "${application.donationTitle || "a donation"}" was approved. Show your pickup code when you collect it.`,
+  link: "/profile",
+});
+
+/**
+ * @param {object} request
+ * @param {string} [donorContact]
+ * @returns {{type: string, title: string, message: string, link: string}}
+ */
+export const requestFulfilledNotification = (request, donorContact) => ({
+  type: NOTIFICATION_TYPES.REQUEST_FULFILLED,
+  title: "Your request was answered",
+  message: `A donor posted food for your request "${request.foodItem}".` +
+    (donorContact ? ` Contact them at ${donorContact}.` : ""),
+  link: "/profile",
+});
+
+/**
+ * @param {object} application
+ * @param {object} donation
+ * @returns {{type: string, title: string, message: string, link: string}}
+ */
+export const pickupReminderNotification = (application, donation) => {
+  const { start, end } = getPickupTime(application, donation);
+  const title = application.donationTitle || donation.foodItem || "your donation";
+  const where = application.pickupLocation || donation.location;
+  return {
+    type: NOTIFICATION_TYPES.PICKUP_REMINDER,
+    title: "Pickup reminder",
+    message: (start
+      ? `Collect "${title}" ${formatDay(start)}, ${formatTime(start)}–${formatTime(end)}`
+      : `"${title}" is only available until ${formatDay(end)}, ${formatTime(end)}`) +
+      (where ? ` at ${where}.` : "."),
+    link: "/profile",
+  };
+};
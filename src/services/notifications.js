@@ -0,0 +1,77 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { toNotification } from "./notificationModel";
+
+// The per-user notification inbox (see notificationModel.js)
+
+const notificationsRef = collection(db, "notifications");
+
+/**
+ * Leaves a notification for another user in the same transaction as the
+ * change it reports, which firestore.rules checks it against. Call after the
+ * transaction's reads.
+ * @param {import("firebase/firestore").Transaction} transaction
+ * @param {string} userId recipient
+ * @param {{type: string, title: string, message: string, link?: string}} notification
+ * @param {{senderId: string, applicationId?: string, requestId?: string}} source
+ */
+export const writeNotification = (transaction, userId, notification, source) =>
+  transaction.set(doc(notificationsRef), {
+    ...toNotification(userId, notification),
+    ...source,
+    createdAt: serverTimestamp(),
+  });
+
+/**
+ * Live feed of a user's notifications, archived ones included, newest first.
+ * @param {string} userId
+ * @param {(notifications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToNotifications = (userId, onChange, onError) =>
+  onSnapshot(
+    query(notificationsRef, where("userId", "==", userId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest("createdAt"))),
+    onError
+  );
+
+/**
+ * @param {string[]} notificationIds
+ * @returns {Promise<void>}
+ */
+export const markNotificationsRead = (notificationIds) => {
+  const batch = writeBatch(db);
+  notificationIds.forEach((id) => batch.update(doc(notificationsRef, id), { read: true, readAt: serverTimestamp() }));
+  return batch.commit();
+};
+
+/**
+ * Moves a notification out of the inbox (read), or back into it.
+ * @param {string} notificationId
+ * @param {boolean} archived
+ * @returns {Promise<void>}
+ */
+export const setNotificationArchived = (notificationId, archived) =>
+  updateDoc(doc(notificationsRef, notificationId), {
+    archived,
+    archivedAt: archived ? serverTimestamp() : null,
+    ...(archived && { read: true, readAt: serverTimestamp() }),
+  });
+
+/**
+ * @param {string} notificationId
+ * @returns {Promise<void>}
+ */
+export const deleteNotification = (notificationId) => deleteDoc(doc(notificationsRef, notificationId));
@@ -0,0 +1,194 @@
+import { createDonation } from "./donations";
+import { recordRelist } from "./donationLifecycle";
+import { applyForDonation } from "./applications";
+import { saveHousehold } from "./households";
+import { fulfillRequest } from "./requests";
+
+// Outbox for writes made without a connection. Firestore's own cache keeps
+// plain writes, but applications and household edits run in transactions,
+// which need the server, so these actions are stored in localStorage and
+// replayed in order once the browser is back online. A replay the server
+// refuses (the donation was booked up, the household changed) is kept as a
+// conflict for the user to read and dismiss.
+//
+// Payloads must survive JSON: no Timestamps, Files or class instances.
+
+const STORAGE_KEY = "offlineQueue";
+
+export const OFFLINE_ACTIONS = {
+  POST_DONATION: "postDonation",
+  APPLY: "applyForDonation",
+  SAVE_HOUSEHOLD: "saveHousehold",
+};
+
+const handlers = {
+  // A replay stopped halfway must not post the donation twice; each step
+  // skips what a previous attempt already saved
+  [OFFLINE_ACTIONS.POST_DONATION]: async ({ formData, user, isGuest, donationId }) => {
+    const { id } = await createDonation(formData, user, isGuest, donationId);
+    if (formData.targetRequestId) {
+      await fulfillRequest(formData.targetRequestId, {
+        donorId: user.uid,
+        donationId: id,
+        donorContact: formData.contactInfo,
+      });
+    }
+    if (formData.relistedFrom) {
+      await recordRelist(formData.relistedFrom, id, user);
+    }
+  },
+  [OFFLINE_ACTIONS.APPLY]: (params) => applyForDonation(params),
+  // A queued edit must not overwrite changes made elsewhere while it waited
+  [OFFLINE_ACTIONS.SAVE_HOUSEHOLD]: ({ householdData, user, householdId, expectedUpdatedAt }, replay) =>
+    saveHousehold(householdData, user, householdId, replay ? expectedUpdatedAt : null),
+};
+
+const listeners = new Set();
+
+const read = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { pending: stored?.pending || [], conflicts: stored?.conflicts || [] };
+  } catch {
+    return { pending: [], conflicts: [] };
+  }
+};
+
+const write = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach((listener) => listener(state));
+};
+
+/**
+ * @returns {boolean} whether the browser reports no connection
+ */
+export const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Errors that mean the request never reached Firestore, as opposed to a refusal.
+ * @param {Error & {code?: string}} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) =>
+  isOffline() || error?.code === "unavailable" || error?.code === "deadline-exceeded";
+
+/**
+ * Only the account that made a queued change can replay it.
+ * @param {{uid: string, email?: string, displayName?: string}|null} user
+ * @returns {{uid: string, email: string|null, displayName: string|null}|null}
+ *   null for guests, who have no account to replay under
+ */
+export const toQueuedUser = (user) =>
+  user
+    ? { uid: user.uid, email: user.email || null, displayName: user.displayName || null }
+    : null;
+
+/**
+ * Stores an action to run when the connection returns.
+ * @param {string} action OFFLINE_ACTIONS
+ * @param {object} payload the handler's arguments, including `user` (see toQueuedUser)
+ * @param {string} label what the change was, shown while it waits and if it conflicts
+ */
+export const queueChange = (action, payload, label) => {
+  const state = read();
+  write({
+    ...state,
+    pending: [
+      ...state.pending,
+      {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        action,
+        payload,
+        label,
+        userId: payload.user?.uid || null,
+        queuedAt: new Date().toISOString(),
+      },
+    ],
+  });
+};
+
+/**
+ * Runs an action now, or queues it when there is no connection.
+ * Refusals from the server are thrown as usual, and so are network errors
+ * for guests, whose changes can't be replayed.
+ * @param {string} action OFFLINE_ACTIONS
+ * @param {object} payload see queueChange
+ * @param {string} label see queueChange
+ * @returns {Promise<{queued: boolean, result?: *}>}
+ */
+export const runOrQueue = async (action, payload, label) => {
+  if (!isOffline() || !payload.user) {
+    try {
+      return { queued: false, result: await handlers[action](payload) };
+    } catch (error) {
+      if (!isNetworkError(error) || !payload.user) throw error;
+    }
+  }
+
+  queueChange(action, payload, label);
+  return { queued: true };
+};
+
+// Tabs reconnect together; only one of them may replay the queue at a time
+const withQueueLock = (fn) =>
+  typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request(STORAGE_KEY, fn) : fn();
+
+/**
+ * Replays the signed-in user's queued changes in order. Stops at the first
+ * network error and leaves the rest queued.
+ * @param {string} userId
+ * @returns {Promise<{synced: object[], conflicts: object[]}>} the changes
+ *   that went through and those the server refused, with `error`
+ */
+export const flushQueue = (userId) => withQueueLock(async () => {
+  const synced = [];
+  const conflicts = [];
+
+  for (const change of read().pending.filter((item) => item.userId === userId)) {
+    let conflict = null;
+    try {
+      await handlers[change.action](change.payload, true);
+      synced.push(change);
+    } catch (error) {
+      if (isNetworkError(error)) break;
+      console.error(`Queued change "${change.label}" was refused:`, error);
+      conflict = { ...change, error: error.message || "The change could not be saved.", failedAt: new Date().toISOString() };
+      conflicts.push(conflict);
+    }
+
+    // Re-read: other tabs may have queued more in the meantime
+    const state = read();
+    write({
+      pending: state.pending.filter((item) => item.id !== change.id),
+      conflicts: conflict ? [...state.conflicts, conflict] : state.conflicts,
+    });
+  }
+
+  return { synced, conflicts };
+});
+
+/**
+ * @param {string} conflictId
+ */
+export const dismissConflict = (conflictId) => {
+  const state = read();
+  write({ ...state, conflicts: state.conflicts.filter((item) => item.id !== conflictId) });
+};
+
+/**
+ * The stored queue now and after every change, including changes from other tabs.
+ * @param {(state: {pending: object[], conflicts: object[]}) => void} onChange
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToQueue = (onChange) => {
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) onChange(read());
+  };
+  listeners.add(onChange);
+  window.addEventListener("storage", onStorage);
+  onChange(read());
+  return () => {
+    listeners.delete(onChange);
+    window.removeEventListener("storage", onStorage);
+  };
+};
@@ -0,0 +1,119 @@
+import {
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+  listAll,
+} from "firebase/storage";
+import { doc, updateDoc, arrayUnion, arrayRemove, serverTimestamp } from "firebase/firestore";
+import { db, storage } from "../config/firebase";
+
+// Donation photos live at donations/{donationId}/{photoId}.jpg in Storage and
+// are listed on the donation as `photos: [{ id, path, url, width, height }]`.
+
+export const MAX_DONATION_PHOTOS = 4;
+
+// Longest side after resizing, and the JPEG quality used to re-encode
+const MAX_DIMENSION = 1280;
+const JPEG_QUALITY = 0.8;
+
+// Original files above this are rejected before resizing (storage.rules caps the upload at 2 MB)
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Checks a picked file before it is resized.
+ * @param {File} file
+ * @returns {string|null} an error message, or null when the file is usable
+ */
+export const validatePhoto = (file) => {
+  if (!file.type.startsWith("image/")) return `${file.name} is not an image.`;
+  if (file.size > MAX_SOURCE_BYTES) return `${file.name} is larger than 20 MB.`;
+  return null;
+};
+
+/**
+ * Scales an image down to MAX_DIMENSION and re-encodes it as JPEG.
+ * @param {File|Blob} file
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export const resizePhoto = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error("Could not compress the image."))),
+      "image/jpeg",
+      JPEG_QUALITY
+    )
+  );
+  return { blob, width, height };
+};
+
+/**
+ * Resizes and uploads one photo, then adds it to the donation's `photos`.
+ * @param {string} donationId
+ * @param {File} file
+ * @param {(percent: number) => void} [onProgress]
+ * @returns {Promise<{id: string, path: string, url: string, width: number, height: number}>}
+ */
+export const uploadDonationPhoto = async (donationId, file, onProgress) => {
+  const { blob, width, height } = await resizePhoto(file);
+  const id = crypto.randomUUID();
+  const path = `donations/${donationId}/${id}.jpg`;
+
+  const task = uploadBytesResumable(ref(storage, path), blob, { contentType: "image/jpeg" });
+  await new Promise((resolve, reject) =>
+    task.on(
+      "state_changed",
+      (snapshot) => onProgress?.(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+      reject,
+      resolve
+    )
+  );
+
+  const photo = { id, path, url: await getDownloadURL(task.snapshot.ref), width, height };
+  await updateDoc(doc(db, "donations", donationId), {
+    photos: arrayUnion(photo),
+    lastUpdated: serverTimestamp(),
+  });
+  return photo;
+};
+
+/**
+ * Deletes a photo from Storage and from the donation. Used by donors and by
+ * staff moderating listings.
+ * @param {string} donationId
+ * @param {{id: string, path: string}} photo the entry exactly as stored in `photos`
+ * @returns {Promise<void>}
+ */
+export const removeDonationPhoto = async (donationId, photo) => {
+  try {
+    await deleteObject(ref(storage, photo.path));
+  } catch (error) {
+    // Already gone from Storage; still drop the dangling entry
+    if (error.code !== "storage/object-not-found") throw error;
+  }
+  await updateDoc(doc(db, "donations", donationId), {
+    photos: arrayRemove(photo),
+    lastUpdated: serverTimestamp(),
+  });
+};
+
+/**
+ * Deletes every stored photo of a donation, e.g. before the donation itself is deleted.
+ * @param {string} donationId
+ * @returns {Promise<void>}
+ */
+export const deleteAllDonationPhotos = async (donationId) => {
+  const { items } = await listAll(ref(storage, `donations/${donationId}`));
+  await Promise.all(items.map((item) => deleteObject(item)));
+};
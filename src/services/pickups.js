@@ -0,0 +1,249 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  deleteDoc,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { APPLICATION_CONFLICT, APPLICATION_STATUSES } from "./applications";
+import { getRemainingQuantity } from "./donations";
+import { getApplicationServings } from "./quantityModel";
+import { writeLedgerEntry } from "./ledger";
+import { LEDGER_ENTRY_TYPES, toApplicationEntry, toDateKey } from "./ledgerModel";
+
+// Pickup confirmation. Each approved application gets a 6-digit PIN, created
+// by the recipient the first time they open it. The PIN lives in
+// applications/{id}/private/pickup, which the donor cannot read; the donor
+// submits the code with the "completed" update and firestore.rules compares
+// it there. The QR code carries the application id as well, so a scan needs
+// no lookup; a typed PIN is confirmed against the pickup the donor picks.
+// Each code is logged in private/attempts before it is tried, so guesses are
+// limited to PICKUP_CODE_MAX_ATTEMPTS per application.
+
+const QR_PREFIX = "fooddonation-pickup";
+const PIN_LENGTH = 6;
+
+// Matches the limit in firestore.rules
+export const PICKUP_CODE_MAX_ATTEMPTS = 5;
+
+const pickupConflict = (message) => {
+  const error = new Error(message);
+  error.code = APPLICATION_CONFLICT;
+  return error;
+};
+
+const privatePickupRef = (applicationId) =>
+  doc(db, "applications", applicationId, "private", "pickup");
+
+const pickupAttemptsRef = (applicationId) =>
+  doc(db, "applications", applicationId, "private", "attempts");
+
+const checkAwaitingPickup = (applicationSnap) => {
+  if (!applicationSnap.exists()) {
+    throw pickupConflict("This application no longer exists.");
+  }
+
+  const application = applicationSnap.data();
+  if (application.status === APPLICATION_STATUSES.COMPLETED) {
+    throw pickupConflict("This pickup code has already been used.");
+  }
+  if (application.status !== APPLICATION_STATUSES.APPROVED) {
+    throw pickupConflict(`This application is ${application.status}, not awaiting pickup.`);
+  }
+  if (!application.hasPickupCode) {
+    throw pickupConflict("The recipient hasn't opened their pickup code yet.");
+  }
+  return application;
+};
+
+// Logs the code before it is tried; committed on its own so a wrong code still counts
+const recordPickupAttempt = (applicationId, pin) =>
+  runTransaction(db, async (transaction) => {
+    checkAwaitingPickup(await transaction.get(doc(db, "applications", applicationId)));
+    const attemptsSnap = await transaction.get(pickupAttemptsRef(applicationId));
+    const count = attemptsSnap.exists() ? attemptsSnap.data().count : 0;
+    if (count >= PICKUP_CODE_MAX_ATTEMPTS) {
+      throw pickupConflict("Too many wrong codes for this pickup. Ask an administrator to unlock it.");
+    }
+
+    transaction.set(pickupAttemptsRef(applicationId), { count: count + 1, lastCode: pin, lastAt: serverTimestamp() });
+    return count + 1;
+  });
+
+const generatePin = () => {
+  const [value] = crypto.getRandomValues(new Uint32Array(1));
+  return String(value % 10 ** PIN_LENGTH).padStart(PIN_LENGTH, "0");
+};
+
+/**
+ * @param {string} applicationId
+ * @param {string} pin
+ * @returns {string} text encoded in the QR code
+ */
+export const toPickupPayload = (applicationId, pin) => `${QR_PREFIX}:${applicationId}:${pin}`;
+
+/**
+ * Accepts either a scanned QR payload or a typed PIN.
+ * @param {string} input
+ * @returns {{applicationId: string|null, pin: string}|null} null if unreadable
+ */
+export const parsePickupCode = (input) => {
+  const value = (input || "").trim();
+  if (value.startsWith(`${QR_PREFIX}:`)) {
+    const [, applicationId, pin] = value.split(":");
+    return applicationId && pin ? { applicationId, pin } : null;
+  }
+
+  const pin = value.replace(/\D/g, "");
+  return pin.length === PIN_LENGTH ? { applicationId: null, pin } : null;
+};
+
+/**
+ * Returns the recipient's pickup code, creating it on first use.
+ * @param {string} applicationId an approved application
+ * @returns {Promise<{pin: string, payload: string}>}
+ */
+export const getOrCreatePickupCode = async (applicationId) => {
+  const applicationRef = doc(db, "applications", applicationId);
+  const candidate = generatePin();
+
+  const pin = await runTransaction(db, async (transaction) => {
+    const applicationSnap = await transaction.get(applicationRef);
+    const codeSnap = await transaction.get(privatePickupRef(applicationId));
+
+    if (!applicationSnap.exists() || applicationSnap.data().status !== APPLICATION_STATUSES.APPROVED) {
+      throw pickupConflict("Pickup codes are only available for approved applications.");
+    }
+    if (codeSnap.exists()) return codeSnap.data().pin;
+
+    transaction.set(privatePickupRef(applicationId), { pin: candidate, createdAt: serverTimestamp() });
+    transaction.update(applicationRef, { hasPickupCode: true });
+    return candidate;
+  });
+
+  return { pin, payload: toPickupPayload(applicationId, pin) };
+};
+
+/**
+ * Finds which of the donor's awaiting pickups a scanned or typed code is for.
+ * A QR code names its application; a typed PIN is for the chosen one, or the
+ * only one waiting. The PIN itself is checked when the pickup is confirmed.
+ * @param {object[]} applications approved applications
+ * @param {string} input QR payload or PIN
+ * @param {string} [selectedId] application chosen for a typed PIN
+ * @returns {{application: object, pin: string}|null}
+ */
+export const resolvePickupCode = (applications, input, selectedId) => {
+  const code = parsePickupCode(input);
+  if (!code) return null;
+
+  const applicationId = code.applicationId || selectedId || (applications.length === 1 ? applications[0].id : null);
+  const application = applications.find((app) => app.id === applicationId);
+  return application ? { application, pin: code.pin } : null;
+};
+
+/**
+ * Marks an application collected. The code is logged as an attempt, then
+ * written with the update, which firestore.rules rejects unless it matches
+ * the recipient's PIN; this also moves the donation to "completed" once it
+ * is fully booked and every reservation has been picked up.
+ * After PICKUP_CODE_MAX_ATTEMPTS codes the pickup is locked, see resetPickupAttempts.
+ * @param {string} applicationId
+ * @param {string} pin
+ * @param {string} donorId uid confirming the pickup
+ * @returns {Promise<{donationCompleted: boolean}>}
+ */
+export const confirmPickup = async (applicationId, pin, donorId) => {
+  const applicationRef = doc(db, "applications", applicationId);
+  let donationCompleted = false;
+  const attempts = await recordPickupAttempt(applicationId, pin);
+
+  await runTransaction(db, async (transaction) => {
+    const application = checkAwaitingPickup(await transaction.get(applicationRef));
+
+    const donationRef = doc(db, "donations", application.donationId);
+    const donationSnap = await transaction.get(donationRef);
+    const pickedUpAt = new Date().toISOString();
+
+    transaction.update(applicationRef, {
+      status: APPLICATION_STATUSES.COMPLETED,
+      pickupCode: pin,
+      pickedUpAt: serverTimestamp(),
+      pickedUpBy: donorId,
+      updatedAt: serverTimestamp(),
+    });
+    writeLedgerEntry(
+      transaction,
+      application.householdId,
+      toApplicationEntry(LEDGER_ENTRY_TYPES.PICKUP, applicationId, application, toDateKey()),
+      donorId
+    );
+
+    if (!donationSnap.exists()) return;
+
+    const donation = donationSnap.data();
+    const applicants = (donation.applicants || []).map((entry) =>
+      entry.householdId === application.householdId
+        ? { ...entry, status: APPLICATION_STATUSES.COMPLETED, pickedUpAt }
+        : entry
+    );
+    donationCompleted =
+      getRemainingQuantity(donation) === 0 &&
+      applicants.every((entry) => entry.status === APPLICATION_STATUSES.COMPLETED);
+
+    transaction.update(donationRef, {
+      applicants,
+      ...(donationCompleted && { status: "completed", completedAt: serverTimestamp() }),
+      lastUpdated: serverTimestamp(),
+    });
+  }).catch((error) => {
+    // firestore.rules refuses the update when the code isn't the recipient's PIN
+    if (error.code !== "permission-denied") throw error;
+    const left = PICKUP_CODE_MAX_ATTEMPTS - attempts;
+    throw pickupConflict(
+      "That code doesn't match this application. " +
+        (left > 0 ? `${left} ${left === 1 ? "try" : "tries"} left.` : "The pickup is now locked; ask an administrator to unlock it.")
+    );
+  });
+
+  return { donationCompleted };
+};
+
+/**
+ * Clears the codes tried on a pickup, unlocking it after too many wrong
+ * codes. Staff only.
+ * @param {string} applicationId
+ * @returns {Promise<void>}
+ */
+export const resetPickupAttempts = (applicationId) => deleteDoc(pickupAttemptsRef(applicationId));
+
+/**
+ * Approved applications on the donor's listings that have not been collected.
+ * @param {string} donorId
+ * @param {(applications: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToAwaitingPickups = (donorId, onChange, onError) =>
+  onSnapshot(
+    query(
+      collection(db, "applications"),
+      where("donorId", "==", donorId),
+      where("status", "==", APPLICATION_STATUSES.APPROVED)
+    ),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest())),
+    onError
+  );
+
+/**
+ * Servings still waiting to be collected across a list of applications.
+ * @param {object[]} applications
+ * @returns {number}
+ */
+export const getAwaitingServings = (applications) =>
+  applications.reduce((total, app) => total + getApplicationServings(app), 0);
@@ -0,0 +1,153 @@
+// Structured donation quantities, shared by the app and the allowance model.
+//
+// donations/{id}:
+//   quantity           { amount, unit, servingsPerUnit }  what was listed
+//   originalQuantity   number  same as quantity.amount
+//   remainingQuantity  number  amount still unreserved, in the same unit
+//
+// Applications reserve whole units of the donation's unit and also record the
+// equivalent `servings`, which the daily allowance and the stats add up.
+// Older donations stored `quantity` as free text ("10", "2 bags of rice");
+// those read as servings with the leading number as the amount.
+
+export const QUANTITY_UNITS = {
+  servings: { label: "Servings", one: "serving", many: "servings" },
+  kg: { label: "Kilograms", one: "kg", many: "kg" },
+  litres: { label: "Litres", one: "litre", many: "litres" },
+  items: { label: "Items", one: "item", many: "items" },
+  packs: { label: "Packs", one: "pack", many: "packs" },
+};
+
+export const DEFAULT_UNIT = "servings";
+
+export const MAX_AMOUNT = 10000;
+
+const toInt = (value) => parseInt(value) || 0;
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * The listed quantity of a donation, reading legacy free-text values as servings.
+ * @param {object} donation
+ * @returns {{amount: number, unit: string, servingsPerUnit: number|null}}
+ */
+export const getQuantity = (donation) => {
+  const { quantity } = donation;
+  if (quantity && typeof quantity === "object") {
+    return {
+      amount: toInt(quantity.amount),
+      unit: quantity.unit in QUANTITY_UNITS ? quantity.unit : DEFAULT_UNIT,
+      servingsPerUnit: Number(quantity.servingsPerUnit) || null,
+    };
+  }
+  return { amount: toInt(quantity), unit: DEFAULT_UNIT, servingsPerUnit: null };
+};
+
+/**
+ * @param {object} donation
+ * @returns {number} amount originally listed, in the donation's unit
+ */
+export const getOriginalAmount = (donation) =>
+  toInt(donation.originalQuantity) || getQuantity(donation).amount;
+
+/**
+ * A donation that was never claimed still has its original amount.
+ * @param {object} donation
+ * @returns {number} amount still unreserved, in the donation's unit
+ */
+export const getRemainingAmount = (donation) =>
+  isSet(donation.remainingQuantity) ? toInt(donation.remainingQuantity) : getOriginalAmount(donation);
+
+/**
+ * Servings in one unit of the donation. Units without a conversion count as
+ * one serving each, so every donation still has a place in the daily allowance.
+ * @param {object} donation
+ * @returns {number}
+ */
+export const getServingsPerUnit = (donation) => {
+  const { unit, servingsPerUnit } = getQuantity(donation);
+  return unit === DEFAULT_UNIT ? 1 : servingsPerUnit || 1;
+};
+
+/**
+ * Whether servings for this donation are an actual conversion rather than the one-per-unit fallback.
+ * @param {object} donation
+ * @returns {boolean}
+ */
+export const hasServingsConversion = (donation) => {
+  const { unit, servingsPerUnit } = getQuantity(donation);
+  return unit === DEFAULT_UNIT || Boolean(servingsPerUnit);
+};
+
+/**
+ * @param {number} amount in the donation's unit
+ * @param {object} donation
+ * @returns {number} servings, rounded down
+ */
+export const toServings = (amount, donation) => Math.floor(amount * getServingsPerUnit(donation));
+
+/**
+ * @param {number} servings
+ * @param {object} donation
+ * @returns {number} whole units of the donation that fit in `servings`
+ */
+export const fromServings = (servings, donation) => Math.floor(servings / getServingsPerUnit(donation));
+
+/**
+ * Servings held by an application, for applications made before `servings` was recorded too.
+ * @param {object} application
+ * @returns {number}
+ */
+export const getApplicationServings = (application) =>
+  isSet(application.servings) ? toInt(application.servings) : toInt(application.quantity);
+
+/**
+ * @param {number} amount
+ * @param {string} [unit]
+ * @returns {string} e.g. "1 serving", "3 kg", "2 packs"
+ */
+export const formatQuantity = (amount, unit = DEFAULT_UNIT) => {
+  const names = QUANTITY_UNITS[unit] || QUANTITY_UNITS[DEFAULT_UNIT];
+  return `${amount} ${amount === 1 ? names.one : names.many}`;
+};
+
+/**
+ * @param {object} donation
+ * @param {number} [amount] defaults to the listed amount
+ * @returns {string} e.g. "3 kg (about 12 servings)"
+ */
+export const describeQuantity = (donation, amount = getOriginalAmount(donation)) => {
+  const { unit, servingsPerUnit } = getQuantity(donation);
+  const text = formatQuantity(amount, unit);
+  return unit !== DEFAULT_UNIT && servingsPerUnit
+    ? `${text} (about ${formatQuantity(toServings(amount, donation))})`
+    : text;
+};
+
+/**
+ * Checks the quantity fields of the donate form.
+ * @param {{amount: string|number, unit: string, servingsPerUnit?: string|number}} quantity
+ * @returns {string|null} an error message, or null when valid
+ */
+export const validateQuantity = ({ amount, unit, servingsPerUnit }) => {
+  const value = Number(amount);
+  if (!Number.isInteger(value) || value < 1) return "Enter a whole number of at least 1.";
+  if (value > MAX_AMOUNT) return `Enter at most ${MAX_AMOUNT}.`;
+  if (!(unit in QUANTITY_UNITS)) return "Choose a unit.";
+  if (unit !== DEFAULT_UNIT && isSet(servingsPerUnit)) {
+    const perUnit = Number(servingsPerUnit);
+    if (!Number.isFinite(perUnit) || perUnit <= 0) return "Servings per unit must be a positive number.";
+  }
+  return null;
+};
+
+/**
+ * Builds the stored quantity from the donate form.
+ * @param {{amount: string|number, unit: string, servingsPerUnit?: string|number}} quantity
+ * @returns {{amount: number, unit: string, servingsPerUnit: number|null}}
+ */
+export const toQuantity = ({ amount, unit, servingsPerUnit }) => ({
+  amount: Number(amount),
+  unit,
+  servingsPerUnit: unit !== DEFAULT_UNIT && isSet(servingsPerUnit) ? Number(servingsPerUnit) : null,
+});
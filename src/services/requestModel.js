@@ -0,0 +1,64 @@
+// Canonical food request schema, shared by the app and scripts/migrate-requests.js.
+//
+// requests/{id}:
+//   foodItem       string   what is needed, always set
+//   category       string?  one of REQUEST_CATEGORIES, null for free-text requests
+//   quantity       string
+//   urgency        "low" | "medium" | "high" | "urgent"
+//   location, contactInfo, description, dietary  string
+//   requesterId, requesterName  string, isGuest boolean
+//   status         "open" | "fulfilled" | "closed"
+//   createdAt, fulfilledAt  timestamp, fulfilledBy, donationId, donorContact
+
+export const REQUEST_CATEGORIES = {
+  "fresh-produce": "Fresh Fruits & Vegetables",
+  grains: "Rice, Bread & Grains",
+  protein: "Meat, Fish & Protein",
+  dairy: "Milk, Cheese & Dairy",
+  "canned-goods": "Canned & Packaged Foods",
+  "prepared-meals": "Prepared Meals",
+  "baby-food": "Baby Food & Formula",
+  any: "Any Food Donation",
+  other: "Other",
+};
+
+export const REQUEST_URGENCIES = ["low", "medium", "high", "urgent"];
+
+// Older requests from the donations page used "normal" / "urgent"
+const LEGACY_URGENCY = { normal: "medium" };
+
+/**
+ * @param {string|undefined} urgency
+ * @returns {string} a value from REQUEST_URGENCIES
+ */
+export const normalizeUrgency = (urgency) => {
+  const value = LEGACY_URGENCY[urgency] || urgency;
+  return REQUEST_URGENCIES.includes(value) ? value : "medium";
+};
+
+/**
+ * Converts any stored request shape (including the old `requests` documents
+ * with `foodType` and `food-requests` documents with `foodItem`) to the
+ * canonical fields. Unknown fields are kept.
+ * @param {object} data
+ * @returns {object}
+ */
+export const toCanonicalRequest = (data) => {
+  // `foodType` becomes `category`; `type` was the regular/custom split
+  const { foodType: _foodType, type: _type, ...rest } = data;
+  const category = data.category || data.foodType || null;
+
+  return {
+    ...rest,
+    foodItem:
+      data.foodItem ||
+      REQUEST_CATEGORIES[category] ||
+      category?.replace("-", " ") ||
+      "Food Request",
+    category,
+    urgency: normalizeUrgency(data.urgency),
+    status: data.status || "open",
+    fulfilledBy: data.fulfilledBy || null,
+    fulfilledAt: data.fulfilledAt || null,
+  };
+};
@@ -0,0 +1,200 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { REQUEST_CATEGORIES, normalizeUrgency, toCanonicalRequest } from "./requestModel";
+import { toGeoFields } from "./geoModel";
+import { subscribeWithinRadius } from "./geoQueries";
+import { locateAddress } from "./location";
+import { writeNotification } from "./notifications";
+import { isRealUser, requestFulfilledNotification } from "./notificationModel";
+
+const requestsRef = collection(db, "requests");
+
+const URGENCY_ORDER = { urgent: 4, high: 3, medium: 2, low: 1 };
+
+/**
+ * Sort comparator: higher urgency first, then newest first.
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+export const byUrgencyThenNewest = (a, b) => {
+  const aUrgency = URGENCY_ORDER[a.urgency] || 1;
+  const bUrgency = URGENCY_ORDER[b.urgency] || 1;
+
+  if (aUrgency !== bUrgency) {
+    return bUrgency - aUrgency; // Higher urgency first
+  }
+  return byNewest()(a, b);
+};
+
+// Documents are read through toCanonicalRequest so any not yet migrated still render
+const mapRequests = (snapshot) => mapDocs(snapshot).map(toCanonicalRequest);
+
+/**
+ * Live feed of every request, urgent and newest first.
+ * @param {(requests: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToRequests = (onChange, onError) =>
+  onSnapshot(
+    requestsRef,
+    (snapshot) => onChange(mapRequests(snapshot).sort(byUrgencyThenNewest)),
+    onError
+  );
+
+/**
+ * Live feed of open requests only, urgent and newest first.
+ * @param {(requests: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToOpenRequests = (onChange, onError) =>
+  onSnapshot(
+    query(requestsRef, where("status", "==", "open")),
+    (snapshot) => onChange(mapRequests(snapshot).sort(byUrgencyThenNewest)),
+    onError
+  );
+
+/**
+ * Live feed of the requests within `km` of a point, urgent and newest first.
+ * Requests saved without a location never match.
+ * @param {{lat: number, lng: number}} center
+ * @param {number} km
+ * @param {(requests: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToRequestsNear = (center, km, onChange, onError) =>
+  subscribeWithinRadius(
+    center,
+    km,
+    (docs) => onChange(docs.map(toCanonicalRequest).sort(byUrgencyThenNewest)),
+    onError,
+    { collectionName: "requests" }
+  );
+
+/**
+ * Live feed of the requests a user has made, newest first.
+ * @param {string} requesterId
+ * @param {(requests: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToUserRequests = (requesterId, onChange, onError) =>
+  onSnapshot(
+    query(requestsRef, where("requesterId", "==", requesterId)),
+    (snapshot) => onChange(mapRequests(snapshot).sort(byNewest())),
+    onError
+  );
+
+/**
+ * Live feed of requests a donor has fulfilled, newest first.
+ * @param {string} donorId
+ * @param {(requests: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToFulfilledRequests = (donorId, onChange, onError) =>
+  onSnapshot(
+    query(requestsRef, where("fulfilledBy", "==", donorId)),
+    (snapshot) => onChange(mapRequests(snapshot).sort(byNewest("fulfilledAt"))),
+    onError
+  );
+
+/**
+ * Creates a request in the canonical schema. Without `coordinates` the
+ * location is looked up, so the request can be found by distance.
+ * @param {{foodItem?: string, category?: string, quantity: string, urgency?: string,
+ *   location?: string, coordinates?: {lat: number, lng: number}, contactInfo: string,
+ *   description?: string, dietary?: string}} formData
+ * @param {{uid: string, email?: string}|null} user
+ * @param {boolean} isGuest
+ * @returns {Promise<string>} new document id
+ */
+export const createRequest = async (formData, user, isGuest) => {
+  const category = formData.category || null;
+  const coordinates = formData.coordinates || (await locateAddress(formData.location));
+
+  const docRef = await addDoc(requestsRef, {
+    foodItem: formData.foodItem?.trim() || REQUEST_CATEGORIES[category] || "Food Request",
+    category,
+    quantity: formData.quantity,
+    urgency: normalizeUrgency(formData.urgency),
+    location: formData.location || "",
+    coordinates,
+    ...toGeoFields(coordinates),
+    contactInfo: formData.contactInfo,
+    description: formData.description || "",
+    dietary: formData.dietary || "",
+    requesterId: user?.uid || "guest",
+    requesterName: user?.email || "Anonymous Requester",
+    isGuest: isGuest || !user,
+    status: "open",
+    createdAt: serverTimestamp(),
+    fulfilledBy: null,
+    fulfilledAt: null,
+  });
+  return docRef.id;
+};
+
+/**
+ * Marks an open request fulfilled by a donation and tells the requester.
+ * Does nothing if the request is already fulfilled by that donation.
+ * @param {string} requestId
+ * @param {{donorId: string, donationId: string, donorContact: string}} fulfilment
+ * @returns {Promise<void>}
+ */
+export const fulfillRequest = (requestId, { donorId, donationId, donorContact }) =>
+  runTransaction(db, async (transaction) => {
+    const requestRef = doc(db, "requests", requestId);
+    const snap = await transaction.get(requestRef);
+    if (snap.exists() && snap.data().status === "fulfilled" && snap.data().donationId === donationId) return;
+    if (!snap.exists() || snap.data().status !== "open") {
+      throw new Error("This request is no longer open.");
+    }
+
+    const request = snap.data();
+    transaction.update(requestRef, {
+      status: "fulfilled",
+      fulfilledBy: donorId,
+      fulfilledAt: serverTimestamp(),
+      donationId,
+      donorContact,
+    });
+    if (isRealUser(request.requesterId)) {
+      writeNotification(transaction, request.requesterId, requestFulfilledNotification(request, donorContact), {
+        senderId: donorId,
+        requestId,
+      });
+    }
+  });
+
+/**
+ * @param {string} requestId
+ * @param {string} status
+ * @returns {Promise<void>}
+ */
+export const updateRequestStatus = (requestId, status) =>
+  updateDoc(doc(db, "requests", requestId), {
+    status,
+    updatedAt: new Date(),
+  });
+
+/**
+ * @param {string} requestId
+ * @returns {Promise<void>}
+ */
+export const deleteRequest = (requestId) => deleteDoc(doc(db, "requests", requestId));
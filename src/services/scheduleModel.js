@@ -0,0 +1,190 @@
+// Recurring donation schedules, shared by the app and scripts/generate-recurring.js.
+//
+// donationSchedules/{id}:
+//   donorId, donorName
+//   template      donation fields copied into every listing (TEMPLATE_FIELDS)
+//   recurrence    { frequency: "daily"|"weekdays"|"weekly", days: number[] }
+//                 days are 0 (Sunday) to 6 (Saturday) and only used by "weekly"
+//   pickupWindow  { start: "HH:MM", end: "HH:MM" }
+//   status        "active"|"paused"
+//   startDate     "YYYY-MM-DD"  no listings before this day
+//   skipDates     "YYYY-MM-DD"[]  occurrences the donor skipped
+//
+// Each occurrence becomes donations/{scheduleId}_{YYYY-MM-DD}, created up to
+// DEFAULT_DAYS_AHEAD days early so households can apply before pickup day.
+// Editing a schedule only changes listings that haven't been created yet.
+
+import { getOriginalAmount } from "./quantityModel.js";
+import { toGeoFields } from "./geoModel.js";
+
+export const RECURRENCE_FREQUENCIES = {
+  daily: "Every day",
+  weekdays: "Weekdays (Mon–Fri)",
+  weekly: "Weekly on chosen days",
+};
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const DEFAULT_DAYS_AHEAD = 2;
+
+export const DEFAULT_RECURRENCE = { frequency: "daily", days: [] };
+
+export const DEFAULT_PICKUP_WINDOW = { start: "17:00", end: "19:00" };
+
+// Donate form fields kept on the template
+export const TEMPLATE_FIELDS = [
+  "foodItem",
+  "quantity",
+  "description",
+  "category",
+  "siteId",
+  "allergens",
+  "dietLabels",
+  "location",
+  "coordinates",
+  "contactInfo",
+  "pickupPreference",
+  "requiresApproval",
+];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * @param {Date} date
+ * @returns {string} local calendar day as "YYYY-MM-DD"
+ */
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const fromDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * @param {{frequency: string, days?: number[]}} recurrence
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export const occursOn = (recurrence, date) => {
+  const day = date.getDay();
+  switch (recurrence.frequency) {
+    case "daily":
+      return true;
+    case "weekdays":
+      return day >= 1 && day <= 5;
+    case "weekly":
+      return (recurrence.days || []).includes(day);
+    default:
+      return false;
+  }
+};
+
+/**
+ * When an occurrence's pickup window closes.
+ * @param {object} schedule
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+export const getWindowEnd = (schedule, dateKey) => new Date(`${dateKey}T${schedule.pickupWindow.end}`);
+
+/**
+ * Occurrences whose pickup window hasn't closed, from `now` through `days` calendar days later.
+ * Skipped dates and days before `startDate` are left out.
+ * @param {object} schedule
+ * @param {Date} [now]
+ * @param {number} [days]
+ * @returns {string[]} date keys, earliest first
+ */
+export const getUpcomingOccurrences = (schedule, now = new Date(), days = DEFAULT_DAYS_AHEAD) => {
+  const skipped = schedule.skipDates || [];
+  const occurrences = [];
+
+  for (let offset = 0; offset <= days; offset += 1) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const key = toDateKey(date);
+    if (schedule.startDate && key < schedule.startDate) continue;
+    if (skipped.includes(key) || !occursOn(schedule.recurrence, date)) continue;
+    if (getWindowEnd(schedule, key) <= now) continue;
+    occurrences.push(key);
+  }
+
+  return occurrences;
+};
+
+/**
+ * The next occurrence within two weeks, ignoring whether the schedule is paused.
+ * @param {object} schedule
+ * @param {Date} [now]
+ * @returns {string|null} date key
+ */
+export const getNextOccurrence = (schedule, now = new Date()) =>
+  getUpcomingOccurrences(schedule, now, 14)[0] || null;
+
+/**
+ * @param {string} scheduleId
+ * @param {string} dateKey
+ * @returns {string} id of the donation generated for that occurrence
+ */
+export const getOccurrenceId = (scheduleId, dateKey) => `${scheduleId}_${dateKey}`;
+
+/**
+ * The donation fields for one occurrence; the caller adds `createdAt`.
+ * @param {object} schedule including `id`
+ * @param {string} dateKey
+ * @returns {object}
+ */
+export const buildOccurrence = (schedule, dateKey) => {
+  const amount = getOriginalAmount(schedule.template);
+  return {
+    ...schedule.template,
+    donorId: schedule.donorId,
+    donorName: schedule.donorName || "Anonymous Donor",
+    isGuest: false,
+    scheduleId: schedule.id,
+    occurrenceDate: dateKey,
+    pickupWindow: schedule.pickupWindow,
+    availableUntil: `${dateKey}T${schedule.pickupWindow.end}`,
+    expirationDate: null,
+    status: "available",
+    claimedBy: null,
+    claimedAt: null,
+    remainingQuantity: amount,
+    originalQuantity: amount,
+    applicants: [],
+    ...toGeoFields(schedule.template.coordinates),
+  };
+};
+
+/**
+ * @param {{recurrence: object, pickupWindow: object}} schedule
+ * @returns {string|null} an error message, or null when valid
+ */
+export const validateSchedule = ({ recurrence, pickupWindow }) => {
+  if (!(recurrence.frequency in RECURRENCE_FREQUENCIES)) return "Choose how often to repeat.";
+  if (recurrence.frequency === "weekly" && !recurrence.days?.length) return "Choose at least one day.";
+  if (!TIME.test(pickupWindow.start) || !TIME.test(pickupWindow.end)) return "Enter the pickup window as times.";
+  if (pickupWindow.start >= pickupWindow.end) return "The pickup window must end after it starts.";
+  return null;
+};
+
+/**
+ * @param {object} schedule
+ * @returns {string} e.g. "Weekly on Mon, Thu, 17:00–19:00"
+ */
+export const describeSchedule = ({ recurrence, pickupWindow }) => {
+  const days =
+    recurrence.frequency === "weekly"
+      ? `Weekly on ${[...(recurrence.days || [])].sort((a, b) => a - b).map((day) => WEEKDAYS[day]).join(", ")}`
+      : RECURRENCE_FREQUENCIES[recurrence.frequency];
+  return `${days}, ${pickupWindow.start}–${pickupWindow.end}`;
+};
+
+/**
+ * @param {string} dateKey
+ * @returns {string} e.g. "Tue 14 Oct"
+ */
+export const formatOccurrence = (dateKey) =>
+  fromDateKey(dateKey).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" });
@@ -0,0 +1,137 @@
+import {
+  collection,
+  query,
+  where,
+  onSnapshot,
+  doc,
+  getDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  arrayUnion,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { mapDocs, byNewest } from "./firestoreUtils";
+import { toQuantity } from "./quantityModel";
+import { TEMPLATE_FIELDS, getNextOccurrence, getOccurrenceId, toDateKey } from "./scheduleModel";
+
+// Listings are generated from these by scripts/generate-recurring.js; see scheduleModel.js
+const schedulesRef = collection(db, "donationSchedules");
+
+/**
+ * The donation template kept on a schedule, from the donate form.
+ * @param {object} formData
+ * @returns {object}
+ */
+const toTemplate = (formData) => {
+  const template = Object.fromEntries(
+    TEMPLATE_FIELDS.filter((field) => field in formData).map((field) => [field, formData[field]])
+  );
+  return {
+    ...template,
+    quantity: toQuantity(formData.quantity),
+    category: formData.category || null,
+    siteId: formData.siteId || null,
+  };
+};
+
+/**
+ * Live feed of a donor's recurring schedules.
+ * @param {string} donorId
+ * @param {(schedules: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToDonorSchedules = (donorId, onChange, onError) =>
+  onSnapshot(
+    query(schedulesRef, where("donorId", "==", donorId)),
+    (snapshot) => onChange(mapDocs(snapshot).sort(byNewest())),
+    onError
+  );
+
+/**
+ * Saves a recurring schedule from the donate form. The first listings appear
+ * the next time the generator runs.
+ * @param {object} formData fields collected by the donate wizard
+ * @param {{recurrence: object, pickupWindow: object}} repeat as checked by validateSchedule
+ * @param {{uid: string, email?: string}} user
+ * @returns {Promise<string>} schedule id
+ */
+export const createSchedule = async (formData, { recurrence, pickupWindow }, user) => {
+  const docRef = await addDoc(schedulesRef, {
+    donorId: user.uid,
+    donorName: user.email || "Anonymous Donor",
+    template: toTemplate(formData),
+    recurrence,
+    pickupWindow,
+    status: "active",
+    startDate: toDateKey(new Date()),
+    skipDates: [],
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Edits a schedule. Listings already generated keep their old details.
+ * @param {string} scheduleId
+ * @param {{template?: object, recurrence?: object, pickupWindow?: object}} changes
+ *   `template` holds only the fields to change, with `quantity` in form shape
+ * @returns {Promise<void>}
+ */
+export const updateSchedule = (scheduleId, { template = {}, ...changes }) =>
+  updateDoc(doc(db, "donationSchedules", scheduleId), {
+    ...changes,
+    ...Object.fromEntries(
+      Object.entries(template).map(([field, value]) => [
+        `template.${field}`,
+        field === "quantity" ? toQuantity(value) : value,
+      ])
+    ),
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * @param {string} scheduleId
+ * @param {boolean} paused
+ * @returns {Promise<void>}
+ */
+export const setSchedulePaused = (scheduleId, paused) =>
+  updateDoc(doc(db, "donationSchedules", scheduleId), {
+    status: paused ? "paused" : "active",
+    updatedAt: serverTimestamp(),
+  });
+
+/**
+ * Skips the next occurrence. If its listing was already generated it is
+ * removed, unless households have applied for it.
+ * @param {object} schedule
+ * @returns {Promise<string|null>} the skipped date key, or null when nothing is coming up
+ */
+export const skipNextOccurrence = async (schedule) => {
+  const dateKey = getNextOccurrence(schedule);
+  if (!dateKey) return null;
+
+  const listingRef = doc(db, "donations", getOccurrenceId(schedule.id, dateKey));
+  const listing = await getDoc(listingRef);
+  if (listing.exists() && listing.data().applicants?.length > 0) {
+    throw new Error("Households have already applied for the next pickup. Manage it from My Donations instead.");
+  }
+
+  // Record the skip first so the generator doesn't recreate the listing in between
+  await updateDoc(doc(db, "donationSchedules", schedule.id), {
+    skipDates: arrayUnion(dateKey),
+    updatedAt: serverTimestamp(),
+  });
+  if (listing.exists()) await deleteDoc(listingRef);
+  return dateKey;
+};
+
+/**
+ * Deletes a schedule. Listings it already generated stay up.
+ * @param {string} scheduleId
+ * @returns {Promise<void>}
+ */
+export const deleteSchedule = (scheduleId) => deleteDoc(doc(db, "donationSchedules", scheduleId));
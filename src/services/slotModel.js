@@ -0,0 +1,188 @@
+// Pickup time slots for donations with pickupPreference "scheduled", and the
+// iCalendar file offered for a booked slot.
+//
+// donations/{id}:
+//   pickupSlots               [{ id, start, end, capacity }]  times are local
+//                             "YYYY-MM-DDTHH:MM"; the id is the start time
+//   applicants[].pickupSlotId bookings are counted from the applicants holding quantity
+// applications/{id}:
+//   pickupSlot                { id, start, end } the slot the household chose, or null
+
+export const SLOT_LENGTHS = [15, 30, 60];
+
+export const DEFAULT_SLOT_SETTINGS = { date: "", start: "17:00", end: "19:00", slotMinutes: 30, capacity: 2 };
+
+export const MAX_SLOTS = 48;
+
+const MINUTE_MS = 60 * 1000;
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const toLocalString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * @param {{date: string, start: string, end: string, slotMinutes: number|string, capacity: number|string}} settings
+ * @param {Date} [now]
+ * @returns {string|null} an error message, or null when valid
+ */
+export const validateSlotSettings = ({ date, start, end, slotMinutes, capacity }, now = new Date()) => {
+  if (!date) return "Choose the pickup date.";
+  if (!TIME.test(start) || !TIME.test(end)) return "Enter the pickup window as times.";
+  if (start >= end) return "The pickup window must end after it starts.";
+  if (new Date(`${date}T${end}`) <= now) return "The pickup window has already passed.";
+  const minutes = (new Date(`${date}T${end}`) - new Date(`${date}T${start}`)) / MINUTE_MS;
+  if (minutes < Number(slotMinutes)) return "The pickup window is shorter than one slot.";
+  if (!Number.isInteger(Number(capacity)) || Number(capacity) < 1) return "Households per slot must be a whole number of at least 1.";
+  return null;
+};
+
+/**
+ * Splits a pickup window into back-to-back slots; a leftover shorter than one slot is dropped.
+ * @param {typeof DEFAULT_SLOT_SETTINGS} settings as checked by validateSlotSettings
+ * @returns {{id: string, start: string, end: string, capacity: number}[]}
+ */
+export const buildPickupSlots = ({ date, start, end, slotMinutes, capacity }) => {
+  const length = Number(slotMinutes) * MINUTE_MS;
+  const until = new Date(`${date}T${end}`);
+  const slots = [];
+
+  for (let from = new Date(`${date}T${start}`); from.getTime() + length <= until.getTime(); ) {
+    const to = new Date(from.getTime() + length);
+    slots.push({ id: toLocalString(from), start: toLocalString(from), end: toLocalString(to), capacity: Number(capacity) });
+    if (slots.length === MAX_SLOTS) break;
+    from = to;
+  }
+
+  return slots;
+};
+
+/**
+ * The settings that rebuild a donation's slots, for editing them.
+ * @param {{start: string, end: string, capacity: number}[]} slots as built by buildPickupSlots
+ * @returns {typeof DEFAULT_SLOT_SETTINGS}
+ */
+export const toSlotSettings = (slots) => {
+  const [first] = slots;
+  return {
+    date: first.start.slice(0, 10),
+    start: first.start.slice(11, 16),
+    end: getSlotsEnd(slots).slice(11, 16),
+    slotMinutes: (new Date(first.end) - new Date(first.start)) / MINUTE_MS,
+    capacity: first.capacity,
+  };
+};
+
+/**
+ * @param {object} donation
+ * @returns {Object<string, number>} bookings per slot id
+ */
+export const getSlotBookings = (donation) =>
+  (donation.applicants || []).reduce((bookings, entry) => {
+    if (entry.pickupSlotId) bookings[entry.pickupSlotId] = (bookings[entry.pickupSlotId] || 0) + 1;
+    return bookings;
+  }, {});
+
+/**
+ * @param {object} donation
+ * @param {string} slotId
+ * @returns {object|null}
+ */
+export const findSlot = (donation, slotId) =>
+  (donation.pickupSlots || []).find((slot) => slot.id === slotId) || null;
+
+/**
+ * Whether a slot can take one more household. No slot (or a donation without slots) always has room.
+ * @param {object} donation
+ * @param {string|null|undefined} slotId
+ * @param {Object<string, number>} [bookings] defaults to the donation's current bookings
+ * @returns {boolean}
+ */
+export const hasSlotRoom = (donation, slotId, bookings = getSlotBookings(donation)) => {
+  if (!slotId) return true;
+  const slot = findSlot(donation, slotId);
+  return slot !== null && (bookings[slotId] || 0) < slot.capacity;
+};
+
+/**
+ * Slots with how many places are left; slots that have ended are marked `past`.
+ * @param {object} donation
+ * @param {Date} [now]
+ * @returns {{id: string, start: string, end: string, capacity: number, left: number, past: boolean}[]}
+ */
+export const getSlotAvailability = (donation, now = new Date()) => {
+  const bookings = getSlotBookings(donation);
+  return (donation.pickupSlots || []).map((slot) => ({
+    ...slot,
+    left: Math.max(0, slot.capacity - (bookings[slot.id] || 0)),
+    past: new Date(slot.end) <= now,
+  }));
+};
+
+/**
+ * @param {{start: string, end: string}[]} slots
+ * @returns {string|null} end of the last slot
+ */
+export const getSlotsEnd = (slots) =>
+  slots.length > 0 ? slots.map((slot) => slot.end).sort().at(-1) : null;
+
+/**
+ * @param {{start: string, end: string}} slot
+ * @returns {string} e.g. "Tue, Oct 21, 17:00–17:30"
+ */
+export const formatSlot = ({ start, end }) => {
+  const day = new Date(start).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "short" });
+  return `${day}, ${start.slice(11, 16)}–${end.slice(11, 16)}`;
+};
+
+// ---- iCalendar ----
+
+const escapeText = (value = "") =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join("\r\n ");
+};
+
+// "2026-10-21T17:30" becomes the floating (local) time "20261021T173000"
+const toICSLocal = (value) => `${value.replace(/[-:]/g, "")}00`;
+
+const toICSUtc = (date) => `${date.toISOString().replace(/[-:]/g, "").split(".")[0]}Z`;
+
+/**
+ * A one-event calendar file for a booked pickup slot.
+ * @param {object} event
+ * @param {string} event.uid stable id, so re-importing updates the same event
+ * @param {string} event.title
+ * @param {string} event.start local "YYYY-MM-DDTHH:MM"
+ * @param {string} event.end
+ * @param {string} [event.location]
+ * @param {string} [event.description]
+ * @param {Date} [now]
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const toICS = ({ uid, title, start, end, location, description }, now = new Date()) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Community Food Bank//Pickup Slots//EN",
+    "CALSCALE:GREGORIAN",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${toICSUtc(now)}`,
+    `DTSTART:${toICSLocal(start)}`,
+    `DTEND:${toICSLocal(end)}`,
+    `SUMMARY:${escapeText(title)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]
+    .filter(Boolean)
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
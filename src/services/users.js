@@ -0,0 +1,81 @@
+import {
+  collection,
+  onSnapshot,
+  doc,
+  updateDoc,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { DEFAULT_ROLES } from "../config/roles";
+import { mapDocs } from "./firestoreUtils";
+
+// Creates the profile unless another tab or device just did, so roles an
+// admin granted meanwhile are never reset to the defaults
+const createUserProfile = (userRef, user) =>
+  runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(userRef);
+    if (snapshot.exists()) return;
+    transaction.set(userRef, {
+      email: user.email,
+      roles: DEFAULT_ROLES,
+      createdAt: serverTimestamp(),
+    });
+  });
+
+/**
+ * Live feed of a user's profile. A profile is created with the default roles
+ * on first sign-in (or for accounts created before roles existed), once the
+ * server confirms there is none; a miss in the offline cache proves nothing.
+ * @param {{uid: string, email?: string}} user
+ * @param {(profile: {roles: string[]}) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToUserProfile = (user, onChange, onError) => {
+  const userRef = doc(db, "users", user.uid);
+
+  return onSnapshot(
+    userRef,
+    (snapshot) => {
+      if (snapshot.exists()) {
+        onChange({ id: snapshot.id, ...snapshot.data() });
+        return;
+      }
+
+      // Until the server answers, show the defaults without writing them
+      if (!snapshot.metadata.fromCache) {
+        createUserProfile(userRef, user).catch((error) => {
+          console.error("Error creating user profile:", error);
+        });
+      }
+      onChange({ id: user.uid, email: user.email, roles: DEFAULT_ROLES });
+    },
+    onError
+  );
+};
+
+/**
+ * @param {(users: object[]) => void} onChange
+ * @param {(error: Error) => void} [onError]
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToUsers = (onChange, onError) =>
+  onSnapshot(collection(db, "users"), (snapshot) => onChange(mapDocs(snapshot)), onError);
+
+/**
+ * Grants or revokes a role. Only admins pass the security rules for this.
+ * @param {string} userId
+ * @param {string} role
+ * @param {boolean} granted
+ * @param {string} adminId who made the change
+ * @returns {Promise<void>}
+ */
+export const setUserRole = (userId, role, granted, adminId) =>
+  updateDoc(doc(db, "users", userId), {
+    roles: granted ? arrayUnion(role) : arrayRemove(role),
+    rolesUpdatedBy: adminId,
+    updatedAt: new Date(),
+  });
@@ -0,0 +1,399 @@
+// firestore.rules against the Firestore emulator, with the writes the app
+// makes in its transactions. Run with `npm run test:rules`, which starts the
+// emulator for the duration of the tests.
+
+import { readFileSync } from "node:fs";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import {
+  addDoc,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  increment,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { LEDGER_ENTRY_TYPES, buildTotalsUpdate, toApplicationEntry, toDateKey } from "../src/services/ledgerModel.js";
+
+const TODAY = toDateKey();
+const APPLICATION_ID = "d1_h1";
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const seed = (path, data) =>
+  testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+const donation = {
+  donorId: "donor",
+  foodItem: "Soup",
+  status: "available",
+  quantity: { amount: 10, unit: "servings" },
+  originalQuantity: 10,
+  remainingQuantity: 10,
+  applicants: [],
+};
+
+const application = (fields = {}) => ({
+  donationId: "d1",
+  householdId: "h1",
+  applicantId: "alice",
+  donorId: "donor",
+  donationTitle: "Soup",
+  quantity: 3,
+  unit: "servings",
+  servings: 3,
+  applicationDate: TODAY,
+  policyVersion: 0,
+  status: "approved",
+  allocatedOn: TODAY,
+  ...fields,
+});
+
+// The entry and totals writeLedgerEntry adds to a batch
+const addLedgerEntry = (batch, db, householdId, entry, by) => {
+  const entryRef = doc(db, "allowanceLedgers", householdId, "entries", `entry-${Date.now()}`);
+  batch.set(entryRef, { ...entry, by, at: serverTimestamp() });
+  batch.set(
+    doc(db, "allowanceLedgers", householdId),
+    { householdId, ...buildTotalsUpdate(entry, increment), lastEntryId: entryRef.id, updatedAt: serverTimestamp() },
+    { merge: true }
+  );
+};
+
+// The writes applyForDonation makes for an instantly approved claim
+const claim = (db, { uid = "alice", householdId = "h1", quantity = 3, taken = quantity, withApplication = true } = {}) => {
+  const batch = writeBatch(db);
+  const claimed = application({ applicantId: uid, householdId, quantity, servings: quantity });
+  const applicationId = `d1_${householdId}`;
+  batch.update(doc(db, "donations", "d1"), {
+    applicants: arrayUnion({ applicantId: uid, householdId, quantity, unit: "servings", status: "approved" }),
+    originalQuantity: 10,
+    remainingQuantity: 10 - taken,
+    status: 10 - taken === 0 ? "fully_booked" : "partially_claimed",
+    lastUpdated: serverTimestamp(),
+  });
+  if (withApplication) {
+    batch.set(doc(db, "applications", applicationId), claimed);
+    addLedgerEntry(batch, db, householdId, toApplicationEntry(LEDGER_ENTRY_TYPES.ALLOCATION, applicationId, claimed, TODAY), uid);
+  }
+  return batch.commit();
+};
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-food-bank",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+after(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+  await seed("users/donor", { roles: ["donor"] });
+  await seed("users/alice", { roles: ["recipient"] });
+  await seed("users/mallory", { roles: ["recipient"] });
+  await seed("users/vol", { roles: ["volunteer"] });
+  await seed("users/admin", { roles: ["admin"] });
+  await seed("households/h1", { registrantId: "alice", householdName: "Alice's", address: "1 Main St" });
+  await seed("households/h2", { registrantId: "mallory", householdName: "Mallory's", address: "2 Main St" });
+  await seed("donations/d1", donation);
+});
+
+afterEach(() => testEnv.clearFirestore());
+
+describe("donations", () => {
+  test("donors create listings with a consistent quantity", async () => {
+    const db = as("donor");
+    await assertSucceeds(setDoc(doc(db, "donations", "d2"), donation));
+    await assertFails(setDoc(doc(db, "donations", "d3"), { ...donation, remainingQuantity: 50 }));
+    await assertFails(setDoc(doc(db, "donations", "d4"), { ...donation, donorId: "alice" }));
+  });
+
+  test("a claim comes with the applicant's approved application", async () => {
+    await assertSucceeds(claim(as("alice")));
+  });
+
+  test("a claim without an application is refused", async () => {
+    await assertFails(claim(as("alice"), { withApplication: false }));
+    await assertFails(
+      updateDoc(doc(as("mallory"), "donations", "d1"), { remainingQuantity: 0, status: "fully_booked" })
+    );
+  });
+
+  test("a claim takes exactly the application's quantity", async () => {
+    await assertFails(claim(as("alice"), { quantity: 3, taken: 10 }));
+  });
+
+  test("a claim stays within the household's share of the donation", async () => {
+    await assertFails(claim(as("alice"), { quantity: 4 }));
+  });
+
+  test("the household's share follows the allowance policy", async () => {
+    await seed("settings/allowancePolicy", { version: 0, rules: { householdShare: 0.5 } });
+    await assertSucceeds(claim(as("alice"), { quantity: 5 }));
+  });
+
+  test("a claim only adds the caller's own entry to applicants", async () => {
+    await claim(as("alice"));
+    const db = as("mallory");
+    await assertFails(
+      updateDoc(doc(db, "donations", "d1"), {
+        applicants: [{ applicantId: "mallory", householdId: "h2", quantity: 2, unit: "servings", status: "approved" }],
+        remainingQuantity: 5,
+        status: "partially_claimed",
+      })
+    );
+  });
+
+  test("donors cannot claim their own listing", async () => {
+    await seed("households/h3", { registrantId: "donor" });
+    await assertFails(claim(as("donor"), { uid: "donor", householdId: "h3" }));
+  });
+
+  test("only the donor or an admin deletes a listing", async () => {
+    await assertFails(deleteDoc(doc(as("alice"), "donations", "d1")));
+    await assertSucceeds(deleteDoc(doc(as("donor"), "donations", "d1")));
+  });
+});
+
+describe("applications", () => {
+  test("the claim transaction may read an application that doesn't exist yet", async () => {
+    await assertSucceeds(getDoc(doc(as("alice"), "applications", APPLICATION_ID)));
+  });
+
+  test("only the parties read an application", async () => {
+    await seed(`applications/${APPLICATION_ID}`, application());
+    await assertSucceeds(getDoc(doc(as("alice"), "applications", APPLICATION_ID)));
+    await assertSucceeds(getDoc(doc(as("donor"), "applications", APPLICATION_ID)));
+    await assertFails(getDoc(doc(as("mallory"), "applications", APPLICATION_ID)));
+  });
+
+  test("nobody applies for a household they don't belong to", async () => {
+    await assertFails(setDoc(doc(as("mallory"), "applications", APPLICATION_ID), application({ applicantId: "mallory" })));
+  });
+
+  test("the donor rejects an approved application and gives back its allowance", async () => {
+    await seed(`applications/${APPLICATION_ID}`, application());
+    const db = as("donor");
+    const batch = writeBatch(db);
+    batch.update(doc(db, "applications", APPLICATION_ID), { status: "rejected", rejectionReason: "Gone" });
+    addLedgerEntry(
+      batch,
+      db,
+      "h1",
+      toApplicationEntry(LEDGER_ENTRY_TYPES.CANCELLATION, APPLICATION_ID, application(), TODAY),
+      "donor"
+    );
+    await assertSucceeds(batch.commit());
+  });
+
+  test("the applicant cannot change their application's status", async () => {
+    await seed(`applications/${APPLICATION_ID}`, application());
+    await assertFails(updateDoc(doc(as("alice"), "applications", APPLICATION_ID), { status: "completed" }));
+  });
+
+  test("only staff delete applications", async () => {
+    await seed(`applications/${APPLICATION_ID}`, application());
+    await assertFails(deleteDoc(doc(as("donor"), "applications", APPLICATION_ID)));
+    await assertSucceeds(deleteDoc(doc(as("admin"), "applications", APPLICATION_ID)));
+  });
+});
+
+describe("pickup codes", () => {
+  beforeEach(async () => {
+    await seed(`applications/${APPLICATION_ID}`, application({ hasPickupCode: true }));
+    await seed(`applications/${APPLICATION_ID}/private/pickup`, { pin: "123456" });
+  });
+
+  // The writes confirmPickup makes
+  const confirm = (pickupCode) => {
+    const db = as("donor");
+    const batch = writeBatch(db);
+    batch.update(doc(db, "applications", APPLICATION_ID), {
+      status: "completed",
+      ...(pickupCode && { pickupCode }),
+      pickedUpBy: "donor",
+    });
+    addLedgerEntry(
+      batch,
+      db,
+      "h1",
+      toApplicationEntry(LEDGER_ENTRY_TYPES.PICKUP, APPLICATION_ID, application(), TODAY),
+      "donor"
+    );
+    return batch.commit();
+  };
+
+  test("the donor cannot read the PIN", async () => {
+    await assertFails(getDoc(doc(as("donor"), "applications", APPLICATION_ID, "private", "pickup")));
+    await assertSucceeds(getDoc(doc(as("alice"), "applications", APPLICATION_ID, "private", "pickup")));
+  });
+
+  // The attempt confirmPickup logs before it confirms
+  const attemptsPath = `applications/${APPLICATION_ID}/private/attempts`;
+  const logAttempt = (count, lastCode, uid = "donor") =>
+    setDoc(doc(as(uid), attemptsPath), { count, lastCode, lastAt: serverTimestamp() });
+
+  test("a pickup is only completed with the recipient's PIN", async () => {
+    await assertFails(confirm(null));
+    await assertSucceeds(logAttempt(1, "654321"));
+    await assertFails(confirm("654321"));
+    await assertSucceeds(logAttempt(2, "123456"));
+    await assertSucceeds(confirm("123456"));
+  });
+
+  test("a code is only accepted once it has been logged", async () => {
+    await assertFails(confirm("123456"));
+    await assertSucceeds(logAttempt(1, "000000"));
+    await assertFails(confirm("123456"));
+  });
+
+  test("each try counts and the pickup locks after five", async () => {
+    await assertFails(logAttempt(3, "123456"));
+    await assertFails(logAttempt(1, "123456", "mallory"));
+    await seed(attemptsPath, { count: 5, lastCode: "000000" });
+    await assertFails(logAttempt(6, "123456"));
+    await assertFails(logAttempt(1, "123456"));
+  });
+
+  test("staff unlock a locked pickup", async () => {
+    await seed(attemptsPath, { count: 5, lastCode: "000000" });
+    await assertFails(deleteDoc(doc(as("donor"), attemptsPath)));
+    await assertSucceeds(deleteDoc(doc(as("admin"), attemptsPath)));
+    await assertSucceeds(logAttempt(1, "123456"));
+  });
+});
+
+describe("allowance ledgers", () => {
+  beforeEach(() => seed(`applications/${APPLICATION_ID}`, application()));
+
+  test("a household cannot release its allowance without a status change", async () => {
+    const db = as("alice");
+    const batch = writeBatch(db);
+    addLedgerEntry(
+      batch,
+      db,
+      "h1",
+      toApplicationEntry(LEDGER_ENTRY_TYPES.CANCELLATION, APPLICATION_ID, application(), TODAY),
+      "alice"
+    );
+    await assertFails(batch.commit());
+  });
+
+  test("totals move by exactly the entry's servings", async () => {
+    const db = as("admin");
+    const entry = { type: LEDGER_ENTRY_TYPES.ADJUSTMENT, servings: 2, date: TODAY, reason: "Handed out" };
+    const batch = writeBatch(db);
+    const entryRef = doc(db, "allowanceLedgers", "h1", "entries", "e1");
+    batch.set(entryRef, { ...entry, by: "admin", at: serverTimestamp() });
+    batch.set(
+      doc(db, "allowanceLedgers", "h1"),
+      { householdId: "h1", ...buildTotalsUpdate({ ...entry, servings: 20 }, increment), lastEntryId: "e1" },
+      { merge: true }
+    );
+    await assertFails(batch.commit());
+  });
+
+  test("only staff adjust an allowance", async () => {
+    const entry = { type: LEDGER_ENTRY_TYPES.ADJUSTMENT, servings: -2, date: TODAY, reason: "Counted twice" };
+    const aliceDb = as("alice");
+    const refused = writeBatch(aliceDb);
+    addLedgerEntry(refused, aliceDb, "h1", entry, "alice");
+    await assertFails(refused.commit());
+
+    const adminDb = as("admin");
+    const allowed = writeBatch(adminDb);
+    addLedgerEntry(allowed, adminDb, "h1", entry, "admin");
+    await assertSucceeds(allowed.commit());
+  });
+
+  test("only the household and staff read the ledger", async () => {
+    await seed("allowanceLedgers/h1", { householdId: "h1" });
+    await assertSucceeds(getDoc(doc(as("alice"), "allowanceLedgers", "h1")));
+    await assertFails(getDoc(doc(as("mallory"), "allowanceLedgers", "h1")));
+  });
+});
+
+describe("deliveries", () => {
+  const delivery = {
+    applicationId: APPLICATION_ID,
+    donationId: "d1",
+    householdId: "h1",
+    applicantId: "alice",
+    donorId: "donor",
+    status: "requested",
+    volunteerId: null,
+    volunteerName: null,
+  };
+
+  beforeEach(() => seed(`applications/${APPLICATION_ID}`, application()));
+
+  test("the applicant may read a delivery that doesn't exist yet, then request it", async () => {
+    const db = as("alice");
+    await assertSucceeds(getDoc(doc(db, "deliveries", APPLICATION_ID)));
+    await assertSucceeds(setDoc(doc(db, "deliveries", APPLICATION_ID), delivery));
+  });
+
+  test("only the applicant requests a delivery", async () => {
+    await assertFails(setDoc(doc(as("mallory"), "deliveries", APPLICATION_ID), { ...delivery, applicantId: "mallory" }));
+  });
+
+  test("volunteers take open deliveries and step through them", async () => {
+    await seed(`deliveries/${APPLICATION_ID}`, delivery);
+    const db = as("vol");
+    await assertSucceeds(
+      updateDoc(doc(db, "deliveries", APPLICATION_ID), { status: "accepted", volunteerId: "vol", volunteerName: "Val" })
+    );
+    await assertFails(updateDoc(doc(db, "deliveries", APPLICATION_ID), { status: "delivered" }));
+    await assertSucceeds(updateDoc(doc(db, "deliveries", APPLICATION_ID), { status: "picked_up" }));
+  });
+
+  test("strangers neither read nor take over a delivery", async () => {
+    await seed(`deliveries/${APPLICATION_ID}`, { ...delivery, status: "accepted", volunteerId: "vol" });
+    const db = as("mallory");
+    await assertFails(getDoc(doc(db, "deliveries", APPLICATION_ID)));
+    await assertFails(updateDoc(doc(db, "deliveries", APPLICATION_ID), { status: "cancelled" }));
+  });
+
+  test("the applicant cancels before pickup", async () => {
+    await seed(`deliveries/${APPLICATION_ID}`, { ...delivery, status: "accepted", volunteerId: "vol" });
+    await assertSucceeds(updateDoc(doc(as("alice"), "deliveries", APPLICATION_ID), { status: "cancelled" }));
+  });
+
+  test("deliveries are never deleted", async () => {
+    await seed(`deliveries/${APPLICATION_ID}`, delivery);
+    await assertFails(deleteDoc(doc(as("alice"), "deliveries", APPLICATION_ID)));
+  });
+});
+
+describe("notifications", () => {
+  const cancelled = {
+    userId: "alice",
+    type: "donation_cancelled",
+    title: "Donation cancelled",
+    read: false,
+    senderId: "donor",
+    applicationId: APPLICATION_ID,
+  };
+
+  beforeEach(() => seed(`applications/${APPLICATION_ID}`, application({ status: "pending" })));
+
+  test("a cancellation notice comes with the cancelled application", async () => {
+    const db = as("donor");
+    const batch = writeBatch(db);
+    batch.update(doc(db, "applications", APPLICATION_ID), { status: "cancelled_by_donor", cancellationReason: "Spoiled" });
+    batch.set(doc(collection(db, "notifications")), cancelled);
+    await assertSucceeds(batch.commit());
+  });
+
+  test("a cancellation notice alone is refused", async () => {
+    await assertFails(addDoc(collection(as("donor"), "notifications"), cancelled));
+  });
+});
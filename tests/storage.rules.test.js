@@ -0,0 +1,92 @@
+// storage.rules against the Storage emulator. The rules read donations,
+// households and roles from Firestore, so both emulators run; start them
+// with `npm run test:rules`.
+
+import { readFileSync } from "node:fs";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { doc, setDoc } from "firebase/firestore";
+import { deleteObject, getBytes, ref, uploadBytes } from "firebase/storage";
+
+const IMAGE = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).storage();
+
+const seed = (path, data) =>
+  testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+
+const seedFile = (path) =>
+  testEnv.withSecurityRulesDisabled((context) =>
+    uploadBytes(ref(context.storage(), path), IMAGE, { contentType: "image/jpeg" })
+  );
+
+const upload = (storage, path, data = IMAGE, contentType = "image/jpeg") =>
+  uploadBytes(ref(storage, path), data, { contentType });
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-food-bank",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+    storage: { rules: readFileSync("storage.rules", "utf8") },
+  });
+});
+
+after(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+  await seed("users/donor", { roles: ["donor"] });
+  await seed("users/alice", { roles: ["recipient"] });
+  await seed("users/admin", { roles: ["admin"] });
+  await seed("donations/d1", { donorId: "donor", status: "available" });
+  await seed("households/h1", { registrantId: "alice" });
+});
+
+afterEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+});
+
+describe("donation photos", () => {
+  test("the donor uploads photos of their own listing", async () => {
+    await assertSucceeds(upload(as("donor"), "donations/d1/photo1.jpg"));
+    await assertFails(upload(as("alice"), "donations/d1/photo2.jpg"));
+  });
+
+  test("uploads must be images under 2 MB", async () => {
+    const storage = as("donor");
+    await assertFails(upload(storage, "donations/d1/notes.txt", IMAGE, "text/plain"));
+    await assertFails(upload(storage, "donations/d1/huge.jpg", new Uint8Array(2 * 1024 * 1024)));
+  });
+
+  test("anyone sees the photos", async () => {
+    await seedFile("donations/d1/photo1.jpg");
+    await assertSucceeds(getBytes(ref(testEnv.unauthenticatedContext().storage(), "donations/d1/photo1.jpg")));
+  });
+
+  test("the donor and staff remove photos", async () => {
+    await seedFile("donations/d1/photo1.jpg");
+    await seedFile("donations/d1/photo2.jpg");
+    await assertFails(deleteObject(ref(as("alice"), "donations/d1/photo1.jpg")));
+    await assertSucceeds(deleteObject(ref(as("donor"), "donations/d1/photo1.jpg")));
+    await assertSucceeds(deleteObject(ref(as("admin"), "donations/d1/photo2.jpg")));
+  });
+});
+
+describe("household verification documents", () => {
+  const path = "households/h1/verification/lease.pdf";
+
+  test("the registrant uploads images and PDFs", async () => {
+    await assertSucceeds(upload(as("alice"), path, IMAGE, "application/pdf"));
+    await assertFails(upload(as("alice"), "households/h1/verification/notes.txt", IMAGE, "text/plain"));
+    await assertFails(upload(as("donor"), "households/h1/verification/other.pdf", IMAGE, "application/pdf"));
+  });
+
+  test("only the registrant and staff read them", async () => {
+    await seedFile(path);
+    await assertSucceeds(getBytes(ref(as("alice"), path)));
+    await assertSucceeds(getBytes(ref(as("admin"), path)));
+    await assertFails(getBytes(ref(as("donor"), path)));
+  });
+});